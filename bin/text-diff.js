@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+
+/**
+ * Text Diff Tool - Command Line Interface
+ *
+ * Runs the full runDiffPipeline (modified-line pairing, move detection,
+ * slider correction) on two files and prints a colored terminal diff
+ * followed by the statistics from calculateStats(), or with --unified a
+ * patch that `git apply` and `patch` accept.
+ *
+ * Usage:
+ *   text-diff [options] <old-file> <new-file>
+ *
+ * Exit status (same convention as diff(1)):
+ *   0 - Files are identical
+ *   1 - Differences found
+ *   2 - Error (bad arguments, unreadable file, pipeline failure)
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadDiffLibrary } from '../src/diff-loader.js';
+import { runDiffPipeline } from '../src/diff-algorithms.js';
+import { detectCommonLanguage } from '../src/language-detect.js';
+import { buildPipelineOptions, DEFAULT_CONFIG } from '../src/pipeline-options.js';
+import { getStructuralFormatLabel } from '../src/structural-diff.js';
+import { normalizeJunosConfigs } from '../src/junos-config.js';
+import { JUNOS_STYLES } from '../src/format-detect.js';
+import { ANSI, formatTerminalDiff, formatStats, formatStructuralChanges, hasDifferences } from '../src/terminal-formatter.js';
+import { generateUnifiedDiff, DEFAULT_CONTEXT_LINES } from '../src/unified-diff-export.js';
+import { IGNORE_PATTERN_MODES } from '../src/diff-filters.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+const EXIT_SAME = 0;
+const EXIT_DIFFERENT = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: text-diff [options] <old-file> <new-file>
+
+Compare two files with the Text Diff Tool pipeline.
+
+Options:
+  -w, --ignore-whitespace     Ignore whitespace changes
+      --ignore-comments       Ignore comment changes
+      --drop-pattern REGEX    Leave lines matching REGEX out of the comparison
+      --mask-pattern REGEX    Compare lines with text matching REGEX masked
+                              (both can be given several times)
+  -s, --structural            Compare JSON, YAML, XML/HTML, INI/TOML/.env,
+                              IOS/EOS configs and CSV/TSV tables by path,
+                              ignoring order and formatting (falls back to
+                              text if unparsable)
+      --identity-key KEY      Match YAML list items and repeated XML elements
+                              by KEY (default name, for XML then id; empty to
+                              match by position)
+      --key-columns COLS      Match CSV/TSV rows by these comma-separated
+                              header names (default: by content)
+      --prose                 Compare Markdown and prose by sentence, so
+                              rewrapped paragraphs are no change
+      --ignore-line-order     Compare the lines as sets, reporting only
+                              lines one side does not have (the new file
+                              is shown in the old file's order)
+      --no-line-order-sections
+                              Match lines anywhere, not only within their
+                              INI [section] or indented section
+      --junos-style STYLE     Rewrite both JunOS configs as sorted set
+                              commands (set) or as a hierarchy (hierarchy)
+                              before comparing
+      --normalize-delimiters  Normalize whitespace inside delimiters
+      --correct-sliders       Adjust ambiguous diff positions
+      --no-fast-mode          Always run the detailed comparison
+      --no-line-numbers       Hide the old/new line number columns
+  -u, --unified[=NUM]         Output a unified diff (git patch) with NUM
+                              lines of context (default ${DEFAULT_CONTEXT_LINES})
+  -U NUM                      Same as --unified=NUM
+      --color                 Force colored output
+      --no-color              Disable colored output
+  -h, --help                  Show this help
+  -v, --version               Show version
+
+Exit status is 0 if the files are identical, 1 if they differ, 2 on error.`;
+
+// Ignore pattern options → pattern mode
+const IGNORE_PATTERN_OPTIONS = {
+  '--drop-pattern': IGNORE_PATTERN_MODES.DROP,
+  '--mask-pattern': IGNORE_PATTERN_MODES.MASK
+};
+
+/**
+ * Parse command-line arguments
+ *
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {Object} Parsed options and positional file paths
+ */
+function parseArgs(argv) {
+  const parsed = {
+    files: [],
+    config: { ...DEFAULT_CONFIG, ignorePatterns: [] },
+    ignoreWhitespace: false,
+    ignoreComments: false,
+    structural: false,
+    tableKeyColumns: [],
+    ignoreLineOrder: false,
+    prose: false,
+    lineNumbers: true,
+    junosStyle: null,
+    unified: false,
+    context: DEFAULT_CONTEXT_LINES,
+    color: null,
+    help: false,
+    version: false
+  };
+
+  const parseContext = value => {
+    if (!/^\d+$/.test(value || '')) {
+      throw new Error(`Invalid context line count: ${value}`);
+    }
+    return parseInt(value, 10);
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg.startsWith('--unified=')) {
+      parsed.unified = true;
+      parsed.context = parseContext(arg.slice('--unified='.length));
+      continue;
+    }
+    const patternOption = IGNORE_PATTERN_OPTIONS[arg.split('=')[0]];
+    if (patternOption) {
+      const pattern = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[++i];
+      if (!pattern) {
+        throw new Error(`${arg} requires a regular expression`);
+      }
+      parsed.config.ignorePatterns.push({ pattern, mode: patternOption });
+      continue;
+    }
+    if (arg.split('=')[0] === '--identity-key') {
+      const key = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[++i];
+      if (key === undefined) {
+        throw new Error(`${arg} requires a key name`);
+      }
+      parsed.config.structuralIdentityKey = key;
+      continue;
+    }
+    if (arg.split('=')[0] === '--key-columns') {
+      const columns = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[++i];
+      if (!columns) {
+        throw new Error(`${arg} requires column names`);
+      }
+      parsed.tableKeyColumns = columns.split(',').map(name => name.trim()).filter(Boolean);
+      continue;
+    }
+    if (arg.split('=')[0] === '--junos-style') {
+      const style = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[++i];
+      if (!Object.values(JUNOS_STYLES).includes(style)) {
+        throw new Error(`${arg.split('=')[0]} must be one of: ${Object.values(JUNOS_STYLES).join(', ')}`);
+      }
+      parsed.junosStyle = style;
+      continue;
+    }
+    if (arg.startsWith('-U')) {
+      parsed.unified = true;
+      parsed.context = parseContext(arg.length > 2 ? arg.slice(2) : argv[++i]);
+      continue;
+    }
+
+    switch (arg) {
+      case '-w':
+      case '--ignore-whitespace':
+        parsed.ignoreWhitespace = true;
+        break;
+      case '--ignore-comments':
+        parsed.ignoreComments = true;
+        break;
+      case '-s':
+      case '--structural':
+        parsed.structural = true;
+        break;
+      case '--prose':
+        parsed.prose = true;
+        break;
+      case '--ignore-line-order':
+        parsed.ignoreLineOrder = true;
+        break;
+      case '--no-line-order-sections':
+        parsed.config.lineOrderSections = false;
+        break;
+      case '--normalize-delimiters':
+        parsed.config.normalizeDelimiters = true;
+        break;
+      case '--correct-sliders':
+        parsed.config.correctSliders = true;
+        break;
+      case '--no-fast-mode':
+        parsed.config.enableFastMode = false;
+        break;
+      case '--no-line-numbers':
+        parsed.lineNumbers = false;
+        break;
+      case '-u':
+      case '--unified':
+        parsed.unified = true;
+        break;
+      case '--color':
+        parsed.color = true;
+        break;
+      case '--no-color':
+        parsed.color = false;
+        break;
+      case '-h':
+      case '--help':
+        parsed.help = true;
+        break;
+      case '-v':
+      case '--version':
+        parsed.version = true;
+        break;
+      default:
+        if (arg.startsWith('-') && arg !== '-') {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        parsed.files.push(arg);
+    }
+  }
+
+  // The results describe the new file in the old file's order
+  if (parsed.unified && parsed.ignoreLineOrder) {
+    throw new Error('--ignore-line-order cannot be combined with --unified');
+  }
+
+  return parsed;
+}
+
+/**
+ * Decide whether to emit ANSI colors
+ * Honors --color/--no-color, then NO_COLOR, then whether stdout is a TTY
+ *
+ * @param {boolean|null} flag - Explicit color flag
+ * @returns {boolean}
+ */
+function shouldUseColor(flag) {
+  if (flag !== null) return flag;
+  if (process.env.NO_COLOR !== undefined) return false;
+  return !!process.stdout.isTTY;
+}
+
+/**
+ * Read a file as text, rejecting binary content
+ *
+ * @param {string} filePath - Path to read ('-' for stdin)
+ * @returns {string} File content
+ */
+function readTextFile(filePath) {
+  const content = fs.readFileSync(filePath === '-' ? 0 : filePath, 'utf8');
+  if (content.includes('\0')) {
+    throw new Error(`${filePath}: binary files cannot be compared`);
+  }
+  return content;
+}
+
+/**
+ * Read the package version
+ *
+ * @returns {string}
+ */
+function readVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(PROJECT_ROOT, 'package.json'), 'utf8')).version;
+  } catch {
+    return 'unknown';
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`text-diff: ${error.message}`);
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_SAME;
+  }
+
+  if (args.version) {
+    console.log(readVersion());
+    return EXIT_SAME;
+  }
+
+  if (args.files.length !== 2) {
+    console.error('text-diff: expected exactly two files to compare');
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  const [oldPath, newPath] = args.files;
+  let oldText;
+  let newText;
+  try {
+    oldText = readTextFile(oldPath);
+    newText = readTextFile(newPath);
+  } catch (error) {
+    console.error(`text-diff: ${error.message}`);
+    return EXIT_ERROR;
+  }
+
+  if (args.junosStyle) {
+    try {
+      const normalized = normalizeJunosConfigs(oldText, newText, args.junosStyle);
+      if (normalized) {
+        ({ oldText, newText } = normalized);
+      } else {
+        console.error('text-diff: not JunOS configs, comparing them as they are');
+      }
+    } catch (error) {
+      console.error(`text-diff: ${error.side === 'new' ? newPath : oldPath}: ${error.message}`);
+      return EXIT_ERROR;
+    }
+  }
+
+  const color = shouldUseColor(args.color);
+  const language = detectCommonLanguage(oldPath, newPath, oldText, newText);
+
+  const diffLib = await loadDiffLibrary();
+  const pipelineOptions = buildPipelineOptions({
+    config: args.config,
+    language,
+    ignoreWhitespace: args.ignoreWhitespace,
+    ignoreComments: args.ignoreComments,
+    structural: args.structural,
+    tableKeyColumns: args.tableKeyColumns,
+    ignoreLineOrder: args.ignoreLineOrder,
+    prose: args.prose
+  });
+
+  const result = await runDiffPipeline(oldText, newText, diffLib, pipelineOptions);
+
+  if (result.limitInfo?.fastMode) {
+    console.error(`text-diff: fast mode active (${result.limitInfo.reason}), using simplified comparison`);
+  }
+
+  const structural = result.structural;
+  if (structural?.fallback) {
+    console.error(`text-diff: could not parse ${getStructuralFormatLabel(structural.format)} (${structural.fallback}), comparing as text`);
+  }
+
+  if (args.unified) {
+    // Plain paths like diff -u; the page's download uses git's a/ b/ prefixes
+    const patch = generateUnifiedDiff(result.results, oldPath, newPath, {
+      context: args.context,
+      oldText,
+      newText,
+      gitHeader: false
+    });
+    process.stdout.write(patch);
+    return patch ? EXIT_DIFFERENT : EXIT_SAME;
+  }
+
+  const header = color
+    ? `${ANSI.bold}--- ${oldPath}\n+++ ${newPath}${ANSI.reset}\n`
+    : `--- ${oldPath}\n+++ ${newPath}\n`;
+
+  process.stdout.write(header);
+  process.stdout.write(formatTerminalDiff(result.results, {
+    color,
+    lineNumbers: args.lineNumbers,
+    newLineNumbers: result.newLineNumbers
+  }));
+  if (structural && !structural.fallback) {
+    process.stdout.write('\n' + formatStructuralChanges(structural.changes, { color }));
+  }
+  process.stdout.write('\n' + formatStats(result.stats, { color }) + '\n');
+
+  if (structural && !structural.fallback) {
+    return structural.changes.length > 0 ? EXIT_DIFFERENT : EXIT_SAME;
+  }
+  return hasDifferences(result.stats) ? EXIT_DIFFERENT : EXIT_SAME;
+}
+
+// A reader that stops early (text-diff a b | head) closes the pipe: stop
+// writing and exit quietly instead of crashing on EPIPE
+process.stdout.on('error', error => {
+  if (error.code === 'EPIPE') {
+    process.exit(process.exitCode ?? EXIT_SAME);
+  }
+  throw error;
+});
+
+main().then(
+  code => {
+    process.exitCode = code;
+  },
+  error => {
+    console.error(`text-diff: ${error.message}`);
+    process.exitCode = EXIT_ERROR;
+  }
+);
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Vendor Script for Text Diff Tool
+ *
+ * Copies the pinned runtime files listed in src/vendor-assets.js
+ * (web-tree-sitter, the Tree-sitter grammars and the diff library) from
+ * node_modules/ into vendor/, so the app runs without a CDN. Each file is
+ * checked against its pinned version and integrity hash first.
+ *
+ * Usage:
+ *   npm install && npm run vendor      # Fill vendor/
+ *   npm run vendor -- --check          # Only check node_modules/ against the pins
+ *
+ * To use the tool offline, run this on a connected machine and copy the
+ * whole directory (including vendor/) to the offline host.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VENDOR_ASSETS, VENDOR_DIRECTORY, getVendorPath, verifyIntegrity } from '../src/vendor-assets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const NODE_MODULES = path.join(PROJECT_ROOT, 'node_modules');
+const VENDOR_ROOT = path.join(PROJECT_ROOT, VENDOR_DIRECTORY);
+
+function readInstalledVersion(packageName) {
+  const manifest = path.join(NODE_MODULES, packageName, 'package.json');
+  try {
+    return JSON.parse(fs.readFileSync(manifest, 'utf8')).version;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function computeIntegrity(bytes) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-384', bytes);
+  return `sha384-${Buffer.from(digest).toString('base64')}`;
+}
+
+/**
+ * Check one asset in node_modules/
+ * @returns {Promise<{bytes: Uint8Array|null, problem: string|null}>}
+ */
+async function checkAsset(id) {
+  const asset = VENDOR_ASSETS[id];
+  const installed = readInstalledVersion(asset.package);
+  if (!installed) {
+    return { bytes: null, problem: `${asset.package} is not installed (run npm install)` };
+  }
+  if (installed !== asset.version) {
+    return { bytes: null, problem: `${asset.package} ${installed} is installed, ${asset.version} is pinned` };
+  }
+
+  const bytes = new Uint8Array(fs.readFileSync(path.join(NODE_MODULES, asset.package, asset.file)));
+  if (!(await verifyIntegrity(bytes, asset.integrity))) {
+    return { bytes: null, problem: `${asset.package}/${asset.file} has integrity ${await computeIntegrity(bytes)}, ${asset.integrity} is pinned` };
+  }
+
+  return { bytes, problem: null };
+}
+
+async function main() {
+  const checkOnly = process.argv.includes('--check');
+  const problems = [];
+  let copied = 0;
+
+  for (const id of Object.keys(VENDOR_ASSETS)) {
+    const { bytes, problem } = await checkAsset(id);
+    if (problem) {
+      problems.push(problem);
+      continue;
+    }
+    if (checkOnly) continue;
+
+    const target = path.join(VENDOR_ROOT, getVendorPath(id));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, bytes);
+    copied++;
+  }
+
+  if (problems.length > 0) {
+    for (const problem of problems) {
+      console.error(`✗ ${problem}`);
+    }
+    process.exit(1);
+  }
+
+  if (checkOnly) {
+    console.log(`✓ ${Object.keys(VENDOR_ASSETS).length} pinned files match node_modules/`);
+  } else {
+    console.log(`✓ Copied ${copied} files to ${VENDOR_DIRECTORY}/`);
+  }
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
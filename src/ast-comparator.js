@@ -65,7 +65,7 @@ export function getASTSignature(tree, maxDepth = CONFIG.MAX_DEPTH) {
   const rootNode = tree.rootNode;
   
   // Check for parse errors
-  if (rootNode.hasError()) {
+  if (rootNode.hasError) {
     return { hasError: true, type: rootNode.type };
   }
   
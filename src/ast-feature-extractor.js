@@ -24,7 +24,7 @@ export function getASTSignature(tree, maxDepth = 3) {
   const rootNode = tree.rootNode;
   
   // Check for parse errors
-  if (rootNode.hasError && rootNode.hasError()) {
+  if (rootNode.hasError) {
     return { hasError: true, type: rootNode.type, childCount: rootNode.childCount };
   }
   
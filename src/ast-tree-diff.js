@@ -0,0 +1,764 @@
+/**
+ * AST Tree Diff Module
+ *
+ * GumTree-style node-level diff of two Tree-sitter syntax trees. Nodes are
+ * matched in three passes:
+ * 1. Top-down: the highest identical subtrees (same hash) are matched first
+ * 2. Bottom-up: an unmatched container is matched to the container of the
+ *    same type whose descendants are most often matched to its own (Dice)
+ * 3. Recovery: the children of every matched container are matched in
+ *    order, by hash, then by type and label, then by type when the
+ *    subtrees are alike, then by type when only one of it is left
+ *
+ * The mappings give an edit script of insert, delete, update and move
+ * operations on nodes (functions, statements, arguments, identifiers...),
+ * each with a one-line summary such as
+ * "renamed parameter `x` → `count` in `parseConfig`".
+ *
+ * Operations only hold plain data, so results can be posted from the
+ * diff worker.
+ *
+ * Reference: Falleri et al., "Fine-grained and Accurate Source Code
+ * Differencing", ASE 2014.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+export const AST_DIFF_CONFIG = {
+  MIN_HEIGHT: 2,            // Smallest subtree height matched top-down
+  MIN_DICE: 0.5,            // Similarity needed to match two containers
+  MAX_NODES: 40000,         // Larger trees are not diffed (returns null)
+  MAX_LCS_CHILDREN: 500,    // Wider nodes match their children greedily, not by LCS
+  GREEDY_LOOKAHEAD: 20,     // Children searched ahead for each child when greedy
+  MAX_LABEL_LENGTH: 60      // Longer node text is cut in summaries
+};
+
+export const EDIT_OPERATIONS = {
+  INSERT: 'insert',
+  DELETE: 'delete',
+  UPDATE: 'update',
+  MOVE: 'move'
+};
+
+// Anonymous tokens left out of container labels (brackets, separators, quotes)
+const PUNCTUATION_PATTERN = /^[()[\]{},;:.'"`]+$/;
+
+// Node types that declare a named symbol edits are reported "in"
+const SYMBOL_TYPE_PATTERN = /function|method|lambda|class|struct|interface|trait|enum|impl|module|namespace/;
+
+// Leaf types whose label change reads as a rename
+const NAME_TYPE_PATTERN = /identifier|^name$|^constant$/;
+
+// Parents that make an identifier a variable name
+const VARIABLE_PARENT_PATTERN = /variable_declarator|let_declaration|short_var_declaration|var_spec|const_spec|assignment/;
+
+// Human names for nodes, first match wins (default: the node type)
+const KIND_RULES = [
+  [node => /parameters$|parameter_list$/.test(node.type), 'parameter list'],
+  [node => /parameter/.test(node.type) || /parameter/.test(node.parent?.type || ''), 'parameter'],
+  [node => node.parent?.type === 'assignment_pattern' && /parameter/.test(node.parent.parent?.type || ''), 'parameter'],
+  [node => /^(arguments|argument_list)$/.test(node.type), 'argument list'],
+  [node => /^(arguments|argument_list)$/.test(node.parent?.type || ''), 'argument'],
+  [node => /call|invocation/.test(node.type), 'call'],
+  [node => /comment/.test(node.type), 'comment'],
+  [node => /class/.test(node.type), 'class'],
+  [node => /method/.test(node.type), 'method'],
+  [node => /function|lambda/.test(node.type) || (node.name !== null && /declarator/.test(node.type)), 'function'],
+  [node => /import|include|use_declaration/.test(node.type), 'import'],
+  [node => /string/.test(node.type), 'string'],
+  [node => /number|integer|float|decimal/.test(node.type), 'number'],
+  [node => node.children.length === 0 && VARIABLE_PARENT_PATTERN.test(node.parent?.type || ''), 'variable']
+];
+
+// When grouped updates name a node differently, the summary uses the first
+// of these kinds (a renamed parameter, not one of its usages)
+const KIND_PRIORITY = ['function', 'method', 'class', 'parameter', 'variable'];
+
+// ============================================================================
+// Tree Building
+// ============================================================================
+
+/**
+ * Hash a string (FNV-1a, 32 bit)
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} Base-36 hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// Name node of a function, class, ... (or a variable holding a function)
+function getSymbolNameNode(node) {
+  if (/call/.test(node.type)) return null;
+  if (SYMBOL_TYPE_PATTERN.test(node.type)) {
+    return node.childForFieldName('name');
+  }
+  if (/declarator/.test(node.type) && SYMBOL_TYPE_PATTERN.test(node.childForFieldName('value')?.type || '')) {
+    return node.childForFieldName('name');
+  }
+  return null;
+}
+
+function toRange(node) {
+  return {
+    start: node.startIndex,
+    end: node.endIndex,
+    startLine: node.startPosition.row + 1,
+    startColumn: node.startPosition.column,
+    endLine: node.endPosition.row + 1,
+    endColumn: node.endPosition.column
+  };
+}
+
+/**
+ * Convert a Tree-sitter tree into the tree the matcher works on
+ *
+ * Only named nodes are kept. A leaf's label is its text; a container's
+ * label is its anonymous tokens other than punctuation (keywords and
+ * operators such as `const` or `+`), so those changes become updates.
+ *
+ * @param {Object} rootNode - Tree-sitter root node
+ * @param {number} maxNodes - Give up above this many nodes
+ * @returns {{root: Object, nodes: Array<Object>}|null} Nodes in pre-order,
+ *   or null when the tree is too large
+ */
+function buildTree(rootNode, maxNodes) {
+  const nodes = [];
+
+  function visit(node, parent) {
+    if (nodes.length >= maxNodes) return null;
+
+    const tree = {
+      type: node.type,
+      label: '',
+      name: null,
+      isSymbolName: false,
+      parent,
+      children: [],
+      range: toRange(node),
+      index: nodes.length,
+      lastIndex: nodes.length,
+      height: 1,
+      size: 1,
+      hash: ''
+    };
+    nodes.push(tree);
+
+    const nameNode = getSymbolNameNode(node);
+    const tokens = [];
+    for (const child of node.children) {
+      if (child.isNamed) {
+        const childTree = visit(child, tree);
+        if (!childTree) return null;
+        childTree.isSymbolName = nameNode !== null && child.startIndex === nameNode.startIndex && child.type === nameNode.type;
+        tree.children.push(childTree);
+        tree.height = Math.max(tree.height, childTree.height + 1);
+        tree.size += childTree.size;
+      } else if (!PUNCTUATION_PATTERN.test(child.type)) {
+        tokens.push(child.type);
+      }
+    }
+
+    tree.name = nameNode ? nameNode.text : null;
+    tree.label = tree.children.length === 0 ? node.text : tokens.join(' ');
+    tree.lastIndex = nodes.length - 1;
+    tree.hash = hashString(`${tree.type}\u0000${tree.label}\u0000${tree.children.map(child => child.hash).join(',')}`);
+    return tree;
+  }
+
+  const root = visit(rootNode, null);
+  return root ? { root, nodes } : null;
+}
+
+// ============================================================================
+// Mappings
+// ============================================================================
+
+function createMappings() {
+  return {
+    oldToNew: new Map(),
+    newToOld: new Map(),
+    link(a, b) {
+      this.oldToNew.set(a, b);
+      this.newToOld.set(b, a);
+    }
+  };
+}
+
+// Match two identical subtrees node by node
+function mapSubtrees(a, b, mappings) {
+  if (mappings.oldToNew.has(a) || mappings.newToOld.has(b)) return;
+  mappings.link(a, b);
+  a.children.forEach((child, i) => mapSubtrees(child, b.children[i], mappings));
+}
+
+function isDescendant(node, ancestor) {
+  return node.index > ancestor.index && node.index <= ancestor.lastIndex;
+}
+
+/**
+ * Share of descendants of a matched to descendants of b (Dice coefficient)
+ */
+function dice(a, b, oldNodes, mappings) {
+  if (!a || !b) return 0;
+  const total = (a.size - 1) + (b.size - 1);
+  if (total === 0) return 0;
+
+  let common = 0;
+  for (let i = a.index + 1; i <= a.lastIndex; i++) {
+    const partner = mappings.oldToNew.get(oldNodes[i]);
+    if (partner && isDescendant(partner, b)) common++;
+  }
+  return (2 * common) / total;
+}
+
+// Dice coefficient of two multisets of strings
+function multisetDice(valuesA, valuesB) {
+  if (valuesA.length + valuesB.length === 0) return 1;
+  const counts = new Map();
+  for (const value of valuesA) counts.set(value, (counts.get(value) || 0) + 1);
+  let common = 0;
+  for (const value of valuesB) {
+    const count = counts.get(value) || 0;
+    if (count > 0) {
+      common++;
+      counts.set(value, count - 1);
+    }
+  }
+  return (2 * common) / (valuesA.length + valuesB.length);
+}
+
+/**
+ * How alike two unmatched subtrees are: the mean of their shape (node
+ * types) and leaf text similarity. A renamed variable keeps the shape, two
+ * unrelated functions of the same shape share little text.
+ */
+function subtreeSimilarity(a, b, oldNodes, newNodes) {
+  const types = [[], []];
+  const leaves = [[], []];
+  [[a, oldNodes], [b, newNodes]].forEach(([node, nodes], side) => {
+    for (let i = node.index + 1; i <= node.lastIndex; i++) {
+      types[side].push(nodes[i].type);
+      if (nodes[i].children.length === 0) leaves[side].push(nodes[i].label);
+    }
+  });
+  return (multisetDice(types[0], types[1]) + multisetDice(leaves[0], leaves[1])) / 2;
+}
+
+// Longest common subsequence of two lists under an equality test
+function longestCommonSubsequence(listA, listB, equals) {
+  const rows = listA.length;
+  const cols = listB.length;
+  if (rows === 0 || cols === 0) return [];
+
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = equals(listA[i], listB[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (equals(listA[i], listB[j])) {
+      pairs.push([listA[i], listB[j]]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Match two child lists in order: by longest common subsequence, or for
+ * lists longer than MAX_LCS_CHILDREN (the LCS table is rows × cols) by
+ * pairing each child with the first equal one among the next
+ * GREEDY_LOOKAHEAD unmatched children of the other list
+ */
+function matchInOrder(listA, listB, equals, config) {
+  if (Math.max(listA.length, listB.length) <= config.MAX_LCS_CHILDREN) {
+    return longestCommonSubsequence(listA, listB, equals);
+  }
+
+  const pairs = [];
+  let next = 0;
+  for (const x of listA) {
+    const end = Math.min(listB.length, next + config.GREEDY_LOOKAHEAD);
+    for (let j = next; j < end; j++) {
+      if (equals(x, listB[j])) {
+        pairs.push([x, listB[j]]);
+        next = j + 1;
+        break;
+      }
+    }
+  }
+  return pairs;
+}
+
+// Indices of a longest strictly increasing subsequence of numbers
+function longestIncreasingRun(values) {
+  const tails = [];       // index of the smallest tail of each run length
+  const previous = new Array(values.length);
+  values.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (values[tails[middle]] < value) low = middle + 1;
+      else high = middle;
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const run = new Set();
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    run.add(i);
+  }
+  return run;
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+// Nodes waiting to be matched, popped highest first
+function createHeightQueue(root) {
+  const buckets = [];
+  let maxHeight = 0;
+
+  const push = (node) => {
+    (buckets[node.height] ||= []).push(node);
+    maxHeight = Math.max(maxHeight, node.height);
+  };
+  push(root);
+
+  return {
+    peekMax() {
+      while (maxHeight > 0 && !buckets[maxHeight]?.length) maxHeight--;
+      return maxHeight;
+    },
+    pop() {
+      const nodes = buckets[this.peekMax()] || [];
+      buckets[maxHeight] = [];
+      return nodes;
+    },
+    open(node) {
+      node.children.forEach(push);
+    }
+  };
+}
+
+function groupByHash(nodes) {
+  const groups = new Map();
+  for (const node of nodes) {
+    if (!groups.has(node.hash)) groups.set(node.hash, []);
+    groups.get(node.hash).push(node);
+  }
+  return groups;
+}
+
+/**
+ * Top-down pass: match the highest identical subtrees
+ *
+ * Subtrees with one identical counterpart are matched at once. When a
+ * subtree has several, the pairs whose parents are most alike win.
+ */
+function matchTopDown(oldTree, newTree, mappings, config) {
+  const queueA = createHeightQueue(oldTree.root);
+  const queueB = createHeightQueue(newTree.root);
+  const candidates = [];
+
+  while (Math.min(queueA.peekMax(), queueB.peekMax()) >= config.MIN_HEIGHT) {
+    const heightA = queueA.peekMax();
+    const heightB = queueB.peekMax();
+
+    if (heightA > heightB) {
+      queueA.pop().forEach(node => queueA.open(node));
+      continue;
+    }
+    if (heightB > heightA) {
+      queueB.pop().forEach(node => queueB.open(node));
+      continue;
+    }
+
+    const nodesA = queueA.pop();
+    const nodesB = queueB.pop();
+    const groupsA = groupByHash(nodesA);
+    const groupsB = groupByHash(nodesB);
+
+    for (const a of nodesA) {
+      const matches = groupsB.get(a.hash);
+      if (!matches) {
+        queueA.open(a);
+      } else if (matches.length === 1 && groupsA.get(a.hash).length === 1) {
+        mapSubtrees(a, matches[0], mappings);
+      } else {
+        for (const b of matches) candidates.push({ a, b });
+      }
+    }
+    for (const b of nodesB) {
+      if (!groupsA.has(b.hash)) queueB.open(b);
+    }
+  }
+
+  for (const candidate of candidates) {
+    candidate.score = dice(candidate.a.parent, candidate.b.parent, oldTree.nodes, mappings);
+    candidate.distance = Math.abs(candidate.a.range.startLine - candidate.b.range.startLine);
+  }
+  candidates.sort((x, y) => (y.score - x.score) || (x.distance - y.distance));
+  for (const { a, b } of candidates) {
+    mapSubtrees(a, b, mappings);
+  }
+}
+
+/**
+ * Recovery: match the remaining children of a matched pair in order, then
+ * recurse into the new pairs
+ */
+function recoverChildren(a, b, oldTree, newTree, mappings, config) {
+  const passes = [
+    { equals: (x, y) => x.hash === y.hash, isomorphic: true },
+    {
+      equals: (x, y) => x.type === y.type && x.label === y.label &&
+        (x.children.length === 0 || subtreeSimilarity(x, y, oldTree.nodes, newTree.nodes) >= config.MIN_DICE)
+    },
+    {
+      equals: (x, y) => x.type === y.type &&
+        ((x.children.length === 0 && y.children.length === 0) ||
+          subtreeSimilarity(x, y, oldTree.nodes, newTree.nodes) >= config.MIN_DICE)
+    },
+    // Last chance: the only remaining child of its type on both sides
+    { equals: (x, y, unique) => x.type === y.type && unique(x.type) }
+  ];
+
+  for (const { equals, isomorphic } of passes) {
+    const childrenA = a.children.filter(child => !mappings.oldToNew.has(child));
+    const childrenB = b.children.filter(child => !mappings.newToOld.has(child));
+    const unique = type => childrenA.filter(child => child.type === type).length === 1 &&
+      childrenB.filter(child => child.type === type).length === 1;
+
+    for (const [x, y] of matchInOrder(childrenA, childrenB, (x, y) => equals(x, y, unique), config)) {
+      if (isomorphic) {
+        mapSubtrees(x, y, mappings);
+      } else {
+        mappings.link(x, y);
+        recoverChildren(x, y, oldTree, newTree, mappings, config);
+      }
+    }
+  }
+}
+
+/**
+ * Bottom-up pass: match containers whose descendants were matched
+ */
+function matchBottomUp(oldTree, newTree, mappings, config) {
+  // Reverse pre-order visits every node after its descendants
+  for (let index = oldTree.nodes.length - 1; index > 0; index--) {
+    const a = oldTree.nodes[index];
+    if (mappings.oldToNew.has(a) || a.children.length === 0) continue;
+
+    const seen = new Set();
+    let best = null;
+    let bestScore = 0;
+    for (let i = a.index + 1; i <= a.lastIndex; i++) {
+      const partner = mappings.oldToNew.get(oldTree.nodes[i]);
+      if (!partner) continue;
+      for (let b = partner.parent; b && b !== newTree.root && !seen.has(b); b = b.parent) {
+        seen.add(b);
+        if (b.type !== a.type || mappings.newToOld.has(b)) continue;
+        const score = dice(a, b, oldTree.nodes, mappings);
+        if (score > bestScore) {
+          best = b;
+          bestScore = score;
+        }
+      }
+    }
+
+    if (best && bestScore >= config.MIN_DICE) {
+      mappings.link(a, best);
+      recoverChildren(a, best, oldTree, newTree, mappings, config);
+    }
+  }
+
+  if (!mappings.oldToNew.has(oldTree.root) && !mappings.newToOld.has(newTree.root)) {
+    mappings.link(oldTree.root, newTree.root);
+    recoverChildren(oldTree.root, newTree.root, oldTree, newTree, mappings, config);
+  }
+}
+
+// ============================================================================
+// Edit Script
+// ============================================================================
+
+/**
+ * Human name for the kind of a node ("parameter", "if statement", ...)
+ *
+ * @param {Object} node - Matcher tree node
+ * @returns {string}
+ */
+function describeKind(node) {
+  if (node.isSymbolName) return describeKind(node.parent);
+  const rule = KIND_RULES.find(([test]) => test(node));
+  return rule ? rule[1] : node.type.replace(/_/g, ' ');
+}
+
+// Name of the function, class, ... that contains a node
+function findContext(node) {
+  let ancestor = node.isSymbolName ? node.parent?.parent : node.parent;
+  while (ancestor) {
+    if (ancestor.name) return ancestor.name;
+    ancestor = ancestor.parent;
+  }
+  return null;
+}
+
+function truncateLabel(text, maxLength) {
+  const lines = text.trim().split('\n');
+  const label = lines[0].replace(/\s+/g, ' ');
+  if (label.length > maxLength) return `${label.slice(0, maxLength - 1)}…`;
+  return lines.length > 1 ? `${label} …` : label;
+}
+
+// Labels of an update: the first line that differs on each side
+function differingLabels(oldText, newText, maxLength) {
+  const oldLines = oldText.trim().split('\n');
+  const newLines = newText.trim().split('\n');
+  let line = 0;
+  while (line < oldLines.length - 1 && line < newLines.length - 1 && oldLines[line] === newLines[line]) {
+    line++;
+  }
+  const label = (lines) => {
+    const text = truncateLabel(lines.slice(line).join('\n'), maxLength);
+    return line > 0 ? `… ${text}` : text;
+  };
+  return [label(oldLines), label(newLines)];
+}
+
+// What a summary calls a node: its symbol name, or its first line of text
+function nodeLabel(node, text, config) {
+  if (node.name) return node.name;
+  return truncateLabel(text.slice(node.range.start, node.range.end), config.MAX_LABEL_LENGTH);
+}
+
+/**
+ * One-line description of an edit operation
+ *
+ * @param {Object} operation - Operation from diffAstTrees()
+ * @returns {string} e.g. "renamed parameter `x` → `count` in `parseConfig`"
+ */
+export function describeEditOperation(operation) {
+  const where = operation.context ? ` in \`${operation.context}\`` : '';
+  switch (operation.type) {
+    case EDIT_OPERATIONS.UPDATE: {
+      const verb = operation.isRename ? 'renamed' : 'changed';
+      return `${verb} ${operation.kind} \`${operation.oldLabel}\` → \`${operation.newLabel}\`${where}`;
+    }
+    case EDIT_OPERATIONS.INSERT:
+      return `added ${operation.kind} \`${operation.newLabel}\`${where}`;
+    case EDIT_OPERATIONS.DELETE:
+      return `removed ${operation.kind} \`${operation.oldLabel}\`${where}`;
+    case EDIT_OPERATIONS.MOVE:
+      return `moved ${operation.kind} \`${operation.newLabel}\`${where}`;
+    default:
+      return operation.type;
+  }
+}
+
+function createOperation(type, a, b, texts, config) {
+  const node = b || a;
+  const operation = {
+    type,
+    nodeType: node.type,
+    kind: describeKind(node),
+    context: findContext(node),
+    isRename: false,
+    oldLabel: a ? nodeLabel(a, texts.oldText, config) : null,
+    newLabel: b ? nodeLabel(b, texts.newText, config) : null,
+    oldRange: a ? a.range : null,
+    newRange: b ? b.range : null,
+    summary: ''
+  };
+
+  if (type === EDIT_OPERATIONS.UPDATE) {
+    // Containers are updated when their keywords or operators change
+    [operation.oldLabel, operation.newLabel] = differingLabels(a.label, b.label, config.MAX_LABEL_LENGTH);
+    operation.isRename = a.children.length === 0 && NAME_TYPE_PATTERN.test(a.type);
+  }
+  operation.summary = describeEditOperation(operation);
+  return operation;
+}
+
+/**
+ * Children of a new-tree node that moved within it: matched children of
+ * the same parent that fall outside the longest in-order run
+ */
+function findReorderedChildren(b, mappings) {
+  const partnerParent = mappings.newToOld.get(b);
+  if (!partnerParent) return [];
+
+  const stayed = b.children.filter(child => mappings.newToOld.get(child)?.parent === partnerParent);
+  // Each child has one partner, so the longest in-order run is the longest
+  // increasing run of the partners' positions
+  const oldPositions = new Map(partnerParent.children.map((child, position) => [child, position]));
+  const inOrder = longestIncreasingRun(stayed.map(child => oldPositions.get(mappings.newToOld.get(child))));
+  return stayed.filter((child, i) => !inOrder.has(i));
+}
+
+/**
+ * Turn the mappings into insert, delete, update and move operations
+ *
+ * Inserts, deletes and moves are reported for the topmost node only: the
+ * nodes inside an added function are part of that one insert.
+ */
+function buildEditScript(oldTree, newTree, mappings, texts, config) {
+  const operations = [];
+
+  for (const b of newTree.nodes) {
+    const a = mappings.newToOld.get(b);
+    if (!a) {
+      if (b.parent && mappings.newToOld.has(b.parent)) {
+        operations.push(createOperation(EDIT_OPERATIONS.INSERT, null, b, texts, config));
+      }
+      continue;
+    }
+
+    if (a.label !== b.label) {
+      operations.push(createOperation(EDIT_OPERATIONS.UPDATE, a, b, texts, config));
+    }
+    if (b.parent && mappings.newToOld.get(b.parent) !== a.parent) {
+      operations.push(createOperation(EDIT_OPERATIONS.MOVE, a, b, texts, config));
+    }
+    for (const child of findReorderedChildren(b, mappings)) {
+      operations.push(createOperation(EDIT_OPERATIONS.MOVE, mappings.newToOld.get(child), child, texts, config));
+    }
+  }
+
+  for (const a of oldTree.nodes) {
+    if (!mappings.oldToNew.has(a) && a.parent && mappings.oldToNew.has(a.parent)) {
+      operations.push(createOperation(EDIT_OPERATIONS.DELETE, a, null, texts, config));
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Group operations for display: the same rename or change repeated in one
+ * symbol (a parameter and its usages) becomes one entry
+ *
+ * @param {Array<Object>} operations - Operations from diffAstTrees()
+ * @returns {Array<{type: string, summary: string, count: number, operations: Array<Object>}>}
+ */
+export function groupEditOperations(operations) {
+  const groups = new Map();
+
+  operations.forEach((operation, i) => {
+    const key = operation.type === EDIT_OPERATIONS.UPDATE
+      ? `${operation.oldLabel}\u0000${operation.newLabel}\u0000${operation.context}`
+      : i;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(operation);
+  });
+
+  return [...groups.values()].map(group => {
+    const rank = operation => {
+      const position = KIND_PRIORITY.indexOf(operation.kind);
+      return position === -1 ? KIND_PRIORITY.length : position;
+    };
+    const representative = group.reduce((best, operation) => (rank(operation) < rank(best) ? operation : best));
+    return {
+      type: representative.type,
+      summary: representative.summary,
+      count: group.length,
+      operations: group
+    };
+  });
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Diff two Tree-sitter syntax trees
+ *
+ * @param {Object} oldRoot - Root node of the previous version's tree
+ * @param {Object} newRoot - Root node of the current version's tree
+ * @param {Object} texts - { oldText, newText } the trees were parsed from
+ * @param {Object} options - Overrides for AST_DIFF_CONFIG
+ * @returns {Object|null} { operations, changes, summary } where changes is
+ *   groupEditOperations(operations) and summary counts operations by
+ *   type; null when a tree has more than MAX_NODES nodes
+ */
+export function diffAstTrees(oldRoot, newRoot, texts, options = {}) {
+  const config = { ...AST_DIFF_CONFIG, ...options };
+
+  const oldTree = buildTree(oldRoot, config.MAX_NODES);
+  const newTree = oldTree && buildTree(newRoot, config.MAX_NODES);
+  if (!oldTree || !newTree) return null;
+
+  const mappings = createMappings();
+  matchTopDown(oldTree, newTree, mappings, config);
+  matchBottomUp(oldTree, newTree, mappings, config);
+
+  const operations = buildEditScript(oldTree, newTree, mappings, texts, config);
+  const summary = { insert: 0, delete: 0, update: 0, move: 0 };
+  for (const operation of operations) {
+    summary[operation.type]++;
+  }
+
+  return {
+    operations,
+    changes: groupEditOperations(operations),
+    summary
+  };
+}
+
+/**
+ * Parse two texts and diff their syntax trees
+ *
+ * @param {string} oldText - Previous version text
+ * @param {string} newText - Current version text
+ * @param {Object} parser - Tree-sitter parser for the language
+ * @param {Object} options - Overrides for AST_DIFF_CONFIG
+ * @returns {Object|null} See diffAstTrees()
+ */
+export function diffSourceTrees(oldText, newText, parser, options = {}) {
+  const oldTree = parser.parse(oldText);
+  const newTree = parser.parse(newText);
+  try {
+    return diffAstTrees(oldTree.rootNode, newTree.rootNode, { oldText, newText }, options);
+  } finally {
+    oldTree.delete();
+    newTree.delete();
+  }
+}
+
+export default {
+  AST_DIFF_CONFIG,
+  EDIT_OPERATIONS,
+  diffAstTrees,
+  diffSourceTrees,
+  describeEditOperation,
+  groupEditOperations
+};
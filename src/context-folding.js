@@ -0,0 +1,145 @@
+/**
+ * Context Folding Module
+ *
+ * Folds long runs of unchanged rows into a placeholder so small changes in
+ * large files are not buried. Each run keeps contextLines rows next to the
+ * surrounding changes; the rest is hidden behind a fold that can be
+ * expanded fully or EXPAND_STEP_LINES at a time from either end.
+ *
+ * Works on any row list (split rows, unified rows): callers say which rows
+ * are unchanged and give each row a key that is stable across renders
+ * (the fold of a run is keyed by its first row).
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Rows revealed by one "expand from the top/bottom" action
+export const EXPAND_STEP_LINES = 20;
+
+// Runs that would hide fewer rows than this are shown in full
+export const MIN_FOLDED_LINES = 4;
+
+export const FOLD_ACTIONS = {
+  ALL: 'all',
+  TOP: 'top',
+  BOTTOM: 'bottom'
+};
+
+// ============================================================================
+// Folding
+// ============================================================================
+
+/**
+ * Find runs of consecutive unchanged rows
+ *
+ * @param {Array} rows - Row models
+ * @param {Function} isUnchanged - (row) → boolean
+ * @returns {Array<{start: number, end: number}>} Runs, end exclusive
+ */
+export function findUnchangedRuns(rows, isUnchanged) {
+  const runs = [];
+  let start = -1;
+
+  rows.forEach((row, index) => {
+    if (isUnchanged(row)) {
+      if (start === -1) start = index;
+    } else if (start !== -1) {
+      runs.push({ start, end: index });
+      start = -1;
+    }
+  });
+  if (start !== -1) {
+    runs.push({ start, end: rows.length });
+  }
+
+  return runs;
+}
+
+/**
+ * Replace the hidden part of long unchanged runs with fold entries
+ *
+ * @param {Array} rows - Row models
+ * @param {Object} options - Folding options
+ * @param {Function} options.isUnchanged - (row) → boolean
+ * @param {Function} options.getKey - (row) → stable key of the run starting at row
+ * @param {number} options.contextLines - Unchanged rows kept next to each change
+ * @param {Map} options.expansions - key → { top, bottom, full } (see expandFold)
+ * @returns {Array<Object>} Display entries: { row } for visible rows and
+ *   { fold: { key, start, end, hidden } } for folded ranges (end exclusive)
+ */
+export function foldRows(rows, options) {
+  const { isUnchanged, getKey, expansions = new Map() } = options;
+  const contextLines = Math.max(0, Math.floor(Number(options.contextLines) || 0));
+
+  const entries = [];
+  let next = 0;
+
+  for (const run of findUnchangedRuns(rows, isUnchanged)) {
+    const key = getKey(rows[run.start]);
+    const expansion = expansions.get(key) || { top: 0, bottom: 0, full: false };
+
+    // The start and end of the text have no change to give context to
+    const keepTop = (run.start === 0 ? 0 : contextLines) + expansion.top;
+    const keepBottom = (run.end === rows.length ? 0 : contextLines) + expansion.bottom;
+    const hidden = run.end - run.start - keepTop - keepBottom;
+
+    if (expansion.full || hidden < MIN_FOLDED_LINES) {
+      continue;
+    }
+
+    const foldStart = run.start + keepTop;
+    const foldEnd = foldStart + hidden;
+
+    for (let i = next; i < foldStart; i++) {
+      entries.push({ row: rows[i] });
+    }
+    entries.push({ fold: { key, start: foldStart, end: foldEnd, hidden } });
+    next = foldEnd;
+  }
+
+  for (let i = next; i < rows.length; i++) {
+    entries.push({ row: rows[i] });
+  }
+
+  return entries;
+}
+
+/**
+ * Record an expand action on a fold
+ *
+ * @param {Map} expansions - key → { top, bottom, full }, updated in place
+ * @param {*} key - Fold key
+ * @param {string} action - One of FOLD_ACTIONS
+ * @param {number} step - Rows revealed by TOP / BOTTOM
+ * @returns {Map} The updated expansions
+ */
+export function expandFold(expansions, key, action, step = EXPAND_STEP_LINES) {
+  const expansion = expansions.get(key) || { top: 0, bottom: 0, full: false };
+
+  if (action === FOLD_ACTIONS.ALL) {
+    expansion.full = true;
+  } else if (action === FOLD_ACTIONS.TOP) {
+    expansion.top += step;
+  } else if (action === FOLD_ACTIONS.BOTTOM) {
+    expansion.bottom += step;
+  } else {
+    throw new Error(`Unknown fold action: ${action}`);
+  }
+
+  expansions.set(key, expansion);
+  return expansions;
+}
+
+export default {
+  EXPAND_STEP_LINES,
+  MIN_FOLDED_LINES,
+  FOLD_ACTIONS,
+  findUnchangedRuns,
+  foldRows,
+  expandFold
+};
@@ -8,6 +8,8 @@
  * SPDX-License-Identifier: MIT
  */
 
+import { BASE_DELIMITERS, getLanguage } from './language-registry.js';
+
 // ============================================================================
 // Language-Specific Delimiter Configuration
 // ============================================================================
@@ -18,45 +20,7 @@
  * @returns {Array<Array<string>>} Array of [open, close] delimiter pairs
  */
 function getDelimiterPairs(language = null) {
-  // Base delimiter pairs common to most languages
-  const basePairs = [
-    ['(', ')'],
-    ['[', ']'],
-    ['{', '}'],
-    ['<', '>']
-  ];
-  
-  // Language-specific extensions
-  const languageExtensions = {
-    python: [
-      ...basePairs,
-      ['[', ']'], // List brackets - important for Python
-      ['(', ')'], // Tuple parentheses
-      ['{', '}'], // Dict braces
-    ],
-    javascript: [
-      ...basePairs,
-      ['(', ')'],
-      ['[', ']'],
-      ['{', '}'],
-      ['${', '}'] // Template literal expressions
-    ],
-    html: [
-      ['<', '>'],
-      ['<!--', '-->'] // HTML comments
-    ],
-    css: [
-      ['(', ')'],
-      ['[', ']'],
-      ['{', '}']
-    ],
-    json: [
-      ['[', ']'],
-      ['{', '}']
-    ]
-  };
-  
-  return languageExtensions[language?.toLowerCase()] || basePairs;
+  return getLanguage(language)?.delimiters || BASE_DELIMITERS;
 }
 
 /**
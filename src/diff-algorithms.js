@@ -103,7 +103,13 @@ import { hashLine } from './content-hash.js';
 import { patienceLCS } from './patience-diff.js';
 import { detectRegions, REGION_TYPES } from './region-detector.js';
 import { normalizeDelimiters } from './delimiter-normalizer.js';
+import { hasLineFilters, buildFilteredView, restoreOriginalLines } from './diff-filters.js';
+import { detectStructuralFormat, compareStructured, applyStructuralChanges } from './structural-diff.js';
+import { PROSE_FORMAT } from './prose-diff.js';
 import { detectSliders, correctSliders } from './slider-correction.js';
+import { matchLineSets, orderLikeOld } from './line-order.js';
+import { splitTextLines } from './unified-diff-export.js';
+import { applyRenameDetection, isRenameLanguage } from './rename-detector.js';
 import { detectBlockMovesFast as newDetectBlockMovesFast } from './block-move-detector.js?v=13';
 
 // ============================================================================
@@ -154,6 +160,46 @@ export const CONFIG = {
   ENABLE_FAST_MODE: true,        // Enable fast mode fallback when limits exceeded
 };
 
+// ============================================================================
+// Progress Reporting
+// ============================================================================
+
+/**
+ * Pipeline phases reported through options.onProgress, in run order
+ * (syntaxTree is reported by runPipelineJob() in pipeline-job.js)
+ */
+export const PIPELINE_PHASES = ['diffLines', 'changeBlocks', 'similarity', 'pairing', 'moves', 'sliders', 'syntaxTree', 'symbols'];
+
+export class PipelineCancelledError extends Error {
+  constructor(message = 'Comparison cancelled') {
+    super(message);
+    this.name = 'PipelineCancelledError';
+  }
+}
+
+/**
+ * Report the current phase and stop if the run was cancelled
+ *
+ * options.onProgress receives { phase, completed, total } and may return a
+ * promise (the main-thread runner uses this to yield to the UI). When
+ * options.signal is aborted the pipeline stops with PipelineCancelledError.
+ *
+ * @param {Object} options - Pipeline options
+ * @param {string} phase - One of PIPELINE_PHASES
+ * @param {number} completed - Units of the phase already done
+ * @param {number} total - Units in the phase
+ * @returns {Promise<void>}
+ * @throws {PipelineCancelledError} If options.signal is aborted
+ */
+export async function reportPipelineProgress(options, phase, completed = 0, total = 1) {
+  if (options?.onProgress) {
+    await options.onProgress({ phase, completed, total });
+  }
+  if (options?.signal?.aborted) {
+    throw new PipelineCancelledError();
+  }
+}
+
 // ============================================================================
 // Content Hash Cache
 // ============================================================================
@@ -648,11 +694,14 @@ function splitMultiLineEntries(results) {
     if (lineCount > 1 && (entry.classification === 'modified' || entry.classification === 'added' || entry.classification === 'removed')) {
       for (let i = 0; i < lines.length; i++) {
         const line = lines[i];
-        if (line.length === 0 && i < lines.length - 1) continue;
+        // Only the empty string after the final newline is no line
+        if (line.length === 0 && i === lines.length - 1) continue;
         
+        // Every line keeps its newline, like the entries of diffLines(), so
+        // a blank line is '\n' and still counts as one
         const newEntry = {
           ...entry,
-          value: line,
+          value: i < lines.length - 1 ? `${line}\n` : line,
           count: 1,
           lineIndex: i
         };
@@ -1451,19 +1500,22 @@ export async function detectModifiedLines(diffResults, diffWords, diffChars, opt
   debugLog('detectModifiedLines', 'START', { inputEntries: diffResults?.length });
   debugContentStats('detectModifiedLines:input', diffResults, 'START');
   
+  await reportPipelineProgress(options, 'changeBlocks');
   const blocks = identifyChangeBlocks(diffResults);
   const modeToggles = options.modeToggles || { lines: true, words: true, chars: true };
   const language = options.language || null;
   
   const allPairings = [];
   
-  for (const block of blocks) {
+  for (const [blockIndex, block] of blocks.entries()) {
+    await reportPipelineProgress(options, 'similarity', blockIndex, blocks.length);
     const matrix = buildOptimizedSimilarityMatrix(
       block, 
       diffWords, 
       options.fastThreshold || CONFIG.FAST_THRESHOLD,
       { ...options, diffChars }
     );
+    await reportPipelineProgress(options, 'pairing', blockIndex, blocks.length);
     const pairings = await findOptimalPairings(
       block, 
       matrix, 
@@ -1490,6 +1542,7 @@ export async function detectModifiedLines(diffResults, diffWords, diffChars, opt
     sum + b.added.reduce((lineSum, a) => lineSum + (a.line?.split('\n').length || 1), 0), 0);
   
   if (options.detectMoves !== false && (totalRemoved + totalAdded) < CONFIG.MAX_LINES_FOR_MOVE_DETECTION) {
+    await reportPipelineProgress(options, 'moves');
     const moveResult = detectBlockMovesFast(
       blocks, 
       diffWords, 
@@ -1763,6 +1816,7 @@ export function calculateStats(classifiedResults) {
     added: classifiedResults.filter(c => c.classification === 'added').length,
     removed: classifiedResults.filter(c => c.classification === 'removed').length,
     modified: classifiedResults.filter(c => c.classification === 'modified').length,
+    renamed: classifiedResults.filter(c => c.classification === 'renamed').length,
     moved: classifiedResults.filter(c => c.classification === 'moved' || c.classification === 'block-moved').length,
     unchanged: classifiedResults.filter(c => c.classification === 'unchanged').length
   };
@@ -2218,7 +2272,9 @@ export async function processChangedRegion(region, diffLib, options = {}) {
     modifiedThreshold: options.modifiedThreshold,
     modeToggles,
     language,
-    normalizeDelimiters: options.normalizeDelimiters
+    normalizeDelimiters: options.normalizeDelimiters,
+    onProgress: options.onProgress,
+    signal: options.signal
   }, oldText, newText);
   
   // Adjust indices to reflect position in original text
@@ -2621,6 +2677,24 @@ export async function runFastMode(oldText, newText, diffLib, limitInfo, options
  * @param {boolean} options.useTwoPass - Enable two-pass diff (default: auto for large files)
  * @param {number} options.twoPassThreshold - Line count threshold for auto-enabling (default: 100)
  * @param {Object} options.config - Override default CONFIG values for limits
+ * @param {Object} options.filterOptions - { ignoreWhitespace, ignoreComments } (see diff-filters.js)
+ * @param {boolean} options.structural - Compare structured formats (JSON, YAML,
+ *   Cisco IOS / Arista EOS configs) by path when there is a structural
+ *   comparer (see structural-diff.js); the result then carries `structural`
+ * @param {string} options.structuralIdentityKey - Mapping key that matches
+ *   YAML sequence items (default 'name', empty for positions only)
+ * @param {Array<string>} options.tableKeyColumns - Columns that match CSV/TSV
+ *   rows in the structural comparison (rows by content when empty)
+ * @param {boolean} options.ignoreLineOrder - Compare the lines as multisets
+ *   (see line-order.js); the current side is shown in the previous order
+ *   and result.newLineNumbers gives the real line of each of its lines
+ * @param {boolean} options.lineOrderSections - With ignoreLineOrder, only
+ *   match lines within their section (default true)
+ * @param {boolean} options.detectRenames - Classify lines whose only change
+ *   is a consistently renamed identifier as 'renamed' (default true; source
+ *   code only)
+ * @param {Function} options.onProgress - Called with { phase, completed, total } (see PIPELINE_PHASES)
+ * @param {AbortSignal} options.signal - Aborting stops the run with PipelineCancelledError
  * @returns {Object} Object containing results array, stats, and limit status
  */
 export async function runDiffPipeline(oldText, newText, diffLib, options = {}) {
@@ -2646,8 +2720,30 @@ export async function runDiffPipeline(oldText, newText, diffLib, options = {}) {
   try {
     // Apply filters if specified
     const filterOptions = options?.filterOptions || {};
-    const processedOldText = applyFilters(oldText, filterOptions);
-    const processedNewText = applyFilters(newText, filterOptions);
+    let processedOldText = applyFilters(oldText, filterOptions);
+    let processedNewText = applyFilters(newText, filterOptions);
+    let lineOrder = null;
+    if (options?.ignoreLineOrder) {
+      lineOrder = await orderNewLinesLikeOld(processedOldText, processedNewText, diffLib, options);
+      processedNewText = lineOrder.text;
+    }
+    const sourceTexts = { old: processedOldText, new: processedNewText };
+
+    // Ignore whitespace / comments: diff one key per line, then map the
+    // results back to the source lines before returning
+    let filteredViews = null;
+    if (hasLineFilters(filterOptions)) {
+      const viewOptions = {
+        ...filterOptions,
+        language: filterOptions.language || options?.language || detectCommonLanguage('', '', processedOldText, processedNewText)
+      };
+      filteredViews = {
+        old: await buildFilteredView(processedOldText, viewOptions),
+        new: await buildFilteredView(processedNewText, viewOptions)
+      };
+      processedOldText = filteredViews.old.text;
+      processedNewText = filteredViews.new.text;
+    }
 
     // Get mode toggles (default all enabled)
     const modeToggles = options?.modeToggles || { lines: true, words: true, chars: true };
@@ -2667,6 +2763,7 @@ export async function runDiffPipeline(oldText, newText, diffLib, options = {}) {
     
     if (limitCheck.exceeded && enableFastMode) {
       debugLog('runDiffPipeline', 'Using fast mode due to complexity limits');
+      await reportPipelineProgress(options, 'diffLines');
       
       // Fall back to fast mode (async)
       const fastResult = await runFastMode(processedOldText, processedNewText, diffLib, limitCheck, options);
@@ -2681,6 +2778,10 @@ export async function runDiffPipeline(oldText, newText, diffLib, options = {}) {
         fastResult.cacheStats = getCacheStats();
       }
       
+      restoreFilteredResult(fastResult, filteredViews, diffLib);
+      applyLineOrderResult(fastResult, lineOrder);
+      applyStructuralResult(fastResult, sourceTexts, options, diffLib);
+      applyRenameResult(fastResult, sourceTexts, options);
       debugContentStats('runDiffPipeline:fastMode', fastResult.results, 'EXIT');
       return fastResult;
     }
@@ -2714,6 +2815,10 @@ export async function runDiffPipeline(oldText, newText, diffLib, options = {}) {
       result.cacheStats = getCacheStats();
     }
     
+    restoreFilteredResult(result, filteredViews, diffLib);
+    applyLineOrderResult(result, lineOrder);
+    applyStructuralResult(result, sourceTexts, options, diffLib);
+    applyRenameResult(result, sourceTexts, options);
     debugContentStats('runDiffPipeline', result.results, 'EXIT');
     return result;
     
@@ -2723,6 +2828,209 @@ export async function runDiffPipeline(oldText, newText, diffLib, options = {}) {
   }
 }
 
+/**
+ * Map a result computed on filtered views back to the original lines
+ * (no-op when no line filter was applied)
+ *
+ * @param {Object} result - Pipeline result, updated in place
+ * @param {Object|null} filteredViews - { old, new } from buildFilteredView()
+ * @param {Object} diffLib - Diff library functions
+ */
+function restoreFilteredResult(result, filteredViews, diffLib) {
+  if (!filteredViews) return;
+
+  result.results = restoreOriginalLines(result.results, filteredViews.old, filteredViews.new, diffLib);
+  result.stats = { ...result.stats, ...calculateStats(result.results) };
+}
+
+/**
+ * Compare structured documents by path and keep only the line changes
+ * that belong to a structural change (no-op unless options.structural is
+ * set and the language has a structural comparer). options.prose compares
+ * any text sentence by sentence the same way (see prose-diff.js).
+ *
+ * @param {Object} result - Pipeline result, updated in place
+ * @param {Object} sourceTexts - { old, new } texts the results describe
+ * @param {Object} options - Pipeline options
+ * @param {Object} diffLib - Diff library functions (diffChars for table
+ *   cells, diffWords for key-value files)
+ */
+function applyStructuralResult(result, sourceTexts, options, diffLib) {
+  if (!options?.structural && !options?.prose) return;
+
+  const format = options.prose
+    ? PROSE_FORMAT
+    : detectStructuralFormat(
+      options.language || detectCommonLanguage('', '', sourceTexts.old, sourceTexts.new),
+      sourceTexts.old,
+      sourceTexts.new
+    );
+  if (!format) return;
+
+  // Unparsable input keeps the line diff; `fallback` says why
+  result.structural = compareStructured(sourceTexts.old, sourceTexts.new, format, {
+    identityKey: options.structuralIdentityKey,
+    keyColumns: options.tableKeyColumns || [],
+    diffChars: diffLib.diffChars,
+    diffWords: diffLib.diffWords
+  });
+  if (result.structural.fallback) return;
+
+  result.results = applyStructuralChanges(result.results, result.structural.changes);
+  result.stats = { ...result.stats, ...calculateStats(result.results) };
+}
+
+/**
+ * Classify modified lines whose only change is a consistently renamed
+ * identifier as 'renamed' (see rename-detector.js). Skipped unless the
+ * texts are source code (isRenameLanguage()), when a structural comparison
+ * replaced the line results, or when options.detectRenames is false.
+ *
+ * @param {Object} result - Pipeline result, updated in place; result.renames
+ *   lists the applied renames ({ from, to, lines })
+ * @param {Object} sourceTexts - { old, new } texts the results describe
+ * @param {Object} options - Pipeline options
+ */
+function applyRenameResult(result, sourceTexts, options) {
+  if (options?.detectRenames === false) return;
+  if (result.structural && !result.structural.fallback) return;
+
+  const language = options?.language || detectCommonLanguage('', '', sourceTexts.old, sourceTexts.new);
+  if (!isRenameLanguage(language)) return;
+
+  const { results, renames } = applyRenameDetection(result.results);
+  result.renames = renames;
+  if (renames.length === 0) return;
+
+  result.results = results;
+  result.stats = { ...result.stats, ...calculateStats(result.results) };
+}
+
+/**
+ * Rewrite the current text in the order of the previous one for the
+ * "Ignore line order" comparison: equal lines are matched regardless of
+ * position, and leftovers of a section that are similar enough to be
+ * modified lines (findOptimalPairings) take the place of the line they
+ * replace, so the line diff pairs them again
+ *
+ * @param {string} oldText - Previous version text
+ * @param {string} newText - Current version text
+ * @param {Object} diffLib - Diff library functions
+ * @param {Object} options - Pipeline options
+ * @returns {Promise<{text: string, lineNumbers: number[]}>} Current text in
+ *   the previous order and the real line of each of its lines (see
+ *   orderLikeOld())
+ */
+async function orderNewLinesLikeOld(oldText, newText, diffLib, options) {
+  const { diffWords, diffChars } = diffLib;
+  const match = matchLineSets(oldText, newText, { sections: options.lineOrderSections !== false });
+
+  for (const group of match.unmatched) {
+    const graphSize = group.removed.length * group.added.length;
+    if (graphSize === 0 || graphSize > CONFIG.MAX_GRAPH_VERTICES) continue;
+
+    const block = {
+      removed: group.removed.map(index => ({ line: match.oldLines[index], index })),
+      added: group.added.map(index => ({ line: match.newLines[index], index }))
+    };
+    const matrix = buildOptimizedSimilarityMatrix(
+      block,
+      diffWords,
+      options.fastThreshold || CONFIG.FAST_THRESHOLD,
+      { ...options, diffChars }
+    );
+    // Only the pairs are needed here; the pipeline computes their diffs
+    const pairings = await findOptimalPairings(
+      block,
+      matrix,
+      diffWords,
+      diffChars,
+      options.modifiedThreshold,
+      { lines: true, words: false, chars: false },
+      options.language || null
+    );
+    // Unpaired lines come back as 'removed'/'added' entries without a partner
+    for (const pairing of pairings) {
+      if (pairing.type === 'modified') {
+        match.partners[pairing.removedIndex] = pairing.addedIndex;
+      }
+    }
+  }
+
+  return orderLikeOld(match);
+}
+
+/**
+ * Finish an "Ignore line order" result (no-op without lineOrder)
+ *
+ * The line diff can put an extra current line in the same block as a
+ * modified one, and the pipeline then leaves it in the 'modified-skipped'
+ * entry of the pair, where it is neither shown nor counted. Lines of that
+ * entry that the pair's addedLine does not carry become 'added' entries
+ * of their own. result.newLineNumbers maps each current-side line of the
+ * results (in the reordered text) back to its line in the current file.
+ *
+ * @param {Object} result - Pipeline result, updated in place
+ * @param {Object|null} lineOrder - Result of orderNewLinesLikeOld()
+ */
+function applyLineOrderResult(result, lineOrder) {
+  if (!lineOrder) return;
+  result.newLineNumbers = lineOrder.lineNumbers;
+
+  // Lines each modified-skipped entry shows through its pair
+  const pairedLines = new Map();
+  for (const entry of result.results) {
+    if (entry.classification === 'modified' && entry.removed && entry.addedLine !== undefined) {
+      const lines = pairedLines.get(entry.pairIndex) || [];
+      lines.push(...splitTextLines(entry.addedLine));
+      pairedLines.set(entry.pairIndex, lines);
+    }
+  }
+
+  let split = false;
+  const results = [];
+  for (const entry of result.results) {
+    if (entry.classification !== 'modified-skipped') {
+      results.push(entry);
+      continue;
+    }
+
+    // Consecutive lines that are paired / extra, in text order
+    const paired = [...(pairedLines.get(entry.index) || [])];
+    const runs = [];
+    for (const line of splitTextLines(entry.value)) {
+      const pairedIndex = paired.indexOf(line);
+      if (pairedIndex !== -1) paired.splice(pairedIndex, 1);
+      const added = pairedIndex === -1;
+      if (runs.length > 0 && runs[runs.length - 1].added === added) {
+        runs[runs.length - 1].lines.push(line);
+      } else {
+        runs.push({ added, lines: [line] });
+      }
+    }
+    if (!runs.some(run => run.added)) {
+      results.push(entry);
+      continue;
+    }
+
+    split = true;
+    runs.forEach((run, i) => {
+      const newline = i < runs.length - 1 || entry.value.endsWith('\n') ? '\n' : '';
+      results.push({
+        ...entry,
+        count: run.lines.length,
+        value: run.lines.join('\n') + newline,
+        classification: run.added ? 'added' : 'modified-skipped'
+      });
+    });
+  }
+
+  if (split) {
+    result.results = results;
+    result.stats = { ...result.stats, ...calculateStats(result.results) };
+  }
+}
+
 /**
  * Single-pass diff (original implementation)
  * Used for small files or when two-pass is disabled
@@ -2744,6 +3052,7 @@ async function runSinglePassDiff(processedOldText, processedNewText, diffLib, op
   
   // Run primary diff - always use line-level for the main comparison
   debugLog('runSinglePassDiff', 'Running diffLines...');
+  await reportPipelineProgress(options, 'diffLines');
   const rawResults = diffLines(processedOldText, processedNewText);
   debugContentStats('runSinglePassDiff:raw', rawResults, 'after diffLines');
 
@@ -2769,7 +3078,9 @@ async function runSinglePassDiff(processedOldText, processedNewText, diffLib, op
     modifiedThreshold: options?.modifiedThreshold,
     modeToggles,
     language,
-    normalizeDelimiters: options?.normalizeDelimiters
+    normalizeDelimiters: options?.normalizeDelimiters,
+    onProgress: options?.onProgress,
+    signal: options?.signal
   }, processedOldText, processedNewText);
   
   debugContentStats('runSinglePassDiff:classified', classified, 'after detectModifiedLines');
@@ -2779,6 +3090,7 @@ async function runSinglePassDiff(processedOldText, processedNewText, diffLib, op
   const DEBUG_STATS = options?.debug ? { cacheStats: getCacheStats() } : {};
   
   if (options?.correctSliders) {
+    await reportPipelineProgress(options, 'sliders');
     const sliders = detectSliders(classified, {
       language,
       debug: options?.debug,
@@ -2833,6 +3145,7 @@ async function runTwoPassDiff(oldLines, newLines, diffLib, options, modeToggles)
   const language = detectCommonLanguage(oldLines.join('\n'), newLines.join('\n'));
   
   // Pass 1: Identify unchanged lines using LCS
+  await reportPipelineProgress(options, 'diffLines');
   const { 
     unchangedMarkers, 
     unchangedOldIndices, 
@@ -2887,18 +3200,21 @@ async function runTwoPassDiff(oldLines, newLines, diffLib, options, modeToggles)
     };
   }
   
-  // Pass 2: Process each changed region (async)
-  const regionPromises = regions.map(region => 
-    processChangedRegion(region, diffLib, {
+  // Pass 2: Process each changed region in order, so progress reports
+  // move through the phases region by region
+  const regionResults = [];
+  for (const region of regions) {
+    regionResults.push(await processChangedRegion(region, diffLib, {
       detectMoves: options?.detectMoves,
       fastThreshold: options?.fastThreshold,
       modifiedThreshold: options?.modifiedThreshold,
       modeToggles,
       language,
-      normalizeDelimiters: options?.normalizeDelimiters
-    })
-  );
-  const regionResults = await Promise.all(regionPromises);
+      normalizeDelimiters: options?.normalizeDelimiters,
+      onProgress: options?.onProgress,
+      signal: options?.signal
+    }));
+  }
   
   // Merge unchanged markers with processed regions
   const mergedResults = mergeTwoPassResults(
@@ -2914,6 +3230,7 @@ async function runTwoPassDiff(oldLines, newLines, diffLib, options, modeToggles)
   
   // Apply slider correction if enabled
   if (options?.correctSliders) {
+    await reportPipelineProgress(options, 'sliders');
     const sliders = detectSliders(finalizedResults.results, {
       language,
       debug: options?.debug,
@@ -2970,6 +3287,9 @@ export default {
   fixDiffLinesClassification,
   calculateStats,
   runDiffPipeline,
+  PIPELINE_PHASES,
+  PipelineCancelledError,
+  reportPipelineProgress,
   calculateSimilarityEnhanced,
   quickTokenSimilarity,
   calculateSimilarityFull,
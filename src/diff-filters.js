@@ -0,0 +1,556 @@
+/**
+ * Diff Filters Module
+ *
+ * Implements the "Ignore whitespace" and "Ignore comments" options and the
+ * user's ignore patterns. Each side is turned into a filtered view: one
+ * comparison key per line (comments stripped language-aware, pattern
+ * matches masked, whitespace normalized) and the index of the source line
+ * behind each key. Lines that only hold a comment or match a "drop"
+ * pattern are left out of the keys entirely.
+ *
+ * The pipeline diffs the keys, then restoreOriginalLines() maps every
+ * result entry back to the source lines, so the views show the real text
+ * with real line numbers. Left-out lines come back as 'ignored' entries
+ * (or unchanged ones when both sides have them), which are not counted as
+ * changes.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { detectRegions, getBlockCommentDelimiters, REGION_TYPES } from './region-detector.js';
+import { patienceLCS } from './patience-diff.js';
+
+// Classification of a left-out line that exists on one side
+export const IGNORED_CLASSIFICATION = 'ignored';
+
+// What an ignore pattern does with a line it matches
+export const IGNORE_PATTERN_MODES = {
+  DROP: 'drop',   // Leave the whole line out of the comparison
+  MASK: 'mask'    // Compare the line with the matched text masked
+};
+
+// Why a line was left out (ignoreReason of 'ignored' entries); pattern
+// matches use the pattern source instead
+export const COMMENT_REASON = 'comment';
+
+// Stands in for masked text in comparison keys (never part of real text)
+const MASK_PLACEHOLDER = '\u0000';
+
+/**
+ * Error thrown for an ignore pattern that is not a valid regular expression
+ */
+export class InvalidIgnorePatternError extends Error {
+  constructor(pattern, reason) {
+    super(`Invalid ignore pattern /${pattern}/: ${reason}`);
+    this.name = 'InvalidIgnorePatternError';
+    this.pattern = pattern;
+  }
+}
+
+// ============================================================================
+// Line Normalization
+// ============================================================================
+
+/**
+ * Check whether any line filter is enabled
+ *
+ * @param {Object} filterOptions - Filter options from the pipeline options
+ * @returns {boolean}
+ */
+export function hasLineFilters(filterOptions = {}) {
+  return Boolean(
+    filterOptions.ignoreWhitespace ||
+    filterOptions.ignoreComments ||
+    filterOptions.ignorePatterns?.some(rule => rule.pattern)
+  );
+}
+
+/**
+ * Compile ignore patterns into regular expressions
+ * Rules with an empty pattern are skipped.
+ *
+ * @param {Array<{pattern: string, mode: string}>} rules - Ignore patterns (see IGNORE_PATTERN_MODES)
+ * @returns {Array<{pattern: string, mode: string, regex: RegExp}>} Compiled rules
+ * @throws {InvalidIgnorePatternError} If a pattern is not a valid regular expression
+ */
+export function compileIgnorePatterns(rules = []) {
+  return rules
+    .filter(rule => rule && rule.pattern)
+    .map(rule => {
+      if (!Object.values(IGNORE_PATTERN_MODES).includes(rule.mode)) {
+        throw new InvalidIgnorePatternError(rule.pattern, `unknown mode "${rule.mode}"`);
+      }
+      try {
+        return { pattern: rule.pattern, mode: rule.mode, regex: new RegExp(rule.pattern, 'g') };
+      } catch (error) {
+        throw new InvalidIgnorePatternError(rule.pattern, error.message);
+      }
+    });
+}
+
+/**
+ * Apply the mask patterns to a line
+ *
+ * @param {string} line - Line to mask
+ * @param {Array} maskRules - Compiled "mask" rules
+ * @returns {{text: string, pattern: string|null}} Masked text and the first
+ *   pattern that matched (null when none did)
+ */
+function maskLine(line, maskRules) {
+  let text = line;
+  let matched = null;
+
+  for (const rule of maskRules) {
+    // Zero-length matches mask nothing
+    const masked = text.replace(rule.regex, match => (match ? MASK_PLACEHOLDER : match));
+    if (masked !== text) {
+      matched = matched || rule.pattern;
+      text = masked;
+    }
+  }
+
+  return { text, pattern: matched };
+}
+
+/**
+ * Normalize whitespace so lines differing only in indentation, trailing
+ * spaces or the width of inner spacing compare equal
+ *
+ * @param {string} line - Line to normalize
+ * @returns {string} Trimmed line with whitespace runs collapsed to one space
+ */
+export function normalizeWhitespace(line) {
+  return line.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Remove the comments from one line
+ *
+ * @param {string} line - Line to process
+ * @param {string|null} language - Language for comment syntax
+ * @returns {Promise<{text: string, hadComment: boolean, openBlock: string|null}>}
+ *   Remaining code, whether a comment was removed, and the end delimiter
+ *   of a block comment left open at the end of the line
+ */
+async function stripLineComments(line, language) {
+  const regions = await detectRegions(line, language);
+  const comments = regions.filter(region => region.type === REGION_TYPES.COMMENT);
+  if (comments.length === 0) {
+    return { text: line, hadComment: false, openBlock: null };
+  }
+
+  let text = line;
+  for (const region of [...comments].sort((a, b) => b.start - a.start)) {
+    text = text.substring(0, region.start) + text.substring(region.end);
+  }
+
+  // A block comment running to the end of the line without its end
+  // delimiter continues on the next lines
+  let openBlock = null;
+  const last = comments.reduce((a, b) => (b.start > a.start ? b : a));
+  if (last.end === line.length) {
+    const content = line.substring(last.start);
+    for (const [start, end] of getBlockCommentDelimiters(language)) {
+      if (content.startsWith(start) && !content.substring(start.length).endsWith(end)) {
+        openBlock = end;
+        break;
+      }
+    }
+  }
+
+  return { text: text.replace(/\s+$/, ''), hadComment: true, openBlock };
+}
+
+// ============================================================================
+// Filtered Views
+// ============================================================================
+
+/**
+ * Build the filtered view of one side
+ *
+ * @param {string} text - Original text
+ * @param {Object} filterOptions - Filter options
+ * @param {boolean} filterOptions.ignoreWhitespace - Normalize whitespace
+ * @param {boolean} filterOptions.ignoreComments - Strip comments, leave out comment-only lines
+ * @param {Array} filterOptions.ignorePatterns - { pattern, mode } rules (see IGNORE_PATTERN_MODES)
+ * @param {string|null} filterOptions.language - Language for comment syntax
+ * @returns {Promise<Object>} { lines, keys, sourceIndices, text, leftOut, masked }:
+ *   original lines, one key per kept line, the original index of each key,
+ *   the keys joined back into text for the diff, and original index →
+ *   reason / matched pattern maps for left-out and masked lines
+ * @throws {InvalidIgnorePatternError} If an ignore pattern is invalid
+ */
+export async function buildFilteredView(text, filterOptions = {}) {
+  const {
+    ignoreWhitespace = false,
+    ignoreComments = false,
+    ignorePatterns = [],
+    language = null
+  } = filterOptions;
+
+  const rules = compileIgnorePatterns(ignorePatterns);
+  const dropRules = rules.filter(rule => rule.mode === IGNORE_PATTERN_MODES.DROP);
+  const maskRules = rules.filter(rule => rule.mode === IGNORE_PATTERN_MODES.MASK);
+
+  // A terminating newline does not start another line
+  const lines = text.split('\n');
+  const endsWithNewline = lines.length > 1 && lines[lines.length - 1] === '';
+  if (endsWithNewline) lines.pop();
+
+  const keys = [];
+  const sourceIndices = [];
+  const leftOut = new Map();
+  const masked = new Map();
+  let openBlock = null;
+
+  for (const [index, line] of lines.entries()) {
+    let key = line;
+
+    const dropRule = dropRules.find(rule => {
+      rule.regex.lastIndex = 0;
+      return rule.regex.test(line);
+    });
+    if (dropRule) {
+      leftOut.set(index, dropRule.pattern);
+      continue;
+    }
+
+    if (ignoreComments) {
+      let code = line;
+      let hadComment = false;
+
+      if (openBlock) {
+        const close = line.indexOf(openBlock);
+        hadComment = true;
+        if (close === -1) {
+          code = '';
+        } else {
+          code = line.substring(close + openBlock.length);
+          openBlock = null;
+        }
+      }
+
+      if (!openBlock && code) {
+        const stripped = await stripLineComments(code, language);
+        code = stripped.text;
+        hadComment = hadComment || stripped.hadComment;
+        openBlock = stripped.openBlock;
+      }
+
+      // Lines that only hold a comment are left out of the comparison
+      if (hadComment && code.trim() === '') {
+        leftOut.set(index, COMMENT_REASON);
+        continue;
+      }
+      key = code;
+    }
+
+    if (maskRules.length > 0) {
+      const result = maskLine(key, maskRules);
+      if (result.pattern) {
+        masked.set(index, result.pattern);
+        key = result.text;
+      }
+    }
+
+    if (ignoreWhitespace) {
+      key = normalizeWhitespace(key);
+    }
+
+    keys.push(key);
+    sourceIndices.push(index);
+  }
+
+  const joined = keys.join('\n');
+  return {
+    lines,
+    keys,
+    sourceIndices,
+    text: endsWithNewline && keys.length > 0 ? joined + '\n' : joined,
+    leftOut,
+    masked
+  };
+}
+
+// ============================================================================
+// Mapping Results Back
+// ============================================================================
+
+function entryLines(value) {
+  if (!value) return [];
+  const lines = value.split('\n');
+  return lines.filter((line, idx) => !(line === '' && idx === lines.length - 1));
+}
+
+function joinLines(lines, terminated) {
+  return lines.join('\n') + (terminated ? '\n' : '');
+}
+
+/**
+ * Find where a run of keys (a pair's removedLine/addedLine) starts inside
+ * an entry's keys
+ */
+function findKeyRun(keys, run) {
+  for (let start = 0; start + run.length <= keys.length; start++) {
+    if (run.every((line, i) => keys[start + i] === line)) {
+      return start;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Original text of `count` keys of a view starting at key index `first`,
+ * including any left-out lines between them
+ */
+function originalRange(view, first, count) {
+  return view.lines.slice(view.sourceIndices[first], view.sourceIndices[first + count - 1] + 1);
+}
+
+/**
+ * Map part of an entry's text (a pair's removedLine or addedLine) back to
+ * the original lines
+ *
+ * When the keys are not found in the entry, the entry's first original
+ * lines are used: the keys may hold mask placeholders and normalized
+ * whitespace that must not reach the output.
+ */
+function restorePairLine(pairLine, view, first, keys) {
+  const run = entryLines(pairLine);
+  if (run.length === 0) {
+    return pairLine;
+  }
+  const start = findKeyRun(keys, run);
+  if (start === -1) {
+    return joinLines(originalRange(view, first, Math.min(run.length, keys.length)), pairLine.endsWith('\n'));
+  }
+  return joinLines(originalRange(view, first + start, run.length), pairLine.endsWith('\n'));
+}
+
+// Views built without ignore patterns or comments have no reason maps
+function leftOutReason(view, index) {
+  return view.leftOut?.get(index) ?? COMMENT_REASON;
+}
+
+function maskedPattern(view, index) {
+  return view.masked?.get(index) || null;
+}
+
+/**
+ * Pair the left-out lines of both sides at one position in the diff:
+ * lines present on both sides are unchanged, the rest are ignored
+ * (ignoreReason is COMMENT_REASON or the drop pattern that matched)
+ */
+function alignLeftOutLines(oldLines, newLines, oldReasons, newReasons) {
+  const entries = [];
+  const push = (kind, line, reason = null) => {
+    const last = entries[entries.length - 1];
+    if (last && last.kind === kind && last.reason === reason) {
+      last.lines.push(line);
+    } else {
+      entries.push({ kind, reason, lines: [line] });
+    }
+  };
+
+  let oldIndex = 0;
+  let newIndex = 0;
+  const matches = patienceLCS(oldLines, newLines)
+    .filter(match => oldLines[match.aIndex] === newLines[match.bIndex]);
+  for (const match of [...matches, { aIndex: oldLines.length, bIndex: newLines.length }]) {
+    while (oldIndex < match.aIndex) push('removed', oldLines[oldIndex], oldReasons[oldIndex++]);
+    while (newIndex < match.bIndex) push('added', newLines[newIndex], newReasons[newIndex++]);
+    if (match.line !== undefined) {
+      push('unchanged', oldLines[oldIndex++]);
+      newIndex++;
+    }
+  }
+
+  return entries.map(({ kind, reason, lines }) => {
+    const value = joinLines(lines, true);
+    if (kind === 'unchanged') {
+      return { count: lines.length, value, classification: 'unchanged' };
+    }
+    return { count: lines.length, value, [kind]: true, classification: IGNORED_CLASSIFICATION, ignoreReason: reason };
+  });
+}
+
+/**
+ * Map diff results computed on filtered views back to the original text
+ *
+ * Entries get the original lines (a one-sided entry also takes the
+ * lines left out between its lines). Entries present on both sides are
+ * split where either side left lines out; their value holds the previous
+ * text and newValue the current text when the two differ, and maskedLines
+ * lists the { line, pattern } of lines with text masked by an ignore
+ * pattern.
+ * Inline diffs of entries whose text changed are recomputed from the
+ * original lines.
+ *
+ * @param {Array} results - Classified results computed on the filtered text
+ * @param {Object} oldView - Filtered view of the previous text
+ * @param {Object} newView - Filtered view of the current text
+ * @param {Object} diffLib - Object containing diffWords and diffChars functions
+ * @returns {Array} Results describing the original text
+ */
+export function restoreOriginalLines(results, oldView, newView, diffLib = {}) {
+  const { diffWords, diffChars } = diffLib;
+
+  // First key index of every entry on each side (needed up front to map
+  // a modified pair's addedLine through its partner entry)
+  const starts = [];
+  let oldKey = 0;
+  let newKey = 0;
+  for (const entry of results) {
+    const count = entryLines(entry.value).length;
+    starts.push({ old: oldKey, new: newKey, count });
+    if (!entry.added) oldKey += count;
+    if (!entry.removed) newKey += count;
+  }
+
+  const restored = [];
+  let oldEmitted = 0;
+  let newEmitted = 0;
+
+  // Emit the left-out lines before the given original indices
+  const flush = (oldUpTo, newUpTo) => {
+    const oldLines = oldView.lines.slice(oldEmitted, Math.max(oldEmitted, oldUpTo));
+    const newLines = newView.lines.slice(newEmitted, Math.max(newEmitted, newUpTo));
+    const oldReasons = oldLines.map((line, i) => leftOutReason(oldView, oldEmitted + i));
+    const newReasons = newLines.map((line, i) => leftOutReason(newView, newEmitted + i));
+    oldEmitted = Math.max(oldEmitted, oldUpTo);
+    newEmitted = Math.max(newEmitted, newUpTo);
+    if (oldLines.length > 0 || newLines.length > 0) {
+      restored.push(...alignLeftOutLines(oldLines, newLines, oldReasons, newReasons));
+    }
+  };
+  const nextSource = (view, key) => (key < view.keys.length ? view.sourceIndices[key] : view.lines.length);
+
+  results.forEach((entry, index) => {
+    const { old: oldStart, new: newStart, count } = starts[index];
+    flush(nextSource(oldView, oldStart), nextSource(newView, newStart));
+
+    if (count === 0) {
+      restored.push(entry);
+      return;
+    }
+
+    const terminated = entry.value.endsWith('\n');
+
+    if (entry.removed || entry.added) {
+      const view = entry.removed ? oldView : newView;
+      const first = entry.removed ? oldStart : newStart;
+      const lines = originalRange(view, first, count);
+      const value = joinLines(lines, terminated);
+      const restoredEntry = { ...entry, value, count: lines.length };
+
+      if (entry.removed) {
+        oldEmitted = view.sourceIndices[first + count - 1] + 1;
+      } else {
+        newEmitted = view.sourceIndices[first + count - 1] + 1;
+      }
+
+      // A modified pair carries the text of both sides
+      const keys = view.keys.slice(first, first + count);
+      if (entry.removedLine !== undefined && entry.removed) {
+        restoredEntry.removedLine = restorePairLine(entry.removedLine, oldView, oldStart, keys);
+      }
+      const partner = results[entry.pairIndex];
+      if (entry.addedLine !== undefined && partner && partner.added) {
+        const partnerStart = starts[entry.pairIndex].new;
+        const partnerKeys = newView.keys.slice(partnerStart, partnerStart + starts[entry.pairIndex].count);
+        restoredEntry.addedLine = restorePairLine(entry.addedLine, newView, partnerStart, partnerKeys);
+      }
+
+      const changed = value !== entry.value ||
+        restoredEntry.removedLine !== entry.removedLine ||
+        restoredEntry.addedLine !== entry.addedLine;
+      if (changed) {
+        refreshInlineDiffs(restoredEntry, diffWords, diffChars);
+      }
+      restored.push(restoredEntry);
+      return;
+    }
+
+    // Present on both sides: split wherever either side left lines out
+    let segmentStart = 0;
+    const pushSegment = (end) => {
+      const oldLines = oldView.lines.slice(oldView.sourceIndices[oldStart + segmentStart], oldView.sourceIndices[oldStart + end - 1] + 1);
+      const newLines = newView.lines.slice(newView.sourceIndices[newStart + segmentStart], newView.sourceIndices[newStart + end - 1] + 1);
+      const last = end === count;
+      const segment = { ...entry, value: joinLines(oldLines, last ? terminated : true), count: oldLines.length };
+      delete segment.newValue;
+      if (newLines.join('\n') !== oldLines.join('\n')) {
+        segment.newValue = joinLines(newLines, last ? terminated : true);
+      }
+      // Lines whose text was masked by an ignore pattern on either side
+      const maskedLines = [];
+      for (let i = segmentStart; i < end; i++) {
+        const pattern = maskedPattern(oldView, oldView.sourceIndices[oldStart + i]) ||
+          maskedPattern(newView, newView.sourceIndices[newStart + i]);
+        if (pattern) maskedLines.push({ line: i - segmentStart, pattern });
+      }
+      delete segment.maskedLines;
+      if (maskedLines.length > 0) {
+        segment.maskedLines = maskedLines;
+      }
+      if (segment.value !== entry.value) {
+        delete segment.wordDiff;
+        delete segment.charDiff;
+        delete segment.lineDiffs;
+        delete segment.nestedDiffs;
+      }
+      restored.push(segment);
+      oldEmitted = oldView.sourceIndices[oldStart + end - 1] + 1;
+      newEmitted = newView.sourceIndices[newStart + end - 1] + 1;
+    };
+
+    for (let i = 1; i < count; i++) {
+      const oldGap = oldView.sourceIndices[oldStart + i] !== oldView.sourceIndices[oldStart + i - 1] + 1;
+      const newGap = newView.sourceIndices[newStart + i] !== newView.sourceIndices[newStart + i - 1] + 1;
+      if (oldGap || newGap) {
+        pushSegment(i);
+        flush(oldView.sourceIndices[oldStart + i], newView.sourceIndices[newStart + i]);
+        segmentStart = i;
+      }
+    }
+    pushSegment(count);
+  });
+
+  flush(oldView.lines.length, newView.lines.length);
+  return restored;
+}
+
+/**
+ * Recompute a modified entry's inline diffs from its restored text, or
+ * drop inline diffs that no longer match the text
+ */
+function refreshInlineDiffs(entry, diffWords, diffChars) {
+  const hadWordDiff = Boolean(entry.wordDiff);
+  const hadCharDiff = Boolean(entry.charDiff);
+  delete entry.wordDiff;
+  delete entry.charDiff;
+  delete entry.lineDiffs;
+  delete entry.nestedDiffs;
+
+  if (entry.classification === 'modified' && entry.removedLine !== undefined && entry.addedLine !== undefined) {
+    if (hadWordDiff && diffWords) {
+      entry.wordDiff = diffWords(entry.removedLine, entry.addedLine);
+    }
+    if (hadCharDiff && diffChars) {
+      entry.charDiff = diffChars(entry.removedLine, entry.addedLine);
+    }
+  }
+}
+
+export default {
+  IGNORED_CLASSIFICATION,
+  IGNORE_PATTERN_MODES,
+  COMMENT_REASON,
+  InvalidIgnorePatternError,
+  hasLineFilters,
+  compileIgnorePatterns,
+  normalizeWhitespace,
+  buildFilteredView,
+  restoreOriginalLines
+};
@@ -2,7 +2,8 @@
  * Diff Library Loader
  * 
  * Dynamically loads the 'diff' library in a way that works across environments:
- * - Browser/Worker: Imports from CDN (esm.sh)
+ * - Browser/Worker: Imports the pinned copy from vendor/ or the CDN, as the
+ *   asset source setting says (see vendor-assets.js)
  * - Node.js tests: Imports from npm package
  * 
  * This enables the same algorithm code to run in both contexts.
@@ -11,57 +12,44 @@
  * SPDX-License-Identifier: MIT
  */
 
-// CDN URLs for browser/Worker environment
-export const CDN_URLS = {
-  primary: 'https://esm.sh/diff@5.1.0',
-  fallback: 'https://cdn.jsdelivr.net/npm/diff@5.1.0/dist/diff.esm.js'
-};
+import { importAsset, getCdnUrl } from './vendor-assets.js';
+
+// Pinned CDN URL, used when vendor/ has no copy
+export const CDN_URL = getCdnUrl('diff');
+
+function pickDiffFunctions(diff) {
+  return {
+    diffLines: diff.diffLines,
+    diffWords: diff.diffWords,
+    diffChars: diff.diffChars
+  };
+}
 
 /**
  * Load the diff library, trying multiple strategies
  * Works in both browser/Worker and Node.js environments
  * 
+ * @param {Object} options
+ * @param {string} options.source - One of ASSET_SOURCES (default: current setting)
  * @returns {Promise<Object>} Object with diffLines, diffWords, diffChars functions
  */
-export async function loadDiffLibrary() {
+export async function loadDiffLibrary(options = {}) {
   // Strategy 1: Try Node.js/npm import (for testing)
   try {
     // In Node.js, this will resolve to the npm package
     // In browser, this will throw because 'diff' isn't a valid URL
-    const diff = await import('diff');
-    return {
-      diffLines: diff.diffLines,
-      diffWords: diff.diffWords,
-      diffChars: diff.diffChars
-    };
+    return pickDiffFunctions(await import('diff'));
   } catch (nodeError) {
-    // Not in Node.js or package not available, continue to CDN
-  }
-  
-  // Strategy 2: Try primary CDN (esm.sh)
-  try {
-    const diff = await import(CDN_URLS.primary);
-    return {
-      diffLines: diff.diffLines,
-      diffWords: diff.diffWords,
-      diffChars: diff.diffChars
-    };
-  } catch (cdn1Error) {
-    console.warn('Primary CDN failed, trying fallback...');
+    // Not in Node.js or package not available, continue to vendor/CDN
   }
   
-  // Strategy 3: Try fallback CDN (jsdelivr)
+  // Strategy 2: The pinned, integrity-checked copy
   try {
-    const diff = await import(CDN_URLS.fallback);
-    return {
-      diffLines: diff.diffLines,
-      diffWords: diff.diffWords,
-      diffChars: diff.diffChars
-    };
-  } catch (cdn2Error) {
+    return pickDiffFunctions(await importAsset('diff', options));
+  } catch (error) {
     throw new Error(
-      'Failed to load diff library from any source. ' +
-      'Please ensure you have internet connectivity or install the npm package: npm install diff'
+      `Failed to load diff library: ${error.message}. ` +
+      'Run npm run vendor to serve it from vendor/, or allow the CDN in Advanced Settings.'
     );
   }
 }
@@ -99,5 +87,5 @@ export default {
   isWorker,
   isNode,
   isBrowser,
-  CDN_URLS
+  CDN_URL
 };
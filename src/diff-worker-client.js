@@ -0,0 +1,269 @@
+/**
+ * Diff Worker Client
+ *
+ * Runs comparison jobs in the diff worker (src/diff-worker.js) and falls
+ * back to the main thread when module workers are unavailable. Before the
+ * first job the worker source is checked with validateWorkerModule(); any
+ * degradation strategy other than full ES module support, or a worker that
+ * fails to load, switches the runner to the main thread for the session.
+ *
+ * Cancelling a worker job terminates the worker (a new one is started for
+ * the next job). Cancelling a main-thread job aborts it at the next phase
+ * boundary; the runner yields to the event loop between phases so the
+ * progress modal repaints and the Cancel button stays responsive.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { PipelineCancelledError } from './diff-algorithms.js';
+import { runPipelineJob, deserializeJobError, WORKER_MESSAGES } from './pipeline-job.js';
+import { validateWorkerModule, createEnhancedErrorMessage } from './module-validator.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+export const RUNNER_MODES = {
+  WORKER: 'worker',
+  MAIN_THREAD: 'main-thread'
+};
+
+// Main-thread jobs yield at most this often (setTimeout is clamped to ~4ms,
+// so yielding on every similarity block would slow large diffs down)
+const MAIN_THREAD_YIELD_INTERVAL_MS = 50;
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// ============================================================================
+// Mode Selection
+// ============================================================================
+
+/**
+ * Decide whether jobs can run in the diff worker
+ *
+ * @param {string|URL} workerUrl - URL of src/diff-worker.js
+ * @returns {Promise<{mode: string, reason: string}>}
+ */
+export async function selectRunnerMode(workerUrl) {
+  if (typeof Worker === 'undefined') {
+    return { mode: RUNNER_MODES.MAIN_THREAD, reason: 'Web Workers are not supported' };
+  }
+
+  try {
+    const response = await fetch(workerUrl);
+    if (!response.ok) {
+      return { mode: RUNNER_MODES.MAIN_THREAD, reason: `Worker script returned HTTP ${response.status}` };
+    }
+
+    const validation = validateWorkerModule(await response.text(), String(workerUrl));
+    const strategy = validation.degradationStrategy;
+
+    if (!validation.isValid || strategy.strategy !== 'full-es-modules') {
+      return {
+        mode: RUNNER_MODES.MAIN_THREAD,
+        reason: validation.errors[0] || strategy.message
+      };
+    }
+
+    return { mode: RUNNER_MODES.WORKER, reason: strategy.message };
+  } catch (error) {
+    return { mode: RUNNER_MODES.MAIN_THREAD, reason: error.message };
+  }
+}
+
+// ============================================================================
+// Runner
+// ============================================================================
+
+/**
+ * Create a job runner
+ *
+ * @param {Object} config - Runner configuration
+ * @param {string|URL} config.workerUrl - URL of src/diff-worker.js
+ * @param {Object} config.diffLib - Diff library for main-thread jobs
+ * @param {Function} config.loadParser - async (language) → Tree-sitter parser,
+ *   used by main-thread jobs for the semantic move pass and syntax tree diff
+ * @param {string} config.mode - Force a mode from RUNNER_MODES (skips detection)
+ * @returns {Object} { run, terminate, getMode }
+ */
+export function createDiffRunner(config = {}) {
+  const { workerUrl, diffLib, loadParser = null } = config;
+
+  let modePromise = config.mode ? Promise.resolve({ mode: config.mode, reason: 'configured' }) : null;
+  let mode = config.mode || null;
+  let worker = null;
+  let nextJobId = 0;
+  const pending = new Map();
+
+  function getMode() {
+    if (!modePromise) {
+      modePromise = selectRunnerMode(workerUrl).then(selection => {
+        mode = selection.mode;
+        console.log(`[DiffRunner] Running comparisons in ${mode} (${selection.reason})`);
+        return selection;
+      });
+    }
+    return modePromise.then(selection => selection.mode);
+  }
+
+  function terminate() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  }
+
+  function runOnMainThread(oldText, newText, options, job, signal) {
+    const onProgress = job.onProgress || null;
+    let lastYield = 0;
+    return runPipelineJob(oldText, newText, diffLib, options, {
+      movesLanguage: job.movesLanguage || null,
+      astDiffLanguage: job.astDiffLanguage || null,
+      outlineLanguage: job.outlineLanguage || null,
+      loadParser,
+      signal,
+      onProgress: async (progress) => {
+        if (onProgress) onProgress(progress);
+        if (Date.now() - lastYield >= MAIN_THREAD_YIELD_INTERVAL_MS) {
+          await yieldToEventLoop();
+          lastYield = Date.now();
+        }
+      }
+    });
+  }
+
+  function handleWorkerMessage(event) {
+    const { type, id } = event.data;
+    const entry = pending.get(id);
+    if (!entry) return;
+
+    if (type === WORKER_MESSAGES.PROGRESS) {
+      const { phase, completed, total } = event.data;
+      if (entry.onProgress) entry.onProgress({ phase, completed, total });
+      return;
+    }
+
+    pending.delete(id);
+    entry.cleanup();
+    if (type === WORKER_MESSAGES.RESULT) {
+      entry.resolve(event.data.result);
+    } else {
+      entry.reject(deserializeJobError(event.data.error));
+    }
+  }
+
+  // The worker failed to load (e.g. a blocked CDN import): rerun its jobs here
+  function handleWorkerError(event) {
+    event.preventDefault?.();
+    console.warn('[DiffRunner]', createEnhancedErrorMessage(event, { isWorker: true }));
+
+    terminate();
+    mode = RUNNER_MODES.MAIN_THREAD;
+    modePromise = Promise.resolve({ mode, reason: 'worker failed to load' });
+
+    const jobs = [...pending.values()];
+    pending.clear();
+    for (const entry of jobs) {
+      entry.cleanup();
+      entry.fallback();
+    }
+  }
+
+  function getWorker() {
+    if (!worker) {
+      worker = new Worker(workerUrl, { type: 'module' });
+      worker.onmessage = handleWorkerMessage;
+      worker.onerror = handleWorkerError;
+    }
+    return worker;
+  }
+
+  function runInWorker(oldText, newText, options, job, signal) {
+    return new Promise((resolve, reject) => {
+      const id = ++nextJobId;
+
+      const onAbort = () => {
+        pending.delete(id);
+        terminate();
+        reject(new PipelineCancelledError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      pending.set(id, {
+        resolve,
+        reject,
+        onProgress: job.onProgress || null,
+        cleanup: () => signal.removeEventListener('abort', onAbort),
+        fallback: () => runOnMainThread(oldText, newText, options, job, signal).then(resolve, reject)
+      });
+
+      try {
+        getWorker().postMessage({
+          type: WORKER_MESSAGES.RUN,
+          id,
+          oldText,
+          newText,
+          options,
+          movesLanguage: job.movesLanguage || null,
+          astDiffLanguage: job.astDiffLanguage || null,
+          outlineLanguage: job.outlineLanguage || null,
+          assetSource: job.assetSource || null
+        });
+      } catch (error) {
+        // Options that cannot be cloned, or a worker that cannot be created
+        pending.delete(id);
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Start a comparison job
+   *
+   * @param {string} oldText - Previous version text
+   * @param {string} newText - Current version text
+   * @param {Object} options - Options passed to runDiffPipeline() (must be cloneable)
+   * @param {Object} job - Job settings
+   * @param {Function} job.onProgress - Called with { phase, completed, total }
+   * @param {string|null} job.movesLanguage - Grammar for the semantic move pass
+   * @param {string|null} job.astDiffLanguage - Grammar for the syntax tree diff
+   * @param {string|null} job.outlineLanguage - Grammar for the changed-symbol outline
+   * @param {string|null} job.assetSource - Where the worker loads the diff
+   *   library and grammars from (ASSET_SOURCES in vendor-assets.js)
+   * @returns {{promise: Promise<Object>, cancel: Function}} The promise rejects
+   *   with PipelineCancelledError after cancel()
+   */
+  function run(oldText, newText, options = {}, job = {}) {
+    const controller = new AbortController();
+
+    const promise = getMode().then(selected => {
+      if (controller.signal.aborted) {
+        throw new PipelineCancelledError();
+      }
+      return selected === RUNNER_MODES.WORKER
+        ? runInWorker(oldText, newText, options, job, controller.signal)
+        : runOnMainThread(oldText, newText, options, job, controller.signal);
+    });
+
+    return {
+      promise,
+      cancel: () => controller.abort()
+    };
+  }
+
+  return {
+    run,
+    terminate,
+    getMode: () => mode
+  };
+}
+
+export default {
+  RUNNER_MODES,
+  selectRunnerMode,
+  createDiffRunner
+};
@@ -0,0 +1,53 @@
+/**
+ * Diff Worker
+ *
+ * Module worker that runs comparison jobs off the main thread so large
+ * diffs do not freeze the page. Progress is posted after every pipeline
+ * phase; cancellation is done by the client terminating the worker.
+ * See WORKER_MESSAGES in pipeline-job.js for the message protocol.
+ *
+ * Imports are kept on one line each: the client checks this file with
+ * validateWorkerModule() before starting the worker.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { runPipelineJob, serializeJobError, WORKER_MESSAGES } from './pipeline-job.js';
+import { initTreeSitter, getLanguageParser } from './tree-sitter-loader.js';
+import { loadDiffLibrary } from './diff-loader.js';
+import { setAssetSource } from './vendor-assets.js';
+
+// Loaded with the first job, from the asset source the page sent
+let diffLibPromise = null;
+
+async function loadParser(language) {
+  await initTreeSitter();
+  return getLanguageParser(language);
+}
+
+self.onmessage = async (event) => {
+  const { type, id, oldText, newText, options, movesLanguage, astDiffLanguage, outlineLanguage, assetSource } = event.data;
+  if (type !== WORKER_MESSAGES.RUN) return;
+
+  try {
+    if (!diffLibPromise) {
+      setAssetSource(assetSource);
+      diffLibPromise = loadDiffLibrary().catch(error => {
+        diffLibPromise = null;
+        throw error;
+      });
+    }
+    const diffLib = await diffLibPromise;
+    const result = await runPipelineJob(oldText, newText, diffLib, options, {
+      movesLanguage,
+      astDiffLanguage,
+      outlineLanguage,
+      loadParser,
+      onProgress: progress => self.postMessage({ type: WORKER_MESSAGES.PROGRESS, id, ...progress })
+    });
+    self.postMessage({ type: WORKER_MESSAGES.RESULT, id, result });
+  } catch (error) {
+    self.postMessage({ type: WORKER_MESSAGES.ERROR, id, error: serializeJobError(error) });
+  }
+};
@@ -0,0 +1,350 @@
+/**
+ * Directory Compare Module
+ *
+ * Compares two sets of files (dropped folders or multi-file selections).
+ * Files are paired by relative path and classified as added, removed,
+ * changed or identical. Unpaired files are matched as renames by content
+ * similarity: a per-file SimHash built from content-hash.js line hashes
+ * finds candidates through the LSH index, and candidates are confirmed
+ * with an exact line-overlap score.
+ *
+ * Environment-agnostic: callers supply { path, content } records, so the
+ * browser (File System Entry API) and Node can both use it.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { runDiffPipeline } from './diff-algorithms.js';
+import { hashLines, buildLSHIndex } from './content-hash.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+export const FILE_STATUS = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+  IDENTICAL: 'identical'
+};
+
+const DIRECTORY_CONFIG = {
+  RENAME_SIMILARITY_THRESHOLD: 0.5, // Minimum line overlap to accept a rename
+  FINGERPRINT_BITS: 32,
+  LSH_BAND_SIZE: 4
+};
+
+// ============================================================================
+// Path Handling
+// ============================================================================
+
+/**
+ * Normalize a relative path: forward slashes, no leading ./ or /
+ *
+ * @param {string} filePath - Path as reported by the source
+ * @returns {string}
+ */
+export function normalizeRelativePath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+}
+
+/**
+ * Remove the top-level folder shared by every path
+ * Dropping "release-1.0/" and "release-1.1/" should pair "src/a.js" with
+ * "src/a.js", not fail because the root folder names differ.
+ *
+ * @param {string[]} paths - Normalized relative paths
+ * @returns {string[]} Paths without the common root folder
+ */
+export function stripCommonRoot(paths) {
+  if (paths.length === 0) return paths;
+
+  const roots = paths.map(p => (p.includes('/') ? p.slice(0, p.indexOf('/')) : null));
+  const root = roots[0];
+  if (root === null || roots.some(r => r !== root)) return paths;
+
+  return paths.map(p => p.slice(root.length + 1));
+}
+
+/**
+ * Normalize and re-root a file set
+ *
+ * @param {Array<{path: string, content: string}>} files - Files from one side
+ * @returns {Array<{path: string, content: string}>}
+ */
+function prepareFileSet(files) {
+  const normalized = files.map(file => normalizeRelativePath(file.path));
+  const stripped = stripCommonRoot(normalized);
+  return files.map((file, i) => ({ ...file, path: stripped[i] }));
+}
+
+// ============================================================================
+// Rename Detection
+// ============================================================================
+
+function contentLines(content) {
+  return content.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+}
+
+/**
+ * Build a file-level SimHash from its line hashes
+ * Each bit is set when the majority of line hashes have it set.
+ *
+ * @param {string} content - File content
+ * @returns {string} Bit string of FINGERPRINT_BITS length
+ */
+export function fileFingerprint(content) {
+  const lineHashes = hashLines(contentLines(content), DIRECTORY_CONFIG.FINGERPRINT_BITS);
+  if (lineHashes.length === 0) return '0'.repeat(DIRECTORY_CONFIG.FINGERPRINT_BITS);
+
+  const counts = new Array(DIRECTORY_CONFIG.FINGERPRINT_BITS).fill(0);
+  for (const hash of lineHashes) {
+    for (let bit = 0; bit < hash.length; bit++) {
+      if (hash[bit] === '1') counts[bit]++;
+    }
+  }
+
+  return counts.map(count => (count * 2 > lineHashes.length ? '1' : '0')).join('');
+}
+
+/**
+ * Line overlap between two files (Dice coefficient over line multisets)
+ *
+ * @param {string} contentA - First file
+ * @param {string} contentB - Second file
+ * @returns {number} Similarity between 0.0 and 1.0
+ */
+export function contentSimilarity(contentA, contentB) {
+  if (contentA === contentB) return 1.0;
+
+  const linesA = contentLines(contentA);
+  const linesB = contentLines(contentB);
+  if (linesA.length === 0 || linesB.length === 0) return 0.0;
+
+  const counts = new Map();
+  for (const line of linesA) {
+    counts.set(line, (counts.get(line) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (const line of linesB) {
+    const count = counts.get(line);
+    if (count) {
+      shared++;
+      counts.set(line, count - 1);
+    }
+  }
+
+  return (2 * shared) / (linesA.length + linesB.length);
+}
+
+/**
+ * Match removed files to added files by content
+ *
+ * @param {Array<{path: string, content: string}>} removed - Files only on the old side
+ * @param {Array<{path: string, content: string}>} added - Files only on the new side
+ * @param {Object} options - Options
+ * @param {number} options.threshold - Minimum similarity (default: 0.5)
+ * @returns {Array<{from: number, to: number, similarity: number}>} Index pairs
+ *   into removed/added, best matches first
+ */
+export function detectRenames(removed, added, options = {}) {
+  const threshold = options.threshold ?? DIRECTORY_CONFIG.RENAME_SIMILARITY_THRESHOLD;
+  if (removed.length === 0 || added.length === 0) return [];
+
+  // One LSH index over both sides; a shared band makes a candidate pair
+  const fingerprints = [...removed, ...added].map(file => fileFingerprint(file.content));
+  const index = buildLSHIndex(fingerprints, DIRECTORY_CONFIG.LSH_BAND_SIZE);
+
+  const candidates = new Set();
+  for (const bucket of index.values()) {
+    const from = bucket.filter(i => i < removed.length);
+    const to = bucket.filter(i => i >= removed.length);
+    for (const i of from) {
+      for (const j of to) {
+        candidates.add(`${i}:${j - removed.length}`);
+      }
+    }
+  }
+
+  const scored = [];
+  for (const key of candidates) {
+    const [from, to] = key.split(':').map(Number);
+    const similarity = contentSimilarity(removed[from].content, added[to].content);
+    if (similarity >= threshold) {
+      scored.push({ from, to, similarity });
+    }
+  }
+
+  // Greedy best-first pairing, each file used at most once
+  scored.sort((a, b) => b.similarity - a.similarity || a.from - b.from || a.to - b.to);
+  const usedFrom = new Set();
+  const usedTo = new Set();
+  const renames = [];
+  for (const pair of scored) {
+    if (usedFrom.has(pair.from) || usedTo.has(pair.to)) continue;
+    usedFrom.add(pair.from);
+    usedTo.add(pair.to);
+    renames.push(pair);
+  }
+
+  return renames;
+}
+
+// ============================================================================
+// Pairing
+// ============================================================================
+
+/**
+ * A paired file entry
+ * @typedef {Object} FileEntry
+ * @property {string} status - One of FILE_STATUS
+ * @property {string} path - Display path (new path when present)
+ * @property {string|null} oldPath - Path on the old side
+ * @property {string|null} newPath - Path on the new side
+ * @property {string|null} oldContent
+ * @property {string|null} newContent
+ * @property {number|null} renameSimilarity - Set when paired by content
+ * @property {boolean} binary - Content contains NUL bytes
+ * @property {Object|null} stats - Stats from calculateStats() (via runDiffPipeline)
+ */
+
+function isBinaryContent(content) {
+  return typeof content === 'string' && content.includes('\0');
+}
+
+function createEntry(oldFile, newFile, renameSimilarity = null) {
+  let status;
+  if (!oldFile) status = FILE_STATUS.ADDED;
+  else if (!newFile) status = FILE_STATUS.REMOVED;
+  else status = oldFile.content === newFile.content ? FILE_STATUS.IDENTICAL : FILE_STATUS.CHANGED;
+
+  return {
+    status,
+    path: newFile ? newFile.path : oldFile.path,
+    oldPath: oldFile ? oldFile.path : null,
+    newPath: newFile ? newFile.path : null,
+    oldContent: oldFile ? oldFile.content : null,
+    newContent: newFile ? newFile.content : null,
+    renameSimilarity,
+    binary: isBinaryContent(oldFile?.content) || isBinaryContent(newFile?.content),
+    stats: null
+  };
+}
+
+/**
+ * Pair two file sets by relative path, then by content for renames
+ *
+ * @param {Array<{path: string, content: string}>} oldFiles - Old side
+ * @param {Array<{path: string, content: string}>} newFiles - New side
+ * @param {Object} options - Options
+ * @param {boolean} options.detectRenames - Match unpaired files by content (default: true)
+ * @param {number} options.renameThreshold - Minimum similarity for renames
+ * @returns {FileEntry[]} Entries sorted by path
+ */
+export function pairFiles(oldFiles, newFiles, options = {}) {
+  const { detectRenames: findRenames = true, renameThreshold } = options;
+  const oldSet = prepareFileSet(oldFiles);
+  const newSet = prepareFileSet(newFiles);
+
+  const newByPath = new Map(newSet.map(file => [file.path, file]));
+  const entries = [];
+  const removed = [];
+
+  for (const oldFile of oldSet) {
+    const newFile = newByPath.get(oldFile.path);
+    if (newFile) {
+      entries.push(createEntry(oldFile, newFile));
+      newByPath.delete(oldFile.path);
+    } else {
+      removed.push(oldFile);
+    }
+  }
+  const added = [...newByPath.values()];
+
+  // Binary files are only ever paired by path
+  const textRemoved = removed.filter(file => !isBinaryContent(file.content));
+  const textAdded = added.filter(file => !isBinaryContent(file.content));
+  const renames = findRenames
+    ? detectRenames(textRemoved, textAdded, { threshold: renameThreshold })
+    : [];
+
+  const renamedOld = new Set();
+  const renamedNew = new Set();
+  for (const { from, to, similarity } of renames) {
+    entries.push(createEntry(textRemoved[from], textAdded[to], similarity));
+    renamedOld.add(textRemoved[from]);
+    renamedNew.add(textAdded[to]);
+  }
+
+  for (const file of removed) {
+    if (!renamedOld.has(file)) entries.push(createEntry(file, null));
+  }
+  for (const file of added) {
+    if (!renamedNew.has(file)) entries.push(createEntry(null, file));
+  }
+
+  return entries.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+/**
+ * Compare two file sets and attach per-file stats
+ *
+ * Identical and binary files are not diffed. Every other entry runs through
+ * runDiffPipeline() (added/removed files against an empty side) and keeps
+ * the stats it returns.
+ *
+ * @param {Array<{path: string, content: string}>} oldFiles - Old side
+ * @param {Array<{path: string, content: string}>} newFiles - New side
+ * @param {Object} diffLib - Diff library ({ diffLines, diffWords, diffChars })
+ * @param {Object} options - Options
+ * @param {Object} options.pipelineOptions - Options passed to runDiffPipeline()
+ * @param {Function} options.onProgress - Called with (done, total) after each file
+ * @returns {Promise<{entries: FileEntry[], summary: Object}>}
+ */
+export async function compareFileSets(oldFiles, newFiles, diffLib, options = {}) {
+  const { pipelineOptions = {}, onProgress = null } = options;
+  const entries = pairFiles(oldFiles, newFiles, options);
+
+  for (const [i, entry] of entries.entries()) {
+    if (entry.status !== FILE_STATUS.IDENTICAL && !entry.binary) {
+      const result = await runDiffPipeline(entry.oldContent || '', entry.newContent || '', diffLib, pipelineOptions);
+      entry.stats = result.stats;
+    }
+    if (onProgress) onProgress(i + 1, entries.length);
+  }
+
+  return { entries, summary: summarizeEntries(entries) };
+}
+
+/**
+ * Count entries per status
+ *
+ * @param {FileEntry[]} entries - Paired entries
+ * @returns {{added: number, removed: number, changed: number, identical: number, renamed: number}}
+ */
+export function summarizeEntries(entries) {
+  const summary = { added: 0, removed: 0, changed: 0, identical: 0, renamed: 0 };
+  for (const entry of entries) {
+    summary[entry.status]++;
+    if (entry.renameSimilarity !== null) summary.renamed++;
+  }
+  return summary;
+}
+
+export default {
+  FILE_STATUS,
+  normalizeRelativePath,
+  stripCommonRoot,
+  fileFingerprint,
+  contentSimilarity,
+  detectRenames,
+  pairFiles,
+  compareFileSets,
+  summarizeEntries
+};
@@ -0,0 +1,255 @@
+/**
+ * Format Detection Module
+ *
+ * Recognizes the file formats that have a reader or comparer of their own
+ * from their content: Cisco IOS / Arista EOS configs, JunOS configs in
+ * either style, XML/HTML markup, INI/TOML/.env files and unified diffs.
+ * The comparers and the language registry both import the detectors from
+ * here, so the detected file type and the structural format agree and the
+ * registry does not depend on the modules it describes.
+ *
+ * Environment-agnostic: no DOM access.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+export const KEY_VALUE_FORMATS = {
+  INI: 'ini',
+  TOML: 'toml',
+  ENV: 'env'
+};
+
+export const JUNOS_STYLES = {
+  SET: 'set',
+  HIERARCHY: 'hierarchy'
+};
+
+// Key-value line syntax, shared with the parser in key-value-diff.js
+const TOML_KEY_PART = String.raw`(?:[A-Za-z0-9_-]+|"(?:[^"\\]|\\.)*"|'[^']*')`;
+export const KEY_VALUE_SYNTAX = {
+  INI_HEADER: /^\[\s*([^\]]+?)\s*\]\s*(?:[;#].*)?$/,
+  TOML_ARRAY_HEADER: /^\[\[\s*((?:[^\]"']|"[^"]*"|'[^']*')+?)\s*\]\]\s*(?:#.*)?$/,
+  INI_ASSIGNMENT: /^([^=:\s[;#][^=:]*?)\s*[=:]\s*(.*)$/,
+  TOML_KEY_PART,
+  TOML_ASSIGNMENT: new RegExp(String.raw`^(${TOML_KEY_PART}(?:\s*\.\s*${TOML_KEY_PART})*)\s*=\s*(.*)$`)
+};
+
+// A strict .env line: no spaces around `=`
+const STRICT_ENV_ASSIGNMENT = /^(?:export\s+)?[A-Za-z_][\w.]*=/;
+
+// Start of a TOML value (string, number, boolean, date, array, inline table)
+const TOML_VALUE = /^(?:["'[{]|[+-]?(?:\d|inf\b|nan\b)|true\b|false\b)/;
+
+// A value that only TOML writes this way (quoted, array, inline table, boolean)
+const TOML_TYPED_VALUE = /^(?:["'[{]|(?:true|false)\s*(?:#.*)?$)/;
+
+// Content signatures; a config needs at least two of them
+const IOS_SIGNATURES = [
+  /^hostname \S/m,
+  /^interface \S/m,
+  /^!\s*$/m,
+  /^version \d/m,
+  /^router (?:bgp|ospf|ospfv3|eigrp|rip|isis)\b/m,
+  /^line (?:con|vty|aux)\b/m,
+  /^ip route \S/m,
+  /^ (?:ip address|description|switchport|shutdown)\b/m
+];
+const EOS_SIGNATURES = /\barista\b|^management api http-commands|^daemon TerminAttr/im;
+
+// Top-level statements of a hierarchy config
+const HIERARCHY_SIGNATURE = /^(?:inactive: |protect: )?(?:version|groups|apply-groups|system|chassis|services|security|interfaces|snmp|forwarding-options|routing-options|protocols|policy-options|class-of-service|firewall|routing-instances|vlans|applications|access|switch-options|event-options|logical-systems|virtual-chassis|poe|ethernet-switching-options|bridge-domains)\b.*[{;]\s*$/m;
+
+const SET_COMMAND = /^(?:set|delete|deactivate|activate|protect|unprotect)\s/;
+
+// ============================================================================
+// Device Configs
+// ============================================================================
+
+function looksLikeIosConfig(text) {
+  if (!text || /\{\s*$/m.test(text)) return false;
+  return IOS_SIGNATURES.filter(pattern => pattern.test(text)).length >= 2;
+}
+
+/**
+ * Detect an indentation-based network config format
+ *
+ * @param {string} oldText - Previous config
+ * @param {string} newText - Current config
+ * @returns {string|null} 'arista-eos', 'cisco-ios', or null when neither
+ *   side looks like one
+ */
+export function detectNetworkConfigFormat(oldText, newText) {
+  if (!looksLikeIosConfig(oldText) && !looksLikeIosConfig(newText)) return null;
+  return EOS_SIGNATURES.test(oldText) || EOS_SIGNATURES.test(newText) ? 'arista-eos' : 'cisco-ios';
+}
+
+// ============================================================================
+// JunOS
+// ============================================================================
+
+/**
+ * Detect the style of a JunOS config
+ *
+ * @param {string} text - Configuration text
+ * @returns {string|null} JUNOS_STYLES.SET, JUNOS_STYLES.HIERARCHY, or null
+ *   when the text looks like neither
+ */
+export function detectJunosStyle(text) {
+  if (!text) return null;
+  const lines = text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('/*'));
+  if (lines.length === 0) return null;
+
+  if (lines.every(line => SET_COMMAND.test(line)) && lines.some(line => line.startsWith('set '))) {
+    return JUNOS_STYLES.SET;
+  }
+  return HIERARCHY_SIGNATURE.test(text) ? JUNOS_STYLES.HIERARCHY : null;
+}
+
+// ============================================================================
+// Markup
+// ============================================================================
+
+/**
+ * Detect an XML or HTML comparison from the content (language detection
+ * calls both 'html')
+ *
+ * @param {string} oldText - Previous document
+ * @param {string} newText - Current document
+ * @returns {string|null} 'html' for an HTML page, 'xml' for other markup,
+ *   or null when a non-empty side is no markup
+ */
+export function detectMarkupFormat(oldText, newText) {
+  const sides = [oldText, newText].map(text => (text || '').replace(/^﻿/, '').trim()).filter(Boolean);
+  if (sides.length === 0 || !sides.every(text => /^<[?!A-Za-z]/.test(text) && text.endsWith('>'))) return null;
+  return sides.some(text => /<!DOCTYPE html\b|<html[\s>]/i.test(text)) ? 'html' : 'xml';
+}
+
+// ============================================================================
+// Key-Value Files
+// ============================================================================
+
+/**
+ * Detect an INI, TOML or .env comparison from the content
+ *
+ * Every line of a non-empty side must be blank, a comment, a section
+ * header, a `key = value` assignment (`key: value` in sections) or the
+ * continuation of a value. Files with `[[tables]]` or only quoted,
+ * numeric, boolean and array values are TOML; files without sections whose
+ * every assignment is `KEY=value` are .env; the rest is INI.
+ *
+ * @param {string} oldText - Previous file
+ * @param {string} newText - Current file
+ * @returns {string|null} One of KEY_VALUE_FORMATS, or null
+ */
+export function detectKeyValueFormat(oldText, newText) {
+  const { INI_HEADER, TOML_ARRAY_HEADER, INI_ASSIGNMENT, TOML_ASSIGNMENT } = KEY_VALUE_SYNTAX;
+  const sides = [oldText, newText].filter(text => text && text.trim());
+  if (sides.length === 0) return null;
+
+  let assignments = 0;
+  let sections = false;
+  let arrayTables = false;
+  let continuations = false;
+  let strictEnv = true;
+  let tomlValues = true;
+  let typedValues = false;
+  let iniOnly = false;
+
+  for (const text of sides) {
+    let inSection = false;
+    let afterAssignment = false;
+    let openString = null;
+    for (const line of text.split(/\r?\n/)) {
+      const content = line.trim();
+      if (openString) {
+        // Lines of a multi-line string
+        if (content.includes(openString)) openString = null;
+        continue;
+      }
+      if (!content) {
+        afterAssignment = false;
+        continue;
+      }
+      if (content.startsWith('#') || content.startsWith(';')) {
+        if (content.startsWith(';')) iniOnly = true;
+        continue;
+      }
+      if (/^\s/.test(line) && afterAssignment) {
+        continuations = true;
+        continue;
+      }
+      if (TOML_ARRAY_HEADER.test(content)) {
+        sections = inSection = arrayTables = true;
+        afterAssignment = false;
+        continue;
+      }
+      if (INI_HEADER.test(content)) {
+        sections = inSection = true;
+        afterAssignment = false;
+        continue;
+      }
+      if (afterAssignment && /^[\]}"']/.test(content)) {
+        continuations = true;
+        continue;
+      }
+
+      const match = content.match(INI_ASSIGNMENT);
+      if (!match) return null;
+      if (content.slice(match[1].length).trimStart()[0] === ':') {
+        // `key: value` is INI in a section, YAML or prose outside one
+        if (!inSection) return null;
+        iniOnly = true;
+      }
+      assignments++;
+      afterAssignment = true;
+      strictEnv = strictEnv && STRICT_ENV_ASSIGNMENT.test(content);
+      tomlValues = tomlValues && TOML_VALUE.test(match[2]) && TOML_ASSIGNMENT.test(content);
+      typedValues = typedValues || TOML_TYPED_VALUE.test(match[2]);
+      // A quoted value may go on over the next lines
+      const delimiter = match[2].match(/^(?:"""|'''|"|')/)?.[0];
+      if (delimiter && !match[2].slice(delimiter.length).includes(delimiter)) openString = delimiter;
+    }
+  }
+
+  if (assignments === 0) return null;
+  if (arrayTables || (tomlValues && typedValues && !iniOnly)) return KEY_VALUE_FORMATS.TOML;
+  if (!sections && strictEnv && !continuations) return KEY_VALUE_FORMATS.ENV;
+  return KEY_VALUE_FORMATS.INI;
+}
+
+// ============================================================================
+// Patches
+// ============================================================================
+
+/**
+ * Check whether text looks like a unified diff
+ * Requires at least one hunk header plus a file header.
+ *
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+export function isUnifiedDiff(text) {
+  if (!text) return false;
+  const sample = text.slice(0, 20000);
+  const hasHunk = /^@@ -\d+(?:,\d+)? \+\d+(?:,\d+)? @@/m.test(sample);
+  const hasFileHeader = /^diff --git /m.test(sample) || (/^--- \S/m.test(sample) && /^\+\+\+ \S/m.test(sample));
+  return hasHunk && hasFileHeader;
+}
+
+export default {
+  KEY_VALUE_FORMATS,
+  JUNOS_STYLES,
+  KEY_VALUE_SYNTAX,
+  detectNetworkConfigFormat,
+  detectJunosStyle,
+  detectMarkupFormat,
+  detectKeyValueFormat,
+  isUnifiedDiff
+};
@@ -0,0 +1,210 @@
+/**
+ * JSON Structural Diff Module
+ *
+ * Parses both sides of a JSON comparison into trees that remember the
+ * source lines of every value, then compares the trees by path
+ * (`$.servers[3].port`) instead of by line with diffTrees(). Object keys
+ * are matched by name, so reordered keys and reformatting are not changes.
+ * Array elements are aligned on a canonical form of each element; equal
+ * elements out of order are reported as moves.
+ *
+ * The changes use the shared structural change shape (see
+ * structural-diff.js): { type, path, oldPath?, oldValue?, newValue?,
+ * oldLines, newLines } with 1-based { start, end } line ranges.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { diffTrees } from './tree-diff.js';
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Error thrown when a document is not valid JSON
+ */
+export class JsonParseError extends Error {
+  constructor(message, line) {
+    super(`Line ${line}: ${message}`);
+    this.name = 'JsonParseError';
+    this.line = line;
+  }
+}
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+const LITERAL = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+const STRING = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+
+/**
+ * Parse JSON into a tree of nodes with line information
+ *
+ * Nodes are { type, startLine, endLine } plus `value` for scalars,
+ * `entries` (Map of key → node) for objects and `items` for arrays.
+ * An object member's startLine is the line of its key. Duplicate keys
+ * keep the last value, like JSON.parse().
+ *
+ * @param {string} text - JSON document
+ * @returns {Object} Root node
+ * @throws {JsonParseError} If the text is not valid JSON
+ */
+export function parseJsonTree(text) {
+  let pos = 0;
+  let line = 1;
+
+  const fail = message => {
+    throw new JsonParseError(message, line);
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === '\n') {
+        line++;
+      } else if (ch !== ' ' && ch !== '\t' && ch !== '\r' && ch !== '\uFEFF') {
+        break;
+      }
+      pos++;
+    }
+  };
+
+  const describe = () => (pos < text.length ? `Unexpected "${text[pos]}"` : 'Unexpected end of document');
+
+  const parseString = () => {
+    STRING.lastIndex = pos;
+    const match = STRING.exec(text);
+    if (!match) fail('Invalid or unterminated string');
+    pos = STRING.lastIndex;
+    return JSON.parse(match[0]);
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const startLine = line;
+    const ch = text[pos];
+
+    if (ch === '{') return parseObject(startLine);
+    if (ch === '[') return parseArray(startLine);
+    if (ch === '"') {
+      return { type: 'string', value: parseString(), startLine, endLine: line };
+    }
+
+    LITERAL.lastIndex = pos;
+    const match = LITERAL.exec(text);
+    if (!match) fail(describe());
+    pos = LITERAL.lastIndex;
+
+    const raw = match[0];
+    if (raw === 'null') return { type: 'null', value: null, startLine, endLine: line };
+    if (raw === 'true' || raw === 'false') {
+      return { type: 'boolean', value: raw === 'true', startLine, endLine: line };
+    }
+    return { type: 'number', value: Number(raw), startLine, endLine: line };
+  };
+
+  const parseObject = startLine => {
+    const entries = new Map();
+    pos++;
+    skipWhitespace();
+    if (text[pos] === '}') {
+      pos++;
+      return { type: 'object', entries, startLine, endLine: line };
+    }
+
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== '"') fail(`${describe()}, expected a property name`);
+      const keyLine = line;
+      const key = parseString();
+      skipWhitespace();
+      if (text[pos] !== ':') fail(`${describe()}, expected ":"`);
+      pos++;
+      const value = parseValue();
+      value.startLine = keyLine;
+      entries.delete(key);
+      entries.set(key, value);
+
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] === '}') {
+        pos++;
+        return { type: 'object', entries, startLine, endLine: line };
+      } else {
+        fail(`${describe()}, expected "," or "}"`);
+      }
+    }
+  };
+
+  const parseArray = startLine => {
+    const items = [];
+    pos++;
+    skipWhitespace();
+    if (text[pos] === ']') {
+      pos++;
+      return { type: 'array', items, startLine, endLine: line };
+    }
+
+    for (;;) {
+      items.push(parseValue());
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] === ']') {
+        pos++;
+        return { type: 'array', items, startLine, endLine: line };
+      } else {
+        fail(`${describe()}, expected "," or "]"`);
+      }
+    }
+  };
+
+  const root = parseValue();
+  skipWhitespace();
+  if (pos < text.length) fail(`${describe()} after the JSON value`);
+  return root;
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Format path segments as a JSONPath expression
+ *
+ * @param {Array<string|number>} segments - Object keys and array indices
+ * @returns {string} Path such as `$.servers[3].port` or `$["content-type"]`
+ */
+export function formatJsonPath(segments) {
+  return '$' + segments.map(segment => {
+    if (typeof segment === 'number') return `[${segment}]`;
+    return IDENTIFIER.test(segment) ? `.${segment}` : `[${JSON.stringify(segment)}]`;
+  }).join('');
+}
+
+/**
+ * Compare two JSON documents by path
+ *
+ * @param {string} oldText - Previous JSON document
+ * @param {string} newText - Current JSON document
+ * @returns {Array<Object>} Structural changes (added, removed, changed, moved)
+ * @throws {JsonParseError} If either side is not valid JSON
+ */
+export function compareJson(oldText, newText) {
+  const oldTree = parseJsonTree(oldText);
+  const newTree = parseJsonTree(newText);
+  return diffTrees(oldTree, newTree, { formatPath: formatJsonPath });
+}
+
+export default {
+  JsonParseError,
+  parseJsonTree,
+  formatJsonPath,
+  compareJson
+};
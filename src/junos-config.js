@@ -0,0 +1,441 @@
+/**
+ * JunOS Config Module
+ *
+ * Converts Juniper JunOS configurations between the curly-brace hierarchy
+ * (`show configuration`) and set commands (`show configuration | display
+ * set`), so a config exported in one style can be compared with one written
+ * in the other.
+ *
+ * Both styles are parsed into the same statement tree, one node per word of
+ * a set command. Written back as set commands the tree gives one canonical
+ * line per statement, sorted, except where JunOS evaluates entries in order
+ * (firewall and policy terms, NAT rules, security policies). JunOS has no
+ * schema here, so the hierarchy written from set commands nests one word per
+ * level except for named statements (`unit 0 {`) and `key value;` leaves of
+ * statements known to take a value.
+ *
+ * Environment-agnostic: no DOM access.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { detectJunosStyle, JUNOS_STYLES } from './format-detect.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Statements whose entries are evaluated in order and therefore not sorted
+const ORDERED_STATEMENTS = new Set(['term', 'rule', 'policy']);
+
+// Statements written on one line with their name (`unit 0 {`)
+const NAMED_STATEMENTS = new Set([
+  'unit', 'family', 'group', 'neighbor', 'term', 'filter', 'policy-statement',
+  'interface', 'area', 'instance', 'security-zone', 'from-zone',
+  'to-zone', 'policy', 'rule-set', 'rule', 'prefix-list', 'community',
+  'route', 'user', 'class', 'application', 'address', 'host', 'server'
+]);
+
+// Statements that take a value (`host-name r1;`). A statement with one
+// child that is not a value keeps its braces: the child is a statement of
+// its own (`netconf { ssh; }`)
+const VALUE_STATEMENTS = new Set([
+  'version', 'host-name', 'domain-name', 'time-zone', 'description', 'location',
+  'contact', 'root-login', 'protocol-version', 'authentication-order', 'login-class',
+  'encrypted-password', 'uid', 'mtu', 'vlan-id', 'native-vlan-id', 'encapsulation',
+  'interface-mode', 'port-mode', 'speed', 'link-mode', 'router-id', 'autonomous-system',
+  'peer-as', 'local-as', 'local-address', 'type', 'import', 'export', 'metric',
+  'preference', 'next-hop', 'protocol', 'port', 'destination-port', 'source-port',
+  'then', 'match', 'priority', 'interface-range', 'level', 'facility', 'l3-interface'
+]);
+
+// Words that can only be values: numbers, quoted strings, addresses and paths
+const LITERAL_VALUE = /^["\d]|[./:]/;
+
+// Statements written as a [ bracketed list ] when they have several values
+const LIST_STATEMENTS = new Set(['members', 'apply-groups', 'apply-groups-except', 'vlan-id-list']);
+
+const INDENT = '    ';
+
+// ============================================================================
+// Error Types
+// ============================================================================
+
+/**
+ * Raised for a config that cannot be read in its style
+ * lineNumber is the 1-based line where the problem was found; side is set
+ * to 'old' or 'new' by normalizeJunosConfigs().
+ */
+export class JunosParseError extends Error {
+  constructor(message, lineNumber = null) {
+    super(lineNumber !== null ? `Line ${lineNumber}: ${message}` : message);
+    this.name = 'JunosParseError';
+    this.lineNumber = lineNumber;
+    this.side = null;
+  }
+}
+
+// ============================================================================
+// Statement Tree
+// ============================================================================
+
+function createNode() {
+  return { children: new Map(), terminal: false, inactive: false, protect: false };
+}
+
+// Node at a word path, created as needed
+function addPath(root, words) {
+  let node = root;
+  for (const word of words) {
+    if (!node.children.has(word)) node.children.set(word, createNode());
+    node = node.children.get(word);
+  }
+  return node;
+}
+
+function findPath(root, words) {
+  let node = root;
+  for (const word of words) {
+    node = node.children.get(word);
+    if (!node) return null;
+  }
+  return node;
+}
+
+const compareWords = (a, b) => a.localeCompare(b, 'en', { numeric: true });
+
+// Children in output order: sorted, or as written for ordered statements
+function orderedChildren(node, word) {
+  const entries = [...node.children];
+  return ORDERED_STATEMENTS.has(word) ? entries : entries.sort(([a], [b]) => compareWords(a, b));
+}
+
+// ============================================================================
+// Parsers
+// ============================================================================
+
+const SET_WORD = /"(?:[^"\\]|\\.)*"|\S+/g;
+
+/**
+ * Parse set commands into a statement tree
+ *
+ * `set` adds a statement, `delete` removes one with everything below it,
+ * and `deactivate` / `protect` (and their opposites) flag one.
+ *
+ * @param {string} text - Set commands, one per line
+ * @returns {Object} Root node
+ * @throws {JunosParseError} For lines that are not set commands
+ */
+export function parseSetCommands(text) {
+  const root = createNode();
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [command, ...words] = line.match(SET_WORD);
+    if (words.length === 0) {
+      throw new JunosParseError(`Missing statement after "${command}"`, index + 1);
+    }
+    switch (command) {
+      case 'set':
+        addPath(root, words).terminal = true;
+        break;
+      case 'delete': {
+        const parent = findPath(root, words.slice(0, -1));
+        parent?.children.delete(words[words.length - 1]);
+        break;
+      }
+      case 'deactivate':
+      case 'activate':
+        addPath(root, words).inactive = command === 'deactivate';
+        break;
+      case 'protect':
+      case 'unprotect':
+        addPath(root, words).protect = command === 'protect';
+        break;
+      default:
+        throw new JunosParseError(`Expected a set command, found "${command}"`, index + 1);
+    }
+  });
+  return root;
+}
+
+const QUOTED_TOKEN = /"(?:[^"\\]|\\.)*"/y;
+const WORD_TOKEN = /[^\s{};[\]"]+/y;
+
+/**
+ * Split hierarchy text into words, quoted strings and punctuation
+ * Comments (/* ... *\/ and # to the end of the line) are dropped.
+ */
+function tokenizeHierarchy(text) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) throw new JunosParseError('Unterminated comment', line);
+      line += (text.slice(i, end).match(/\n/g) || []).length;
+      i = end + 2;
+    } else if (char === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if ('{};[]'.includes(char)) {
+      tokens.push({ text: char, line });
+      i++;
+    } else {
+      const pattern = char === '"' ? QUOTED_TOKEN : WORD_TOKEN;
+      pattern.lastIndex = i;
+      const match = pattern.exec(text);
+      if (!match) throw new JunosParseError('Unterminated string', line);
+      tokens.push({ text: match[0], line });
+      line += (match[0].match(/\n/g) || []).length;
+      i += match[0].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a curly-brace hierarchy into a statement tree
+ *
+ * `inactive:` and `protect:` prefixes flag the statement; for a leaf such as
+ * `inactive: host-name r1;` that is its key, as `deactivate` addresses it.
+ *
+ * @param {string} text - Hierarchy configuration
+ * @returns {Object} Root node
+ * @throws {JunosParseError} For unbalanced braces and unterminated statements
+ */
+export function parseJunosHierarchy(text) {
+  const root = createNode();
+  const stack = [{ path: [], line: null }];
+  let words = [];
+  let flags = {};
+  let list = null;
+  let statementLine = null;
+
+  const flag = (node, statementFlags) => {
+    if (statementFlags.inactive) node.inactive = true;
+    if (statementFlags.protect) node.protect = true;
+  };
+
+  const tokens = tokenizeHierarchy(text);
+  for (let t = 0; t < tokens.length; t++) {
+    const token = tokens[t];
+    const path = stack[stack.length - 1].path;
+
+    switch (token.text) {
+      case '[':
+        if (words.length === 0 || list) throw new JunosParseError('Unexpected [', token.line);
+        list = [];
+        while (tokens[++t]?.text !== ']') {
+          if (!tokens[t] || '{};['.includes(tokens[t].text)) throw new JunosParseError('Missing ]', token.line);
+          list.push(tokens[t].text);
+        }
+        break;
+      case ';': {
+        if (words.length === 0) throw new JunosParseError('Missing statement before ;', token.line);
+        const statement = [...path, ...words];
+        if (list) {
+          for (const value of list) addPath(root, [...statement, value]).terminal = true;
+        } else {
+          addPath(root, statement).terminal = true;
+        }
+        // A leaf's flags belong to its key, not its value
+        flag(findPath(root, list || words.length === 1 ? statement : statement.slice(0, -1)), flags);
+        words = [];
+        flags = {};
+        list = null;
+        break;
+      }
+      case '{': {
+        if (words.length === 0 || list) throw new JunosParseError('Missing statement before {', token.line);
+        const statement = [...path, ...words];
+        flag(addPath(root, statement), flags);
+        stack.push({ path: statement, line: token.line });
+        words = [];
+        flags = {};
+        break;
+      }
+      case '}':
+        if (words.length > 0) throw new JunosParseError('Missing ; before }', token.line);
+        if (stack.length === 1) throw new JunosParseError('Unexpected }', token.line);
+        stack.pop();
+        break;
+      case ']':
+        throw new JunosParseError('Unexpected ]', token.line);
+      default:
+        if (words.length === 0 && (token.text === 'inactive:' || token.text === 'protect:' || token.text === 'replace:')) {
+          flags[token.text.slice(0, -1)] = true;
+          break;
+        }
+        if (words.length === 0) statementLine = token.line;
+        words.push(token.text);
+    }
+  }
+
+  if (words.length > 0) throw new JunosParseError('Missing ; at end of statement', statementLine);
+  if (stack.length > 1) throw new JunosParseError('Missing } for this block', stack[stack.length - 1].line);
+  return root;
+}
+
+// ============================================================================
+// Writers
+// ============================================================================
+
+/**
+ * Write a statement tree as set commands
+ *
+ * @param {Object} root - Statement tree
+ * @returns {string} One command per line
+ */
+export function formatSetCommands(root) {
+  const lines = [];
+  const walk = (node, word, path) => {
+    for (const [childWord, child] of orderedChildren(node, word)) {
+      const childPath = [...path, childWord];
+      if (child.terminal || child.children.size === 0) lines.push(`set ${childPath.join(' ')}`);
+      walk(child, childWord, childPath);
+      if (child.inactive) lines.push(`deactivate ${childPath.join(' ')}`);
+      if (child.protect) lines.push(`protect ${childPath.join(' ')}`);
+    }
+  };
+  walk(root, null, []);
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Write a statement tree as a curly-brace hierarchy
+ *
+ * @param {Object} root - Statement tree
+ * @returns {string} Hierarchy with four-space indentation
+ */
+export function formatHierarchy(root) {
+  const lines = [];
+
+  // [header words, node, last word] of each statement under a node; a
+  // named statement gives one statement per name
+  const statements = (node, word) => orderedChildren(node, word).flatMap(([childWord, child]) => {
+    if (!NAMED_STATEMENTS.has(childWord) || child.terminal || child.inactive || child.protect || child.children.size === 0) {
+      return [[[childWord], child, childWord]];
+    }
+    return orderedChildren(child, childWord).map(([name, named]) => [[childWord, name], named, name]);
+  });
+
+  const walk = (node, word, depth) => {
+    const indent = INDENT.repeat(depth);
+    for (const [header, current, currentWord] of statements(node, word)) {
+      const prefix = `${current.inactive ? 'inactive: ' : ''}${current.protect ? 'protect: ' : ''}`;
+      const values = [...current.children];
+      const isValue = ([, value]) => value.children.size === 0 && !value.inactive && !value.protect;
+      const takesValue = ([value]) => VALUE_STATEMENTS.has(currentWord) || LITERAL_VALUE.test(value);
+
+      if (values.length === 0) {
+        lines.push(`${indent}${prefix}${header.join(' ')};`);
+      } else if (!current.terminal && values.length === 1 && isValue(values[0]) && takesValue(values[0])) {
+        lines.push(`${indent}${prefix}${header.join(' ')} ${values[0][0]};`);
+      } else if (!current.terminal && LIST_STATEMENTS.has(currentWord) && values.every(isValue)) {
+        lines.push(`${indent}${prefix}${header.join(' ')} [ ${orderedChildren(current, currentWord).map(([value]) => value).join(' ')} ];`);
+      } else {
+        lines.push(`${indent}${prefix}${header.join(' ')} {`);
+        walk(current, currentWord, depth + 1);
+        lines.push(`${indent}}`);
+      }
+    }
+  };
+  walk(root, null, 0);
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+// ============================================================================
+// Conversion
+// ============================================================================
+
+/**
+ * Parse a config in either style
+ *
+ * @param {string} text - Configuration text
+ * @param {string} [style] - Style of the text (detected when omitted)
+ * @returns {Object} Statement tree
+ */
+export function parseJunosConfig(text, style = detectJunosStyle(text)) {
+  return style === JUNOS_STYLES.SET ? parseSetCommands(text) : parseJunosHierarchy(text);
+}
+
+/**
+ * Flatten a hierarchy config into canonical, sorted set commands
+ *
+ * @param {string} text - Hierarchy configuration
+ * @returns {string} Set commands
+ */
+export function hierarchyToSet(text) {
+  return formatSetCommands(parseJunosHierarchy(text));
+}
+
+/**
+ * Build a hierarchy config from set commands
+ *
+ * @param {string} text - Set commands
+ * @returns {string} Hierarchy configuration
+ */
+export function setToHierarchy(text) {
+  return formatHierarchy(parseSetCommands(text));
+}
+
+/**
+ * Write two JunOS configs in the same style before comparing them
+ *
+ * Both sides are rewritten, even one already in the target style, so
+ * statement order and formatting are canonical on both.
+ *
+ * @param {string} oldText - Previous config
+ * @param {string} newText - Current config
+ * @param {string} [style] - JUNOS_STYLES.SET or JUNOS_STYLES.HIERARCHY
+ * @returns {{ oldText: string, newText: string, oldStyle: string|null, newStyle: string|null }|null}
+ *   Normalized texts, or null when a non-empty side is no JunOS config
+ * @throws {JunosParseError} When a side cannot be parsed (error.side is 'old' or 'new')
+ */
+export function normalizeJunosConfigs(oldText, newText, style = JUNOS_STYLES.SET) {
+  const oldStyle = detectJunosStyle(oldText);
+  const newStyle = detectJunosStyle(newText);
+  const isBlank = text => !text || !text.trim();
+  if ((!oldStyle && !isBlank(oldText)) || (!newStyle && !isBlank(newText)) || (!oldStyle && !newStyle)) {
+    return null;
+  }
+
+  const format = style === JUNOS_STYLES.HIERARCHY ? formatHierarchy : formatSetCommands;
+  const convert = (text, textStyle, side) => {
+    if (!textStyle) return '';
+    try {
+      return format(parseJunosConfig(text, textStyle));
+    } catch (error) {
+      if (error instanceof JunosParseError) error.side = side;
+      throw error;
+    }
+  };
+
+  return {
+    oldText: convert(oldText, oldStyle, 'old'),
+    newText: convert(newText, newStyle, 'new'),
+    oldStyle,
+    newStyle
+  };
+}
+
+export default {
+  JunosParseError,
+  parseSetCommands,
+  parseJunosHierarchy,
+  parseJunosConfig,
+  formatSetCommands,
+  formatHierarchy,
+  hierarchyToSet,
+  setToHierarchy,
+  normalizeJunosConfigs
+};
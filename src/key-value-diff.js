@@ -0,0 +1,435 @@
+/**
+ * Key-Value Structural Diff Module
+ *
+ * Compares INI, TOML and .env files as section → key → value maps instead
+ * of lines, so reordered keys and sections, comments and spacing around
+ * `=` are no change. Each file is parsed with the lines of every section
+ * and value and compared with diffTrees(): sections and keys are matched by
+ * name, a key given several times is compared as a list of its values
+ * (`listen[2]`), and TOML `[[array]]` tables are lists of tables.
+ *
+ * Values are compared as text. Quotes, escapes and comments around a value
+ * are resolved first, and a value continued on the next lines (an indented
+ * INI line, a trailing backslash, a multi-line TOML string or array, a
+ * quoted .env value) is one value. Changed values carry the diffWords()
+ * output of the two values when a diffWords function is passed in.
+ *
+ * Changes use the shared structural change shape (see structural-diff.js)
+ * with paths like `database.port`, `servers[2].host` or `API_KEY`.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { diffTrees } from './tree-diff.js';
+import { KEY_VALUE_FORMATS, KEY_VALUE_SYNTAX } from './format-detect.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Section of the keys above the first header
+const TOP_LEVEL = '';
+
+// Line syntax shared with detectKeyValueFormat()
+const { INI_HEADER, TOML_ARRAY_HEADER, INI_ASSIGNMENT, TOML_KEY_PART, TOML_ASSIGNMENT } = KEY_VALUE_SYNTAX;
+
+const TOML_HEADER = /^\[\s*((?:[^\]"']|"[^"]*"|'[^']*')+?)\s*\]\s*(?:#.*)?$/;
+const ENV_ASSIGNMENT = /^(?:export\s+)?([A-Za-z_][\w.-]*)\s*=\s*(.*)$/;
+
+const TOML_ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Error thrown when a key-value file cannot be read
+ */
+export class KeyValueParseError extends Error {
+  constructor(message, line) {
+    super(`Line ${line}: ${message}`);
+    this.name = 'KeyValueParseError';
+    this.line = line;
+  }
+}
+
+// ============================================================================
+// Value Readers
+// ============================================================================
+
+// Read lines of a value that continues past its first line
+class LineCursor {
+  constructor(lines, index, text) {
+    this.lines = lines;
+    this.index = index;
+    this.text = text;
+  }
+
+  // Append the next line to text; false at the end of the file
+  more() {
+    if (this.index + 1 >= this.lines.length) return false;
+    this.index++;
+    this.text += `\n${this.lines[this.index]}`;
+    return true;
+  }
+}
+
+function decodeTomlEscapes(text, line) {
+  return text.replace(/\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[btnfr"\\])/g, (escape, code) => {
+    if (code.length > 1) {
+      const point = parseInt(code.slice(1), 16);
+      if (point > 0x10FFFF) throw new KeyValueParseError(`Invalid escape ${escape}`, line);
+      return String.fromCodePoint(point);
+    }
+    return TOML_ESCAPES[code];
+  });
+}
+
+// Index of the quote that closes a string opened just before `start`
+function closingQuote(text, quote, start, escapes) {
+  for (let i = start; i < text.length; i++) {
+    if (escapes && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * End of a TOML array or inline table and its text without comments and
+ * with normalized spacing, or null while its brackets are still open
+ */
+function scanTomlCollection(text) {
+  let depth = 0;
+  let clean = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' || char === "'") {
+      const end = closingQuote(text, char, i + 1, char === '"');
+      if (end === -1) return null;
+      clean += text.slice(i, end + 1);
+      i = end;
+      continue;
+    }
+    if (char === '#') {
+      const lineEnd = text.indexOf('\n', i);
+      if (lineEnd === -1) return null;
+      i = lineEnd - 1;
+      continue;
+    }
+    clean += char;
+    if (char === '[' || char === '{') depth++;
+    if (char === ']' || char === '}') depth--;
+    if (depth === 0) {
+      const value = clean
+        .replace(/\s+/g, ' ')
+        .replace(/([[{]) /g, '$1')
+        .replace(/ ?,? ?([\]}])/g, '$1')
+        .replace(/ ?, ?/g, ', ');
+      return { value, rest: text.slice(i + 1) };
+    }
+  }
+  return null;
+}
+
+// Text after a TOML value must be empty or a comment
+function expectTomlEnd(rest, line) {
+  if (rest.trim() && !rest.trim().startsWith('#')) {
+    throw new KeyValueParseError(`Unexpected text after value: ${rest.trim()}`, line);
+  }
+}
+
+function readTomlValue(cursor, startLine) {
+  const text = cursor.text;
+  const delimiter = text.slice(0, 3);
+
+  if (delimiter === '"""' || delimiter === "'''") {
+    while (cursor.text.indexOf(delimiter, 3) === -1) {
+      if (!cursor.more()) throw new KeyValueParseError('Unterminated multi-line string', startLine);
+    }
+    const end = cursor.text.indexOf(delimiter, 3);
+    // A closing delimiter may be preceded by up to two quotes of the content
+    let close = end;
+    while (cursor.text[close + 3] === delimiter[0] && close < end + 2) close++;
+    let value = cursor.text.slice(3, close).replace(/^\r?\n/, '');
+    if (delimiter === '"""') {
+      value = decodeTomlEscapes(value.replace(/\\[ \t]*\r?\n\s*/g, ''), startLine);
+    }
+    expectTomlEnd(cursor.text.slice(close + 3), cursor.index + 1);
+    return value;
+  }
+
+  const quote = text[0];
+  if (quote === '"' || quote === "'") {
+    const end = closingQuote(text, quote, 1, quote === '"');
+    if (end === -1) throw new KeyValueParseError('Unterminated string', startLine);
+    expectTomlEnd(text.slice(end + 1), startLine);
+    const value = text.slice(1, end);
+    return quote === '"' ? decodeTomlEscapes(value, startLine) : value;
+  }
+
+  if (quote === '[' || quote === '{') {
+    let scanned = scanTomlCollection(cursor.text);
+    while (!scanned) {
+      if (!cursor.more()) {
+        throw new KeyValueParseError(`Unterminated ${quote === '[' ? 'array' : 'inline table'}`, startLine);
+      }
+      scanned = scanTomlCollection(cursor.text);
+    }
+    expectTomlEnd(scanned.rest, cursor.index + 1);
+    return scanned.value;
+  }
+
+  const value = text.replace(/\s*#.*$/, '').trim();
+  if (!value) throw new KeyValueParseError('Missing value', startLine);
+  return value;
+}
+
+function readEnvValue(cursor, startLine) {
+  const quote = cursor.text[0];
+  if (quote === '"' || quote === "'") {
+    let end = closingQuote(cursor.text, quote, 1, quote === '"');
+    while (end === -1) {
+      if (!cursor.more()) throw new KeyValueParseError('Unterminated quoted value', startLine);
+      end = closingQuote(cursor.text, quote, 1, quote === '"');
+    }
+    const value = cursor.text.slice(1, end);
+    return quote === '"'
+      ? value.replace(/\\([nrt"\\$])/g, (escape, code) => ({ n: '\n', r: '\r', t: '\t' }[code] || code))
+      : value;
+  }
+  return cursor.text.replace(/(?:^|\s+)#.*$/, '').trim();
+}
+
+function readIniValue(cursor) {
+  const stripComment = text => text.replace(/(?:^|\s+)[;#].*$/, '').trim();
+  let value = stripComment(cursor.text);
+  // A trailing backslash continues the value on the next line
+  while (value.endsWith('\\') && cursor.index + 1 < cursor.lines.length) {
+    cursor.more();
+    value = value.slice(0, -1) + stripComment(cursor.lines[cursor.index]);
+  }
+  return value;
+}
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+// TOML key or table name with quotes resolved and spacing around dots removed
+function normalizeTomlKey(key) {
+  return key.match(new RegExp(TOML_KEY_PART, 'g'))
+    .map(part => (part[0] === '"' ? decodeTomlEscapes(part.slice(1, -1), 0) : part.replace(/^'|'$/g, '')))
+    .join('.');
+}
+
+/**
+ * Parse an INI, TOML or .env file into sections of key-value entries
+ *
+ * Sections are { name, array, startLine, endLine, entries } in file order,
+ * where array marks a TOML `[[table]]` and entries are { key, value,
+ * startLine, endLine }; keys above the first header are in a section named
+ * ''. An INI section may appear several times.
+ *
+ * @param {string} text - File contents
+ * @param {string} format - One of KEY_VALUE_FORMATS
+ * @returns {Array<Object>} Sections
+ * @throws {KeyValueParseError} If a line is neither a header, a comment nor
+ *   an assignment, or a quoted value is not closed
+ */
+export function parseKeyValue(text, format) {
+  const lines = text.split(/\r?\n/);
+  const sections = [];
+  let section = { name: TOP_LEVEL, array: false, startLine: 1, endLine: 1, entries: [] };
+  sections.push(section);
+  let lastEntry = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const content = line.trim();
+    const lineNumber = i + 1;
+
+    if (!content) {
+      lastEntry = null;
+      continue;
+    }
+    if (content.startsWith('#') || (format === KEY_VALUE_FORMATS.INI && content.startsWith(';'))) continue;
+
+    // An indented INI line continues the value above it
+    if (format === KEY_VALUE_FORMATS.INI && lastEntry && /^\s/.test(line)) {
+      lastEntry.value += `\n${readIniValue(new LineCursor(lines, i, content))}`;
+      lastEntry.endLine = section.endLine = lineNumber;
+      continue;
+    }
+
+    if (format !== KEY_VALUE_FORMATS.ENV && content.startsWith('[')) {
+      const arrayHeader = format === KEY_VALUE_FORMATS.TOML && content.match(TOML_ARRAY_HEADER);
+      const header = arrayHeader || content.match(format === KEY_VALUE_FORMATS.TOML ? TOML_HEADER : INI_HEADER);
+      if (!header) throw new KeyValueParseError(`Invalid section header: ${content}`, lineNumber);
+      const name = format === KEY_VALUE_FORMATS.TOML ? normalizeTomlKey(header[1]) : header[1];
+      section = { name, array: Boolean(arrayHeader), startLine: lineNumber, endLine: lineNumber, entries: [] };
+      sections.push(section);
+      lastEntry = null;
+      continue;
+    }
+
+    const pattern = {
+      [KEY_VALUE_FORMATS.INI]: INI_ASSIGNMENT,
+      [KEY_VALUE_FORMATS.TOML]: TOML_ASSIGNMENT,
+      [KEY_VALUE_FORMATS.ENV]: ENV_ASSIGNMENT
+    }[format];
+    const match = content.match(pattern);
+    if (!match) throw new KeyValueParseError(`Expected "key = value": ${content}`, lineNumber);
+
+    const cursor = new LineCursor(lines, i, match[2]);
+    let key = match[1];
+    let value;
+    if (format === KEY_VALUE_FORMATS.TOML) {
+      key = normalizeTomlKey(key);
+      value = readTomlValue(cursor, lineNumber);
+    } else if (format === KEY_VALUE_FORMATS.ENV) {
+      value = readEnvValue(cursor, lineNumber);
+    } else {
+      value = readIniValue(cursor);
+    }
+
+    lastEntry = { key, value, startLine: lineNumber, endLine: cursor.index + 1 };
+    section.entries.push(lastEntry);
+    section.endLine = lastEntry.endLine;
+    if (section.name === TOP_LEVEL && section.entries.length === 1) section.startLine = lineNumber;
+    i = cursor.index;
+  }
+
+  return sections;
+}
+
+// ============================================================================
+// Tree Comparison
+// ============================================================================
+
+// Section name → { array, parts: sections of that name }
+function groupSections(sections) {
+  const groups = new Map();
+  for (const section of sections) {
+    if (section.name === TOP_LEVEL && section.entries.length === 0) continue;
+    if (!groups.has(section.name)) groups.set(section.name, { array: section.array, parts: [] });
+    groups.get(section.name).parts.push(section);
+  }
+  return groups;
+}
+
+// Keys given more than once in one table (`section\0key`)
+function repeatedKeys(groups, repeated) {
+  for (const [name, group] of groups) {
+    // Repeated INI sections are one section; each [[table]] is its own
+    const tables = group.array ? group.parts.map(part => part.entries) : [group.parts.flatMap(part => part.entries)];
+    for (const entries of tables) {
+      const seen = new Set();
+      for (const { key } of entries) {
+        if (seen.has(key)) repeated.add(`${name}\u0000${key}`);
+        seen.add(key);
+      }
+    }
+  }
+}
+
+const span = (nodes, type, extra) => ({
+  type,
+  ...extra,
+  startLine: nodes.length ? Math.min(...nodes.map(node => node.startLine)) : 1,
+  endLine: nodes.length ? Math.max(...nodes.map(node => node.endLine)) : 1
+});
+
+function tableNode(name, entries, startLine, endLine, repeated) {
+  const values = new Map();
+  for (const entry of entries) {
+    if (!values.has(entry.key)) values.set(entry.key, []);
+    values.get(entry.key).push({ type: 'string', value: entry.value, startLine: entry.startLine, endLine: entry.endLine });
+  }
+
+  const nodeEntries = new Map();
+  for (const [key, nodes] of values) {
+    nodeEntries.set(key, repeated.has(`${name}\u0000${key}`) ? span(nodes, 'array', { items: nodes }) : nodes[0]);
+  }
+  return { type: 'object', entries: nodeEntries, startLine, endLine };
+}
+
+function toTree(groups, repeated) {
+  const entries = new Map();
+  for (const [name, group] of groups) {
+    if (group.array) {
+      const items = group.parts.map(part => tableNode(name, part.entries, part.startLine, part.endLine, repeated));
+      entries.set(name, span(items, 'array', { items }));
+    } else {
+      const [first] = group.parts;
+      const last = group.parts[group.parts.length - 1];
+      entries.set(name, tableNode(name, group.parts.flatMap(part => part.entries), first.startLine, last.endLine, repeated));
+    }
+  }
+  return span([...entries.values()], 'object', { entries });
+}
+
+/**
+ * Format path segments as a dotted path (keys above the first section have
+ * no section part)
+ *
+ * @param {Array<string|number>} segments - Section, key and list positions
+ * @returns {string} E.g. "database.port", "servers[2].host", "PATH"
+ */
+export function formatKeyValuePath(segments) {
+  let path = '';
+  for (const segment of segments) {
+    if (typeof segment === 'number') {
+      path += `[${segment + 1}]`;
+    } else if (segment !== TOP_LEVEL) {
+      path += path ? `.${segment}` : segment;
+    }
+  }
+  return path || '(top level)';
+}
+
+/**
+ * Compare two INI, TOML or .env files by section and key
+ *
+ * @param {string} oldText - Previous file
+ * @param {string} newText - Current file
+ * @param {Object} options
+ * @param {string} options.format - One of KEY_VALUE_FORMATS
+ * @param {Function} [options.diffWords] - diffWords for changed values
+ * @returns {Array<Object>} Structural changes; changed values carry
+ *   `wordDiff`
+ * @throws {KeyValueParseError} If either side cannot be read
+ */
+export function compareKeyValue(oldText, newText, options = {}) {
+  const { format = KEY_VALUE_FORMATS.INI, diffWords = null } = options;
+  const oldGroups = groupSections(parseKeyValue(oldText, format));
+  const newGroups = groupSections(parseKeyValue(newText, format));
+
+  // A key repeated on either side is a list on both, so its values pair up
+  const repeated = new Set();
+  repeatedKeys(oldGroups, repeated);
+  repeatedKeys(newGroups, repeated);
+
+  const changes = diffTrees(toTree(oldGroups, repeated), toTree(newGroups, repeated), {
+    formatPath: formatKeyValuePath
+  });
+
+  if (diffWords) {
+    for (const change of changes) {
+      if (change.type === 'changed' && typeof change.oldValue === 'string' && typeof change.newValue === 'string') {
+        change.wordDiff = diffWords(change.oldValue, change.newValue);
+      }
+    }
+  }
+  return changes;
+}
+
+export default {
+  KeyValueParseError,
+  parseKeyValue,
+  formatKeyValuePath,
+  compareKeyValue
+};
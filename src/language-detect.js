@@ -11,102 +11,21 @@
  * SPDX-License-Identifier: MIT
  */
 
+import { LANGUAGES, getGrammarLanguages, getContentDetectors, getLanguageForHljsName, getLanguageForExtension } from './language-registry.js';
+
 let hljs = null;
 
-// Supported languages for AST parsing - must be kept in sync with tree-sitter-loader.js
-// Defined here to avoid importing tree-sitter-loader (which has browser-only CDN imports)
-const DETECTABLE_LANGUAGES = [
-  'javascript', 'typescript', 'tsx', 'python', 'json', 'html', 'css',
-  'go', 'rust', 'java', 'c', 'cpp', 'yaml', 'bash', 'regex'
-];
+// Languages with a Tree-sitter grammar, from the language registry
+const DETECTABLE_LANGUAGES = getGrammarLanguages();
 
 /**
  * Map file extensions to Tree-sitter language identifiers
  */
-const EXTENSION_MAP = {
-  // JavaScript/TypeScript
-  '.js': 'javascript',
-  '.jsx': 'javascript',
-  '.mjs': 'javascript',
-  '.cjs': 'javascript',
-  '.ts': 'typescript',
-  '.tsx': 'tsx',
-  '.mts': 'typescript',
-  '.cts': 'typescript',
-  
-  // Python
-  '.py': 'python',
-  '.pyw': 'python',
-  '.pyi': 'python',
-  '.pyc': null, // Don't parse compiled Python
-  
-  // JSON
-  '.json': 'json',
-  '.jsonc': 'json', // JSON with comments
-  
-  // Web
-  '.html': 'html',
-  '.htm': 'html',
-  '.xhtml': 'html',
-  '.css': 'css',
-  '.scss': 'css',
-  '.sass': 'css',
-  '.less': 'css',
-  
-  // Go
-  '.go': 'go',
-  
-  // Rust
-  '.rs': 'rust',
-  
-  // Java
-  '.java': 'java',
-  
-  // C/C++
-  '.c': 'c',
-  '.cpp': 'cpp',
-  '.cc': 'cpp',
-  '.cxx': 'cpp',
-  '.h': 'c',
-  '.hpp': 'cpp',
-  '.hxx': 'cpp',
-  
-  // Data/Config
-  '.yml': 'yaml',
-  '.yaml': 'yaml',
-  
-  // Shell
-  '.sh': 'bash',
-  '.bash': 'bash',
-  '.zsh': 'bash',
-  '.fish': 'bash',
-  
-  // Other
-  '.regex': 'regex',
-  '.regexp': 'regex',
-};
-
-/**
- * Map highlight.js language names to app's language identifiers
- */
-const HLJS_LANGUAGE_MAP = {
-  'javascript': 'javascript',
-  'typescript': 'typescript',
-  'python': 'python',
-  'bash': 'bash',
-  'shell': 'bash',
-  'go': 'go',
-  'rust': 'rust',
-  'java': 'java',
-  'json': 'json',
-  'html': 'html',
-  'xml': 'html',
-  'css': 'css',
-  'yaml': 'yaml',
-  'c': 'c',
-  'cpp': 'cpp',
-  'c++': 'cpp',
-};
+const EXTENSION_MAP = Object.fromEntries(
+  DETECTABLE_LANGUAGES.flatMap(language =>
+    LANGUAGES[language].extensions.map(extension => [extension, language])
+  )
+);
 
 /**
  * Initialize highlight.js (browser only)
@@ -151,7 +70,7 @@ function detectLanguageWithHighlightJS(content) {
   try {
     const result = hljs.highlightAuto(content);
     if (result.language && result.confidence >= 70) {
-      const mapped = HLJS_LANGUAGE_MAP[result.language];
+      const mapped = getLanguageForHljsName(result.language);
       if (mapped && DETECTABLE_LANGUAGES.includes(mapped)) {
         return mapped;
       }
@@ -171,271 +90,10 @@ export async function initLanguageDetection() {
 }
 
 /**
- * Content-based detection patterns
- * Each pattern returns the language if matched, null otherwise
+ * Content-based detection patterns, in the order they run
+ * Each pattern returns true if the content matches its language
  */
-const CONTENT_DETECTORS = [
-  {
-    language: 'json',
-    test: (content) => {
-      const trimmed = content.trim();
-      if (!trimmed) return false;
-      
-      // Check if valid JSON
-      if ((trimmed.startsWith('{') || trimmed.startsWith('[')) && 
-          isValidJSON(trimmed)) {
-        return true;
-      }
-      return false;
-    }
-  },
-  {
-    language: 'typescript',
-    test: (content) => {
-      // TypeScript-specific patterns (in addition to JS patterns)
-      const tsPatterns = [
-        /:\s*(string|number|boolean|any|void|never)\s*[=;)]/m,
-        /\binterface\s+\w+\s*\{/m,
-        /\btype\s+\w+\s*=/m,
-        /\b(enum|namespace|module)\s+\w+/m,
-        /<\w+(,\s*\w+)*>/m,  // Generic type parameters
-      ];
-      
-      // Must have JS patterns AND at least one TS pattern
-      const jsScore = [
-        /\b(const|let|var)\s+/m,
-        /\bfunction\s+/m,
-        /\b(import|export)\b/m,
-      ].reduce((count, pattern) => count + (pattern.test(content) ? 1 : 0), 0);
-      
-      const tsScore = tsPatterns.reduce((count, pattern) => {
-        return count + (pattern.test(content) ? 1 : 0);
-      }, 0);
-      
-      return jsScore >= 1 && tsScore >= 1;
-    }
-  },
-  {
-    language: 'javascript',
-    test: (content) => {
-      // JavaScript/TypeScript patterns - more specific to avoid false positives with Java
-      const patterns = [
-        /\b(const|let|var)\s+[\w_$]+\s*[=:]/m,  // const/let/var assignment
-        /\bfunction\s+[\w_$]+\s*\(/m,           // function declaration (not class)
-        /\bclass\s+[\w_$]+\s*\{/m,               // class with brace (JS style, no public/protected)
-        /\b(import|export)\s+\{/m,               // ES modules
-        /\basync\s+function\b/m,                 // async function
-        /\bawait\s+/m,                          // await keyword
-        /=>/m,                                   // arrow functions
-        /\bconsole\.(log|error|warn|info)\b/m,   // console methods
-        /\bdocument\.\w+\(/m,                    // DOM methods
-      ];
-      
-      const score = patterns.reduce((count, pattern) => {
-        return count + (pattern.test(content) ? 1 : 0);
-      }, 0);
-      
-      // Exclude Java-specific patterns
-      const hasPublicClass = /\bpublic\s+class\b/.test(content);
-      const hasPrivateField = /\bprivate\s+\w+\s+\w+;/.test(content);
-      const hasSystemOut = /\bSystem\.(out|err)\./.test(content);
-      const hasJavaImport = /\bimport\s+java\./.test(content);
-      const isJavaCode = hasPublicClass || hasPrivateField || hasSystemOut || hasJavaImport;
-      
-      if (isJavaCode) return false;
-      
-      // Exclude TypeScript-specific patterns
-      const hasTypeAnnotation = /:\s*(string|number|boolean|any|void|never)\s*[=;)]/.test(content);
-      const hasInterface = /\binterface\s+\w+\s*\{/.test(content);
-      const hasTypeAlias = /\btype\s+\w+\s*=/.test(content);
-      const hasEnum = /\benum\s+\w+/.test(content);
-      const isTypeScriptCode = hasTypeAnnotation || hasInterface || hasTypeAlias || hasEnum;
-      
-      if (isTypeScriptCode) return false;
-      
-      // Exclude Python-specific patterns
-      const hasPythonDef = /^\s*def\s+\w+/.test(content);
-      const hasPythonImport = /^\s*(import\s+\w+|from\s+\w+\s+import)/m.test(content);
-      const hasPythonDecorator = /^\s*@[\w_]+/m.test(content);
-      const hasPythonAsync = /^\s*async def/m.test(content);
-      const isPythonCode = hasPythonDef || (hasPythonDecorator && hasPythonAsync);
-      
-      if (isPythonCode) return false;
-      
-      // Exclude Rust-specific patterns
-      const hasRustFn = /\bfn\s+\w+\s*\(/m.test(content);
-      const hasRustMod = /\bmod\s+\w+/.test(content);
-      const hasRustUse = /\buse\s+\w+::/.test(content);
-      const hasRustImpl = /\bimpl\s+/.test(content);
-      const isRustCode = (hasRustFn && hasRustMod) || (hasRustFn && hasRustUse) || (hasRustFn && hasRustImpl);
-      
-      if (isRustCode) return false;
-      
-      // Check for JS/TS comment styles
-      const hasJsLineComment = /\/\/\s*\w+/.test(content); // // comment style
-      const hasJsBlockComment = /\/\*[\s\S]*?\*\//.test(content); // /* */ comment style
-      const hasHashComment = / #\s*\w+/.test(content); // # comment (Python)
-      
-       // Require 2+ patterns for reliable detection
-      return score >= 2;
-    }
-  },
-  {
-    language: 'bash',
-    test: (content) => {
-      // Check shebang first (strong indicator)
-      // Use [#] to avoid parsing issues with #! sequence
-      if (/^[#]!\/bin\/(bash|sh|zsh|dash)/m.test(content)) {
-        return true;
-      }
-      
-      const patterns = [
-        /^\s*(if|then|else|elif|fi)\s*$/m,
-        /^\s*(for|while|do|done)\s*$/m,
-        /^\s*echo\s+/m,
-        /\$\w+/m,  // Variables
-        /\$\{\w+\}/m,  // Variable expansion
-        /^\s*export\s+\w+=/m,
-      ];
-      
-      const score = patterns.reduce((count, pattern) => {
-        return count + (pattern.test(content) ? 1 : 0);
-      }, 0);
-      
-      return score >= 2;
-    }
-  },
-  {
-    language: 'python',
-    test: (content) => {
-      // Python-specific patterns - be more specific to avoid Java conflicts
-      const patterns = [
-        /^\s*def\s+\w+\s*\(/m,  // def function()
-        /^\s*class\s+\w+.*:/m,  // class MyClass: (with colon like Python)
-        /^\s*import\s+(?!java\b)\w/m,  // Import statements (exclude Java imports)
-        /^\s*from\s+\w+\s+import/m,  // From imports (Python specific syntax)
-        /^\s*if __name__\s*==\s*['"]__main__['"]\s*:/m,
-        /^\s*async def/m,  // async def
-        /^\s*(try|except|finally|raise)\s*:/m,
-        /^\s*print\s*\(/m,  // print function (at start of line)
-        /^\s*#.*$/m,  // Comment at start of line (with leading whitespace)
-      ];
-      
-      const score = patterns.reduce((count, pattern) => {
-        return count + (pattern.test(content) ? 1 : 0);
-      }, 0);
-      
-      // Require 2+ patterns to avoid false positives
-      return score >= 2;
-    }
-  },
-  {
-    language: 'go',
-    test: (content) => {
-      const patterns = [
-        /^\s*package\s+\w+/m,
-        /^\s*func\s+\w+/m,
-        /^\s*import\s*\(/m,
-        /\bdefer\s+/m,
-        /\bgo\s+\w+\(/m,
-        /\bchan\s+/m,
-      ];
-      
-      const score = patterns.reduce((count, pattern) => {
-        return count + (pattern.test(content) ? 1 : 0);
-      }, 0);
-      
-      return score >= 2;
-    }
-  },
-  {
-    language: 'rust',
-    test: (content) => {
-      const patterns = [
-        /\bfn\s+\w+\s*\(/m,
-        /\blet\s+mut\s+/m,
-        /\bimpl\s+/m,
-        /\buse\s+\w+::/m,
-        /\bmod\s+\w+/m,
-        /\bpub\s+(fn|struct|enum|trait)/m,
-        /\bmatch\s+/m,
-      ];
-      
-      const score = patterns.reduce((count, pattern) => {
-        return count + (pattern.test(content) ? 1 : 0);
-      }, 0);
-      
-      return score >= 2;
-    }
-  },
-  {
-    language: 'java',
-    test: (content) => {
-      const patterns = [
-        /\bpublic\s+class\s+\w+/m,
-        /\bprivate\s+\w+\s+\w+\s*;/m,
-        /\bSystem\.(out|err)\./m,
-        /\bimport\s+java\./m,
-        /@\w+\s*$/m,  // Annotations
-      ];
-      
-      const score = patterns.reduce((count, pattern) => {
-        return count + (pattern.test(content) ? 1 : 0);
-      }, 0);
-      
-      return score >= 2;
-    }
-  },
-  {
-    language: 'yaml',
-    test: (content) => {
-      const patterns = [
-        /^---\s*$/m,
-        /^\w+:\s*\w/m,
-        /^\s+-\s+\w/m,  // Array items
-        /^\w+:\s*$/m,   // Key with no value yet
-      ];
-      
-      const score = patterns.reduce((count, pattern) => {
-        return count + (pattern.test(content) ? 1 : 0);
-      }, 0);
-      
-      return score >= 2;
-    }
-  },
-  {
-    language: 'html',
-    test: (content) => {
-      // Must look like HTML, not just have < > characters
-      const patterns = [
-        /<(!DOCTYPE|html|head|body|div|span|p|a|img)\b/i,
-        /<\w+\s+\w+\s*=\s*["'][^"']*["']/i,  // Attributes
-        /<\/\w+>/i,  // Closing tags
-      ];
-      
-      const score = patterns.reduce((count, pattern) => {
-        return count + (pattern.test(content) ? 1 : 0);
-      }, 0);
-      
-      return score >= 2;
-    }
-  },
-];
-
-/**
- * Validate JSON string
- * 
- * @param {string} str - String to validate
- * @returns {boolean}
- */
-function isValidJSON(str) {
-  try {
-    JSON.parse(str);
-    return true;
-  } catch {
-    return false;
-  }
-}
+const CONTENT_DETECTORS = getContentDetectors();
 
 /**
  * Detect language from filename and/or content
@@ -454,6 +112,11 @@ export function detectLanguage(filename = '', content = '') {
       if (lang && DETECTABLE_LANGUAGES.includes(lang)) {
         return lang;
       }
+      // A file type the registry knows without a grammar (.env, .ini, .sql)
+      // is not guessed from its content: `KEY="x y"` is .env, not TOML
+      if (getLanguageForExtension(ext)) {
+        return null;
+      }
     }
   }
   
@@ -549,8 +212,9 @@ function getFileExtension(filename) {
   if (lower.endsWith('.spec.ts')) return '.ts';
   
   // Standard extension extraction
+  // A dotfile named after its type (.env) is its own extension
   const lastDot = filename.lastIndexOf('.');
-  if (lastDot === -1 || lastDot === 0) {
+  if (lastDot === -1) {
     return null;
   }
   
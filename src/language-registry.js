@@ -0,0 +1,2381 @@
+/**
+ * Language Registry Module
+ *
+ * The single list of languages the tool knows about. Each entry declares
+ * everything a subsystem needs for that language, and the subsystems
+ * derive their tables from here instead of keeping their own:
+ *
+ * - extensions, aliases, hljsNames, detect → language-detect.js, detectFileLanguage(),
+ *                                           index.html
+ * - grammar (asset id in VENDOR_ASSETS)    → tree-sitter-loader.js
+ * - syntax (comments and strings)          → region-detector.js
+ * - delimiters                             → delimiter-normalizer.js
+ * - slider (scoring weights)               → slider-correction.js
+ * - highlightQuery                         → highlight-query.js
+ *
+ * Besides programming languages, the registry holds the other file types
+ * the page labels (network configs, patches, logs). Every field is
+ * required. Languages without a Tree-sitter grammar set
+ * `grammar` and `highlightQuery` to null, and languages without a content
+ * heuristic set `detect` to null. validateRegistry() reports entries that
+ * break these rules.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import {
+  detectKeyValueFormat,
+  detectNetworkConfigFormat,
+  detectJunosStyle,
+  detectMarkupFormat,
+  isUnifiedDiff,
+  KEY_VALUE_FORMATS
+} from './format-detect.js';
+
+// ============================================================================
+// Shared Definitions
+// ============================================================================
+
+const DOUBLE_QUOTED = { start: '"', end: '"', escape: '\\' };
+const SINGLE_QUOTED = { start: "'", end: "'", escape: '\\' };
+
+// C, C++, Java, JavaScript and TypeScript
+const C_STYLE_SYNTAX = {
+  lineComments: ['//'],
+  blockComments: [['/*', '*/']],
+  strings: [DOUBLE_QUOTED, SINGLE_QUOTED]
+};
+
+// Delimiter pairs common to most languages
+export const BASE_DELIMITERS = [
+  ['(', ')'],
+  ['[', ']'],
+  ['{', '}'],
+  ['<', '>']
+];
+
+// Slider weights: C-style languages prefer keeping braces with signatures
+const SLIDER_BRACES = { braceWeight: 0.3, indentWeight: 0.2, commentWeight: 0.2, delimiterWeight: 0.3 };
+const SLIDER_C_STYLE = { braceWeight: 0.25, indentWeight: 0.25, commentWeight: 0.2, delimiterWeight: 0.3 };
+// Keyword-delimited languages: blocks close with 'end', not braces
+const SLIDER_END_BLOCKS = { braceWeight: 0.0, indentWeight: 0.4, commentWeight: 0.3, delimiterWeight: 0.3 };
+const SLIDER_DEFAULT = { braceWeight: 0.25, indentWeight: 0.25, commentWeight: 0.25, delimiterWeight: 0.25 };
+
+const SLIDER_WEIGHT_KEYS = ['braceWeight', 'indentWeight', 'commentWeight', 'delimiterWeight'];
+
+/**
+ * Validate JSON string
+ *
+ * @param {string} str - String to validate
+ * @returns {boolean}
+ */
+function isValidJSON(str) {
+  try {
+    JSON.parse(str);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// TypeScript and TSX share node types, so they share one query
+const TYPESCRIPT_HIGHLIGHT_QUERY = `
+    ; JavaScript keywords (inherited)
+    [
+      "if" "else" "for" "while" "do" "switch" "case" "break" "continue" "return"
+      "try" "catch" "finally" "throw" "new" "class" "extends"
+      "function" "var" "let" "const" "import" "export" "from" "as" "default"
+      "async" "await" "yield" "typeof" "instanceof" "in" "of" "void"
+      "delete" "with" "debugger"
+    ] @keyword
+
+    ; Special keywords that are named nodes
+    (this) @keyword
+    (super) @keyword
+
+    ; TypeScript-specific keywords
+    [
+      "type" "interface" "enum" "namespace" "module" "declare"
+      "public" "private" "protected" "readonly" "static" "abstract"
+      "override" "implements" "keyof" "infer" "is" "as" "satisfies"
+    ] @keyword
+
+    ; Identifiers
+    (identifier) @identifier
+    (type_identifier) @identifier
+    (property_identifier) @identifier
+    (shorthand_property_identifier) @identifier
+
+    ; Literals
+    (string) @string
+    (template_string) @string
+    (regex) @string
+    (number) @number
+    (true) @keyword
+    (false) @keyword
+    (null) @keyword
+    (undefined) @keyword
+
+    ; Comments
+    (comment) @comment
+
+    ; Operators
+    [
+      "===" "!==" "==" "!=" "<=" ">=" "=>" "**" "++" "--"
+      "&&" "||" "<<" ">>" "??" "..."
+      "+" "-" "*" "/" "%" "=" "<" ">" "!" "~" "&" "|" "^"
+    ] @operator
+
+    ; Optional chaining operator (parsed as named node)
+    (optional_chain) @operator
+
+    ; Spread element
+    (spread_element) @operator
+
+    ; Punctuation
+    [
+      "(" ")" "[" "]" "{" "}" "," ";" "." ":"
+    ] @delimiter
+  `;
+
+// ============================================================================
+// Languages
+// ============================================================================
+
+export const LANGUAGES = {
+  javascript: {
+    label: 'JavaScript',
+    aliases: ['js', 'jsx', 'node'],
+    extensions: ['.js', '.jsx', '.mjs', '.cjs'],
+    hljsNames: ['javascript'],
+    detect: (content) => {
+      // JavaScript/TypeScript patterns - more specific to avoid false positives with Java
+      const patterns = [
+        /\b(const|let|var)\s+[\w_$]+\s*[=:]/m,  // const/let/var assignment
+        /\bfunction\s+[\w_$]+\s*\(/m,           // function declaration (not class)
+        /\bclass\s+[\w_$]+\s*\{/m,               // class with brace (JS style, no public/protected)
+        /\b(import|export)\s+\{/m,               // ES modules
+        /\basync\s+function\b/m,                 // async function
+        /\bawait\s+/m,                          // await keyword
+        /=>/m,                                   // arrow functions
+        /\bconsole\.(log|error|warn|info)\b/m,   // console methods
+        /\bdocument\.\w+\(/m,                    // DOM methods
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      // Exclude Java-specific patterns
+      const hasPublicClass = /\bpublic\s+class\b/.test(content);
+      const hasPrivateField = /\bprivate\s+\w+\s+\w+;/.test(content);
+      const hasSystemOut = /\bSystem\.(out|err)\./.test(content);
+      const hasJavaImport = /\bimport\s+java\./.test(content);
+      const isJavaCode = hasPublicClass || hasPrivateField || hasSystemOut || hasJavaImport;
+      
+      if (isJavaCode) return false;
+      
+      // Exclude TypeScript-specific patterns
+      const hasTypeAnnotation = /:\s*(string|number|boolean|any|void|never)\s*[=;)]/.test(content);
+      const hasInterface = /\binterface\s+\w+\s*\{/.test(content);
+      const hasTypeAlias = /\btype\s+\w+\s*=/.test(content);
+      const hasEnum = /\benum\s+\w+/.test(content);
+      const isTypeScriptCode = hasTypeAnnotation || hasInterface || hasTypeAlias || hasEnum;
+      
+      if (isTypeScriptCode) return false;
+      
+      // Exclude Python-specific patterns
+      const hasPythonDef = /^\s*def\s+\w+/.test(content);
+      const hasPythonImport = /^\s*(import\s+\w+|from\s+\w+\s+import)/m.test(content);
+      const hasPythonDecorator = /^\s*@[\w_]+/m.test(content);
+      const hasPythonAsync = /^\s*async def/m.test(content);
+      const isPythonCode = hasPythonDef || (hasPythonDecorator && hasPythonAsync);
+      
+      if (isPythonCode) return false;
+      
+      // Exclude Rust-specific patterns
+      const hasRustFn = /\bfn\s+\w+\s*\(/m.test(content);
+      const hasRustMod = /\bmod\s+\w+/.test(content);
+      const hasRustUse = /\buse\s+\w+::/.test(content);
+      const hasRustImpl = /\bimpl\s+/.test(content);
+      const isRustCode = (hasRustFn && hasRustMod) || (hasRustFn && hasRustUse) || (hasRustFn && hasRustImpl);
+      
+      if (isRustCode) return false;
+      
+      // Check for JS/TS comment styles
+      const hasJsLineComment = /\/\/\s*\w+/.test(content); // // comment style
+      const hasJsBlockComment = /\/\*[\s\S]*?\*\//.test(content); // /* */ comment style
+      const hasHashComment = / #\s*\w+/.test(content); // # comment (Python)
+      
+       // Require 2+ patterns for reliable detection
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-javascript',
+    syntax: C_STYLE_SYNTAX,
+    delimiters: [...BASE_DELIMITERS, ['${', '}']], // Template literal expressions
+    slider: SLIDER_BRACES,
+    highlightQuery: `
+      ; Keywords
+      [
+        "if" "else" "for" "while" "do" "switch" "case" "break" "continue" "return"
+        "try" "catch" "finally" "throw" "new" "class" "extends"
+        "function" "var" "let" "const" "import" "export" "from" "as" "default"
+        "async" "await" "yield" "typeof" "instanceof" "in" "of" "void"
+        "delete" "with" "debugger"
+      ] @keyword
+
+      ; Special keywords that are named nodes
+      (this) @keyword
+      (super) @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+
+      ; Properties and methods
+      (property_identifier) @identifier
+      (shorthand_property_identifier) @identifier
+
+      ; Literals
+      (string) @string
+      (template_string) @string
+      (regex) @string
+      (number) @number
+      (true) @keyword
+      (false) @keyword
+      (null) @keyword
+      (undefined) @keyword
+
+      ; Comments
+      (comment) @comment
+
+      ; Operators
+      [
+        "===" "!==" "==" "!=" "<=" ">=" "=>" "**" "++" "--"
+        "&&" "||" "<<" ">>" "??" "..."
+        "+" "-" "*" "/" "%" "=" "<" ">" "!" "~" "&" "|" "^"
+      ] @operator
+
+      ; Optional chaining operator (parsed as named node)
+      (optional_chain) @operator
+
+      ; Spread element
+      (spread_element) @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." ":"
+      ] @delimiter
+    `
+  },
+
+  typescript: {
+    label: 'TypeScript',
+    aliases: ['ts'],
+    extensions: ['.ts', '.mts', '.cts', '.d.ts'],
+    hljsNames: ['typescript'],
+    detect: (content) => {
+      // TypeScript-specific patterns (in addition to JS patterns)
+      const tsPatterns = [
+        /:\s*(string|number|boolean|any|void|never)\s*[=;)]/m,
+        /\binterface\s+\w+\s*\{/m,
+        /\btype\s+\w+\s*=/m,
+        /\b(enum|namespace|module)\s+\w+/m,
+        /<\w+(,\s*\w+)*>/m,  // Generic type parameters
+      ];
+      
+      // Must have JS patterns AND at least one TS pattern
+      const jsScore = [
+        /\b(const|let|var)\s+/m,
+        /\bfunction\s+/m,
+        /\b(import|export)\b/m,
+      ].reduce((count, pattern) => count + (pattern.test(content) ? 1 : 0), 0);
+      
+      const tsScore = tsPatterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return jsScore >= 1 && tsScore >= 1;
+    },
+    grammar: 'tree-sitter-typescript',
+    syntax: C_STYLE_SYNTAX,
+    delimiters: [...BASE_DELIMITERS, ['${', '}']], // Template literal expressions
+    slider: SLIDER_BRACES,
+    highlightQuery: TYPESCRIPT_HIGHLIGHT_QUERY
+  },
+
+  tsx: {
+    label: 'TSX',
+    aliases: [],
+    extensions: ['.tsx'],
+    hljsNames: [],
+    detect: null,
+    grammar: 'tree-sitter-tsx',
+    syntax: C_STYLE_SYNTAX,
+    delimiters: [...BASE_DELIMITERS, ['${', '}']], // Template literal expressions
+    slider: SLIDER_BRACES,
+    highlightQuery: TYPESCRIPT_HIGHLIGHT_QUERY
+  },
+
+  python: {
+    label: 'Python',
+    aliases: ['py'],
+    extensions: ['.py', '.pyw', '.pyi'],
+    hljsNames: ['python'],
+    detect: (content) => {
+      // Python-specific patterns - be more specific to avoid Java conflicts
+      const patterns = [
+        /^\s*def\s+\w+\s*\(/m,  // def function()
+        /^\s*class\s+\w+.*:/m,  // class MyClass: (with colon like Python)
+        /^\s*import\s+(?!java\b)\w/m,  // Import statements (exclude Java imports)
+        /^\s*from\s+\w+\s+import/m,  // From imports (Python specific syntax)
+        /^\s*if __name__\s*==\s*['"]__main__['"]\s*:/m,
+        /^\s*async def/m,  // async def
+        /^\s*(try|except|finally|raise)\s*:/m,
+        /^\s*print\s*\(/m,  // print function (at start of line)
+        /^\s*#.*$/m,  // Comment at start of line (with leading whitespace)
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      // Require 2+ patterns to avoid false positives
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-python',
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' },
+        { start: '"""', end: '"""', multiline: true },
+        { start: '\'\'\'', end: '\'\'\'', multiline: true }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: { braceWeight: 0.0, indentWeight: 0.5, commentWeight: 0.3, delimiterWeight: 0.2 }, // Indentation is critical, no braces
+    highlightQuery: `
+      ; Keywords
+      [
+        "if" "elif" "else" "for" "while" "break" "continue" "return"
+        "try" "except" "finally" "raise" "with" "as" "def" "class"
+        "import" "from" "lambda" "yield" "pass" "assert" "del" "global"
+        "nonlocal" "async" "await" "and" "or" "not" "in" "is"
+      ] @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+
+      ; Literals
+      (string) @string
+      (integer) @number
+      (float) @number
+      (true) @keyword
+      (false) @keyword
+      (none) @keyword
+
+      ; Comments
+      (comment) @comment
+
+      ; Operators
+      [
+        "==" "!=" "<=" ">=" "**" "//" "<<" ">>" ":=" "->"
+        "+" "-" "*" "/" "%" "=" "<" ">" "~" "&" "|" "^"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." ":"
+      ] @delimiter
+    `
+  },
+
+  json: {
+    label: 'JSON',
+    aliases: [],
+    extensions: ['.json', '.jsonc'],
+    hljsNames: ['json'],
+    detect: (content) => {
+      const trimmed = content.trim();
+      if (!trimmed) return false;
+      
+      // Check if valid JSON
+      if ((trimmed.startsWith('{') || trimmed.startsWith('[')) && 
+          isValidJSON(trimmed)) {
+        return true;
+      }
+      return false;
+    },
+    grammar: 'tree-sitter-json',
+    syntax: {
+      lineComments: [],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' }
+      ]
+    },
+    delimiters: [['[', ']'], ['{', '}']],
+    slider: { braceWeight: 0.4, indentWeight: 0.3, commentWeight: 0.1, delimiterWeight: 0.2 },
+    highlightQuery: `
+      ; String keys and values
+      (string (string_content) @string) @string
+      (pair key: (string) @string) @string
+
+      ; Numbers
+      (number) @number
+
+      ; Boolean and null
+      [
+        (true) (false) (null)
+      ] @keyword
+
+      ; Punctuation
+      [ ":" "," "{" "}" "[" "]" ] @delimiter
+    `
+  },
+
+  html: {
+    label: 'HTML',
+    aliases: ['svg'],
+    extensions: ['.html', '.htm', '.xhtml'],
+    hljsNames: ['html', 'xml'],
+    detect: (content) => {
+      // Must look like HTML, not just have < > characters
+      const patterns = [
+        /<(!DOCTYPE|html|head|body|div|span|p|a|img)\b/i,
+        /<\w+\s+\w+\s*=\s*["'][^"']*["']/i,  // Attributes
+        /<\/\w+>/i,  // Closing tags
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-html',
+    syntax: {
+      lineComments: [],
+      blockComments: [['<!--', '-->']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: [['<', '>'], ['<!--', '-->']],
+    slider: SLIDER_DEFAULT,
+    highlightQuery: `
+      ; Tag names
+      (element (start_tag (tag_name) @keyword)) @keyword
+      (element (end_tag (tag_name) @keyword)) @keyword
+      (self_closing_tag (tag_name) @keyword) @keyword
+
+      ; Attribute names
+      (attribute (attribute_name) @identifier) @identifier
+
+      ; Attribute values
+      (attribute (quoted_attribute_value) @string) @string
+
+      ; Text content
+      (text) @other
+
+      ; Comments
+      (comment) @comment
+
+      ; Doctype
+      (doctype) @keyword
+
+      ; Punctuation
+      [ "<" ">" "</" "/>" "=" ] @delimiter
+    `
+  },
+
+  css: {
+    label: 'CSS',
+    aliases: ['scss', 'sass', 'less'],
+    extensions: ['.css', '.scss', '.sass', '.less'],
+    hljsNames: ['css'],
+    detect: null,
+    grammar: 'tree-sitter-css',
+    syntax: {
+      lineComments: ['//'],
+      blockComments: [['/*', '*/']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: [['(', ')'], ['[', ']'], ['{', '}']],
+    slider: SLIDER_DEFAULT,
+    highlightQuery: `
+      ; Selectors
+      (tag_name) @keyword
+      (class_name) @identifier
+      (id_name) @identifier
+      (pseudo_class_selector) @identifier
+      (pseudo_element_selector) @identifier
+
+      ; Properties
+      (property_name) @identifier
+
+      ; Values
+      (string_value) @string
+      (color_value) @string
+      (integer_value) @number
+      (float_value) @number
+
+      ; Important keywords
+      (important) @keyword
+
+      ; At-rules
+      (at_keyword) @keyword
+
+      ; Comments
+      (comment) @comment
+
+      ; Punctuation
+      [ ":" ";" "{" "}" "," "(" ")" ] @delimiter
+    `
+  },
+
+  go: {
+    label: 'Go',
+    aliases: [],
+    extensions: ['.go'],
+    hljsNames: ['go'],
+    detect: (content) => {
+      const patterns = [
+        /^\s*package\s+\w+/m,
+        /^\s*func\s+\w+/m,
+        /^\s*import\s*\(/m,
+        /\bdefer\s+/m,
+        /\bgo\s+\w+\(/m,
+        /\bchan\s+/m,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-go',
+    syntax: {
+      lineComments: ['//'],
+      blockComments: [['/*', '*/']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' },
+        { start: '`', end: '`', raw: true }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: `
+      ; Keywords
+      [
+        "break" "case" "chan" "const" "continue" "default" "defer" "else"
+        "fallthrough" "for" "func" "go" "goto" "if" "import" "interface"
+        "map" "package" "range" "return" "select" "struct" "switch"
+        "type" "var"
+      ] @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+      (package_identifier) @identifier
+      (type_identifier) @identifier
+      (field_identifier) @identifier
+
+      ; Literals
+      (interpreted_string_literal) @string
+      (raw_string_literal) @string
+      (rune_literal) @string
+      (int_literal) @number
+      (float_literal) @number
+      (imaginary_literal) @number
+      (true) @keyword
+      (false) @keyword
+      (nil) @keyword
+      (iota) @keyword
+
+      ; Comments
+      (comment) @comment
+
+      ; Operators
+      [
+        "==" "!=" "<=" ">=" "++" "--" "&&" "||" "<<" ">>" "&^"
+        ":=" "<-" "..."
+        "+" "-" "*" "/" "%" "=" "<" ">" "!" "&" "|" "^"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." ":"
+      ] @delimiter
+    `
+  },
+
+  rust: {
+    label: 'Rust',
+    aliases: ['rs'],
+    extensions: ['.rs'],
+    hljsNames: ['rust'],
+    detect: (content) => {
+      const patterns = [
+        /\bfn\s+\w+\s*\(/m,
+        /\blet\s+mut\s+/m,
+        /\bimpl\s+/m,
+        /\buse\s+\w+::/m,
+        /\bmod\s+\w+/m,
+        /\bpub\s+(fn|struct|enum|trait)/m,
+        /\bmatch\s+/m,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-rust',
+    syntax: {
+      lineComments: ['//'],
+      blockComments: [['/*', '*/']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' },
+        { start: 'r#', end: '"', raw: true },
+        { start: 'r##', end: '"', raw: true },
+        { start: 'r###', end: '"', raw: true }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: `
+      ; Keywords
+      [
+        "as" "break" "const" "continue" "else" "enum" "extern"
+        "false" "fn" "for" "if" "impl" "in" "let" "loop" "match"
+        "mod" "move" "pub" "ref" "return"
+        "static" "struct" "trait" "true" "type" "unsafe"
+        "use" "where" "while" "async" "await" "dyn"
+      ] @keyword
+      (crate) @keyword
+      (self) @keyword
+      (super) @keyword
+      (mutable_specifier) @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+      (type_identifier) @identifier
+      (field_identifier) @identifier
+      (lifetime) @identifier
+
+      ; Literals
+      (string_literal) @string
+      (raw_string_literal) @string
+      (char_literal) @string
+      (integer_literal) @number
+      (float_literal) @number
+      (boolean_literal) @keyword
+
+      ; Comments
+      (line_comment) @comment
+      (block_comment) @comment
+
+      ; Macros
+      (macro_invocation (identifier) @identifier) @identifier
+
+      ; Operators
+      [
+        "==" "!=" "<=" ">=" "&&" "||" ".." "..." "+=" "-="
+        "*=" "/=" "%=" "&=" "|=" "^=" "<<=" ">>="
+        "+" "-" "*" "/" "%" "=" "<" ">" "!" "&" "|" "^"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." ":" "::" "->" "&" "'"
+      ] @delimiter
+    `
+  },
+
+  java: {
+    label: 'Java',
+    aliases: [],
+    extensions: ['.java'],
+    hljsNames: ['java'],
+    detect: (content) => {
+      const patterns = [
+        /\bpublic\s+class\s+\w+/m,
+        /\bprivate\s+\w+\s+\w+\s*;/m,
+        /\bSystem\.(out|err)\./m,
+        /\bimport\s+java\./m,
+        /@\w+\s*$/m,  // Annotations
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-java',
+    syntax: C_STYLE_SYNTAX,
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_C_STYLE,
+    highlightQuery: `
+      ; Keywords
+      [
+        "abstract" "assert" "break" "byte" "case" "catch"
+        "char" "class" "continue" "default" "do" "double"
+        "else" "enum" "extends" "final" "finally" "float" "for"
+        "if" "implements" "import" "instanceof" "int"
+        "interface" "long" "native" "new" "package" "private"
+        "protected" "public" "return" "short" "static" "strictfp"
+        "switch" "synchronized" "throw" "throws"
+        "transient" "try" "volatile" "while"
+      ] @keyword
+      (boolean_type) @keyword
+      (void_type) @keyword
+      (this) @keyword
+      (super) @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+
+      ; Literals
+      (string_literal) @string
+      (character_literal) @string
+      (decimal_integer_literal) @number
+      (hex_integer_literal) @number
+      (decimal_floating_point_literal) @number
+      (true) @keyword
+      (false) @keyword
+      (null_literal) @keyword
+
+      ; Comments
+      (line_comment) @comment
+      (block_comment) @comment
+
+      ; Annotations
+      (annotation name: (identifier) @identifier) @identifier
+
+      ; Operators
+      [
+        "==" "!=" "<=" ">=" "&&" "||" "++" "--" "+=" "-="
+        "*=" "/=" "%=" "&=" "|=" "^=" "<<=" ">>=" ">>>"
+        "+" "-" "*" "/" "%" "=" "<" ">" "!" "~" "&" "|" "^"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." "::" "->"
+      ] @delimiter
+    `
+  },
+
+  c: {
+    label: 'C',
+    aliases: [],
+    extensions: ['.c', '.h'],
+    hljsNames: ['c'],
+    detect: null,
+    grammar: 'tree-sitter-c',
+    syntax: C_STYLE_SYNTAX,
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_C_STYLE,
+    highlightQuery: `
+      ; Keywords
+      [
+        "auto" "break" "case" "const" "continue" "default" "do"
+        "else" "enum" "extern" "for" "goto" "if"
+        "long" "register" "return" "short" "signed" "sizeof"
+        "static" "struct" "switch" "typedef" "union" "unsigned"
+        "volatile" "while"
+      ] @keyword
+      (primitive_type) @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+
+      ; Literals
+      (string_literal) @string
+      (char_literal) @string
+      (number_literal) @number
+      (true) @keyword
+      (false) @keyword
+      (null) @keyword
+
+      ; Comments
+      (comment) @comment
+
+      ; Preprocessor directives
+      (preproc_directive) @keyword
+      (preproc_def) @keyword
+      (preproc_function_def) @keyword
+      (preproc_if) @keyword
+      (preproc_ifdef) @keyword
+      (preproc_include) @keyword
+
+      ; Operators
+      [
+        "==" "!=" "<=" ">=" "&&" "||" "++" "--" "+=" "-="
+        "*=" "/=" "%=" "&=" "|=" "^=" "<<=" ">>="
+        "+" "-" "*" "/" "%" "=" "<" ">" "!" "~" "&" "|" "^"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." "->"
+      ] @delimiter
+    `
+  },
+
+  cpp: {
+    label: 'C++',
+    aliases: ['c++'],
+    extensions: ['.cpp', '.cc', '.cxx', '.hpp', '.hxx'],
+    hljsNames: ['cpp', 'c++'],
+    detect: null,
+    grammar: 'tree-sitter-cpp',
+    syntax: C_STYLE_SYNTAX,
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_C_STYLE,
+    highlightQuery: `
+      ; C keywords (inherited)
+      [
+        "break" "case" "const" "continue" "default" "do"
+        "else" "enum" "extern" "for" "goto" "if"
+        "long" "register" "return" "short" "signed" "sizeof"
+        "static" "struct" "switch" "typedef" "union" "unsigned"
+        "volatile" "while"
+      ] @keyword
+      (primitive_type) @keyword
+      (auto) @keyword
+
+      ; C++-specific keywords
+      [
+        "alignas" "alignof" "and" "and_eq" "asm" "bitand" "bitor"
+        "catch" "class" "compl" "concept" "constexpr"
+        "decltype" "delete" "explicit" "friend"
+        "inline" "mutable" "namespace" "new" "noexcept" "not"
+        "not_eq" "nullptr" "operator" "or" "or_eq" "private"
+        "protected" "public" "requires" "static_assert"
+        "template" "thread_local" "throw" "try"
+        "typename" "using" "virtual" "xor" "xor_eq"
+      ] @keyword
+      (this) @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+      (type_identifier) @identifier
+      (field_identifier) @identifier
+      (namespace_identifier) @identifier
+
+      ; Literals
+      (string_literal) @string
+      (raw_string_literal) @string
+      (char_literal) @string
+      (number_literal) @number
+      (true) @keyword
+      (false) @keyword
+      (null) @keyword
+
+      ; Comments
+      (comment) @comment
+
+      ; Preprocessor directives
+      (preproc_directive) @keyword
+      (preproc_def) @keyword
+      (preproc_function_def) @keyword
+      (preproc_if) @keyword
+      (preproc_ifdef) @keyword
+      (preproc_include) @keyword
+
+      ; Operators
+      [
+        "==" "!=" "<=" ">=" "&&" "||" "++" "--" "+=" "-="
+        "*=" "/=" "%=" "&=" "|=" "^=" "<<=" ">>="
+        "+" "-" "*" "/" "%" "=" "<" ">" "!" "~" "&" "|" "^"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." "->" "::"
+      ] @delimiter
+    `
+  },
+
+  yaml: {
+    label: 'YAML',
+    aliases: ['yml'],
+    extensions: ['.yml', '.yaml'],
+    hljsNames: ['yaml'],
+    detect: (content) => {
+      const patterns = [
+        /^---\s*$/m,
+        /^\w+:\s*\w/m,
+        /^\s+-\s+\w/m,  // Array items
+        /^\w+:\s*$/m,   // Key with no value yet
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-yaml',
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: { braceWeight: 0.0, indentWeight: 0.6, commentWeight: 0.2, delimiterWeight: 0.2 }, // Indentation defines structure
+    highlightQuery: `
+      ; Keys
+      (block_mapping_pair key: (flow_node) @identifier) @identifier
+      (flow_pair key: (flow_node) @identifier) @identifier
+
+      ; Values
+      (double_quote_scalar) @string
+      (single_quote_scalar) @string
+      (block_scalar) @string
+
+      ; Numbers
+      (integer_scalar) @number
+      (float_scalar) @number
+      (boolean_scalar) @keyword
+      (null_scalar) @keyword
+
+      ; Comments
+      (comment) @comment
+
+      ; Anchors and aliases
+      (anchor) @identifier
+      (alias) @identifier
+
+      ; Tags
+      (tag) @keyword
+
+      ; Punctuation
+      [ ":" "-" "," "[" "]" "{" "}" "|" ">" ] @delimiter
+    `
+  },
+
+  bash: {
+    label: 'Bash',
+    aliases: ['shell', 'sh', 'zsh'],
+    extensions: ['.sh', '.bash', '.zsh', '.fish'],
+    hljsNames: ['bash', 'shell'],
+    detect: (content) => {
+      // Check shebang first (strong indicator)
+      // Use [#] to avoid parsing issues with #! sequence
+      if (/^[#]!\/bin\/(bash|sh|zsh|dash)/m.test(content)) {
+        return true;
+      }
+      
+      const patterns = [
+        /^\s*(if|then|else|elif|fi)\s*$/m,
+        /^\s*(for|while|do|done)\s*$/m,
+        /^\s*echo\s+/m,
+        /\$\w+/m,  // Variables
+        /\$\{\w+\}/m,  // Variable expansion
+        /^\s*export\s+\w+=/m,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-bash',
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: false }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: String.raw`
+      ; Keywords
+      [
+        "if" "then" "else" "elif" "fi" "for" "while" "do" "done"
+        "case" "esac" "function"
+        "declare" "local" "export" "readonly" "typeset" "unset" "[["
+        "select" "until" "in"
+      ] @keyword
+
+      ; Identifiers
+      (variable_name) @identifier
+      (word) @identifier
+
+      ; Literals
+      (string) @string
+      (raw_string) @string
+      (ansi_c_string) @string
+      (number) @number
+
+      ; Comments
+      (comment) @comment
+
+      ; Operators
+      [
+        "==" "!=" "<=" ">=" "&&" "||"
+        "+=" "-=" "*=" "/=" "%=" "<<=" ">>=" "&=" "|="
+        "^=" "+" "-" "*" "/" "%" "=" "<" ">" "!" "~" "&" "|" "^"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" ";;" "|" "&" ">"
+        "<" ">>" "<<" "<&" ">&" "<<-" "<<<"
+      ] @delimiter
+
+      ; Special variables ($?, $#, $@, ...)
+      (special_variable_name) @identifier
+    `
+  },
+
+  regex: {
+    label: 'Regular Expression',
+    aliases: [],
+    extensions: ['.regex', '.regexp'],
+    hljsNames: [],
+    detect: null,
+    grammar: 'tree-sitter-regex',
+    syntax: {
+      lineComments: [],
+      blockComments: [],
+      strings: []
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: `
+      ; Literal characters
+      (pattern_character) @string
+      (class_character) @string
+
+      ; Escapes and assertions
+      [
+        (character_class_escape) (identity_escape) (control_escape)
+        (decimal_escape) (backreference_escape) (any_character)
+        (start_assertion) (end_assertion) (boundary_assertion)
+        (non_boundary_assertion)
+      ] @keyword
+
+      ; Quantifiers
+      [
+        (zero_or_more) (one_or_more) (optional) (count_quantifier) (lazy)
+      ] @operator
+      (decimal_digits) @number
+
+      ; Named groups
+      (group_name) @identifier
+
+      ; Punctuation
+      [ "(" ")" "(?:" "[" "]" "|" ] @delimiter
+    `
+  },
+
+  ruby: {
+    label: 'Ruby',
+    aliases: ['rb'],
+    extensions: ['.rb', '.rake', '.gemspec'],
+    hljsNames: ['ruby'],
+    detect: (content) => {
+      const patterns = [
+        /^\s*def\s+(self\.)?\w+[?!=]?(\s*\([^)]*\))?\s*$/m,  // def without Python's trailing colon
+        /^\s*end\s*$/m,
+        /^\s*require(_relative)?\s+['"]/m,
+        /^\s*puts\s/m,
+        /^\s*attr_(reader|writer|accessor)\s/m,
+        /\bdo\s*\|[^|]*\|/m,           // Block parameters
+        /^\s*class\s+\w+\s*<\s*[\w:]+\s*$/m,
+        /^\s*module\s+\w+\s*$/m,
+        /\belsif\b/m,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-ruby',
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [['=begin', '=end']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' },
+        { start: '%Q', end: '"', escape: '\\' },
+        { start: '%q', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_END_BLOCKS,
+    highlightQuery: `
+      ; Keywords
+      [
+        "alias" "and" "begin" "BEGIN" "break" "case" "class" "def" "do"
+        "else" "elsif" "end" "END" "ensure" "for" "if" "in" "module"
+        "next" "not" "or" "redo" "rescue" "retry" "return" "then"
+        "undef" "unless" "until" "when" "while" "yield"
+      ] @keyword
+      (self) @keyword
+      (true) @keyword
+      (false) @keyword
+      (nil) @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+      (constant) @identifier
+      (instance_variable) @identifier
+      (class_variable) @identifier
+      (global_variable) @identifier
+
+      ; Literals
+      (string) @string
+      (heredoc_body) @string
+      (simple_symbol) @string
+      (hash_key_symbol) @string
+      (regex) @string
+      (integer) @number
+      (float) @number
+
+      ; Comments
+      (comment) @comment
+
+      ; Operators
+      [
+        "==" "!=" "<=" ">=" "<=>" "===" "=~" "&&" "||" "**" "+=" "-="
+        "+" "-" "*" "/" "%" "=" "<" ">" "!" "&" "|" "^" "=>" ".."
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." "::"
+      ] @delimiter
+    `
+  },
+
+  php: {
+    label: 'PHP',
+    aliases: [],
+    extensions: ['.php', '.phtml'],
+    hljsNames: ['php'],
+    detect: (content) => {
+      // The opening tag is definitive
+      if (/^\s*<\?php\b/.test(content)) {
+        return true;
+      }
+      
+      const patterns = [
+        /\$this->\w+/m,
+        /\bfunction\s+\w+\s*\(\s*(\??\w+\s+)?\$\w+/m,  // function foo($bar)
+        /^\s*namespace\s+\w+(\\\w+)+\s*;/m,           // namespace App\Models;
+        /^\s*use\s+\w+(\\\w+)+\s*;/m,                 // use App\Models\User;
+        /\becho\s+["'$]/m,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-php',
+    syntax: {
+      lineComments: ['//', '#'],
+      blockComments: [['/*', '*/']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_C_STYLE,
+    highlightQuery: `
+      ; Keywords
+      [
+        "abstract" "as" "break" "case" "catch" "class" "const" "continue"
+        "declare" "default" "do" "echo" "else" "elseif" "enum" "extends"
+        "final" "finally" "fn" "for" "foreach" "function" "global" "if"
+        "implements" "include" "include_once" "instanceof" "interface"
+        "match" "namespace" "new" "private" "protected" "public"
+        "readonly" "require" "require_once" "return" "static" "switch"
+        "throw" "trait" "try" "use" "while" "yield"
+      ] @keyword
+      (primitive_type) @keyword
+      (boolean) @keyword
+      (null) @keyword
+
+      ; Identifiers
+      (name) @identifier
+      (variable_name) @identifier
+
+      ; Literals
+      (string) @string
+      (encapsed_string) @string
+      (heredoc) @string
+      (integer) @number
+      (float) @number
+
+      ; Comments
+      (comment) @comment
+
+      ; Operators
+      [
+        "==" "!=" "===" "!==" "<=" ">=" "<=>" "&&" "||" "??" "++" "--"
+        "+=" "-=" ".=" "=>" "->" "?->"
+        "+" "-" "*" "/" "%" "=" "<" ">" "!" "." "&" "|" "^"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" ":" "::"
+      ] @delimiter
+    `
+  },
+
+  csharp: {
+    label: 'C#',
+    aliases: ['c#', 'cs'],
+    extensions: ['.cs', '.csx'],
+    hljsNames: ['csharp'],
+    detect: (content) => {
+      const patterns = [
+        /^\s*using\s+System(\.\w+)*\s*;/m,
+        /^\s*namespace\s+[\w.]+\s*[{;]?\s*$/m,
+        /\bConsole\.Write(Line)?\(/m,
+        /\{\s*get;\s*((private|protected|init)\s+)?(set;\s*)?\}/m,  // Auto-properties
+        /\b(public|private|protected|internal)\s+(static\s+|override\s+|virtual\s+|async\s+)*[\w<>\[\]?]+\s+[A-Z]\w*\s*\(/m,  // PascalCase methods
+        /\basync\s+Task\b/m,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-csharp',
+    syntax: {
+      lineComments: ['//'],
+      blockComments: [['/*', '*/']],
+      strings: [
+        { start: '@"', end: '"', escape: false },
+        { start: '"""', end: '"""', multiline: true },
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_C_STYLE,
+    highlightQuery: `
+      ; Keywords
+      [
+        "abstract" "as" "async" "await" "base" "break" "case" "catch"
+        "class" "const" "continue" "default" "delegate" "do" "else" "enum"
+        "event" "explicit" "finally" "fixed" "for" "foreach" "get" "if"
+        "implicit" "in" "interface" "internal" "is" "lock" "namespace"
+        "new" "operator" "out" "override" "params" "partial" "private"
+        "protected" "public" "readonly" "record" "ref" "return" "sealed"
+        "set" "sizeof" "static" "struct" "switch" "this" "throw" "try"
+        "typeof" "using" "var" "virtual" "volatile" "when" "where"
+        "while" "yield"
+      ] @keyword
+      (predefined_type) @keyword
+      (boolean_literal) @keyword
+      (null_literal) @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+
+      ; Literals
+      (string_literal) @string
+      (verbatim_string_literal) @string
+      (raw_string_literal) @string
+      (interpolated_string_expression) @string
+      (character_literal) @string
+      (integer_literal) @number
+      (real_literal) @number
+
+      ; Comments
+      (comment) @comment
+
+      ; Operators
+      [
+        "==" "!=" "<=" ">=" "&&" "||" "??" "++" "--" "+=" "-=" "=>"
+        "+" "-" "*" "/" "%" "=" "<" ">" "!" "~" "&" "|" "^"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." ":"
+      ] @delimiter
+    `
+  },
+
+  kotlin: {
+    label: 'Kotlin',
+    aliases: ['kt'],
+    extensions: ['.kt', '.kts'],
+    hljsNames: ['kotlin'],
+    detect: (content) => {
+      const patterns = [
+        /^\s*((private|internal|override|suspend|inline)\s+)*fun\s+[\w.<> ]+\(/m,
+        /\bval\s+\w+\s*(:\s*[\w<>?]+\s*)?=/m,
+        /\bprintln\(/m,
+        /\b(data|sealed|enum)\s+class\s+\w+/m,
+        /\bcompanion\s+object\b/m,
+        /\bwhen\s*(\([^)]*\))?\s*\{/m,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-kotlin',
+    syntax: {
+      lineComments: ['//'],
+      blockComments: [['/*', '*/']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' },
+        { start: '"""', end: '"""', multiline: true }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_BRACES,
+    highlightQuery: `
+      ; Keywords
+      [
+        "abstract" "annotation" "as" "by" "catch" "class" "companion"
+        "constructor" "data" "do" "else" "enum" "finally" "for" "fun"
+        "get" "if" "import" "in" "init" "inline" "interface" "internal"
+        "is" "lateinit" "object" "open" "operator" "override" "package"
+        "private" "protected" "public" "return" "sealed" "set" "super"
+        "suspend" "this" "throw" "try" "typealias" "val" "var" "when"
+        "while"
+      ] @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+
+      ; Literals
+      (string_literal) @string
+      (multiline_string_literal) @string
+      (character_literal) @string
+      (number_literal) @number
+      (float_literal) @number
+
+      ; Comments
+      (line_comment) @comment
+      (block_comment) @comment
+
+      ; Annotations
+      (annotation) @identifier
+
+      ; Operators
+      [
+        "==" "!=" "===" "!==" "<=" ">=" "&&" "||" "++" "--" "+=" "-="
+        "?:" "?." "!!" ".." "->"
+        "+" "-" "*" "/" "%" "=" "<" ">" "!"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." ":" "::"
+      ] @delimiter
+    `
+  },
+
+  swift: {
+    label: 'Swift',
+    aliases: [],
+    extensions: ['.swift'],
+    hljsNames: ['swift'],
+    detect: (content) => {
+      const patterns = [
+        /^\s*import\s+(Foundation|UIKit|SwiftUI|Combine|XCTest)\s*$/m,
+        /\bfunc\s+\w+\s*(<[^>]*>)?\([^)]*\)\s*(async\s+)?(throws\s+)?(->\s*[\w?\[\]<>: ]+)?\{/m,
+        /\b(guard|if)\s+let\s+\w+/m,
+        /^\s*(struct|enum|protocol|extension)\s+\w+\s*(:\s*[\w, ]+)?\s*\{/m,
+        /@(State|Published|Binding|ObservedObject|objc|MainActor)\b/m,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-swift',
+    syntax: {
+      lineComments: ['//'],
+      blockComments: [['/*', '*/']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' },
+        { start: '"""', end: '"""', multiline: true }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_BRACES,
+    highlightQuery: `
+      ; Keywords
+      [
+        "actor" "as" "async" "await" "break" "case" "class" "continue"
+        "deinit" "do" "enum" "extension" "fileprivate" "for" "func"
+        "guard" "if" "import" "in" "init" "internal" "is" "let" "mutating"
+        "open" "override" "private" "protocol" "public" "return" "static"
+        "struct" "subscript" "super" "switch" "try" "typealias" "var"
+        "weak" "while" "nil"
+      ] @keyword
+      (else) @keyword
+      (throw_keyword) @keyword
+      (catch_keyword) @keyword
+      (default_keyword) @keyword
+      (where_keyword) @keyword
+      (self_expression) @keyword
+      (boolean_literal) @keyword
+
+      ; Identifiers
+      (simple_identifier) @identifier
+      (type_identifier) @identifier
+
+      ; Literals
+      (line_string_literal) @string
+      (multi_line_string_literal) @string
+      (raw_string_literal) @string
+      (integer_literal) @number
+      (hex_literal) @number
+      (real_literal) @number
+
+      ; Comments
+      (comment) @comment
+      (multiline_comment) @comment
+
+      ; Attributes
+      (attribute) @identifier
+
+      ; Operators
+      [
+        "==" "!=" "===" "!==" "<=" ">=" "&&" "||" "??" "+=" "-=" "->"
+        "..." "..<"
+        "+" "-" "*" "/" "%" "=" "<" ">" "!" "&" "|" "^"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." ":"
+      ] @delimiter
+    `
+  },
+
+  scala: {
+    label: 'Scala',
+    aliases: [],
+    extensions: ['.scala', '.sc'],
+    hljsNames: ['scala'],
+    detect: (content) => {
+      const patterns = [
+        /^\s*(case\s+)?object\s+\w+/m,
+        /\bdef\s+\w+(\[[^\]]*\])?(\([^)]*\))*\s*(:\s*[\w\[\], ]+)?\s*=/m,  // def f(x: Int): Int =
+        /\bcase\s+class\s+\w+/m,
+        /^\s*import\s+scala\./m,
+        /\bextends\s+App\b/m,
+        /^\s*(sealed\s+)?trait\s+\w+/m,
+        /\bimplicit\s+(val|def|class)\b/m,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-scala',
+    syntax: {
+      lineComments: ['//'],
+      blockComments: [['/*', '*/']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' },
+        { start: '"""', end: '"""', multiline: true }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: { braceWeight: 0.2, indentWeight: 0.3, commentWeight: 0.2, delimiterWeight: 0.3 }, // Scala 3 allows brace-less blocks
+    highlightQuery: `
+      ; Keywords
+      [
+        "abstract" "case" "catch" "class" "def" "do" "else" "enum"
+        "extends" "final" "finally" "for" "given" "if" "implicit"
+        "import" "lazy" "match" "new" "object" "override" "package"
+        "private" "protected" "return" "sealed" "then" "this" "throw"
+        "trait" "try" "type" "using" "val" "var" "while" "with" "yield"
+      ] @keyword
+      (boolean_literal) @keyword
+      (null_literal) @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+      (type_identifier) @identifier
+
+      ; Literals
+      (string) @string
+      (interpolated_string_expression) @string
+      (character_literal) @string
+      (integer_literal) @number
+      (floating_point_literal) @number
+
+      ; Comments
+      (comment) @comment
+      (block_comment) @comment
+
+      ; Annotations
+      (annotation) @identifier
+
+      ; Operators
+      (operator_identifier) @operator
+      [ "=" "=>" "<-" ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." ":"
+      ] @delimiter
+    `
+  },
+
+  lua: {
+    label: 'Lua',
+    aliases: [],
+    extensions: ['.lua'],
+    hljsNames: ['lua'],
+    detect: (content) => {
+      // Patterns that rule out Ruby, which shares 'end'-terminated blocks
+      const patterns = [
+        /^\s*local\s+(function\s+)?\w+/m,
+        /\bthen\s*$/m,
+        /\belseif\b/m,
+        /~=/m,
+        /^\s*--/m,                // -- comments
+        /\bi?pairs\s*\(/m,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-lua',
+    syntax: {
+      lineComments: ['--'],
+      blockComments: [['--[[', ']]']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' },
+        { start: '[[', end: ']]', multiline: true }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_END_BLOCKS,
+    highlightQuery: `
+      ; Keywords
+      [
+        "and" "do" "else" "elseif" "end" "for" "function" "goto"
+        "if" "in" "local" "not" "or" "repeat" "return" "then" "until"
+        "while"
+      ] @keyword
+      (break_statement) @keyword
+      (true) @keyword
+      (false) @keyword
+      (nil) @keyword
+
+      ; Identifiers
+      (identifier) @identifier
+
+      ; Literals
+      (string) @string
+      (number) @number
+
+      ; Comments
+      (comment) @comment
+
+      ; Operators
+      [
+        "==" "~=" "<=" ">=" ".." "//" "<<" ">>"
+        "+" "-" "*" "/" "%" "^" "#" "=" "<" ">" "&" "|" "~"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." ":" "::"
+      ] @delimiter
+    `
+  },
+
+  powershell: {
+    label: 'PowerShell',
+    aliases: ['ps1', 'pwsh'],
+    extensions: ['.ps1', '.psm1', '.psd1'],
+    hljsNames: ['powershell'],
+    detect: (content) => {
+      const patterns = [
+        /\b(Get|Set|New|Remove|Write|Read|Invoke|Start|Stop|Import|Export|Test|Add|Out|Select|Where|ForEach|Format|Convert)-[A-Z]\w+/m,  // Verb-Noun cmdlets
+        /^\s*param\s*\(/im,
+        /\s-(eq|ne|gt|ge|lt|le|like|notlike|match|notmatch|contains|notcontains|and|or)\s/m,
+        /\[(string|int|bool|switch|array|hashtable|PSCustomObject)\]\s*\$/im,  // [string]$Name
+        /\$(true|false|null)\b/im,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-powershell',
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [['<#', '#>']],
+      strings: [
+        { start: '"', end: '"', escape: '`' },
+        { start: '\'', end: '\'', escape: false }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_BRACES,
+    highlightQuery: `
+      ; Keywords
+      [
+        "begin" "break" "catch" "continue" "do" "else" "elseif" "exit"
+        "filter" "finally" "for" "foreach" "function" "if" "in" "param"
+        "process" "return" "switch" "throw" "trap" "try" "until" "while"
+      ] @keyword
+
+      ; Identifiers
+      (variable) @identifier
+      (command_name) @identifier
+      (command_parameter) @identifier
+      (type_name) @identifier
+
+      ; Literals
+      (string_literal) @string
+      (integer_literal) @number
+      (real_literal) @number
+
+      ; Comments
+      (comment) @comment
+
+      ; Operators
+      (comparison_operator) @operator
+      (assignement_operator) @operator
+      [
+        "-and" "-or" "-xor" "-not" "!" "+" "-" "*" "/" "%" "++" "--"
+      ] @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," ";" "." "::" "|" "@(" "@{" "$("
+      ] @delimiter
+    `
+  },
+
+  terraform: {
+    label: 'Terraform',
+    aliases: ['hcl', 'tf'],
+    extensions: ['.tf', '.tfvars', '.hcl'],
+    hljsNames: [],
+    detect: (content) => {
+      const patterns = [
+        /^\s*(resource|data)\s+"[\w-]+"\s+"[\w-]+"\s*\{/m,
+        /^\s*(variable|output|module|provider)\s+"[\w-]+"\s*\{/m,
+        /^\s*(terraform|locals)\s*\{/m,
+        /=\s*(var|local|module|data)\.\w+/m,
+      ];
+      
+      const score = patterns.reduce((count, pattern) => {
+        return count + (pattern.test(content) ? 1 : 0);
+      }, 0);
+      
+      return score >= 2;
+    },
+    grammar: 'tree-sitter-terraform',
+    syntax: {
+      lineComments: ['#', '//'],
+      blockComments: [['/*', '*/']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: { braceWeight: 0.4, indentWeight: 0.3, commentWeight: 0.1, delimiterWeight: 0.2 }, // Blocks are brace-delimited
+    highlightQuery: `
+      ; Blocks and attributes
+      (block (identifier) @keyword) @keyword
+      (attribute (identifier) @identifier) @identifier
+      (variable_expr (identifier) @identifier) @identifier
+
+      ; Keywords
+      [ "for" "in" "if" "else" "endif" "endfor" ] @keyword
+      (bool_lit) @keyword
+      (null_lit) @keyword
+
+      ; Literals
+      (string_lit) @string
+      (heredoc_template) @string
+      (numeric_lit) @number
+
+      ; Comments
+      (comment) @comment
+
+      ; Operators
+      [
+        "==" "!=" "<=" ">=" "&&" "||" "=>" "?"
+        "+" "-" "*" "/" "%" "=" "<" ">" "!"
+      ] @operator
+
+      (ellipsis) @operator
+
+      ; Punctuation
+      [
+        "(" ")" "[" "]" "{" "}" "," "." ":"
+      ] @delimiter
+    `
+  },
+
+  toml: {
+    label: 'TOML',
+    aliases: [],
+    extensions: ['.toml'],
+    hljsNames: [],
+    detect: (content) => {
+      // Share the key-value comparer's TOML/INI/.env heuristics so the
+      // detected language and the structural format agree
+      return detectKeyValueFormat(content, content) === KEY_VALUE_FORMATS.TOML;
+    },
+    grammar: 'tree-sitter-toml',
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' },
+        { start: '"""', end: '"""', multiline: true },
+        { start: '\'\'\'', end: '\'\'\'', multiline: true }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: { braceWeight: 0.0, indentWeight: 0.2, commentWeight: 0.3, delimiterWeight: 0.5 }, // Tables are flat; [headers] mark structure
+    highlightQuery: `
+      ; Keys
+      (bare_key) @identifier
+      (quoted_key) @identifier
+
+      ; Values
+      (string) @string
+      (integer) @number
+      (float) @number
+      (boolean) @keyword
+      (offset_date_time) @number
+      (local_date_time) @number
+      (local_date) @number
+      (local_time) @number
+
+      ; Comments
+      (comment) @comment
+
+      ; Punctuation
+      [ "=" "." "," "[" "]" "[[" "]]" "{" "}" ] @delimiter
+    `
+  },
+
+  xml: {
+    label: 'XML',
+    aliases: [],
+    extensions: ['.xml', '.xsd', '.xsl', '.svg'],
+    hljsNames: [],
+    detect: (content) => detectMarkupFormat(content, content) === 'xml',
+    grammar: null,
+    syntax: {
+      lineComments: [],
+      blockComments: [['<!--', '-->']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: [['<', '>'], ['<!--', '-->']],
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  markdown: {
+    label: 'Markdown',
+    aliases: ['md'],
+    extensions: ['.md', '.markdown'],
+    hljsNames: ['markdown'],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: [],
+      blockComments: [['<!--', '-->']],
+      strings: []
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  sql: {
+    label: 'SQL',
+    aliases: [],
+    extensions: ['.sql'],
+    hljsNames: ['sql'],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: ['--'],
+      blockComments: [['/*', '*/']],
+      strings: [
+        { start: '\'', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  ini: {
+    label: 'INI',
+    aliases: [],
+    extensions: ['.ini'],
+    hljsNames: ['ini'],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: [';', '#'],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  env: {
+    label: '.env',
+    aliases: ['dotenv'],
+    extensions: ['.env'],
+    hljsNames: [],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: false }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  properties: {
+    label: 'Properties',
+    aliases: [],
+    extensions: ['.properties'],
+    hljsNames: ['properties'],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: ['#', '!'],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  dockerfile: {
+    label: 'Dockerfile',
+    aliases: ['docker'],
+    extensions: ['.dockerfile'],
+    hljsNames: ['dockerfile'],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  makefile: {
+    label: 'Makefile',
+    aliases: ['make'],
+    extensions: ['.mk', '.mak'],
+    hljsNames: ['makefile'],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  haskell: {
+    label: 'Haskell',
+    aliases: ['hs'],
+    extensions: ['.hs'],
+    hljsNames: ['haskell'],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: ['--'],
+      blockComments: [['{-', '-}']],
+      strings: [
+        { start: '"', end: '"', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  perl: {
+    label: 'Perl',
+    aliases: ['pl'],
+    extensions: ['.pl', '.pm'],
+    hljsNames: ['perl'],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' },
+        { start: '`', end: '`', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  r: {
+    label: 'R',
+    aliases: [],
+    extensions: ['.r'],
+    hljsNames: ['r'],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [],
+      strings: [
+        { start: '"', end: '"', escape: '\\' },
+        { start: '\'', end: '\'', escape: '\\' }
+      ]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  // ==========================================================================
+  // Other file types
+  // ==========================================================================
+
+  'cisco-ios': {
+    label: 'Cisco IOS',
+    aliases: ['ios', 'cisco'],
+    extensions: ['.ios'],
+    hljsNames: [],
+    detect: (content) => detectNetworkConfigFormat(content, content) === 'cisco-ios',
+    grammar: null,
+    syntax: {
+      lineComments: ['!'],
+      blockComments: [],
+      strings: []
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  'arista-eos': {
+    label: 'Arista EOS',
+    aliases: ['eos', 'arista'],
+    extensions: ['.eos'],
+    hljsNames: [],
+    detect: (content) => detectNetworkConfigFormat(content, content) === 'arista-eos',
+    grammar: null,
+    syntax: {
+      lineComments: ['!'],
+      blockComments: [],
+      strings: []
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  'juniper-junos': {
+    label: 'Juniper JunOS',
+    aliases: ['junos', 'juniper'],
+    extensions: ['.junos'],
+    hljsNames: [],
+    detect: (content) => detectJunosStyle(content) !== null,
+    grammar: null,
+    syntax: {
+      lineComments: ['#'],
+      blockComments: [['/*', '*/']],
+      strings: [DOUBLE_QUOTED]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_BRACES,
+    highlightQuery: null
+  },
+
+  config: {
+    label: 'Config',
+    aliases: ['conf', 'cfg'],
+    extensions: ['.conf', '.cfg'],
+    hljsNames: [],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: ['#', '!'],
+      blockComments: [],
+      strings: [DOUBLE_QUOTED, SINGLE_QUOTED]
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  patch: {
+    label: 'Patch',
+    aliases: ['diff'],
+    extensions: ['.patch', '.diff'],
+    hljsNames: ['diff'],
+    detect: isUnifiedDiff,
+    grammar: null,
+    syntax: {
+      lineComments: [],
+      blockComments: [],
+      strings: []
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  },
+
+  log: {
+    label: 'Log',
+    aliases: [],
+    extensions: ['.log'],
+    hljsNames: [],
+    detect: null,
+    grammar: null,
+    syntax: {
+      lineComments: [],
+      blockComments: [],
+      strings: []
+    },
+    delimiters: BASE_DELIMITERS,
+    slider: SLIDER_DEFAULT,
+    highlightQuery: null
+  }
+};
+
+/**
+ * Order in which detect() heuristics run. The first match wins, so
+ * languages whose code also satisfies a broader heuristic come first
+ * (C#, Kotlin and Swift before TypeScript and JavaScript, Lua and Ruby
+ * before Bash and Python). Patches embed other formats and go first;
+ * Arista EOS configs are also IOS-style, so they come before Cisco IOS.
+ */
+export const DETECTION_ORDER = [
+  'patch', 'arista-eos', 'cisco-ios', 'juniper-junos',
+  'json', 'php', 'powershell', 'csharp', 'scala', 'kotlin', 'swift',
+  'typescript', 'javascript', 'lua', 'ruby', 'bash', 'python', 'go',
+  'rust', 'java', 'terraform', 'yaml', 'xml', 'html', 'toml'
+];
+
+/**
+ * File type labels that depend on the extension rather than the language:
+ * headers share their language's grammar but are labelled as headers, and
+ * a .txt file is plain text whatever its content looks like.
+ */
+export const EXTENSION_LABELS = {
+  '.h': 'C Header',
+  '.hpp': 'C++ Header',
+  '.hxx': 'C++ Header',
+  '.txt': 'Plain Text'
+};
+
+const PLAIN_TEXT_EXTENSIONS = new Set(['.txt']);
+
+const ALIASES = new Map();
+const EXTENSIONS = new Map();
+const HLJS_NAMES = new Map();
+for (const [id, language] of Object.entries(LANGUAGES)) {
+  ALIASES.set(id, id);
+  for (const alias of language.aliases) ALIASES.set(alias, id);
+  for (const extension of language.extensions) EXTENSIONS.set(extension, id);
+  for (const name of language.hljsNames) HLJS_NAMES.set(name, id);
+}
+
+// ============================================================================
+// Lookup
+// ============================================================================
+
+function fileExtension(filename) {
+  const dot = filename.lastIndexOf('.');
+  return dot === -1 ? '' : filename.slice(dot).toLowerCase();
+}
+
+/**
+ * Resolve a language id or alias (case-insensitive)
+ * @param {string} name - Language id or alias (e.g. 'js', 'C#', 'shell')
+ * @returns {string|null} Registry id or null if unknown
+ */
+export function resolveLanguageId(name) {
+  if (!name || typeof name !== 'string') return null;
+  return ALIASES.get(name.toLowerCase().trim()) || null;
+}
+
+/**
+ * Get the registry entry for a language id or alias
+ * @param {string} name - Language id or alias
+ * @returns {Object|null}
+ */
+export function getLanguage(name) {
+  const id = resolveLanguageId(name);
+  return id ? LANGUAGES[id] : null;
+}
+
+/**
+ * Get the language a file extension belongs to
+ * @param {string} extension - Extension including the dot (e.g. '.rb')
+ * @returns {string|null}
+ */
+export function getLanguageForExtension(extension) {
+  if (!extension) return null;
+  return EXTENSIONS.get(extension.toLowerCase()) || null;
+}
+
+/**
+ * Get the language for a highlight.js language name
+ * @param {string} name - highlight.js language name
+ * @returns {string|null}
+ */
+export function getLanguageForHljsName(name) {
+  return HLJS_NAMES.get(name) || null;
+}
+
+/**
+ * Detect the language or file type of a file from its extension, then
+ * from its content with the detect() heuristics in DETECTION_ORDER
+ * Unlike language-detect.js, languages without a grammar count too.
+ * @param {string} filename - File name (optional)
+ * @param {string} content - File content (optional)
+ * @returns {string|null} Registry id or null (plain text)
+ */
+export function detectFileLanguage(filename = '', content = '') {
+  const extension = fileExtension(filename);
+  const byExtension = getLanguageForExtension(extension);
+  if (byExtension) return byExtension;
+  if (PLAIN_TEXT_EXTENSIONS.has(extension) || !content || !content.trim()) return null;
+
+  for (const id of DETECTION_ORDER) {
+    if (LANGUAGES[id].detect(content)) return id;
+  }
+  return null;
+}
+
+/**
+ * Get the label to show for a file's type: the extension's own label
+ * (EXTENSION_LABELS) first, then the label of the detected language
+ * @param {string} filename - File name (optional)
+ * @param {string|null} id - Registry id from detectFileLanguage()
+ * @returns {string}
+ */
+export function getFileTypeLabel(filename = '', id = null) {
+  return EXTENSION_LABELS[fileExtension(filename)] || LANGUAGES[id]?.label || 'Plain Text';
+}
+
+/**
+ * Get the ids of all languages with a Tree-sitter grammar
+ * @returns {Array<string>}
+ */
+export function getGrammarLanguages() {
+  return Object.keys(LANGUAGES).filter(id => LANGUAGES[id].grammar);
+}
+
+/**
+ * Get the content heuristics in the order they should run
+ * @returns {Array<{language: string, test: Function}>}
+ */
+export function getContentDetectors() {
+  return DETECTION_ORDER.map(id => ({ language: id, test: LANGUAGES[id].detect }));
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+}
+
+function isPairArray(value) {
+  return Array.isArray(value) && value.every(pair => isStringArray(pair) && pair.length === 2);
+}
+
+/**
+ * Check one registry entry
+ * @param {string} id - Language id
+ * @param {Object} language - Registry entry
+ * @returns {Array<string>} Problems found (empty when complete)
+ */
+export function validateLanguage(id, language) {
+  const problems = [];
+  const problem = (message) => problems.push(`${id}: ${message}`);
+
+  if (typeof language.label !== 'string' || !language.label) problem('label must be a non-empty string');
+  if (!isStringArray(language.aliases)) problem('aliases must be an array of strings');
+  if (!isStringArray(language.extensions) || language.extensions.length === 0) {
+    problem('extensions must be a non-empty array of strings');
+  } else if (language.extensions.some(extension => !/^\.[a-z0-9.+-]+$/.test(extension))) {
+    problem('extensions must be lowercase and start with a dot');
+  }
+  if (!isStringArray(language.hljsNames)) problem('hljsNames must be an array of strings');
+
+  if (language.detect !== null && typeof language.detect !== 'function') {
+    problem('detect must be a function or null');
+  } else if ((language.detect !== null) !== DETECTION_ORDER.includes(id)) {
+    problem('languages with detect() must be listed in DETECTION_ORDER, and only those');
+  }
+
+  if (language.grammar !== null && (typeof language.grammar !== 'string' || !language.grammar)) {
+    problem('grammar must be an asset id or null');
+  }
+  if (language.grammar && (typeof language.highlightQuery !== 'string' || !language.highlightQuery.trim())) {
+    problem('languages with a grammar need a highlightQuery');
+  }
+  if (!language.grammar && language.highlightQuery !== null) {
+    problem('highlightQuery must be null without a grammar');
+  }
+
+  const syntax = language.syntax;
+  if (!syntax || !Array.isArray(syntax.lineComments) || !isPairArray(syntax.blockComments) || !Array.isArray(syntax.strings)) {
+    problem('syntax needs lineComments, blockComments and strings arrays');
+  } else if (syntax.strings.some(string => !string.start || !string.end)) {
+    problem('every string in syntax needs a start and an end');
+  }
+
+  if (!isPairArray(language.delimiters) || language.delimiters.length === 0) {
+    problem('delimiters must be a non-empty array of [open, close] pairs');
+  }
+
+  const slider = language.slider;
+  if (!slider || SLIDER_WEIGHT_KEYS.some(key => typeof slider[key] !== 'number')) {
+    problem(`slider needs ${SLIDER_WEIGHT_KEYS.join(', ')}`);
+  } else if (Math.abs(SLIDER_WEIGHT_KEYS.reduce((sum, key) => sum + slider[key], 0) - 1) > 1e-9) {
+    problem('slider weights must add up to 1');
+  }
+
+  return problems;
+}
+
+/**
+ * Check every registry entry, plus extensions and aliases claimed twice
+ * @returns {Array<string>} Problems found (empty when the registry is complete)
+ */
+export function validateRegistry() {
+  const problems = [];
+  const extensionOwners = new Map();
+  const aliasOwners = new Map();
+
+  for (const [id, language] of Object.entries(LANGUAGES)) {
+    problems.push(...validateLanguage(id, language));
+    for (const extension of language.extensions || []) {
+      if (extensionOwners.has(extension)) {
+        problems.push(`${id}: extension ${extension} is also claimed by ${extensionOwners.get(extension)}`);
+      }
+      extensionOwners.set(extension, id);
+    }
+    for (const alias of language.aliases || []) {
+      if (LANGUAGES[alias] || aliasOwners.has(alias)) {
+        problems.push(`${id}: alias ${alias} is also used by ${aliasOwners.get(alias) || alias}`);
+      }
+      aliasOwners.set(alias, id);
+    }
+  }
+
+  for (const id of DETECTION_ORDER) {
+    if (!LANGUAGES[id]) problems.push(`DETECTION_ORDER: unknown language ${id}`);
+  }
+
+  return problems;
+}
+
+export default {
+  LANGUAGES,
+  DETECTION_ORDER,
+  EXTENSION_LABELS,
+  BASE_DELIMITERS,
+  resolveLanguageId,
+  getLanguage,
+  getLanguageForExtension,
+  getLanguageForHljsName,
+  detectFileLanguage,
+  getFileTypeLabel,
+  getGrammarLanguages,
+  getContentDetectors,
+  validateLanguage,
+  validateRegistry
+};
@@ -0,0 +1,181 @@
+/**
+ * Line Order Module
+ *
+ * Implements the "Ignore line order" comparison for access lists, sorted
+ * lists and .gitignore-style files. Each side is treated as a multiset of
+ * lines: a line matches an equal line anywhere on the other side, and a
+ * line that appears twice on one side and once on the other is reported
+ * once. With sections, a line only matches within its section: lines under
+ * an INI `[header]`, and indented lines under the unindented line above
+ * them (`ip access-list extended WEB` → its entries).
+ *
+ * matchLineSets() matches the lines and lists what is left per section;
+ * the pipeline pairs near-identical leftovers with the modified-line
+ * machinery, then orderLikeOld() writes the current side in the order of
+ * the previous one. The ordinary line diff of the result reports only the
+ * lines one side does not have, and the paired ones as modified; the line
+ * numbers orderLikeOld() returns show each current line under its place in
+ * the real file.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { splitTextLines } from './unified-diff-export.js';
+
+// Separates the section from the line in a match key (never part of real text)
+const KEY_SEPARATOR = '\u0000';
+
+// An INI-style section header
+const INI_SECTION = /^\s*\[[^\]]+\]\s*$/;
+
+// ============================================================================
+// Line Keys
+// ============================================================================
+
+/**
+ * Section of every line: the INI header it is under and, for an indented
+ * line, the unindented line above it
+ *
+ * @param {string[]} lines - Lines of one side
+ * @returns {string[]} Section key per line ('' at the top level)
+ */
+export function lineSections(lines) {
+  const sections = [];
+  let iniSection = '';
+  let header = null;
+
+  for (const line of lines) {
+    const content = line.trim();
+    if (INI_SECTION.test(line)) {
+      iniSection = content;
+      header = null;
+      sections.push('');
+    } else if (!content) {
+      // Blank lines belong to the section they are in
+      sections.push(header === null ? iniSection : `${iniSection}${KEY_SEPARATOR}${header}`);
+    } else if (/^\s/.test(line) && header !== null) {
+      sections.push(`${iniSection}${KEY_SEPARATOR}${header}`);
+    } else {
+      header = content;
+      sections.push(iniSection);
+    }
+  }
+  return sections;
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Match the lines of two texts regardless of order
+ *
+ * Lines match when they are equal and, with sections, belong to the same
+ * section. Every line matches at most one line on the other side, so
+ * duplicates are counted.
+ *
+ * @param {string} oldText - Previous version text
+ * @param {string} newText - Current version text
+ * @param {Object} options
+ * @param {boolean} options.sections - Only match lines within a section (default true)
+ * @returns {Object} { oldLines, newLines, trailingNewline, partners, unmatched }:
+ *   partners[i] is the index of the new line matching old line i (-1 when
+ *   none) and unmatched lists { section, removed, added } line indices left
+ *   over in each section
+ */
+export function matchLineSets(oldText, newText, options = {}) {
+  const useSections = options.sections !== false;
+  const oldLines = splitTextLines(oldText);
+  const newLines = splitTextLines(newText);
+  const oldSections = useSections ? lineSections(oldLines) : oldLines.map(() => '');
+  const newSections = useSections ? lineSections(newLines) : newLines.map(() => '');
+  const keyOf = (lines, sections, i) => `${sections[i]}${KEY_SEPARATOR}${lines[i]}`;
+
+  const available = new Map();
+  newLines.forEach((line, j) => {
+    const key = keyOf(newLines, newSections, j);
+    if (!available.has(key)) available.set(key, []);
+    available.get(key).push(j);
+  });
+
+  const partners = oldLines.map((line, i) => available.get(keyOf(oldLines, oldSections, i))?.shift() ?? -1);
+  const matchedNew = new Set(partners);
+
+  const groups = new Map();
+  const groupOf = section => {
+    if (!groups.has(section)) groups.set(section, { section, removed: [], added: [] });
+    return groups.get(section);
+  };
+  partners.forEach((partner, i) => {
+    if (partner === -1) groupOf(oldSections[i]).removed.push(i);
+  });
+  newLines.forEach((line, j) => {
+    if (!matchedNew.has(j)) groupOf(newSections[j]).added.push(j);
+  });
+
+  return {
+    oldLines,
+    newLines,
+    // The reordered text ends like the previous one (or like itself without one)
+    trailingNewline: (oldLines.length ? oldText : newText).endsWith('\n'),
+    partners,
+    unmatched: [...groups.values()]
+  };
+}
+
+// ============================================================================
+// Reordering
+// ============================================================================
+
+/**
+ * Write the current side in the order of the previous one
+ *
+ * Every new line with a partner takes the place of its old line; a new
+ * line without one follows the nearest line above it that has a partner
+ * (or goes first when there is none), so added lines stay next to their
+ * neighbours.
+ *
+ * @param {Object} match - Result of matchLineSets(), with partners for
+ *   paired lines filled in
+ * @returns {{text: string, lineNumbers: number[]}} Current text in the
+ *   previous order, and the 1-based line of the current text at each of
+ *   its lines
+ */
+export function orderLikeOld(match) {
+  const { oldLines, newLines, partners } = match;
+  if (newLines.length === 0) return { text: '', lineNumbers: [] };
+
+  const anchored = new Set(partners.filter(partner => partner !== -1));
+  const leading = [];
+  const followers = new Map();
+  let anchor = -1;
+  newLines.forEach((line, j) => {
+    if (anchored.has(j)) {
+      anchor = j;
+    } else if (anchor === -1) {
+      leading.push(j);
+    } else {
+      if (!followers.has(anchor)) followers.set(anchor, []);
+      followers.get(anchor).push(j);
+    }
+  });
+
+  const order = [...leading];
+  for (let i = 0; i < oldLines.length; i++) {
+    if (partners[i] === -1) continue;
+    order.push(partners[i], ...(followers.get(partners[i]) || []));
+  }
+
+  const text = order.map(j => newLines[j]).join('\n');
+  return {
+    text: match.trailingNewline ? `${text}\n` : text,
+    lineNumbers: order.map(j => j + 1)
+  };
+}
+
+export default {
+  lineSections,
+  matchLineSets,
+  orderLikeOld
+};
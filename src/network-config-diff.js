@@ -0,0 +1,272 @@
+/**
+ * Network Config Structural Diff Module
+ *
+ * Parses indentation-based device configs (Cisco IOS, Arista EOS) into a
+ * section tree (`interface GigabitEthernet0/1` → its indented commands) and
+ * compares the trees section by section, so a command is only ever
+ * compared with the commands of the same parent and the order of sections
+ * does not matter. Commands inside access lists keep their order: an entry
+ * that moved is reported as a move.
+ *
+ * Changes use the shared structural change shape (see structural-diff.js)
+ * plus `command` (the command text): `path` is the section path of the
+ * command's parent (`router bgp 65000 > address-family ipv4`, '' at the top
+ * level) and describeStructuralChange() shows them as
+ * "interface GigabitEthernet0/1: + ip helper-address 10.0.0.5".
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { patienceLCS } from './patience-diff.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Separator between the headers of nested sections in a path
+export const SECTION_SEPARATOR = ' > ';
+
+// Sections whose commands are evaluated in order
+const ORDERED_SECTIONS = /^(?:ip|ipv6|mac) access-list\b/;
+
+// `show running-config` banner lines that are not configuration
+const OUTPUT_HEADERS = /^(?:Building configuration\.\.\.|Current configuration\s*:.*)$/;
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+/**
+ * Parse an indentation-based config into a section tree
+ *
+ * Each node is { text, startLine, endLine, children }, where a command's
+ * children are the following lines indented deeper than it and endLine is
+ * the line of its last descendant. Comment lines (!) and blank lines are
+ * skipped. A banner (`banner motd ^C ... ^C`) is one command spanning its
+ * lines.
+ *
+ * @param {string} text - Device configuration
+ * @returns {Object} Root node ({ text: '', children })
+ */
+export function parseConfigTree(text) {
+  const lines = text.split(/\r?\n/);
+  const root = { text: '', startLine: 0, endLine: 0, children: [] };
+  const stack = [{ indent: -1, node: root }];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/\s+$/, '');
+    const content = line.trimStart();
+    if (!content || content.startsWith('!') || OUTPUT_HEADERS.test(content)) continue;
+
+    const indent = line.length - content.length;
+    while (stack[stack.length - 1].indent >= indent) stack.pop();
+
+    const node = { text: content.replace(/\s+/g, ' '), startLine: i + 1, endLine: i + 1, children: [] };
+
+    // Banner text runs up to the closing delimiter, whatever its indentation
+    const banner = /^banner \S+ (\^C|\S)/.exec(content);
+    if (banner && content.indexOf(banner[1], banner[0].length) === -1) {
+      const body = [content];
+      while (++i < lines.length) {
+        body.push(lines[i]);
+        if (lines[i].includes(banner[1])) break;
+      }
+      node.text = body.join('\n');
+      node.endLine = Math.min(i, lines.length - 1) + 1;
+    }
+
+    const parent = stack[stack.length - 1].node;
+    parent.children.push(node);
+    for (const { node: ancestor } of stack) {
+      ancestor.endLine = Math.max(ancestor.endLine, node.endLine);
+    }
+    stack.push({ indent, node });
+  }
+  return root;
+}
+
+// ============================================================================
+// Tree Comparison
+// ============================================================================
+
+const words = text => text.split(' ');
+
+// Number of leading words two commands share
+function sharedWords(a, b) {
+  const aWords = words(a);
+  const bWords = words(b);
+  let count = 0;
+  while (count < aWords.length && count < bWords.length && aWords[count] === bWords[count]) count++;
+  return count;
+}
+
+function lineRange(node) {
+  return node ? { start: node.startLine, end: node.endLine } : null;
+}
+
+// Command as shown in a change: the first line of a banner
+function commandLabel(node) {
+  const [first, ...rest] = node.text.split('\n');
+  return rest.length ? `${first} …` : first;
+}
+
+function makeChange(type, path, oldNode, newNode) {
+  const change = { type, path, command: commandLabel(newNode || oldNode) };
+  if (oldNode) change.oldValue = commandLabel(oldNode);
+  if (newNode) change.newValue = commandLabel(newNode);
+  change.oldLines = lineRange(oldNode);
+  change.newLines = lineRange(newNode);
+  return change;
+}
+
+const isLeaf = node => node.children.length === 0;
+
+/**
+ * Pair removed and added commands that replace each other: leaves whose
+ * best match on the other side (most shared leading words) is mutual and
+ * unique, e.g. `ip address 10.0.0.1 ...` → `ip address 10.0.0.2 ...`
+ */
+function pairReplacements(removed, added) {
+  const bestMatch = (node, candidates) => {
+    let best = null;
+    let bestScore = 0;
+    let tie = false;
+    for (const candidate of candidates) {
+      if (!isLeaf(candidate)) continue;
+      const score = sharedWords(node.text, candidate.text);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+        tie = false;
+      } else if (score === bestScore && score > 0) {
+        tie = true;
+      }
+    }
+    return tie ? null : best;
+  };
+
+  const pairs = [];
+  for (const oldNode of removed) {
+    if (!isLeaf(oldNode)) continue;
+    const newNode = bestMatch(oldNode, added);
+    if (newNode && bestMatch(newNode, removed) === oldNode) pairs.push([oldNode, newNode]);
+  }
+  return pairs;
+}
+
+/**
+ * Compare the children of two matching sections
+ */
+function diffSections(oldNode, newNode, path, changes) {
+  const childPath = oldNode.text ? (path ? `${path}${SECTION_SEPARATOR}${oldNode.text}` : oldNode.text) : '';
+  const matched = ORDERED_SECTIONS.test(oldNode.text)
+    ? diffOrdered(oldNode.children, newNode.children, childPath, changes)
+    : diffUnordered(oldNode.children, newNode.children, childPath, changes);
+
+  // Commands of this section first, then its subsections
+  for (const [oldChild, newChild] of matched) {
+    if (!isLeaf(oldChild) || !isLeaf(newChild)) diffSections(oldChild, newChild, childPath, changes);
+  }
+}
+
+/**
+ * Match commands by text (the n-th occurrence with the n-th); what is left
+ * was added, removed or replaced
+ *
+ * @returns {Array<Array<Object>>} Matched [old, new] child pairs
+ */
+function diffUnordered(oldChildren, newChildren, path, changes) {
+  const available = new Map();
+  for (const child of newChildren) {
+    if (!available.has(child.text)) available.set(child.text, []);
+    available.get(child.text).push(child);
+  }
+
+  const matched = [];
+  const removed = [];
+  for (const child of oldChildren) {
+    const match = available.get(child.text)?.shift();
+    if (match) matched.push([child, match]);
+    else removed.push(child);
+  }
+  const matchedNew = new Set(matched.map(([, child]) => child));
+  const added = newChildren.filter(child => !matchedNew.has(child));
+
+  const replaced = new Map(pairReplacements(removed, added));
+  const replacements = new Set(replaced.values());
+  for (const child of removed) {
+    changes.push(replaced.has(child)
+      ? makeChange('changed', path, child, replaced.get(child))
+      : makeChange('removed', path, child, null));
+  }
+  for (const child of added) {
+    if (!replacements.has(child)) changes.push(makeChange('added', path, null, child));
+  }
+  return matched;
+}
+
+/**
+ * Match commands in order (patienceLCS); equal commands out of order
+ * moved, and the rest between two matches is paired in order
+ *
+ * @returns {Array<Array<Object>>} Matched [old, new] child pairs
+ */
+function diffOrdered(oldChildren, newChildren, path, changes) {
+  const oldTexts = oldChildren.map(child => child.text);
+  const newTexts = newChildren.map(child => child.text);
+  const anchors = patienceLCS(oldTexts, newTexts)
+    .filter(match => oldTexts[match.aIndex] === newTexts[match.bIndex]);
+  const oldMatched = new Set(anchors.map(match => match.aIndex));
+  const newMatched = new Set(anchors.map(match => match.bIndex));
+  const matched = anchors.map(match => [oldChildren[match.aIndex], newChildren[match.bIndex]]);
+
+  oldTexts.forEach((text, i) => {
+    if (oldMatched.has(i)) return;
+    const j = newTexts.findIndex((other, k) => other === text && !newMatched.has(k));
+    if (j === -1) return;
+    oldMatched.add(i);
+    newMatched.add(j);
+    matched.push([oldChildren[i], newChildren[j]]);
+    changes.push(makeChange('moved', path, oldChildren[i], newChildren[j]));
+  });
+
+  let oldFrom = 0;
+  let newFrom = 0;
+  for (const anchor of [...anchors, { aIndex: oldChildren.length, bIndex: newChildren.length }]) {
+    const oldRest = [];
+    const newRest = [];
+    for (let i = oldFrom; i < anchor.aIndex; i++) if (!oldMatched.has(i)) oldRest.push(oldChildren[i]);
+    for (let j = newFrom; j < anchor.bIndex; j++) if (!newMatched.has(j)) newRest.push(newChildren[j]);
+
+    const pairs = Math.min(oldRest.length, newRest.length);
+    for (let k = 0; k < pairs; k++) {
+      changes.push(makeChange('changed', path, oldRest[k], newRest[k]));
+    }
+    for (const child of oldRest.slice(pairs)) changes.push(makeChange('removed', path, child, null));
+    for (const child of newRest.slice(pairs)) changes.push(makeChange('added', path, null, child));
+
+    oldFrom = anchor.aIndex + 1;
+    newFrom = anchor.bIndex + 1;
+  }
+  return matched;
+}
+
+/**
+ * Compare two indentation-based configs section by section
+ *
+ * @param {string} oldText - Previous config
+ * @param {string} newText - Current config
+ * @returns {Array<Object>} Structural changes with section `path` and `command`
+ */
+export function compareIndentedConfig(oldText, newText) {
+  const changes = [];
+  diffSections(parseConfigTree(oldText), parseConfigTree(newText), '', changes);
+  return changes;
+}
+
+export default {
+  SECTION_SEPARATOR,
+  parseConfigTree,
+  compareIndentedConfig
+};
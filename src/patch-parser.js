@@ -0,0 +1,419 @@
+/**
+ * Patch Parser Module
+ *
+ * Parses unified diffs (`diff -u`, `git diff`, `git format-patch` output)
+ * and rebuilds the old and new text each file's hunks describe, so a patch
+ * can be run through runDiffPipeline() like two pasted files.
+ *
+ * Only the lines inside hunks are known. Unchanged stretches between hunks
+ * are replaced by a gap marker line that is identical on both sides, and
+ * multi-file patches get a banner line per file.
+ *
+ * Environment-agnostic: no DOM access.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+// ============================================================================
+// Error Types
+// ============================================================================
+
+/**
+ * Raised for malformed patch input
+ * lineNumber is the 1-based line in the patch text where the problem was found.
+ */
+export class PatchParseError extends Error {
+  constructor(message, lineNumber = null) {
+    super(lineNumber !== null ? `Line ${lineNumber}: ${message}` : message);
+    this.name = 'PatchParseError';
+    this.lineNumber = lineNumber;
+  }
+}
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+const HUNK_HEADER_RE = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+/**
+ * A hunk line
+ * @typedef {Object} PatchLine
+ * @property {string} op - ' ' (context), '-' (removed) or '+' (added)
+ * @property {string} text - Line content without the prefix
+ * @property {boolean} noNewline - Followed by "\ No newline at end of file"
+ */
+
+/**
+ * A parsed hunk
+ * @typedef {Object} PatchHunk
+ * @property {number} oldStart - Start line in the old file (from the header)
+ * @property {number} oldCount - Old line count
+ * @property {number} newStart - Start line in the new file
+ * @property {number} newCount - New line count
+ * @property {number} lineNumber - Line of the @@ header in the patch text
+ * @property {PatchLine[]} lines
+ */
+
+/**
+ * A parsed file section
+ * @typedef {Object} FilePatch
+ * @property {string|null} oldPath - Old path ('a/' prefix removed), null for new files
+ * @property {string|null} newPath - New path ('b/' prefix removed), null for deleted files
+ * @property {boolean} isNew
+ * @property {boolean} isDeleted
+ * @property {boolean} isBinary
+ * @property {PatchHunk[]} hunks
+ */
+
+/**
+ * Strip a/ b/ prefixes and trailing timestamps from a ---/+++ path
+ *
+ * @param {string} raw - Path portion of the header line
+ * @returns {string|null} Path, or null for /dev/null
+ */
+function parseHeaderPath(raw) {
+  let filePath = raw.split('\t')[0].trim();
+  if (filePath.startsWith('"') && filePath.endsWith('"')) {
+    filePath = filePath.slice(1, -1);
+  }
+  if (filePath === '/dev/null') return null;
+  return filePath.replace(/^[ab]\//, '');
+}
+
+function createFilePatch() {
+  return {
+    oldPath: null,
+    newPath: null,
+    isNew: false,
+    isDeleted: false,
+    isBinary: false,
+    hunks: [],
+    hasFileHeader: false
+  };
+}
+
+/**
+ * Parse one hunk starting at its @@ header
+ *
+ * @param {string[]} lines - All patch lines
+ * @param {number} start - Index of the @@ header
+ * @returns {{ hunk: PatchHunk, next: number }} Parsed hunk and index after it
+ */
+function parseHunk(lines, start) {
+  const headerLineNumber = start + 1;
+  const match = HUNK_HEADER_RE.exec(lines[start]);
+  if (!match) {
+    throw new PatchParseError(`Malformed hunk header "${lines[start]}"`, headerLineNumber);
+  }
+
+  const hunk = {
+    oldStart: parseInt(match[1], 10),
+    oldCount: match[2] !== undefined ? parseInt(match[2], 10) : 1,
+    newStart: parseInt(match[3], 10),
+    newCount: match[4] !== undefined ? parseInt(match[4], 10) : 1,
+    lineNumber: headerLineNumber,
+    lines: []
+  };
+
+  let oldRemaining = hunk.oldCount;
+  let newRemaining = hunk.newCount;
+  let i = start + 1;
+
+  while (oldRemaining > 0 || newRemaining > 0) {
+    if (i >= lines.length) {
+      throw new PatchParseError(
+        `Hunk at line ${headerLineNumber} ends early: missing ${oldRemaining} old and ${newRemaining} new lines`,
+        lines.length
+      );
+    }
+
+    const line = lines[i];
+    // Editors and mail clients often strip the single space from blank context lines
+    const op = line === '' ? ' ' : line[0];
+    const text = line.slice(1);
+
+    if (op === '\\') {
+      if (hunk.lines.length === 0) {
+        throw new PatchParseError('"\\ No newline at end of file" before any hunk line', i + 1);
+      }
+      hunk.lines[hunk.lines.length - 1].noNewline = true;
+      i++;
+      continue;
+    }
+
+    if (op === ' ') {
+      oldRemaining--;
+      newRemaining--;
+    } else if (op === '-') {
+      oldRemaining--;
+    } else if (op === '+') {
+      newRemaining--;
+    } else {
+      throw new PatchParseError(
+        `Unexpected line in hunk at line ${headerLineNumber} (expected ${oldRemaining} more old and ${newRemaining} more new lines): "${line}"`,
+        i + 1
+      );
+    }
+
+    if (oldRemaining < 0 || newRemaining < 0) {
+      throw new PatchParseError(
+        `Hunk at line ${headerLineNumber} has more lines than its header declares (${formatCounts(hunk)})`,
+        i + 1
+      );
+    }
+
+    hunk.lines.push({ op, text, noNewline: false });
+    i++;
+  }
+
+  // Marker for the final line of the hunk
+  if (i < lines.length && lines[i].startsWith('\\')) {
+    if (hunk.lines.length > 0) {
+      hunk.lines[hunk.lines.length - 1].noNewline = true;
+    }
+    i++;
+  }
+
+  return { hunk, next: i };
+}
+
+function formatCounts(hunk) {
+  return `-${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount}`;
+}
+
+/**
+ * First line a hunk covers on one side (a zero count names the line before)
+ */
+function firstLine(start, count) {
+  return count === 0 ? start + 1 : start;
+}
+
+/**
+ * Check that hunks are in order and do not overlap
+ *
+ * @param {FilePatch} file - Parsed file section
+ */
+function validateHunkOrder(file) {
+  for (let i = 1; i < file.hunks.length; i++) {
+    const prev = file.hunks[i - 1];
+    const hunk = file.hunks[i];
+    const prevOldEnd = firstLine(prev.oldStart, prev.oldCount) + prev.oldCount;
+    const prevNewEnd = firstLine(prev.newStart, prev.newCount) + prev.newCount;
+
+    if (firstLine(hunk.oldStart, hunk.oldCount) < prevOldEnd || firstLine(hunk.newStart, hunk.newCount) < prevNewEnd) {
+      throw new PatchParseError(
+        `Hunk overlaps or precedes the hunk at line ${prev.lineNumber}`,
+        hunk.lineNumber
+      );
+    }
+  }
+}
+
+/**
+ * Parse a unified diff into file sections
+ *
+ * Text before the first file header (mail headers, commit message,
+ * diffstat) and after the last hunk (format-patch signature) is ignored.
+ *
+ * @param {string} text - Patch text
+ * @returns {FilePatch[]} Parsed files in patch order
+ * @throws {PatchParseError} For malformed hunks or a patch without hunks
+ */
+export function parsePatch(text) {
+  const lines = (text || '').split('\n').map(line => line.replace(/\r$/, ''));
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  const files = [];
+  let current = null;
+  let i = 0;
+
+  const startFile = () => {
+    current = createFilePatch();
+    files.push(current);
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.startsWith('diff --git ')) {
+      startFile();
+      const gitPaths = /^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/.exec(line);
+      if (gitPaths) {
+        current.oldPath = gitPaths[1];
+        current.newPath = gitPaths[2];
+      }
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+      // Plain diff -u output has no "diff --git" line to start a section
+      if (!current || current.hasFileHeader || current.hunks.length > 0) {
+        startFile();
+      }
+      current.oldPath = parseHeaderPath(line.slice(4));
+      current.newPath = parseHeaderPath(lines[i + 1].slice(4));
+      current.isNew = current.isNew || current.oldPath === null;
+      current.isDeleted = current.isDeleted || current.newPath === null;
+      current.hasFileHeader = true;
+      i += 2;
+      continue;
+    }
+
+    if (line.startsWith('@@')) {
+      if (!current || !current.hasFileHeader) {
+        throw new PatchParseError('Hunk found before a ---/+++ file header', i + 1);
+      }
+      const { hunk, next } = parseHunk(lines, i);
+      current.hunks.push(hunk);
+      i = next;
+      continue;
+    }
+
+    if (current) {
+      if (line.startsWith('new file mode')) current.isNew = true;
+      else if (line.startsWith('deleted file mode')) current.isDeleted = true;
+      else if (line.startsWith('rename from ')) current.oldPath = line.slice('rename from '.length);
+      else if (line.startsWith('rename to ')) current.newPath = line.slice('rename to '.length);
+      else if (line.startsWith('Binary files ') || line === 'GIT binary patch') current.isBinary = true;
+    }
+    i++;
+  }
+
+  if (!files.some(file => file.hunks.length > 0 || file.isBinary)) {
+    throw new PatchParseError('No hunks found - expected "@@ -start,count +start,count @@" lines');
+  }
+
+  for (const file of files) {
+    validateHunkOrder(file);
+    delete file.hasFileHeader;
+  }
+
+  return files;
+}
+
+// ============================================================================
+// Reconstruction
+// ============================================================================
+
+/**
+ * Marker line standing in for unchanged lines the patch does not include
+ *
+ * @param {number} count - Number of omitted lines
+ * @returns {string}
+ */
+export function formatGapMarker(count) {
+  return `⋯ ${count} unchanged line${count === 1 ? '' : 's'} not in patch ⋯`;
+}
+
+/**
+ * Banner line introducing a file in a multi-file patch
+ *
+ * @param {FilePatch} file - Parsed file section
+ * @returns {string}
+ */
+export function formatFileBanner(file) {
+  let label;
+  if (file.isNew) label = `${file.newPath} (new file)`;
+  else if (file.isDeleted) label = `${file.oldPath} (deleted)`;
+  else if (file.oldPath && file.newPath && file.oldPath !== file.newPath) label = `${file.oldPath} → ${file.newPath}`;
+  else label = file.newPath || file.oldPath;
+  return `=== ${label} ===`;
+}
+
+/**
+ * Rebuild the old and new lines covered by one file's hunks
+ *
+ * @param {FilePatch} file - Parsed file section
+ * @returns {{ oldLines: string[], newLines: string[], oldNoNewline: boolean, newNoNewline: boolean }}
+ */
+export function reconstructFile(file) {
+  const oldLines = [];
+  const newLines = [];
+  let oldNoNewline = false;
+  let newNoNewline = false;
+  let nextOldLine = 1;
+
+  for (const hunk of file.hunks) {
+    const gap = firstLine(hunk.oldStart, hunk.oldCount) - nextOldLine;
+    if (gap > 0) {
+      const marker = formatGapMarker(gap);
+      oldLines.push(marker);
+      newLines.push(marker);
+    }
+
+    for (const line of hunk.lines) {
+      if (line.op !== '+') {
+        oldLines.push(line.text);
+        oldNoNewline = line.noNewline;
+      }
+      if (line.op !== '-') {
+        newLines.push(line.text);
+        newNoNewline = line.noNewline;
+      }
+    }
+
+    nextOldLine = firstLine(hunk.oldStart, hunk.oldCount) + hunk.oldCount;
+  }
+
+  return { oldLines, newLines, oldNoNewline, newNoNewline };
+}
+
+/**
+ * Parse a patch and build old/new texts for runDiffPipeline()
+ *
+ * @param {string} text - Patch text
+ * @returns {{ oldText: string, newText: string, files: FilePatch[] }}
+ * @throws {PatchParseError} For malformed patches
+ */
+export function reconstructPatchTexts(text) {
+  const files = parsePatch(text);
+  const withBanners = files.length > 1;
+
+  const oldLines = [];
+  const newLines = [];
+  let oldNoNewline = false;
+  let newNoNewline = false;
+
+  for (const file of files) {
+    if (withBanners) {
+      const banner = formatFileBanner(file);
+      oldLines.push(banner);
+      newLines.push(banner);
+    }
+
+    if (file.isBinary) {
+      oldLines.push('⋯ binary file not shown ⋯');
+      newLines.push('⋯ binary file not shown ⋯');
+      oldNoNewline = false;
+      newNoNewline = false;
+      continue;
+    }
+
+    const rebuilt = reconstructFile(file);
+    oldLines.push(...rebuilt.oldLines);
+    newLines.push(...rebuilt.newLines);
+    oldNoNewline = rebuilt.oldNoNewline;
+    newNoNewline = rebuilt.newNoNewline;
+  }
+
+  const join = (lines, noNewline) =>
+    lines.length === 0 ? '' : lines.join('\n') + (noNewline ? '' : '\n');
+
+  return {
+    oldText: join(oldLines, oldNoNewline),
+    newText: join(newLines, newNoNewline),
+    files
+  };
+}
+
+export default {
+  PatchParseError,
+  parsePatch,
+  formatGapMarker,
+  formatFileBanner,
+  reconstructFile,
+  reconstructPatchTexts
+};
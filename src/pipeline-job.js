@@ -0,0 +1,164 @@
+/**
+ * Pipeline Job Module
+ *
+ * One comparison job: runDiffPipeline() followed by the Tree-sitter
+ * semantic move pass, syntax tree diff and changed-symbol outline. The
+ * diff worker (src/diff-worker.js) and the main-thread fallback
+ * (src/diff-worker-client.js) both run jobs through runPipelineJob(), so
+ * results do not depend on where the job ran.
+ *
+ * Also defines the message protocol between the worker and its client.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { runDiffPipeline, reportPipelineProgress, PipelineCancelledError } from './diff-algorithms.js';
+import { enhanceDiffWithTreeSitterMoves } from './tree-sitter-move-detector.js';
+import { diffSourceTrees } from './ast-tree-diff.js';
+import { outlineChangedSymbols } from './symbol-outline.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Message types exchanged with the diff worker
+ *
+ * Client → worker: { type: RUN, id, oldText, newText, options, movesLanguage, astDiffLanguage,
+ *                    outlineLanguage }
+ * Worker → client: { type: PROGRESS, id, phase, completed, total }
+ *                  { type: RESULT, id, result }
+ *                  { type: ERROR, id, error: { name, message } }
+ */
+export const WORKER_MESSAGES = {
+  RUN: 'run',
+  PROGRESS: 'progress',
+  RESULT: 'result',
+  ERROR: 'error'
+};
+
+// The semantic move pass parses both texts; skip it for large diffs
+export const TREE_SITTER_MOVES_MAX_RESULTS = 200;
+
+// ============================================================================
+// Job Execution
+// ============================================================================
+
+/**
+ * Run the diff pipeline, the Tree-sitter move pass, the syntax tree diff
+ * and the changed-symbol outline
+ *
+ * @param {string} oldText - Previous version text
+ * @param {string} newText - Current version text
+ * @param {Object} diffLib - Diff library ({ diffLines, diffWords, diffChars })
+ * @param {Object} options - Options passed to runDiffPipeline()
+ * @param {Object} job - Job settings
+ * @param {Function} job.onProgress - Called with { phase, completed, total }
+ * @param {AbortSignal} job.signal - Aborting stops the job with PipelineCancelledError
+ * @param {string|null} job.movesLanguage - Grammar for the semantic move pass (null skips it)
+ * @param {string|null} job.astDiffLanguage - Grammar for the node-level syntax
+ *   tree diff (null skips it); its result is set as result.astDiff
+ * @param {string|null} job.outlineLanguage - Grammar for the outline of
+ *   changed functions and classes (null skips it, as does options.ignoreLineOrder);
+ *   set as result.symbolOutline
+ * @param {Function} job.loadParser - async (language) → Tree-sitter parser or null
+ * @returns {Promise<Object>} Pipeline result ({ results, stats, limitInfo, ... })
+ */
+export async function runPipelineJob(oldText, newText, diffLib, options = {}, job = {}) {
+  const { onProgress = null, signal = null, movesLanguage = null, astDiffLanguage = null, outlineLanguage = null, loadParser = null } = job;
+  const pipelineOptions = { ...options, onProgress, signal };
+
+  const result = await runDiffPipeline(oldText, newText, diffLib, pipelineOptions);
+
+  // Tree-sitter catches semantic moves (including single/multi-line) that
+  // the text pipeline misses when comments or context around them change.
+  // A structural comparison already decided what moved.
+  const structuralApplied = result.structural && !result.structural.fallback;
+  if (movesLanguage && loadParser && !structuralApplied && result.results.length < TREE_SITTER_MOVES_MAX_RESULTS) {
+    await reportPipelineProgress(pipelineOptions, 'moves');
+
+    try {
+      const parser = await loadParser(movesLanguage);
+      if (parser) {
+        const enhanced = await enhanceDiffWithTreeSitterMoves(result, oldText, newText, parser);
+        if (enhanced && enhanced.stats.moved > result.stats.moved) {
+          console.log(`[PipelineJob] Tree-sitter found ${enhanced.stats.moved - result.stats.moved} additional moves`);
+          result.results = enhanced.results;
+          result.stats = enhanced.stats;
+        }
+      }
+    } catch (error) {
+      // Continue with the pipeline results
+      console.warn('[PipelineJob] Tree-sitter move detection failed:', error.message);
+    }
+  }
+
+  // Node-level edit script (see ast-tree-diff.js); null when a tree is too large
+  if (astDiffLanguage && loadParser && !structuralApplied) {
+    await reportPipelineProgress(pipelineOptions, 'syntaxTree');
+
+    try {
+      const parser = await loadParser(astDiffLanguage);
+      if (parser) {
+        result.astDiff = diffSourceTrees(oldText, newText, parser);
+      }
+    } catch (error) {
+      console.warn('[PipelineJob] Syntax tree diff failed:', error.message);
+    }
+  }
+
+  // Changed lines mapped onto their functions and classes (see symbol-outline.js).
+  // With ignoreLineOrder the results number the lines of the reordered
+  // current text, which no longer parses as the file does.
+  if (outlineLanguage && loadParser && !structuralApplied && !options.ignoreLineOrder) {
+    await reportPipelineProgress(pipelineOptions, 'symbols');
+
+    try {
+      const parser = await loadParser(outlineLanguage);
+      if (parser) {
+        result.symbolOutline = outlineChangedSymbols(result.results, oldText, newText, parser);
+      }
+    } catch (error) {
+      console.warn('[PipelineJob] Symbol outline failed:', error.message);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Serialize an error for postMessage
+ *
+ * @param {Error} error - Error thrown by a job
+ * @returns {{name: string, message: string}}
+ */
+export function serializeJobError(error) {
+  return {
+    name: error?.name || 'Error',
+    message: error?.message || String(error)
+  };
+}
+
+/**
+ * Rebuild an error received from the worker
+ *
+ * @param {{name: string, message: string}} data - Serialized error
+ * @returns {Error} PipelineCancelledError for cancellations, Error otherwise
+ */
+export function deserializeJobError(data) {
+  if (data?.name === 'PipelineCancelledError') {
+    return new PipelineCancelledError(data.message);
+  }
+  const error = new Error(data?.message || 'Diff worker failed');
+  error.name = data?.name || 'Error';
+  return error;
+}
+
+export default {
+  WORKER_MESSAGES,
+  TREE_SITTER_MOVES_MAX_RESULTS,
+  runPipelineJob,
+  serializeJobError,
+  deserializeJobError
+};
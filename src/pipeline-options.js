@@ -0,0 +1,96 @@
+/**
+ * Pipeline Options Builder
+ *
+ * Builds the options object passed to runDiffPipeline() from user-facing
+ * settings. Shared by the browser UI (performComparison in index.html) and
+ * the command-line entry (bin/text-diff.js) so both run the pipeline with
+ * exactly the same configuration.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * Default user configuration (mirrors the settings panel defaults)
+ */
+export const DEFAULT_CONFIG = {
+  enableFastMode: true,
+  normalizeDelimiters: false,
+  correctSliders: false,
+  ignorePatterns: [],
+  structuralIdentityKey: 'name',
+  lineOrderSections: true
+};
+
+/**
+ * Default mode toggles - all three highlighting levels enabled
+ */
+export const DEFAULT_MODE_TOGGLES = {
+  lines: true,
+  words: true,
+  chars: true
+};
+
+/**
+ * Build runDiffPipeline options from user settings
+ *
+ * @param {Object} settings - User-facing settings
+ * @param {Object} settings.config - Saved configuration (see DEFAULT_CONFIG);
+ *   config.ignorePatterns holds the { pattern, mode } ignore rules,
+ *   config.structuralIdentityKey the key matching YAML sequence items and
+ *   config.lineOrderSections whether ignoreLineOrder matches within sections
+ * @param {Object} settings.modeToggles - Line/word/char highlighting toggles
+ * @param {string|null} settings.language - Detected language for nested diffs
+ * @param {Object|null} settings.astFeatures - Prepared AST features (browser only)
+ * @param {boolean} settings.ignoreWhitespace - Ignore whitespace changes
+ * @param {boolean} settings.ignoreComments - Ignore comment changes
+ * @param {boolean} settings.structural - Compare structured formats (JSON, YAML) by path
+ * @param {Array<string>} settings.tableKeyColumns - Columns that match CSV/TSV rows
+ * @param {boolean} settings.ignoreLineOrder - Compare the lines as multisets
+ * @param {boolean} settings.prose - Compare by sentence (Markdown, prose)
+ * @returns {Object} Options object for runDiffPipeline()
+ */
+export function buildPipelineOptions(settings = {}) {
+  const {
+    config = DEFAULT_CONFIG,
+    modeToggles = DEFAULT_MODE_TOGGLES,
+    language = null,
+    astFeatures = null,
+    ignoreWhitespace = false,
+    ignoreComments = false,
+    structural = false,
+    tableKeyColumns = [],
+    ignoreLineOrder = false,
+    prose = false
+  } = settings;
+
+  const mergedConfig = { ...DEFAULT_CONFIG, ...config };
+
+  return {
+    modeToggles: { ...modeToggles },
+    detectMoves: true,
+    filterOptions: {
+      ignoreWhitespace,
+      ignoreComments,
+      ignorePatterns: mergedConfig.ignorePatterns || []
+    },
+    config: mergedConfig,
+    astFeatures,
+    language, // Always pass language for nested diffs (works with or without AST)
+    useAST: astFeatures !== null,
+    normalizeDelimiters: mergedConfig.normalizeDelimiters || false,
+    correctSliders: mergedConfig.correctSliders || false,
+    structural,
+    structuralIdentityKey: mergedConfig.structuralIdentityKey ?? DEFAULT_CONFIG.structuralIdentityKey,
+    tableKeyColumns: [...tableKeyColumns],
+    ignoreLineOrder,
+    prose,
+    lineOrderSections: mergedConfig.lineOrderSections !== false
+  };
+}
+
+export default {
+  DEFAULT_CONFIG,
+  DEFAULT_MODE_TOGGLES,
+  buildPipelineOptions
+};
@@ -0,0 +1,403 @@
+/**
+ * Prose Diff Module
+ *
+ * Compares Markdown and plain prose (READMEs, runbooks) by sentence
+ * instead of by line, so rewrapping a paragraph is no change. Each side is
+ * split into units: the sentences of every paragraph and block quote with
+ * their whitespace collapsed, and Markdown structure as units of its own
+ * (headings, list items, table rows, rules, and code fences compared
+ * exactly). Units keep the lines they span.
+ *
+ * Equal units are aligned with patienceLCS(); equal units out of order
+ * moved, and the remaining units between two anchors are paired in order
+ * when they are of the same kind and share most of their words, so a
+ * rewritten sentence is one change with the diffWords() output of the two
+ * sentences. The result uses the shared structural change shape (see
+ * structural-diff.js) with paths like
+ * `Installation > paragraph 2, sentence 1`.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { patienceLCS } from './patience-diff.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Structural format name of prose comparisons
+export const PROSE_FORMAT = 'prose';
+
+export const PROSE_UNIT_KINDS = {
+  SENTENCE: 'sentence',
+  HEADING: 'heading',
+  LIST_ITEM: 'list item',
+  TABLE_ROW: 'table row',
+  CODE: 'code block',
+  RULE: 'rule'
+};
+
+// Share of words two units need in common to pair as a change
+const PAIR_THRESHOLD = 0.5;
+
+// Longest heading text used in a path
+const SECTION_LABEL_LENGTH = 40;
+
+// Separator between the section and the unit in a path
+const PATH_SEPARATOR = ' > ';
+
+// A period after these words ends no sentence
+const ABBREVIATIONS = new Set([
+  'e.g', 'i.e', 'etc', 'vs', 'cf', 'approx', 'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'no', 'fig'
+]);
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:\s+|$)(.*?)(?:\s+#+)?\s*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(?:=+|-+)\s*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const LIST_ITEM = /^ {0,3}(?:[-*+]|\d{1,9}[.)])(?:\s+|$)/;
+const RULE = /^ {0,3}(?:(?:-\s*){3,}|(?:\*\s*){3,}|(?:_\s*){3,})$/;
+const QUOTE_MARKER = /^ {0,3}>\s?/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+
+// End of a sentence: terminal punctuation, closing quotes or emphasis, space
+const SENTENCE_END = /[.!?]+["'”’)\]*_]*\s+/g;
+
+// ============================================================================
+// Units
+// ============================================================================
+
+/**
+ * Split collapsed paragraph text into sentences
+ *
+ * A sentence ends at `.`, `!` or `?` followed by a space and no lowercase
+ * letter; a period after a common abbreviation or a single initial ends
+ * none.
+ *
+ * @param {string} text - Paragraph text with whitespace collapsed
+ * @returns {Array<{start: number, end: number}>} Sentence offsets (end exclusive)
+ */
+export function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    if (end >= text.length || /\p{Ll}/u.test(text[end])) continue;
+    if (match[0][0] === '.' && match[0].trimEnd().length === 1) {
+      const word = text.slice(start, match.index).match(/([\p{L}.]+)$/u)?.[1].toLowerCase() || '';
+      if (ABBREVIATIONS.has(word) || /^\p{L}$/u.test(word)) continue;
+    }
+    sentences.push({ start, end: match.index + match[0].trimEnd().length });
+    start = end;
+  }
+  if (start < text.length) sentences.push({ start, end: text.length });
+  return sentences;
+}
+
+// Collapsed text of lines and the offset of each line in it
+function joinLines(lines) {
+  const offsets = [];
+  let text = '';
+  for (const line of lines) {
+    const content = line.content.trim().replace(/\s+/g, ' ');
+    if (!content) continue;
+    if (text) text += ' ';
+    offsets.push({ offset: text.length, line: line.number });
+    text += content;
+  }
+  return { text, offsets };
+}
+
+// Source line of a character offset in joined text
+function lineAt(offsets, offset) {
+  let line = offsets[0].line;
+  for (const entry of offsets) {
+    if (entry.offset > offset) break;
+    line = entry.line;
+  }
+  return line;
+}
+
+/**
+ * Split Markdown or plain text into comparison units
+ *
+ * @param {string} text - Document
+ * @returns {Array<Object>} Units { kind, text, startLine, endLine, path } in
+ *   document order
+ */
+export function parseProseUnits(text) {
+  const lines = text.split(/\r?\n/).map((content, index) => ({ content, number: index + 1 }));
+  const units = [];
+  let section = '';
+  let headings = 0;
+  const counters = new Map();
+
+  const label = kind => {
+    const count = (counters.get(kind) || 0) + 1;
+    counters.set(kind, count);
+    return `${kind} ${count}`;
+  };
+  const pathOf = name => (section ? `${section}${PATH_SEPARATOR}${name}` : name);
+  const addUnit = (kind, unitText, startLine, endLine, name) => {
+    units.push({ kind, text: unitText, startLine, endLine, path: pathOf(name) });
+  };
+  const startSection = (headingText, lineNumber, endLine) => {
+    section = '';
+    headings++;
+    addUnit(PROSE_UNIT_KINDS.HEADING, headingText, lineNumber, endLine, `${PROSE_UNIT_KINDS.HEADING} ${headings}`);
+    section = headingText.length > SECTION_LABEL_LENGTH
+      ? `${headingText.slice(0, SECTION_LABEL_LENGTH - 1)}…`
+      : headingText;
+    counters.clear();
+  };
+  const addParagraph = paragraphLines => {
+    const { text: joined, offsets } = joinLines(paragraphLines);
+    if (!joined) return;
+    const paragraph = label('paragraph');
+    splitSentences(joined).forEach(({ start, end }, index) => {
+      addUnit(PROSE_UNIT_KINDS.SENTENCE, joined.slice(start, end), lineAt(offsets, start), lineAt(offsets, end - 1),
+        `${paragraph}, sentence ${index + 1}`);
+    });
+  };
+
+  let i = 0;
+  const isBlank = index => index >= lines.length || !lines[index].content.trim();
+  while (i < lines.length) {
+    const { content, number } = lines[i];
+    if (!content.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = content.match(FENCE);
+    if (fence) {
+      const close = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      let end = i + 1;
+      while (end < lines.length && !close.test(lines[end].content)) end++;
+      const last = Math.min(end, lines.length - 1);
+      const code = lines.slice(i, last + 1).map(line => line.content.trimEnd()).join('\n');
+      addUnit(PROSE_UNIT_KINDS.CODE, code, number, lines[last].number, label(PROSE_UNIT_KINDS.CODE));
+      i = last + 1;
+      continue;
+    }
+
+    const heading = content.match(ATX_HEADING);
+    if (heading) {
+      startSection(heading[2].trim(), number, number);
+      i++;
+      continue;
+    }
+
+    if (RULE.test(content)) {
+      addUnit(PROSE_UNIT_KINDS.RULE, content.replace(/\s+/g, ''), number, number, label(PROSE_UNIT_KINDS.RULE));
+      i++;
+      continue;
+    }
+
+    if (TABLE_ROW.test(content)) {
+      const cells = content.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+      // The |---|---| delimiter row only sets alignment
+      if (!cells.every(cell => /^:?-+:?$/.test(cell))) {
+        addUnit(PROSE_UNIT_KINDS.TABLE_ROW, `| ${cells.join(' | ')} |`, number, number, label(PROSE_UNIT_KINDS.TABLE_ROW));
+      }
+      i++;
+      continue;
+    }
+
+    if (LIST_ITEM.test(content)) {
+      // An item goes on over its indented (or lazy) continuation lines
+      const itemLines = [{ content: content.replace(LIST_ITEM, ''), number }];
+      let end = i + 1;
+      while (end < lines.length && !isBlank(end) && !LIST_ITEM.test(lines[end].content) &&
+        !FENCE.test(lines[end].content) && !ATX_HEADING.test(lines[end].content)) {
+        itemLines.push(lines[end]);
+        end++;
+      }
+      // Markers and numbering are no content (renumbering is no change)
+      addUnit(PROSE_UNIT_KINDS.LIST_ITEM, joinLines(itemLines).text, number, lines[end - 1].number,
+        label(PROSE_UNIT_KINDS.LIST_ITEM));
+      i = end;
+      continue;
+    }
+
+    // A paragraph (or block quote) runs to the next blank line or block
+    const quote = QUOTE_MARKER.test(content);
+    const paragraphLines = [];
+    let end = i;
+    while (end < lines.length && !isBlank(end)) {
+      const line = lines[end].content;
+      if (end > i && (FENCE.test(line) || ATX_HEADING.test(line) || LIST_ITEM.test(line) ||
+        TABLE_ROW.test(line) || QUOTE_MARKER.test(line) !== quote)) break;
+      if (end > i && SETEXT_UNDERLINE.test(line) && !quote) break;
+      paragraphLines.push({ content: quote ? line.replace(QUOTE_MARKER, '') : line, number: lines[end].number });
+      end++;
+    }
+
+    // A paragraph underlined with === or --- is a heading
+    if (end < lines.length && end > i && SETEXT_UNDERLINE.test(lines[end].content) && !quote) {
+      startSection(joinLines(paragraphLines).text, number, lines[end].number);
+      i = end + 1;
+      continue;
+    }
+
+    addParagraph(paragraphLines);
+    i = end;
+  }
+
+  return units;
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+const unitKey = unit => `${unit.kind}\u0000${unit.text}`;
+
+// Share of words two texts have in common (0..1)
+function wordSimilarity(oldText, newText) {
+  const oldWords = oldText.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const newWords = newText.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (oldWords.length === 0 && newWords.length === 0) return 1;
+
+  const counts = new Map();
+  for (const word of oldWords) counts.set(word, (counts.get(word) || 0) + 1);
+  let common = 0;
+  for (const word of newWords) {
+    if (counts.get(word) > 0) {
+      common++;
+      counts.set(word, counts.get(word) - 1);
+    }
+  }
+  return (2 * common) / (oldWords.length + newWords.length);
+}
+
+const linesOf = unit => ({ start: unit.startLine, end: unit.endLine });
+
+/**
+ * Compare two documents sentence by sentence
+ *
+ * @param {string} oldText - Previous document
+ * @param {string} newText - Current document
+ * @param {Object} [options]
+ * @param {Function} [options.diffWords] - diffWords for changed units
+ * @returns {Array<Object>} Structural changes (added, removed, changed,
+ *   moved); changed units carry `wordDiff`
+ */
+export function compareProse(oldText, newText, options = {}) {
+  const { diffWords = null } = options;
+  const oldUnits = parseProseUnits(oldText);
+  const newUnits = parseProseUnits(newText);
+  const oldKeys = oldUnits.map(unitKey);
+  const newKeys = newUnits.map(unitKey);
+
+  // Unique equal units in order are anchors; between two anchors, equal
+  // units are matched in order as well
+  const oldPartner = new Array(oldUnits.length).fill(-1);
+  const newPartner = new Array(newUnits.length).fill(-1);
+  const anchors = patienceLCS(oldKeys, newKeys);
+  const gaps = [];
+  let oldStart = 0;
+  let newStart = 0;
+  for (const { aIndex, bIndex } of [...anchors, { aIndex: oldUnits.length, bIndex: newUnits.length }]) {
+    gaps.push({ oldStart, oldEnd: aIndex, newStart, newEnd: bIndex });
+    if (aIndex < oldUnits.length) {
+      oldPartner[aIndex] = bIndex;
+      newPartner[bIndex] = aIndex;
+    }
+    oldStart = aIndex + 1;
+    newStart = bIndex + 1;
+  }
+  for (const gap of gaps) {
+    let next = gap.newStart;
+    for (let i = gap.oldStart; i < gap.oldEnd; i++) {
+      const j = newKeys.indexOf(oldKeys[i], next);
+      if (j === -1 || j >= gap.newEnd) continue;
+      oldPartner[i] = j;
+      newPartner[j] = i;
+      next = j + 1;
+    }
+  }
+
+  const changes = [];
+  const add = (change, newPosition) => changes.push({ change, newPosition, order: changes.length });
+
+  // Equal units left over anywhere moved
+  const leftover = new Map();
+  newUnits.forEach((unit, j) => {
+    if (newPartner[j] !== -1) return;
+    if (!leftover.has(newKeys[j])) leftover.set(newKeys[j], []);
+    leftover.get(newKeys[j]).push(j);
+  });
+  oldUnits.forEach((unit, i) => {
+    if (oldPartner[i] !== -1) return;
+    const j = leftover.get(oldKeys[i])?.shift();
+    if (j === undefined) return;
+    oldPartner[i] = j;
+    newPartner[j] = i;
+    add({
+      type: 'moved',
+      path: newUnits[j].path,
+      oldPath: unit.path,
+      oldValue: unit.text,
+      newValue: newUnits[j].text,
+      oldLines: linesOf(unit),
+      newLines: linesOf(newUnits[j])
+    }, j);
+  });
+
+  // Pair the rest in order within each gap by kind and shared words
+  for (const gap of gaps) {
+    let next = gap.newStart;
+    for (let i = gap.oldStart; i < gap.oldEnd; i++) {
+      if (oldPartner[i] !== -1) continue;
+      const unit = oldUnits[i];
+      let best = -1;
+      let bestScore = PAIR_THRESHOLD;
+      for (let j = next; j < gap.newEnd; j++) {
+        if (newPartner[j] !== -1 || newUnits[j].kind !== unit.kind) continue;
+        const score = wordSimilarity(unit.text, newUnits[j].text);
+        if (score >= bestScore && (best === -1 || score > bestScore)) {
+          best = j;
+          bestScore = score;
+        }
+      }
+
+      if (best === -1) {
+        add({ type: 'removed', path: unit.path, oldValue: unit.text, oldLines: linesOf(unit), newLines: null }, next - 0.5);
+        continue;
+      }
+      oldPartner[i] = best;
+      newPartner[best] = i;
+      next = best + 1;
+      const newUnit = newUnits[best];
+      const change = {
+        type: 'changed',
+        path: newUnit.path,
+        oldValue: unit.text,
+        newValue: newUnit.text,
+        oldLines: linesOf(unit),
+        newLines: linesOf(newUnit)
+      };
+      if (unit.path !== newUnit.path) change.oldPath = unit.path;
+      if (diffWords) change.wordDiff = diffWords(unit.text, newUnit.text);
+      add(change, best);
+    }
+    for (let j = gap.newStart; j < gap.newEnd; j++) {
+      if (newPartner[j] !== -1) continue;
+      const unit = newUnits[j];
+      add({ type: 'added', path: unit.path, newValue: unit.text, oldLines: null, newLines: linesOf(unit) }, j);
+    }
+  }
+
+  return changes
+    .sort((a, b) => a.newPosition - b.newPosition || a.order - b.order)
+    .map(entry => entry.change);
+}
+
+export default {
+  PROSE_FORMAT,
+  PROSE_UNIT_KINDS,
+  splitSentences,
+  parseProseUnits,
+  compareProse
+};
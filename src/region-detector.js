@@ -13,6 +13,7 @@
 // ============================================================================
 
 import { isTreeSitterAvailable, getLanguageParser, isLanguageSupported } from './tree-sitter-loader.js';
+import { LANGUAGES, resolveLanguageId } from './language-registry.js';
 
 // ============================================================================
 // Region Types
@@ -28,257 +29,14 @@ export const REGION_TYPES = {
 // Language Configuration
 // ============================================================================
 
+/**
+ * Comment and string syntax per language, from the language registry,
+ * plus a permissive default for unknown languages
+ */
 const LANGUAGE_CONFIGS = {
-  // C-style languages: C, C++, Java, C#, JavaScript, TypeScript, etc.
-  c: {
-    lineComments: ['//'],
-    blockComments: [['/*', '*/']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' }
-    ]
-  },
-  
-  // Python
-  python: {
-    lineComments: ['#'],
-    blockComments: [],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' },
-      { start: '"""', end: '"""', multiline: true },
-      { start: "'''", end: "'''", multiline: true }
-    ]
-  },
-  
-  // Shell scripts (bash, sh, zsh)
-  shell: {
-    lineComments: ['#'],
-    blockComments: [],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: false }
-    ]
-  },
-  
-  // SQL
-  sql: {
-    lineComments: ['--'],
-    blockComments: [['/*', '*/']],
-    strings: [
-      { start: "'", end: "'", escape: '\\' }
-    ]
-  },
-  
-  // HTML/XML
-  html: {
-    lineComments: [],
-    blockComments: [['<!--', '-->']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' }
-    ]
-  },
-  
-  // CSS
-  css: {
-    lineComments: ['//'],
-    blockComments: [['/*', '*/']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' }
-    ]
-  },
-  
-  // Ruby
-  ruby: {
-    lineComments: ['#'],
-    blockComments: [['=begin', '=end']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' },
-      { start: '%Q', end: '"', escape: '\\' },
-      { start: '%q', end: "'", escape: '\\' }
-    ]
-  },
-  
-  // PHP
-  php: {
-    lineComments: ['//', '#'],
-    blockComments: [['/*', '*/']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' }
-    ]
-  },
-  
-  // Go
-  go: {
-    lineComments: ['//'],
-    blockComments: [['/*', '*/']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' },
-      { start: '`', end: '`', raw: true }
-    ]
-  },
-  
-  // Rust
-  rust: {
-    lineComments: ['//'],
-    blockComments: [['/*', '*/']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' },
-      { start: 'r#', end: '"', raw: true },
-      { start: 'r##', end: '"', raw: true },
-      { start: 'r###', end: '"', raw: true }
-    ]
-  },
-  
-  // Swift
-  swift: {
-    lineComments: ['//'],
-    blockComments: [['/*', '*/']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' },
-      { start: '"""', end: '"""', multiline: true }
-    ]
-  },
-  
-  // Kotlin
-  kotlin: {
-    lineComments: ['//'],
-    blockComments: [['/*', '*/']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' },
-      { start: '"""', end: '"""', multiline: true }
-    ]
-  },
-  
-  // Scala
-  scala: {
-    lineComments: ['//'],
-    blockComments: [['/*', '*/']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' },
-      { start: '"""', end: '"""', multiline: true }
-    ]
-  },
-  
-  // Haskell
-  haskell: {
-    lineComments: ['--'],
-    blockComments: [['{-', '-}']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' }
-    ]
-  },
-  
-  // Lua
-  lua: {
-    lineComments: ['--'],
-    blockComments: [['--[[', ']]']],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' },
-      { start: '[[', end: ']]', multiline: true }
-    ]
-  },
-  
-  // Perl
-  perl: {
-    lineComments: ['#'],
-    blockComments: [],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' },
-      { start: '`', end: '`', escape: '\\' }
-    ]
-  },
-  
-  // R
-  r: {
-    lineComments: ['#'],
-    blockComments: [],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' }
-    ]
-  },
-  
-  // Dockerfile
-  dockerfile: {
-    lineComments: ['#'],
-    blockComments: [],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' }
-    ]
-  },
-  
-  // JSON (no comments, just strings)
-  json: {
-    lineComments: [],
-    blockComments: [],
-    strings: [
-      { start: '"', end: '"', escape: '\\' }
-    ]
-  },
-  
-  // YAML
-  yaml: {
-    lineComments: ['#'],
-    blockComments: [],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' }
-    ]
-  },
-  
-  // TOML
-  toml: {
-    lineComments: ['#'],
-    blockComments: [],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' },
-      { start: '"""', end: '"""', multiline: true },
-      { start: "'''", end: "'''", multiline: true }
-    ]
-  },
-  
-  // INI files
-  ini: {
-    lineComments: [';', '#'],
-    blockComments: [],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' }
-    ]
-  },
-  
-  // Properties files
-  properties: {
-    lineComments: ['#', '!'],
-    blockComments: [],
-    strings: [
-      { start: '"', end: '"', escape: '\\' }
-    ]
-  },
-  
-  // Makefile
-  makefile: {
-    lineComments: ['#'],
-    blockComments: [],
-    strings: [
-      { start: '"', end: '"', escape: '\\' },
-      { start: "'", end: "'", escape: '\\' }
-    ]
-  },
+  ...Object.fromEntries(
+    Object.entries(LANGUAGES).map(([id, language]) => [id, language.syntax])
+  ),
   
   // Default configuration for unknown languages
   default: {
@@ -371,6 +129,7 @@ function getTreeSitterNodeType(nodeType, language) {
     'line_comment',
     'block_comment',
     'multi_line_comment',
+    'multiline_comment', // Swift
     'documentation_comment',
     'hash_comment',  // Python, Ruby
     'html_comment',  // HTML/XML
@@ -387,6 +146,14 @@ function getTreeSitterNodeType(nodeType, language) {
     'character',
     'raw_string',
     'format_string',
+    'raw_string_literal',              // C#, Swift, Rust
+    'verbatim_string_literal',         // C#
+    'interpolated_string_expression',  // C#, Scala
+    'line_string_literal',             // Swift
+    'multi_line_string_literal',       // Swift
+    'multiline_string_literal',        // Kotlin
+    'encapsed_string',                 // PHP
+    'string_lit',                      // Terraform
   ];
   
   if (commentTypes.includes(nodeType)) {
@@ -475,44 +242,13 @@ function getLanguageConfig(language) {
     return LANGUAGE_CONFIGS.default;
   }
   
-  // Normalize language name
-  const normalizedLang = language.toLowerCase().trim();
-  
-  // Direct match
-  if (LANGUAGE_CONFIGS[normalizedLang]) {
-    return LANGUAGE_CONFIGS[normalizedLang];
+  // Registry ids and aliases (js, c#, sh, ...)
+  const id = resolveLanguageId(language);
+  if (id) {
+    return LANGUAGE_CONFIGS[id];
   }
   
-  // Common aliases
-  const aliases = {
-    'js': 'c',           // JavaScript uses C-style syntax
-    'javascript': 'c',
-    'typescript': 'c',
-    'ts': 'c',
-    'java': 'c',
-    'cpp': 'c',
-    'c++': 'c',
-    'c#': 'c',
-    'cs': 'c',
-    'bash': 'shell',
-    'sh': 'shell',
-    'zsh': 'shell',
-    'xml': 'html',
-    'svg': 'html',
-    'py': 'python',
-    'rb': 'ruby',
-    'rs': 'rust',
-    'go': 'go',
-    'kt': 'kotlin',
-    'hs': 'haskell',
-    'pl': 'perl',
-    'docker': 'dockerfile'
-  };
-  
-  const config = LANGUAGE_CONFIGS[aliases[normalizedLang]];
-  if (config) {
-    return config;
-  }
+  const normalizedLang = language.toLowerCase().trim();
   
   // Try to match common patterns
   if (normalizedLang.includes('java') || 
@@ -798,7 +534,18 @@ export async function stripCommentsFromLine(line, language = null) {
  * @returns {Array<string>} Array of supported language identifiers
  */
 export function getSupportedLanguages() {
-  return Object.keys(LANGUAGE_CONFIGS).filter(lang => lang !== 'default');
+  return Object.keys(LANGUAGES);
+}
+
+/**
+ * Get the block comment delimiters for a language
+ * Lets callers follow a block comment that continues on the next lines
+ * (detection itself works one line at a time)
+ * @param {string} language - The programming language (optional)
+ * @returns {Array<Array<string>>} Array of [start, end] delimiter pairs
+ */
+export function getBlockCommentDelimiters(language = null) {
+  return getLanguageConfig(language).blockComments;
 }
 
 export default {
@@ -808,6 +555,7 @@ export default {
   isInsideString,
   stripCommentsFromLine,
   getSupportedLanguages,
+  getBlockCommentDelimiters,
   REGION_TYPES,
   detectWithRegex
 };
\ No newline at end of file
@@ -0,0 +1,320 @@
+/**
+ * Rename Detector Module
+ *
+ * Finds identifiers renamed consistently across a file. The pipeline pairs
+ * every line that uses a renamed variable or function as 'modified'; this
+ * module compares the tokens of each pair (see tokenizer.js) and, when the
+ * only differences are identifier substitutions that agree across the file
+ * (`x` always becomes `count`, and nothing else becomes `count`), marks the
+ * pair as 'renamed' instead.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { tokenize, TOKEN_TYPES } from './tokenizer.js';
+import { getGrammarLanguages } from './language-registry.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+export const RENAME_CONFIG = {
+  // A substitution must be seen on this many line pairs to count as a
+  // rename; a single changed identifier is an ordinary edit
+  MIN_LINES: 2
+};
+
+// Languages with a grammar whose words are no variable or function names
+// (data, markup and style sheets)
+const NON_CODE_LANGUAGES = new Set(['json', 'yaml', 'toml', 'xml', 'html', 'css', 'regex']);
+
+const CODE_LANGUAGES = new Set(getGrammarLanguages().filter(language => !NON_CODE_LANGUAGES.has(language)));
+
+/**
+ * Whether renames are looked for in a language
+ *
+ * Only source code has identifiers to rename: in prose, configs and data
+ * files a word changed on two lines ("the cat" → "the dog") is an edit.
+ *
+ * @param {string|null} language - Detected language id
+ * @returns {boolean}
+ */
+export function isRenameLanguage(language) {
+  return CODE_LANGUAGES.has(language);
+}
+
+// ============================================================================
+// Line Comparison
+// ============================================================================
+
+/**
+ * Find the identifier substitutions that turn one line into another
+ *
+ * The lines must tokenize to the same sequence with only identifier
+ * values differing (whitespace, comments and literals must match).
+ *
+ * @param {string} oldLine - Previous version of the line
+ * @param {string} newLine - Current version of the line
+ * @returns {Array<[string, string]>|null} [old, new] pairs (empty when the
+ *   lines are equal), or null when anything besides identifiers changed
+ *   or one identifier becomes two different names on the line
+ */
+export function findIdentifierSubstitutions(oldLine, newLine) {
+  if (oldLine === newLine) return [];
+
+  const oldTokens = tokenize(oldLine, { includeWhitespace: true });
+  const newTokens = tokenize(newLine, { includeWhitespace: true });
+  if (oldTokens.length !== newTokens.length) return null;
+
+  const substitutions = new Map();
+  for (let i = 0; i < oldTokens.length; i++) {
+    const oldToken = oldTokens[i];
+    const newToken = newTokens[i];
+    if (oldToken.type !== newToken.type) return null;
+    if (oldToken.value === newToken.value) continue;
+    if (oldToken.type !== TOKEN_TYPES.IDENTIFIER) return null;
+
+    const previous = substitutions.get(oldToken.value);
+    if (previous !== undefined && previous !== newToken.value) return null;
+    substitutions.set(oldToken.value, newToken.value);
+  }
+
+  return [...substitutions];
+}
+
+/**
+ * Split a multi-line result value into lines (no trailing empty line)
+ */
+function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Build diff parts ({ value, added, removed }) for a line pair that only
+ * differs in identifiers: the renamed identifiers as removed/added parts,
+ * everything else unchanged
+ */
+function renameParts(oldLine, newLine) {
+  const oldTokens = tokenize(oldLine, { includeWhitespace: true });
+  const newTokens = tokenize(newLine, { includeWhitespace: true });
+  const parts = [];
+  let unchanged = '';
+
+  oldTokens.forEach((oldToken, i) => {
+    const newValue = newTokens[i].value;
+    if (oldToken.value === newValue) {
+      unchanged += oldToken.value;
+      return;
+    }
+    if (unchanged) parts.push({ value: unchanged });
+    unchanged = '';
+    parts.push({ value: oldToken.value, removed: true });
+    parts.push({ value: newValue, added: true });
+  });
+
+  if (unchanged) parts.push({ value: unchanged });
+  return parts;
+}
+
+// ============================================================================
+// Line Pairs
+// ============================================================================
+
+/**
+ * Whether a result entry is the removed side of a modified pair
+ */
+function isModifiedPair(entry) {
+  return entry.classification === 'modified' && entry.removed === true;
+}
+
+/**
+ * Find the old and new text of every modified pair, line by line
+ *
+ * A multi-line removed entry is split into one result per line
+ * (lineIndex set) that all carry the first line pair, so the new line is
+ * read from the 'modified-skipped' partner that follows the run at the
+ * same offset. Pairs whose sides have different line counts are left out.
+ *
+ * @param {Array} results - Classified diff results
+ * @returns {Map<number, Array<[string, string]>>} Result index → line pairs
+ */
+function collectLinePairs(results) {
+  const linePairs = new Map();
+  let partnerLines = null;
+
+  results.forEach((entry, index) => {
+    if (!isModifiedPair(entry)) return;
+
+    if (entry.lineIndex === undefined) {
+      const oldLines = splitLines(entry.removedLine || entry.value);
+      const newLines = splitLines(entry.addedLine || '');
+      if (oldLines.length === newLines.length) {
+        linePairs.set(index, oldLines.map((line, i) => [line, newLines[i]]));
+      }
+      return;
+    }
+
+    if (entry.lineIndex === 0) {
+      partnerLines = findPartnerLines(results, index);
+    }
+    const newLine = partnerLines?.[entry.lineIndex];
+    if (newLine !== undefined) {
+      linePairs.set(index, [[splitLines(entry.value)[0], newLine]]);
+    }
+  });
+
+  return linePairs;
+}
+
+/**
+ * Lines of the added partner of the split run starting at `start`, or
+ * null when the partner is missing or has a different line count
+ */
+function findPartnerLines(results, start) {
+  const first = results[start];
+  let end = start;
+  while (end < results.length && isModifiedPair(results[end]) &&
+    results[end].index === first.index && results[end].lineIndex === end - start) {
+    end++;
+  }
+
+  const partner = results[end];
+  if (!partner || partner.classification !== 'modified-skipped' || partner.index !== first.pairIndex) {
+    return null;
+  }
+  const lines = splitLines(partner.value);
+  return lines.length === end - start ? lines : null;
+}
+
+/**
+ * Find the substitutions of a modified pair over all its lines
+ *
+ * @returns {Array<[string, string]>|null} Substitutions, or null when the
+ *   pair has other changes or no change at all
+ */
+function pairSubstitutions(pairs) {
+  const substitutions = new Map();
+  for (const [oldLine, newLine] of pairs) {
+    const lineSubstitutions = findIdentifierSubstitutions(oldLine, newLine);
+    if (!lineSubstitutions) return null;
+    for (const [from, to] of lineSubstitutions) {
+      if (substitutions.has(from) && substitutions.get(from) !== to) return null;
+      substitutions.set(from, to);
+    }
+  }
+  return substitutions.size > 0 ? [...substitutions] : null;
+}
+
+// ============================================================================
+// Rename Detection
+// ============================================================================
+
+/**
+ * Find the renames that are consistent across all modified pairs
+ *
+ * A substitution old → new is a rename when old never becomes another
+ * name, no other name becomes new, and it occurs on at least
+ * config.MIN_LINES lines. Every line whose only change is identifiers
+ * takes part, so `x` → `y` on two lines and `x` → `z` on a third is no
+ * rename.
+ *
+ * @param {Array} results - Classified diff results
+ * @param {Object} config - Overrides for RENAME_CONFIG
+ * @returns {Array<{from: string, to: string, lines: number}>}
+ */
+export function findConsistentRenames(results, config = {}) {
+  return consistentRenames(collectLinePairs(results), { ...RENAME_CONFIG, ...config });
+}
+
+function consistentRenames(linePairs, config) {
+  const targets = new Map();   // old name → Map(new name → lines)
+  const sources = new Map();   // new name → Set(old names)
+
+  for (const pairs of linePairs.values()) {
+    for (const [oldLine, newLine] of pairs) {
+      const substitutions = findIdentifierSubstitutions(oldLine, newLine);
+      if (!substitutions) continue;
+
+      for (const [from, to] of substitutions) {
+        if (!targets.has(from)) targets.set(from, new Map());
+        const counts = targets.get(from);
+        counts.set(to, (counts.get(to) || 0) + 1);
+
+        if (!sources.has(to)) sources.set(to, new Set());
+        sources.get(to).add(from);
+      }
+    }
+  }
+
+  const renames = [];
+  for (const [from, counts] of targets) {
+    if (counts.size !== 1) continue;
+    const [[to, lines]] = counts;
+    if (sources.get(to).size !== 1 || lines < config.MIN_LINES) continue;
+    renames.push({ from, to, lines });
+  }
+  return renames;
+}
+
+/**
+ * Classify modified pairs whose only change is a consistent rename
+ *
+ * The removed side of each such pair gets classification 'renamed',
+ * renames: [{ from, to }], its own removedLine / addedLine, and word and
+ * char diffs that mark just the renamed identifiers. Its partner stays
+ * 'modified-skipped'.
+ *
+ * @param {Array} results - Classified diff results
+ * @param {Object} config - Overrides for RENAME_CONFIG
+ * @returns {{results: Array, renames: Array<{from: string, to: string, lines: number}>}}
+ *   New results array and the renames that were applied
+ */
+export function applyRenameDetection(results, config = {}) {
+  const linePairs = collectLinePairs(results);
+  const renames = consistentRenames(linePairs, { ...RENAME_CONFIG, ...config });
+  if (renames.length === 0) {
+    return { results, renames };
+  }
+
+  const renameTargets = new Map(renames.map(rename => [rename.from, rename.to]));
+  const applied = new Set();
+
+  const classified = results.map((entry, index) => {
+    const pairs = linePairs.get(index);
+    const substitutions = pairs && pairSubstitutions(pairs);
+    if (!substitutions || !substitutions.every(([from, to]) => renameTargets.get(from) === to)) {
+      return entry;
+    }
+
+    substitutions.forEach(([from]) => applied.add(from));
+    const lineParts = pairs.map(([oldLine, newLine]) => renameParts(oldLine, newLine));
+    const parts = lineParts.flatMap((line, i) => i === 0 ? line : [{ value: '\n' }, ...line]);
+
+    return {
+      ...entry,
+      classification: 'renamed',
+      renames: substitutions.map(([from, to]) => ({ from, to })),
+      removedLine: pairs.map(([oldLine]) => oldLine).join('\n'),
+      addedLine: pairs.map(([, newLine]) => newLine).join('\n'),
+      wordDiff: entry.wordDiff ? parts : undefined,
+      charDiff: entry.charDiff ? parts : undefined,
+      lineDiffs: entry.lineDiffs ? lineParts.map(line => ({ prev: line, curr: line })) : undefined,
+      nestedDiffs: undefined
+    };
+  });
+
+  return { results: classified, renames: renames.filter(rename => applied.has(rename.from)) };
+}
+
+export default {
+  RENAME_CONFIG,
+  isRenameLanguage,
+  findIdentifierSubstitutions,
+  findConsistentRenames,
+  applyRenameDetection
+};
@@ -15,6 +15,8 @@
  * SPDX-License-Identifier: MIT
  */
 
+import { LANGUAGES, resolveLanguageId } from './language-registry.js';
+
 // ============================================================================
 // Configuration Constants
 // ============================================================================
@@ -33,59 +35,10 @@ export const SLIDER_CONFIG = {
   MAX_CONTEXT_WINDOW: 5, // Lines to check on each side for scoring
   MAX_LINES_FOR_ANALYSIS: 10000, // Skip slider detection for huge diffs
   
-  // Language-specific slider preferences
-  LANGUAGE_PREFERENCES: {
-    // C-style languages: prefer keeping braces with function signatures
-    javascript: {
-      braceWeight: 0.3,
-      indentWeight: 0.2,
-      commentWeight: 0.2,
-      delimiterWeight: 0.3
-    },
-    typescript: {
-      braceWeight: 0.3,
-      indentWeight: 0.2,
-      commentWeight: 0.2,
-      delimiterWeight: 0.3
-    },
-    java: {
-      braceWeight: 0.25,
-      indentWeight: 0.25,
-      commentWeight: 0.2,
-      delimiterWeight: 0.3
-    },
-    c: {
-      braceWeight: 0.25,
-      indentWeight: 0.25,
-      commentWeight: 0.2,
-      delimiterWeight: 0.3
-    },
-    cpp: {
-      braceWeight: 0.25,
-      indentWeight: 0.25,
-      commentWeight: 0.2,
-      delimiterWeight: 0.3
-    },
-    python: {
-      braceWeight: 0.0, // Python doesn't use braces
-      indentWeight: 0.5, // Indentation is critical
-      commentWeight: 0.3,
-      delimiterWeight: 0.2
-    },
-    // Data formats: prefer preserving structure
-    json: {
-      braceWeight: 0.4,
-      indentWeight: 0.3,
-      commentWeight: 0.1,
-      delimiterWeight: 0.2
-    },
-    yaml: {
-      braceWeight: 0.0,
-      indentWeight: 0.6, // Indentation defines structure
-      commentWeight: 0.2,
-      delimiterWeight: 0.2
-    }
-  }
+  // Language-specific slider preferences, from the language registry
+  LANGUAGE_PREFERENCES: Object.fromEntries(
+    Object.entries(LANGUAGES).map(([id, language]) => [id, language.slider])
+  )
 };
 
 // ============================================================================
@@ -495,7 +448,7 @@ function getIndentLevel(line) {
  * @returns {Object} Language preference weights
  */
 function getLanguagePreferences(language) {
-  return SLIDER_CONFIG.LANGUAGE_PREFERENCES[language] || {
+  return SLIDER_CONFIG.LANGUAGE_PREFERENCES[resolveLanguageId(language)] || {
     braceWeight: 0.25,
     indentWeight: 0.25,
     commentWeight: 0.25,
@@ -0,0 +1,430 @@
+/**
+ * Structural Diff Module
+ *
+ * Compares structured documents (JSON, YAML, XML, INI/TOML, device configs)
+ * by path instead of by line and maps the result onto the line-based
+ * pipeline output, so the split, unified and terminal views show the real
+ * lines with only the lines of structural changes highlighted.
+ *
+ * Each format registers a comparer in STRUCTURAL_COMPARERS that takes the
+ * two texts and the comparison options and returns a list of changes (or
+ * { changes, table } for CSV/TSV, whose grid the table view shows), or
+ * throws when a side cannot be parsed (the line diff is then kept as is).
+ * Comparers parse into tree-diff.js nodes and compare with diffTrees().
+ * A change is:
+ *
+ *   { type, path, oldPath?, oldValue?, newValue?, oldLines, newLines }
+ *
+ * where type is one of STRUCTURAL_CHANGE_TYPES and oldLines/newLines are
+ * 1-based { start, end } ranges (null on the side the value is missing).
+ * Device config changes also carry `command`, the command text under the
+ * section `path` (see network-config-diff.js).
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { compareJson } from './json-diff.js';
+import { compareYaml } from './yaml-diff.js';
+import { compareIndentedConfig } from './network-config-diff.js';
+import { compareTables, detectTableFormat, TABLE_FORMATS } from './table-diff.js';
+import { compareXml } from './xml-diff.js';
+import { compareKeyValue } from './key-value-diff.js';
+import { compareProse, PROSE_FORMAT } from './prose-diff.js';
+import { IGNORED_CLASSIFICATION } from './diff-filters.js';
+import {
+  detectKeyValueFormat,
+  detectMarkupFormat,
+  detectNetworkConfigFormat,
+  KEY_VALUE_FORMATS
+} from './format-detect.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+export const STRUCTURAL_CHANGE_TYPES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+  MOVED: 'moved'
+};
+
+// ignoreReason of line changes that are not structural changes
+// (reordered keys, reformatting, trailing commas)
+export const STRUCTURAL_REASON = 'structural';
+
+// Format (detected language id) → comparer(oldText, newText, options) → changes
+const STRUCTURAL_COMPARERS = {
+  json: compareJson,
+  yaml: compareYaml,
+  'cisco-ios': compareIndentedConfig,
+  'arista-eos': compareIndentedConfig,
+  [TABLE_FORMATS.CSV]: (oldText, newText, options) => compareTables(oldText, newText, { ...options, format: TABLE_FORMATS.CSV }),
+  [TABLE_FORMATS.TSV]: (oldText, newText, options) => compareTables(oldText, newText, { ...options, format: TABLE_FORMATS.TSV }),
+  xml: compareXml,
+  html: (oldText, newText, options) => compareXml(oldText, newText, { ...options, html: true }),
+  ...Object.fromEntries(Object.values(KEY_VALUE_FORMATS).map(format => [
+    format,
+    (oldText, newText, options) => compareKeyValue(oldText, newText, { ...options, format })
+  ])),
+  [PROSE_FORMAT]: compareProse
+};
+
+// Display name of each format
+const STRUCTURAL_FORMAT_LABELS = {
+  json: 'JSON',
+  yaml: 'YAML',
+  'cisco-ios': 'Cisco IOS',
+  'arista-eos': 'Arista EOS',
+  [TABLE_FORMATS.CSV]: 'CSV',
+  [TABLE_FORMATS.TSV]: 'TSV',
+  xml: 'XML',
+  html: 'HTML',
+  [KEY_VALUE_FORMATS.INI]: 'INI',
+  [KEY_VALUE_FORMATS.TOML]: 'TOML',
+  [KEY_VALUE_FORMATS.ENV]: '.env',
+  [PROSE_FORMAT]: 'Prose'
+};
+
+// Marker in front of the command of a device config change
+const COMMAND_MARKERS = {
+  added: '+',
+  removed: '-',
+  changed: '~',
+  moved: '>'
+};
+
+// Longest value shown by formatStructuralValue()
+const VALUE_PREVIEW_LENGTH = 60;
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+/**
+ * Structural format for a detected language
+ *
+ * @param {string|null} language - Detected language id
+ * @returns {string|null} Format name, or null when the language has no structural comparer
+ */
+export function getStructuralFormat(language) {
+  return language && Object.prototype.hasOwnProperty.call(STRUCTURAL_COMPARERS, language) ? language : null;
+}
+
+/**
+ * Structural format of a comparison: the detected language's, or a device
+ * config, key-value or table format recognized from the content (no
+ * language detects those; key-value files and tables only when no language
+ * was detected). Language detection
+ * calls XML 'html', so markup is told apart by its content.
+ *
+ * @param {string|null} language - Detected language id
+ * @param {string} oldText - Previous document
+ * @param {string} newText - Current document
+ * @returns {string|null} Format name, or null when there is no structural comparer
+ */
+export function detectStructuralFormat(language, oldText, newText) {
+  if (language === 'html' || language === 'xml') return detectMarkupFormat(oldText, newText);
+  // TOML detected from one side loses to the format of the pair
+  // (`export B="x y"` on the other side makes both .env)
+  if (language === KEY_VALUE_FORMATS.TOML) return detectKeyValueFormat(oldText, newText) || language;
+  return getStructuralFormat(language) ||
+    detectNetworkConfigFormat(oldText, newText) ||
+    (language ? null : detectMarkupFormat(oldText, newText) ||
+      detectKeyValueFormat(oldText, newText) ||
+      detectTableFormat(oldText, newText));
+}
+
+/**
+ * Display name of a structural format
+ *
+ * @param {string} format - Format name
+ * @returns {string} E.g. "JSON", "Cisco IOS"
+ */
+export function getStructuralFormatLabel(format) {
+  return STRUCTURAL_FORMAT_LABELS[format] || format;
+}
+
+/**
+ * Count structural changes by type
+ *
+ * @param {Array<Object>} changes - Structural changes
+ * @returns {{added: number, removed: number, changed: number, moved: number}}
+ */
+export function summarizeStructuralChanges(changes) {
+  const summary = { added: 0, removed: 0, changed: 0, moved: 0 };
+  for (const change of changes) summary[change.type]++;
+  return summary;
+}
+
+/**
+ * Compare two documents structurally
+ *
+ * @param {string} oldText - Previous document
+ * @param {string} newText - Current document
+ * @param {string} format - Format from getStructuralFormat()
+ * @param {Object} [options] - Comparer options
+ * @param {string} [options.identityKey] - Mapping key (YAML, see
+ *   yaml-diff.js) or attribute (XML/HTML, see xml-diff.js) that matches
+ *   repeated items
+ * @param {Array<string>} [options.keyColumns] - Columns that identify a
+ *   table row (CSV/TSV, see table-diff.js)
+ * @param {Function} [options.diffChars] - diffChars for changed table cells
+ * @param {Function} [options.diffWords] - diffWords for changed INI, TOML
+ *   and .env values and prose sentences (see key-value-diff.js, prose-diff.js)
+ * @returns {Object} { format, changes, summary } plus `table` for CSV/TSV,
+ *   or { format, changes: [], fallback } with the parse error message when
+ *   a side cannot be parsed
+ */
+export function compareStructured(oldText, newText, format, options = {}) {
+  const comparer = STRUCTURAL_COMPARERS[format];
+  if (!comparer) {
+    throw new Error(`No structural comparer for format: ${format}`);
+  }
+
+  let output;
+  try {
+    output = comparer(oldText, newText, options);
+  } catch (error) {
+    return { format, changes: [], fallback: error.message };
+  }
+  const { changes, ...extra } = Array.isArray(output) ? { changes: output } : output;
+  return { format, changes, summary: summarizeStructuralChanges(changes), ...extra };
+}
+
+// ============================================================================
+// Mapping onto Line Results
+// ============================================================================
+
+// Line number → type of the structural change on that line (moves only
+// where no other change overlaps)
+function changedLineTypes(changes, side) {
+  const lines = new Map();
+  for (const change of changes) {
+    const range = change[side];
+    if (!range) continue;
+    for (let line = range.start; line <= range.end; line++) {
+      if (!lines.has(line) || change.type !== STRUCTURAL_CHANGE_TYPES.MOVED) {
+        lines.set(line, change.type);
+      }
+    }
+  }
+  return lines;
+}
+
+const MOVE_CLASSIFICATIONS = ['moved', 'block-moved'];
+const PAIR_CLASSIFICATIONS = ['modified', 'modified-skipped'];
+
+// A side of a modified pair as a plain removal or addition
+function toPlainChange(entry) {
+  const {
+    removedLine, addedLine, pairIndex, similarity, wordDiff, charDiff, lineDiffs, nestedDiffs,
+    ...rest
+  } = entry;
+  return { ...rest, classification: entry.removed ? 'removed' : 'added' };
+}
+
+/**
+ * Keep a run of lines of a one-sided entry; a line move that is no
+ * structural move (e.g. a reordered key next to an added one) becomes a
+ * plain addition or removal
+ */
+function keepStructuralRun(entry, value, count, types) {
+  if (!MOVE_CLASSIFICATIONS.includes(entry.classification) || types.includes(STRUCTURAL_CHANGE_TYPES.MOVED)) {
+    return { ...entry, value, count };
+  }
+  const {
+    moveDestination, blockMoveDestination, blockMoveSource, blockMoveInfo, wordDiff, charDiff,
+    ...rest
+  } = entry;
+  return { ...rest, value, count, classification: entry.removed ? 'removed' : 'added' };
+}
+
+function splitLines(value) {
+  if (!value) return [];
+  const lines = value.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function toStructuralIgnored(entry, value, count) {
+  return {
+    value,
+    count,
+    [entry.removed ? 'removed' : 'added']: true,
+    classification: IGNORED_CLASSIFICATION,
+    ignoreReason: STRUCTURAL_REASON
+  };
+}
+
+/**
+ * Reclassify line results with structural changes
+ *
+ * Lines of one-sided entries (added, removed, moved) that belong to no
+ * structural change become `ignored` entries with ignoreReason
+ * STRUCTURAL_REASON: the text differs but the data does not. Entries are
+ * split where that changes within them, and line moves that are no
+ * structural move become additions or removals. Modified pairs are kept
+ * when all of their lines changed structurally, ignored when none did,
+ * and split into plain removed / added lines otherwise. Every line keeps its side and text, so line
+ * numbering is unchanged.
+ *
+ * @param {Array} results - Classified pipeline results
+ * @param {Array<Object>} changes - Structural changes with line ranges
+ * @returns {Array} Reclassified results
+ */
+export function applyStructuralChanges(results, changes) {
+  const oldChanged = changedLineTypes(changes, 'oldLines');
+  const newChanged = changedLineTypes(changes, 'newLines');
+
+  // First line of every entry on its side(s)
+  const starts = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const entry of results) {
+    starts.push({ old: oldLine, new: newLine });
+    const count = splitLines(entry.value).length;
+    if (!entry.added) oldLine += count;
+    if (!entry.removed) newLine += count;
+  }
+
+  // Structural change type of each line of an entry (undefined: none)
+  const lineTypes = index => {
+    const entry = results[index];
+    const lines = entry.removed ? oldChanged : newChanged;
+    const start = entry.removed ? starts[index].old : starts[index].new;
+    return splitLines(entry.value).map((line, i) => lines.get(start + i));
+  };
+  const touches = index => lineTypes(index).some(type => type !== undefined);
+
+  // Consecutive modified / modified-skipped entries render their two
+  // sides together: keep the group, ignore it, or split it into plain
+  // removed and added lines when only part of it changed structurally
+  const groups = [];
+  results.forEach((entry, index) => {
+    if (!PAIR_CLASSIFICATIONS.includes(entry.classification)) return;
+    const previous = groups[groups.length - 1];
+    if (previous && previous.end === index) {
+      previous.end++;
+    } else {
+      groups.push({ start: index, end: index + 1 });
+    }
+  });
+  const groupStates = new Map();
+  for (const { start, end } of groups) {
+    const touched = [];
+    for (let index = start; index < end; index++) touched.push(...lineTypes(index).map(type => type !== undefined));
+    const state = !touched.includes(true) ? 'ignore' : (touched.includes(false) ? 'split' : 'keep');
+    for (let index = start; index < end; index++) groupStates.set(index, state);
+  }
+
+  const reclassified = [];
+  const newIndices = [];
+  results.forEach((original, index) => {
+    newIndices.push(reclassified.length);
+    let entry = original;
+    const oneSided = entry.added || entry.removed;
+    if (!oneSided || entry.classification === IGNORED_CLASSIFICATION) {
+      reclassified.push(entry);
+      return;
+    }
+
+    const groupState = groupStates.get(index);
+    if (groupState === 'keep') {
+      reclassified.push(entry);
+      return;
+    }
+    if (groupState === 'ignore') {
+      reclassified.push(toStructuralIgnored(entry, entry.value, entry.count));
+      return;
+    }
+    if (groupState === 'split') {
+      if (!entry.value) return;
+      entry = toPlainChange(entry);
+    }
+
+    // Split into runs of lines inside / outside structural changes
+    const types = lineTypes(index);
+    const touched = types.map(type => type !== undefined);
+    if (!touched.includes(false)) {
+      reclassified.push(keepStructuralRun(entry, entry.value, entry.count, types));
+      return;
+    }
+    const lines = splitLines(entry.value);
+    const terminated = entry.value.endsWith('\n');
+    let runStart = 0;
+    for (let i = 1; i <= lines.length; i++) {
+      if (i < lines.length && touched[i] === touched[runStart]) continue;
+      const last = i === lines.length;
+      const value = lines.slice(runStart, i).join('\n') + (last && !terminated ? '' : '\n');
+      reclassified.push(touched[runStart]
+        ? keepStructuralRun(entry, value, i - runStart, types.slice(runStart, i))
+        : toStructuralIgnored(entry, value, i - runStart));
+      runStart = i;
+    }
+  });
+
+  // Keep modified pairs pointing at their partner after splits
+  return reclassified.map(entry => (entry.classification === 'modified' && Number.isInteger(entry.pairIndex)
+    ? { ...entry, pairIndex: newIndices[entry.pairIndex] }
+    : entry));
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Short single-line preview of a structural value
+ *
+ * @param {*} value - Value from a structural change
+ * @returns {string} JSON text, shortened with "…" when long
+ */
+export function formatStructuralValue(value) {
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > VALUE_PREVIEW_LENGTH ? `${text.slice(0, VALUE_PREVIEW_LENGTH - 1)}…` : text;
+}
+
+/**
+ * One-line description of a structural change
+ *
+ * @param {Object} change - Structural change
+ * @returns {string} E.g. "$.servers[3].port: 80 → 8080", or for a device
+ *   config "interface GigabitEthernet0/1: + ip helper-address 10.0.0.5"
+ */
+export function describeStructuralChange(change) {
+  if (change.command !== undefined) {
+    const command = change.type === STRUCTURAL_CHANGE_TYPES.CHANGED
+      ? `${change.oldValue} → ${change.newValue}`
+      : change.command;
+    const text = `${COMMAND_MARKERS[change.type]} ${command}`;
+    return change.path ? `${change.path}: ${text}` : text;
+  }
+
+  switch (change.type) {
+    case STRUCTURAL_CHANGE_TYPES.ADDED:
+      return `${change.path}: ${formatStructuralValue(change.newValue)}`;
+    case STRUCTURAL_CHANGE_TYPES.REMOVED:
+      return `${change.path}: ${formatStructuralValue(change.oldValue)}`;
+    case STRUCTURAL_CHANGE_TYPES.MOVED:
+      return `${change.oldPath} → ${change.path}`;
+    default: {
+      const path = change.oldPath ? `${change.oldPath} → ${change.path}` : change.path;
+      return `${path}: ${formatStructuralValue(change.oldValue)} → ${formatStructuralValue(change.newValue)}`;
+    }
+  }
+}
+
+export default {
+  STRUCTURAL_CHANGE_TYPES,
+  STRUCTURAL_REASON,
+  getStructuralFormat,
+  detectStructuralFormat,
+  getStructuralFormatLabel,
+  summarizeStructuralChanges,
+  compareStructured,
+  applyStructuralChanges,
+  formatStructuralValue,
+  describeStructuralChange
+};
@@ -0,0 +1,285 @@
+/**
+ * Symbol Outline Module
+ *
+ * Lists the functions, classes and methods a comparison touched. Both
+ * texts are outlined with extractSignificantNodes() from
+ * tree-sitter-move-detector.js, every added, removed, modified or moved
+ * line of the pipeline results is mapped onto its innermost enclosing
+ * symbol, and each touched symbol is reported as added, deleted, modified
+ * or moved with its line counts.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { extractSignificantNodes } from './tree-sitter-move-detector.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Kind of symbol for each significant node type that declares one
+ * (blocks, objects and control flow are not symbols)
+ */
+export const SYMBOL_NODE_KINDS = {
+  function_declaration: 'function',
+  function_definition: 'function',
+  arrow_function: 'function',
+  method_definition: 'method',
+  class_declaration: 'class',
+  class_definition: 'class'
+};
+
+/**
+ * Status of a touched symbol
+ */
+export const SYMBOL_STATUS = {
+  ADDED: 'added',
+  DELETED: 'deleted',
+  MODIFIED: 'modified',
+  MOVED: 'moved'
+};
+
+// Line counter of each result classification (unchanged and ignored lines
+// are not changes)
+const CHANGE_KINDS = {
+  added: 'added',
+  removed: 'removed',
+  modified: 'modified',
+  'modified-skipped': 'modified',
+  renamed: 'modified',
+  moved: 'moved',
+  'moved-modified': 'moved',
+  'block-moved': 'moved'
+};
+
+// Parents that give an arrow function its name
+const ARROW_NAME_FIELDS = {
+  variable_declarator: 'name',
+  pair: 'key',
+  assignment_expression: 'left',
+  field_definition: 'property',
+  public_field_definition: 'name'
+};
+
+// ============================================================================
+// Outline
+// ============================================================================
+
+/**
+ * Name of the symbol a node declares, or null when it has none
+ * (anonymous functions and callbacks)
+ */
+function symbolName(node) {
+  const name = node.childForFieldName('name');
+  if (name) return name.text;
+
+  if (node.type === 'arrow_function') {
+    const field = ARROW_NAME_FIELDS[node.parent?.type];
+    return field ? node.parent.childForFieldName(field)?.text ?? null : null;
+  }
+
+  // C/C++: the name is at the end of the declarator chain
+  let declarator = node.childForFieldName('declarator');
+  while (declarator) {
+    const inner = declarator.childForFieldName('declarator');
+    if (!inner) return declarator.text;
+    declarator = inner;
+  }
+  return null;
+}
+
+/**
+ * Outline the functions, classes and methods of a source text
+ *
+ * Nested symbols are qualified with their enclosing symbols
+ * (`Parser.parse`). A name declared more than once gets `#2`, `#3`, ...
+ * appended to its key so that both texts pair them in order.
+ *
+ * @param {string} text - Source text
+ * @param {Object} parser - Tree-sitter parser for its language
+ * @returns {Array<{key: string, name: string, qualifiedName: string, kind: string,
+ *   startLine: number, endLine: number}>} Symbols in source order (1-based lines)
+ */
+export function buildSymbolOutline(text, parser) {
+  const tree = parser.parse(text);
+  try {
+    const symbols = [];
+    const enclosing = [];
+    const occurrences = new Map();
+
+    for (const significant of extractSignificantNodes(tree.rootNode, text)) {
+      const kind = SYMBOL_NODE_KINDS[significant.type];
+      const name = kind ? symbolName(significant.node) : null;
+      if (!name) continue;
+
+      while (enclosing.length > 0 && enclosing[enclosing.length - 1].endIndex <= significant.startIndex) {
+        enclosing.pop();
+      }
+      const parent = enclosing[enclosing.length - 1];
+      const qualifiedName = parent ? `${parent.symbol.qualifiedName}.${name}` : name;
+      const occurrence = (occurrences.get(qualifiedName) || 0) + 1;
+      occurrences.set(qualifiedName, occurrence);
+
+      const symbol = {
+        key: occurrence > 1 ? `${qualifiedName}#${occurrence}` : qualifiedName,
+        name,
+        qualifiedName,
+        // Python methods are function definitions inside a class
+        kind: kind === 'function' && parent?.symbol.kind === 'class' ? 'method' : kind,
+        startLine: significant.startLine + 1,
+        endLine: significant.endLine + 1
+      };
+      symbols.push(symbol);
+      enclosing.push({ symbol, endIndex: significant.endIndex });
+    }
+
+    return symbols;
+  } finally {
+    tree.delete();
+  }
+}
+
+/**
+ * Index of the innermost symbol around each line (1-based, -1 for none)
+ */
+function lineOwners(symbols) {
+  const owners = [];
+  // Symbols are in pre-order, so inner symbols overwrite their parents
+  symbols.forEach((symbol, index) => {
+    for (let line = symbol.startLine; line <= symbol.endLine; line++) {
+      owners[line] = index;
+    }
+  });
+  return owners;
+}
+
+function splitLines(value) {
+  const lines = value.split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// ============================================================================
+// Changed Symbols
+// ============================================================================
+
+/**
+ * Map the changed lines of pipeline results onto the symbols of both texts
+ *
+ * Lines are placed on the previous or current side by their removed/added
+ * flags (see unified-diff-export.js). Modified and moved lines are on both
+ * sides, so a symbol counts the larger of its two sides for them. A symbol
+ * found in only one text is added or deleted; one whose only changes are
+ * moved lines is moved; any other touched symbol is modified. Lines outside
+ * every symbol are not listed.
+ *
+ * @param {Array} results - Classified results from runDiffPipeline()
+ * @param {Array} oldSymbols - buildSymbolOutline() of the previous text
+ * @param {Array} newSymbols - buildSymbolOutline() of the current text
+ * @returns {{symbols: Array<Object>, summary: Object}} Touched symbols in
+ *   the order of their first change ({ name, qualifiedName, kind, status,
+ *   added, removed, modified, moved, oldRange, newRange, firstChange:
+ *   { side, line } }) and the number of symbols per status
+ */
+export function mapChangesToSymbols(results, oldSymbols, newSymbols) {
+  const outlines = { old: oldSymbols, new: newSymbols };
+  const owners = { old: lineOwners(oldSymbols), new: lineOwners(newSymbols) };
+  const oldKeys = new Map(oldSymbols.map(symbol => [symbol.key, symbol]));
+  const newKeys = new Map(newSymbols.map(symbol => [symbol.key, symbol]));
+  const touched = new Map();
+
+  const record = (side, line, kind) => {
+    const owner = owners[side][line];
+    if (owner === undefined || owner === -1) return;
+
+    const symbol = outlines[side][owner];
+    if (!touched.has(symbol.key)) {
+      touched.set(symbol.key, {
+        symbol,
+        firstChange: { side, line },
+        counts: { added: 0, removed: 0, modified: { old: 0, new: 0 }, moved: { old: 0, new: 0 } }
+      });
+    }
+    const { counts } = touched.get(symbol.key);
+    if (kind === 'added' || kind === 'removed') {
+      counts[kind]++;
+    } else {
+      counts[kind][side]++;
+    }
+  };
+
+  const lineNumbers = { old: 1, new: 1 };
+  for (const change of results) {
+    if (typeof change.value !== 'string' || change.value === '') continue;
+
+    const classification = change.classification || (change.added ? 'added' : change.removed ? 'removed' : 'unchanged');
+    const kind = CHANGE_KINDS[classification];
+    const sides = change.removed ? ['old'] : change.added ? ['new'] : ['old', 'new'];
+
+    for (let i = splitLines(change.value).length; i > 0; i--) {
+      for (const side of sides) {
+        if (kind) record(side, lineNumbers[side], kind);
+        lineNumbers[side]++;
+      }
+    }
+  }
+
+  const summary = { added: 0, deleted: 0, modified: 0, moved: 0 };
+  const symbols = [...touched.values()].map(({ symbol, firstChange, counts }) => {
+    const oldSymbol = oldKeys.get(symbol.key) || null;
+    const newSymbol = newKeys.get(symbol.key) || null;
+    const added = counts.added;
+    const removed = counts.removed;
+    const modified = Math.max(counts.modified.old, counts.modified.new);
+    const moved = Math.max(counts.moved.old, counts.moved.new);
+
+    let status = SYMBOL_STATUS.MODIFIED;
+    if (!oldSymbol) {
+      status = SYMBOL_STATUS.ADDED;
+    } else if (!newSymbol) {
+      status = SYMBOL_STATUS.DELETED;
+    } else if (moved > 0 && added + removed + modified === 0) {
+      status = SYMBOL_STATUS.MOVED;
+    }
+    summary[status]++;
+
+    return {
+      name: symbol.name,
+      qualifiedName: symbol.qualifiedName,
+      kind: symbol.kind,
+      status,
+      added,
+      removed,
+      modified,
+      moved,
+      oldRange: oldSymbol ? { startLine: oldSymbol.startLine, endLine: oldSymbol.endLine } : null,
+      newRange: newSymbol ? { startLine: newSymbol.startLine, endLine: newSymbol.endLine } : null,
+      firstChange
+    };
+  });
+
+  return { symbols, summary };
+}
+
+/**
+ * Outline both texts and list the symbols the results touch
+ *
+ * @param {Array} results - Classified results from runDiffPipeline()
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @param {Object} parser - Tree-sitter parser for their language
+ * @returns {{symbols: Array<Object>, summary: Object}} See mapChangesToSymbols()
+ */
+export function outlineChangedSymbols(results, oldText, newText, parser) {
+  return mapChangesToSymbols(results, buildSymbolOutline(oldText, parser), buildSymbolOutline(newText, parser));
+}
+
+export default {
+  SYMBOL_NODE_KINDS,
+  SYMBOL_STATUS,
+  buildSymbolOutline,
+  mapChangesToSymbols,
+  outlineChangedSymbols
+};
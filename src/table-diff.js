@@ -0,0 +1,447 @@
+/**
+ * Table Structural Diff Module
+ *
+ * Compares CSV and TSV exports as tables instead of lines. Fields follow
+ * RFC 4180: quoted fields may hold delimiters, doubled quotes and line
+ * breaks. The first record is the header; columns are aligned by header
+ * name, so a reordered column is no change, and rows are matched by the
+ * key columns the user picks (`id`, or `region` + `host`). Without key
+ * columns, equal rows are matched wherever they are and the rest are
+ * paired in order when at least half of their cells agree.
+ *
+ * compareTables() returns the aligned grid (for the table view) and the
+ * changes in the shared structural change shape (see structural-diff.js):
+ * `row[id=3].price` for a changed cell, `row[id=3]` for a row and
+ * `column[price]` for a column. Changed cells carry the diffChars() output
+ * when a diffChars function is passed in.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+export const TABLE_FORMATS = {
+  CSV: 'csv',
+  TSV: 'tsv'
+};
+
+// Field delimiter of each format
+const DELIMITERS = {
+  [TABLE_FORMATS.TSV]: '\t',
+  [TABLE_FORMATS.CSV]: ','
+};
+
+// Row match / cell change states in the grid
+export const TABLE_ROW_TYPES = {
+  UNCHANGED: 'unchanged',
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed'
+};
+
+// Share of equal cells for rows without key columns to pair as changed
+const ROW_PAIR_THRESHOLD = 0.5;
+
+// Most old × new row comparisons when pairing rows without key columns
+const MAX_ROW_PAIR_COMPARISONS = 1000000;
+
+// Joins the cells of a key (never part of real text)
+const KEY_SEPARATOR = '\u0000';
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Error thrown when a table cannot be read or a key column is missing
+ */
+export class TableParseError extends Error {
+  constructor(message, line = null) {
+    super(line !== null ? `Line ${line}: ${message}` : message);
+    this.name = 'TableParseError';
+    this.line = line;
+  }
+}
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+/**
+ * Parse delimited text into records
+ *
+ * Blank lines outside quoted fields are skipped. Line breaks inside a
+ * quoted field are kept as \n.
+ *
+ * @param {string} text - CSV or TSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Object>} Records { cells, startLine, endLine }
+ * @throws {TableParseError} If a quoted field is not closed
+ */
+export function parseDelimited(text, delimiter) {
+  const records = [];
+  let cells = [];
+  let field = '';
+  let quoted = false;
+  let recordQuoted = false;
+  let inQuotes = false;
+  let quoteLine = 0;
+  let line = 1;
+  let recordStart = 1;
+
+  const endField = () => {
+    cells.push(field);
+    field = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    if (cells.length > 1 || cells[0] !== '' || recordQuoted) {
+      records.push({ cells, startLine: recordStart, endLine: line });
+    }
+    recordQuoted = false;
+    cells = [];
+  };
+
+  for (let pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0; pos < text.length; pos++) {
+    const ch = text[pos];
+    if (inQuotes) {
+      if (ch === '"' && text[pos + 1] === '"') {
+        field += '"';
+        pos++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else if (ch === '\r' && text[pos + 1] === '\n') {
+        continue;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '' && !quoted) {
+      inQuotes = true;
+      quoted = true;
+      recordQuoted = true;
+      quoteLine = line;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === '\n') {
+      endRecord();
+      line++;
+      recordStart = line;
+    } else if (ch !== '\r' || text[pos + 1] !== '\n') {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new TableParseError('Unterminated quoted field', quoteLine);
+  }
+  if (field !== '' || cells.length > 0 || recordQuoted) endRecord();
+  return records;
+}
+
+/**
+ * Parse a table: the header record and the data rows
+ *
+ * @param {string} text - CSV or TSV text
+ * @param {string} format - One of TABLE_FORMATS
+ * @returns {Object} { header, headerLine, rows } with rows as parseDelimited() records
+ */
+export function parseTable(text, format) {
+  const [headerRecord, ...rows] = parseDelimited(text, DELIMITERS[format]);
+  return {
+    header: headerRecord ? headerRecord.cells : [],
+    headerLine: headerRecord ? headerRecord.startLine : 0,
+    rows
+  };
+}
+
+// ============================================================================
+// Detection
+// ============================================================================
+
+// At least two records of the same width of two or more fields
+function looksLikeTable(text, delimiter) {
+  let records;
+  try {
+    records = parseDelimited(text, delimiter);
+  } catch {
+    return false;
+  }
+  if (records.length < 2) return false;
+  const width = records[0].cells.length;
+  return width >= 2 && records.every(record => record.cells.length === width);
+}
+
+/**
+ * Detect a CSV or TSV comparison from the content
+ *
+ * @param {string} oldText - Previous table
+ * @param {string} newText - Current table
+ * @returns {string|null} 'tsv', 'csv', or null when a non-empty side is no table
+ */
+export function detectTableFormat(oldText, newText) {
+  const sides = [oldText, newText].filter(text => text && text.trim());
+  if (sides.length === 0) return null;
+
+  for (const format of [TABLE_FORMATS.TSV, TABLE_FORMATS.CSV]) {
+    if (sides.every(text => looksLikeTable(text, DELIMITERS[format]))) return format;
+  }
+  return null;
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+/**
+ * Align the columns of two headers by name (the n-th column of a name with
+ * the n-th); new order, with removed columns after their old neighbour
+ */
+function alignColumns(oldHeader, newHeader) {
+  const oldPositions = new Map();
+  oldHeader.forEach((name, index) => {
+    if (!oldPositions.has(name)) oldPositions.set(name, []);
+    oldPositions.get(name).push(index);
+  });
+
+  const columns = newHeader.map((name, newIndex) => ({
+    name,
+    oldIndex: oldPositions.get(name)?.shift() ?? -1,
+    newIndex
+  }));
+
+  let insertAt = 0;
+  oldHeader.forEach((name, oldIndex) => {
+    const position = columns.findIndex(column => column.oldIndex === oldIndex);
+    if (position !== -1) {
+      insertAt = position + 1;
+      return;
+    }
+    columns.splice(insertAt++, 0, { name, oldIndex, newIndex: -1 });
+  });
+
+  return columns.map(column => ({
+    ...column,
+    status: column.oldIndex === -1
+      ? TABLE_ROW_TYPES.ADDED
+      : (column.newIndex === -1 ? TABLE_ROW_TYPES.REMOVED : TABLE_ROW_TYPES.UNCHANGED)
+  }));
+}
+
+const cellAt = (row, index) => (row && index !== -1 ? row.cells[index] ?? '' : null);
+
+// Cells of the columns both sides have, joined
+function sharedContent(row, columns, side) {
+  return columns
+    .filter(column => column.status === TABLE_ROW_TYPES.UNCHANGED)
+    .map(column => cellAt(row, column[side]))
+    .join(KEY_SEPARATOR);
+}
+
+// Share of the shared columns whose cells are equal
+function rowSimilarity(oldRow, newRow, shared) {
+  if (shared.length === 0) return 0;
+  const equal = shared.filter(column => cellAt(oldRow, column.oldIndex) === cellAt(newRow, column.newIndex));
+  return equal.length / shared.length;
+}
+
+// Key of a row; duplicates get their occurrence number
+function rowKeys(rows, indices) {
+  const seen = new Map();
+  return rows.map(row => {
+    const key = indices.map(index => row.cells[index] ?? '').join(KEY_SEPARATOR);
+    const count = seen.get(key) || 0;
+    seen.set(key, count + 1);
+    return `${key}${KEY_SEPARATOR}${count}`;
+  });
+}
+
+/**
+ * Match rows by key columns
+ *
+ * @returns {Array<number>} Index of the new row matching each old row (-1 when none)
+ */
+function matchRowsByKey(oldTable, newTable, keyColumns) {
+  const indicesIn = (header, side) => keyColumns.map(name => {
+    const index = header.indexOf(name);
+    if (index === -1) throw new TableParseError(`Key column "${name}" is not in the ${side} header`);
+    return index;
+  });
+  const oldKeys = rowKeys(oldTable.rows, indicesIn(oldTable.header, 'previous'));
+  const newKeys = rowKeys(newTable.rows, indicesIn(newTable.header, 'current'));
+
+  const newIndexByKey = new Map(newKeys.map((key, index) => [key, index]));
+  return oldKeys.map(key => newIndexByKey.get(key) ?? -1);
+}
+
+/**
+ * Match rows without key columns: equal rows anywhere, then the rest in
+ * order when similar enough
+ *
+ * @returns {Array<number>} Index of the new row matching each old row (-1 when none)
+ */
+function matchRowsByContent(oldTable, newTable, columns) {
+  const available = new Map();
+  newTable.rows.forEach((row, index) => {
+    const content = sharedContent(row, columns, 'newIndex');
+    if (!available.has(content)) available.set(content, []);
+    available.get(content).push(index);
+  });
+  const partners = oldTable.rows.map(row => available.get(sharedContent(row, columns, 'oldIndex'))?.shift() ?? -1);
+
+  const matchedNew = new Set(partners);
+  const leftOld = partners.flatMap((partner, index) => (partner === -1 ? [index] : []));
+  const leftNew = newTable.rows.flatMap((row, index) => (matchedNew.has(index) ? [] : [index]));
+  if (leftOld.length * leftNew.length > MAX_ROW_PAIR_COMPARISONS) return partners;
+
+  const shared = columns.filter(column => column.status === TABLE_ROW_TYPES.UNCHANGED);
+  let from = 0;
+  for (const oldIndex of leftOld) {
+    for (let k = from; k < leftNew.length; k++) {
+      if (rowSimilarity(oldTable.rows[oldIndex], newTable.rows[leftNew[k]], shared) >= ROW_PAIR_THRESHOLD) {
+        partners[oldIndex] = leftNew[k];
+        from = k + 1;
+        break;
+      }
+    }
+  }
+  return partners;
+}
+
+const lineRange = row => (row ? { start: row.startLine, end: row.endLine } : null);
+
+// Row label in change paths: key cells, or the 1-based data row number
+function rowPath(row, number, columns, keyColumns, side) {
+  if (keyColumns.length === 0) return `row[${number}]`;
+  const keys = keyColumns.map(name => {
+    const column = columns.find(candidate => candidate.name === name);
+    return `${name}=${cellAt(row, column[side])}`;
+  });
+  return `row[${keys.join(',')}]`;
+}
+
+// Cells of a row as { column name: value } for added/removed row changes
+function rowObject(row, columns, side) {
+  const object = {};
+  for (const column of columns) {
+    if (column[side] !== -1) object[column.name] = cellAt(row, column[side]);
+  }
+  return object;
+}
+
+/**
+ * Compare two CSV or TSV tables
+ *
+ * @param {string} oldText - Previous table
+ * @param {string} newText - Current table
+ * @param {Object} [options]
+ * @param {string} [options.format] - One of TABLE_FORMATS (detected when omitted)
+ * @param {Array<string>} [options.keyColumns] - Header names that identify a row
+ * @param {Function} [options.diffChars] - diffChars from the 'diff' library,
+ *   for the character diff of changed cells
+ * @returns {Object} { changes, table }: structural changes, and the grid
+ *   { format, keyColumns, columns, rows } where every row is { type, oldRow,
+ *   newRow, oldLines, newLines, cells } and every cell { oldValue, newValue,
+ *   changed, charDiff? } in column order
+ * @throws {TableParseError} If a side cannot be read or lacks a key column
+ */
+export function compareTables(oldText, newText, options = {}) {
+  const format = options.format || detectTableFormat(oldText, newText) || TABLE_FORMATS.CSV;
+  const keyColumns = (options.keyColumns || []).filter(name => name !== '');
+  const oldTable = parseTable(oldText, format);
+  const newTable = parseTable(newText, format);
+  const columns = alignColumns(oldTable.header, newTable.header);
+
+  const partners = keyColumns.length > 0
+    ? matchRowsByKey(oldTable, newTable, keyColumns)
+    : matchRowsByContent(oldTable, newTable, columns);
+
+  // New order, with removed rows after their old neighbour
+  const matchedNew = new Map();
+  partners.forEach((newIndex, oldIndex) => {
+    if (newIndex !== -1) matchedNew.set(newIndex, oldIndex);
+  });
+  const order = newTable.rows.map((row, newIndex) => ({ oldIndex: matchedNew.get(newIndex) ?? -1, newIndex }));
+  let insertAt = 0;
+  partners.forEach((newIndex, oldIndex) => {
+    if (newIndex !== -1) {
+      insertAt = order.findIndex(entry => entry.newIndex === newIndex) + 1;
+      return;
+    }
+    order.splice(insertAt++, 0, { oldIndex, newIndex: -1 });
+  });
+
+  const changes = [];
+  for (const column of columns) {
+    if (column.status === TABLE_ROW_TYPES.ADDED) {
+      changes.push({
+        type: 'added', path: `column[${column.name}]`, newValue: column.name,
+        oldLines: null, newLines: { start: newTable.headerLine, end: newTable.headerLine }
+      });
+    } else if (column.status === TABLE_ROW_TYPES.REMOVED) {
+      changes.push({
+        type: 'removed', path: `column[${column.name}]`, oldValue: column.name,
+        oldLines: { start: oldTable.headerLine, end: oldTable.headerLine }, newLines: null
+      });
+    }
+  }
+
+  const rows = order.map(({ oldIndex, newIndex }) => {
+    const oldRow = oldIndex === -1 ? null : oldTable.rows[oldIndex];
+    const newRow = newIndex === -1 ? null : newTable.rows[newIndex];
+    const cells = columns.map(column => {
+      const cell = { oldValue: cellAt(oldRow, column.oldIndex), newValue: cellAt(newRow, column.newIndex) };
+      cell.changed = oldRow !== null && newRow !== null && column.status === TABLE_ROW_TYPES.UNCHANGED &&
+        cell.oldValue !== cell.newValue;
+      if (cell.changed && options.diffChars) cell.charDiff = options.diffChars(cell.oldValue, cell.newValue);
+      return cell;
+    });
+
+    let type = TABLE_ROW_TYPES.UNCHANGED;
+    if (!newRow) type = TABLE_ROW_TYPES.REMOVED;
+    else if (!oldRow) type = TABLE_ROW_TYPES.ADDED;
+    else if (cells.some(cell => cell.changed)) type = TABLE_ROW_TYPES.CHANGED;
+
+    const path = newRow
+      ? rowPath(newRow, newIndex + 1, columns, keyColumns, 'newIndex')
+      : rowPath(oldRow, oldIndex + 1, columns, keyColumns, 'oldIndex');
+    if (type === TABLE_ROW_TYPES.ADDED) {
+      changes.push({ type: 'added', path, newValue: rowObject(newRow, columns, 'newIndex'), oldLines: null, newLines: lineRange(newRow) });
+    } else if (type === TABLE_ROW_TYPES.REMOVED) {
+      changes.push({ type: 'removed', path, oldValue: rowObject(oldRow, columns, 'oldIndex'), oldLines: lineRange(oldRow), newLines: null });
+    } else if (type === TABLE_ROW_TYPES.CHANGED) {
+      cells.forEach((cell, index) => {
+        if (!cell.changed) return;
+        changes.push({
+          type: 'changed', path: `${path}.${columns[index].name}`, oldValue: cell.oldValue, newValue: cell.newValue,
+          oldLines: lineRange(oldRow), newLines: lineRange(newRow)
+        });
+      });
+    }
+
+    return {
+      type,
+      oldRow: oldRow ? oldIndex + 1 : null,
+      newRow: newRow ? newIndex + 1 : null,
+      oldLines: lineRange(oldRow),
+      newLines: lineRange(newRow),
+      cells
+    };
+  });
+
+  return { changes, table: { format, keyColumns, columns, rows } };
+}
+
+export default {
+  TABLE_FORMATS,
+  TABLE_ROW_TYPES,
+  TableParseError,
+  parseDelimited,
+  parseTable,
+  detectTableFormat,
+  compareTables
+};
@@ -0,0 +1,390 @@
+/**
+ * Terminal Formatter Module
+ *
+ * Formats classified results from runDiffPipeline() for display in a
+ * terminal. Uses the same operation indicators as the browser views
+ * (see "Diff Operation Indicators" in ARCHITECTURE.md) with ANSI colors
+ * approximating the web palette.
+ *
+ * Environment-agnostic: returns strings, never writes to stdout itself.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { STRUCTURAL_CHANGE_TYPES, describeStructuralChange } from './structural-diff.js';
+
+// ============================================================================
+// ANSI Color Constants
+// ============================================================================
+
+/**
+ * ANSI escape sequences used for terminal output
+ */
+export const ANSI = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  dim: '\x1b[2m',
+  inverse: '\x1b[7m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+/**
+ * Marker symbol and color for each row kind
+ * Mirrors the Diff Operation Indicators table in ARCHITECTURE.md
+ */
+export const ROW_STYLES = {
+  unchanged: { marker: ' ', color: null },
+  added: { marker: '+', color: ANSI.green },
+  removed: { marker: '-', color: ANSI.red },
+  modified: { marker: '~', color: ANSI.yellow },
+  renamed: { marker: '≈', color: ANSI.cyan },
+  'moved-from': { marker: '<', color: ANSI.blue },
+  'moved-to': { marker: '>', color: ANSI.blue },
+  'moved-modified-from': { marker: '≤', color: ANSI.magenta },
+  'moved-modified-to': { marker: '≥', color: ANSI.magenta },
+  ignored: { marker: ' ', color: ANSI.dim }
+};
+
+/**
+ * Marker of unchanged lines compared with text masked by an ignore pattern
+ * (the browser views underline their line numbers)
+ */
+export const MASKED_MARKER = '*';
+
+/**
+ * Row style of each structural change type (see structural-diff.js)
+ */
+const STRUCTURAL_STYLES = {
+  [STRUCTURAL_CHANGE_TYPES.ADDED]: ROW_STYLES.added,
+  [STRUCTURAL_CHANGE_TYPES.REMOVED]: ROW_STYLES.removed,
+  [STRUCTURAL_CHANGE_TYPES.CHANGED]: ROW_STYLES.modified,
+  [STRUCTURAL_CHANGE_TYPES.MOVED]: ROW_STYLES['moved-to']
+};
+
+// ============================================================================
+// Row Building
+// ============================================================================
+
+/**
+ * Split an entry value into display lines
+ * Drops the trailing empty string produced by a terminating newline,
+ * matching how the browser renderers split grouped entries.
+ *
+ * @param {string} value - Entry value (may contain several lines)
+ * @returns {string[]} Lines to display
+ */
+export function splitEntryLines(value) {
+  if (!value) return [];
+  const lines = value.split('\n');
+  return lines.filter((line, idx) => !(line === '' && idx === lines.length - 1));
+}
+
+/**
+ * Check whether a block move has been modified (similarity below 0.99)
+ *
+ * @param {Object} change - Classified result entry
+ * @returns {boolean}
+ */
+function isModifiedMove(change) {
+  const info = change.blockMoveInfo || change.moveInfo;
+  return !!info && info.similarity !== undefined && info.similarity < 0.99;
+}
+
+/**
+ * Convert classified results into a flat list of display rows
+ *
+ * Each row has a kind (see ROW_STYLES), old/new line numbers (null when
+ * the line does not exist on that side), the line text, and for modified
+ * and renamed lines the diff parts used for inline highlighting. An
+ * unchanged line whose text differs in ignored whitespace or comments gets
+ * an old and a new row, each with its own side's text, and unchanged lines
+ * compared with text masked by an ignore pattern are flagged masked.
+ *
+ * @param {Array} results - Classified results from runDiffPipeline()
+ * @param {Object} options - Row options
+ * @param {number[]} options.newLineNumbers - Real line of each new-side
+ *   line (result.newLineNumbers of an "ignore line order" comparison)
+ * @returns {Array<Object>} Display rows
+ */
+export function buildTerminalRows(results, options = {}) {
+  const rows = [];
+  let oldLineNum = 1;
+  let newLineNum = 1;
+
+  // New-side lines already shown through a modified pair's addedLine
+  const pairedAddedLines = [];
+
+  for (const change of results) {
+    const classification = change.classification ||
+      (change.added ? 'added' : change.removed ? 'removed' : 'unchanged');
+
+    if (classification === 'modified' && change.added) {
+      continue;
+    }
+
+    // The added side of a modified pair is rendered with its removed side.
+    // Any of its lines not carried by a pair's addedLine would otherwise be
+    // lost, so show those as plain additions.
+    if (classification === 'modified-skipped') {
+      for (const line of splitEntryLines(change.value)) {
+        const pairedIndex = pairedAddedLines.indexOf(line);
+        if (pairedIndex !== -1) {
+          pairedAddedLines.splice(pairedIndex, 1);
+        } else {
+          rows.push({ kind: 'added', oldLine: null, newLine: newLineNum++, text: line });
+        }
+      }
+      continue;
+    }
+
+    switch (classification) {
+      case 'unchanged': {
+        // newValue holds the current text when ignored whitespace/comments differ
+        const oldLines = splitEntryLines(change.value);
+        const newLines = change.newValue !== undefined ? splitEntryLines(change.newValue) : oldLines;
+        const maskedLines = new Set((change.maskedLines || []).map(({ line }) => line));
+
+        oldLines.forEach((line, i) => {
+          const newText = newLines[i] ?? line;
+          const lineRows = newText === line
+            ? [{ kind: 'unchanged', oldLine: oldLineNum++, newLine: newLineNum++, text: line }]
+            : [
+              { kind: 'unchanged', side: 'old', oldLine: oldLineNum++, newLine: null, text: line },
+              { kind: 'unchanged', side: 'new', oldLine: null, newLine: newLineNum++, text: newText }
+            ];
+          for (const row of lineRows) {
+            if (maskedLines.has(i)) row.masked = true;
+            rows.push(row);
+          }
+        });
+        break;
+      }
+
+      case 'ignored':
+        // Comment-only line on one side, left out by --ignore-comments
+        for (const line of splitEntryLines(change.value)) {
+          rows.push(change.removed
+            ? { kind: 'ignored', oldLine: oldLineNum++, newLine: null, text: line }
+            : { kind: 'ignored', oldLine: null, newLine: newLineNum++, text: line });
+        }
+        break;
+
+      case 'added':
+        for (const line of splitEntryLines(change.value)) {
+          rows.push({ kind: 'added', oldLine: null, newLine: newLineNum++, text: line });
+        }
+        break;
+
+      case 'removed':
+        for (const line of splitEntryLines(change.value)) {
+          rows.push({ kind: 'removed', oldLine: oldLineNum++, newLine: null, text: line });
+        }
+        break;
+
+      case 'modified':
+      case 'renamed': {
+        // Don't fall back to change.value for the added side - it holds the removed text
+        const oldLines = splitEntryLines(change.removedLine || change.value);
+        const newLines = splitEntryLines(change.addedLine || '');
+        const singleLine = oldLines.length === 1 && newLines.length === 1;
+        const lineCount = Math.max(oldLines.length, newLines.length);
+
+        for (let i = 0; i < lineCount; i++) {
+          if (i < oldLines.length) {
+            rows.push({
+              kind: classification, side: 'old', oldLine: oldLineNum++, newLine: null, text: oldLines[i],
+              parts: singleLine ? change.wordDiff || null : null
+            });
+          }
+          if (i < newLines.length) {
+            pairedAddedLines.push(newLines[i]);
+            rows.push({
+              kind: classification, side: 'new', oldLine: null, newLine: newLineNum++, text: newLines[i],
+              parts: singleLine ? change.wordDiff || null : null
+            });
+          }
+        }
+        break;
+      }
+
+      case 'moved':
+      case 'moved-modified': {
+        // Simple moved line - source and destination shown together, as in the unified view
+        const modified = classification === 'moved-modified' || isModifiedMove(change);
+        for (const line of splitEntryLines(change.value)) {
+          rows.push({ kind: modified ? 'moved-modified-from' : 'moved-from', oldLine: oldLineNum++, newLine: null, text: line });
+          rows.push({ kind: modified ? 'moved-modified-to' : 'moved-to', oldLine: null, newLine: newLineNum++, text: line });
+        }
+        break;
+      }
+
+      case 'block-moved': {
+        const modified = isModifiedMove(change);
+        const isSource = change.removed;
+        for (const line of splitEntryLines(change.value)) {
+          if (isSource) {
+            rows.push({ kind: modified ? 'moved-modified-from' : 'moved-from', oldLine: oldLineNum++, newLine: null, text: line });
+          } else {
+            rows.push({ kind: modified ? 'moved-modified-to' : 'moved-to', oldLine: null, newLine: newLineNum++, text: line });
+          }
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  // The results describe the new side in the old order; number it like the file
+  const { newLineNumbers } = options;
+  if (newLineNumbers) {
+    for (const row of rows) {
+      if (row.newLine !== null) row.newLine = newLineNumbers[row.newLine - 1] ?? row.newLine;
+    }
+  }
+
+  return rows;
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Render a modified or renamed row's text with changed words in inverse video
+ *
+ * @param {Object} row - Display row with parts
+ * @param {string} color - ANSI color for the row
+ * @returns {string} Colored text
+ */
+function renderInlineParts(row, color) {
+  let text = '';
+  for (const part of row.parts) {
+    // Old side shows removed parts, new side shows added parts
+    if (row.side === 'old' && part.added) continue;
+    if (row.side === 'new' && part.removed) continue;
+
+    const value = part.value.replace(/\n$/, '');
+    if (part.added || part.removed) {
+      text += `${ANSI.inverse}${value}${ANSI.reset}${color}`;
+    } else {
+      text += value;
+    }
+  }
+  return text;
+}
+
+/**
+ * Format classified results as a terminal diff
+ *
+ * @param {Array} results - Classified results from runDiffPipeline()
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.color - Emit ANSI colors (default: true)
+ * @param {boolean} options.lineNumbers - Show old/new line numbers (default: true)
+ * @param {number[]} options.newLineNumbers - See buildTerminalRows()
+ * @returns {string} Formatted diff (one line per row, newline-terminated)
+ */
+export function formatTerminalDiff(results, options = {}) {
+  const { color = true, lineNumbers = true, newLineNumbers } = options;
+  const rows = buildTerminalRows(results, { newLineNumbers });
+  if (rows.length === 0) return '';
+
+  const maxLine = rows.reduce((max, row) => Math.max(max, row.oldLine || 0, row.newLine || 0), 0);
+  const width = String(maxLine).length;
+
+  const output = rows.map(row => {
+    const style = ROW_STYLES[row.kind];
+    const rowColor = color ? style.color : null;
+    const marker = row.masked ? MASKED_MARKER : style.marker;
+
+    let gutter = '';
+    if (lineNumbers) {
+      const oldNum = row.oldLine !== null ? String(row.oldLine).padStart(width) : ' '.repeat(width);
+      const newNum = row.newLine !== null ? String(row.newLine).padStart(width) : ' '.repeat(width);
+      gutter = `${oldNum} ${newNum} │ `;
+    }
+
+    const text = rowColor && row.parts ? renderInlineParts(row, rowColor) : row.text;
+
+    if (!rowColor) {
+      return color
+        ? `${ANSI.dim}${marker} ${gutter}${ANSI.reset}${text}`
+        : `${marker} ${gutter}${text}`;
+    }
+    return `${rowColor}${marker} ${gutter}${text}${ANSI.reset}`;
+  });
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Format statistics from calculateStats() as a one-line summary
+ *
+ * @param {Object} stats - Stats object from calculateStats()
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.color - Emit ANSI colors (default: true)
+ * @returns {string} Summary line
+ */
+export function formatStats(stats, options = {}) {
+  const { color = true } = options;
+  const paint = (ansi, text) => (color ? `${ansi}${text}${ANSI.reset}` : text);
+
+  return [
+    paint(ANSI.green, `${stats.added || 0} added`),
+    paint(ANSI.red, `${stats.removed || 0} removed`),
+    paint(ANSI.yellow, `${stats.modified || 0} modified`),
+    // Only files with renames mention them
+    ...(stats.renamed ? [paint(ANSI.cyan, `${stats.renamed} renamed`)] : []),
+    paint(ANSI.blue, `${stats.moved || 0} moved`),
+    `${stats.unchanged || 0} unchanged`
+  ].join(', ');
+}
+
+/**
+ * Format structural changes, one path per line
+ *
+ * @param {Array<Object>} changes - Changes from compareStructured()
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.color - Emit ANSI color codes (default: true)
+ * @returns {string} Formatted output (empty when there are no changes)
+ */
+export function formatStructuralChanges(changes, options = {}) {
+  const { color = true } = options;
+
+  return changes.map(change => {
+    const style = STRUCTURAL_STYLES[change.type];
+    // Device config changes carry their marker after the section path
+    const description = describeStructuralChange(change);
+    const text = change.command !== undefined ? description : `${style.marker} ${description}`;
+    return (color ? `${style.color}${text}${ANSI.reset}` : text) + '\n';
+  }).join('');
+}
+
+/**
+ * Check whether stats report any differences
+ *
+ * @param {Object} stats - Stats object from calculateStats()
+ * @returns {boolean} True if anything was added, removed, modified, renamed or moved
+ */
+export function hasDifferences(stats) {
+  return (stats.added || 0) + (stats.removed || 0) + (stats.modified || 0) + (stats.renamed || 0) + (stats.moved || 0) > 0;
+}
+
+export default {
+  ANSI,
+  ROW_STYLES,
+  MASKED_MARKER,
+  splitEntryLines,
+  buildTerminalRows,
+  formatTerminalDiff,
+  formatStats,
+  formatStructuralChanges,
+  hasDifferences
+};
@@ -0,0 +1,361 @@
+/**
+ * Three-Way Merge Module
+ *
+ * Merges two descendants ("ours" and "theirs") of a common ancestor
+ * ("base"). Each side is compared to the base with runDiffPipeline(), the
+ * resulting changes are mapped onto base line ranges, and every region of
+ * the base is classified as unchanged, ours-only, theirs-only,
+ * both-identical or conflict. The merged text uses git-style conflict
+ * markers for conflicts that have not been resolved.
+ *
+ * Environment-agnostic: no DOM access.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { runDiffPipeline } from './diff-algorithms.js';
+import { splitTextLines, buildVerifiedLineOps } from './unified-diff-export.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Region classifications
+ */
+export const MERGE_REGION_TYPES = {
+  UNCHANGED: 'unchanged',
+  OURS: 'ours-only',
+  THEIRS: 'theirs-only',
+  BOTH: 'both-identical',
+  CONFLICT: 'conflict'
+};
+
+/**
+ * Ways a conflict can be resolved
+ * 'both' keeps our lines followed by theirs.
+ */
+export const CONFLICT_RESOLUTIONS = ['ours', 'theirs', 'both', 'base'];
+
+export const DEFAULT_MERGE_LABELS = {
+  ours: 'ours',
+  base: 'base',
+  theirs: 'theirs'
+};
+
+// ============================================================================
+// Change Extraction
+// ============================================================================
+
+/**
+ * A change against the base
+ * @typedef {Object} BaseChange
+ * @property {number} baseStart - First replaced base line (0-based)
+ * @property {number} baseEnd - Line after the replaced range (baseStart for pure insertions)
+ * @property {string[]} lines - Replacement lines
+ */
+
+/**
+ * Collapse line operations into changes expressed as base ranges
+ *
+ * @param {Array<{op: string, line: string}>} ops - Line operations (base → side)
+ * @returns {BaseChange[]} Changes in base order
+ */
+export function lineOpsToChanges(ops) {
+  const changes = [];
+  let baseIndex = 0;
+  let current = null;
+
+  for (const { op, line } of ops) {
+    if (op === ' ') {
+      if (current) {
+        current.baseEnd = baseIndex;
+        changes.push(current);
+        current = null;
+      }
+      baseIndex++;
+      continue;
+    }
+
+    if (!current) {
+      current = { baseStart: baseIndex, baseEnd: baseIndex, lines: [] };
+    }
+    if (op === '-') {
+      baseIndex++;
+    } else {
+      current.lines.push(line);
+    }
+  }
+
+  if (current) {
+    current.baseEnd = baseIndex;
+    changes.push(current);
+  }
+
+  return changes;
+}
+
+/**
+ * Apply one side's changes to a base range
+ *
+ * @param {string[]} baseLines - All base lines
+ * @param {number} start - Range start (0-based)
+ * @param {number} end - Range end (exclusive)
+ * @param {BaseChange[]} changes - Changes of one side inside the range
+ * @returns {string[]} The side's lines for the range
+ */
+function applyChangesToRange(baseLines, start, end, changes) {
+  const lines = [];
+  let pos = start;
+  for (const change of changes) {
+    lines.push(...baseLines.slice(pos, change.baseStart), ...change.lines);
+    pos = change.baseEnd;
+  }
+  lines.push(...baseLines.slice(pos, end));
+  return lines;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+// ============================================================================
+// Region Classification
+// ============================================================================
+
+/**
+ * A merge region
+ * @typedef {Object} MergeRegion
+ * @property {string} type - One of MERGE_REGION_TYPES
+ * @property {number} baseStart - First base line of the region (0-based)
+ * @property {string[]} baseLines - Base lines in the region
+ * @property {string[]} oursLines - Our lines for the region
+ * @property {string[]} theirsLines - Their lines for the region
+ * @property {number} [conflictIndex] - 0-based index among conflicts
+ */
+
+/**
+ * Classify base regions from both sides' changes
+ *
+ * Changes from either side that overlap or touch are grouped into one
+ * region. Touching changes count as a conflict when they come from
+ * different sides, as in git, because their order is ambiguous.
+ *
+ * @param {string[]} baseLines - Base lines
+ * @param {BaseChange[]} oursChanges - Changes base → ours
+ * @param {BaseChange[]} theirsChanges - Changes base → theirs
+ * @returns {MergeRegion[]} Regions covering the whole base in order
+ */
+export function classifyMergeRegions(baseLines, oursChanges, theirsChanges) {
+  const tagged = [
+    ...oursChanges.map(change => ({ ...change, side: 'ours' })),
+    ...theirsChanges.map(change => ({ ...change, side: 'theirs' }))
+  ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+
+  // Group changes whose base ranges overlap or touch
+  const clusters = [];
+  for (const change of tagged) {
+    const last = clusters[clusters.length - 1];
+    if (last && change.baseStart <= last.end) {
+      last.end = Math.max(last.end, change.baseEnd);
+      last.changes.push(change);
+    } else {
+      clusters.push({ start: change.baseStart, end: change.baseEnd, changes: [change] });
+    }
+  }
+
+  const regions = [];
+  let conflictIndex = 0;
+  let pos = 0;
+
+  const pushUnchanged = (start, end) => {
+    if (end <= start) return;
+    const lines = baseLines.slice(start, end);
+    regions.push({
+      type: MERGE_REGION_TYPES.UNCHANGED,
+      baseStart: start,
+      baseLines: lines,
+      oursLines: lines,
+      theirsLines: lines
+    });
+  };
+
+  for (const cluster of clusters) {
+    pushUnchanged(pos, cluster.start);
+
+    const ours = cluster.changes.filter(change => change.side === 'ours');
+    const theirs = cluster.changes.filter(change => change.side === 'theirs');
+    const region = {
+      type: null,
+      baseStart: cluster.start,
+      baseLines: baseLines.slice(cluster.start, cluster.end),
+      oursLines: applyChangesToRange(baseLines, cluster.start, cluster.end, ours),
+      theirsLines: applyChangesToRange(baseLines, cluster.start, cluster.end, theirs)
+    };
+
+    if (theirs.length === 0) {
+      region.type = MERGE_REGION_TYPES.OURS;
+    } else if (ours.length === 0) {
+      region.type = MERGE_REGION_TYPES.THEIRS;
+    } else if (sameLines(region.oursLines, region.theirsLines)) {
+      region.type = MERGE_REGION_TYPES.BOTH;
+    } else {
+      region.type = MERGE_REGION_TYPES.CONFLICT;
+      region.conflictIndex = conflictIndex++;
+    }
+
+    regions.push(region);
+    pos = cluster.end;
+  }
+
+  pushUnchanged(pos, baseLines.length);
+  return regions;
+}
+
+// ============================================================================
+// Merge
+// ============================================================================
+
+/**
+ * Compute a three-way merge
+ *
+ * @param {string} baseText - Common ancestor
+ * @param {string} oursText - Our version
+ * @param {string} theirsText - Their version
+ * @param {Object} diffLib - Diff library ({ diffLines, diffWords, diffChars })
+ * @param {Object} options - Options passed to runDiffPipeline()
+ * @returns {Promise<Object>} { regions, stats, finalNewline, oursDiff, theirsDiff }
+ */
+export async function computeThreeWayMerge(baseText, oursText, theirsText, diffLib, options = {}) {
+  const baseLines = splitTextLines(baseText);
+
+  const oursDiff = await runDiffPipeline(baseText, oursText, diffLib, options);
+  const theirsDiff = await runDiffPipeline(baseText, theirsText, diffLib, options);
+
+  const oursChanges = lineOpsToChanges(
+    buildVerifiedLineOps(oursDiff.results, baseLines, splitTextLines(oursText))
+  );
+  const theirsChanges = lineOpsToChanges(
+    buildVerifiedLineOps(theirsDiff.results, baseLines, splitTextLines(theirsText))
+  );
+
+  const regions = classifyMergeRegions(baseLines, oursChanges, theirsChanges);
+
+  const stats = {
+    unchanged: 0,
+    ours: 0,
+    theirs: 0,
+    both: 0,
+    conflicts: 0
+  };
+  for (const region of regions) {
+    if (region.type === MERGE_REGION_TYPES.UNCHANGED) stats.unchanged++;
+    else if (region.type === MERGE_REGION_TYPES.OURS) stats.ours++;
+    else if (region.type === MERGE_REGION_TYPES.THEIRS) stats.theirs++;
+    else if (region.type === MERGE_REGION_TYPES.BOTH) stats.both++;
+    else stats.conflicts++;
+  }
+
+  // Follow the first non-empty version for the trailing newline
+  const reference = [oursText, theirsText, baseText].find(text => text.length > 0) || '';
+
+  return {
+    regions,
+    stats,
+    finalNewline: reference.endsWith('\n'),
+    oursDiff,
+    theirsDiff
+  };
+}
+
+/**
+ * Lines a conflict contributes for a given resolution
+ *
+ * @param {MergeRegion} region - Conflict region
+ * @param {string} resolution - One of CONFLICT_RESOLUTIONS
+ * @returns {string[]}
+ */
+function resolveConflict(region, resolution) {
+  switch (resolution) {
+    case 'ours': return region.oursLines;
+    case 'theirs': return region.theirsLines;
+    case 'both': return [...region.oursLines, ...region.theirsLines];
+    case 'base': return region.baseLines;
+    default: return null;
+  }
+}
+
+/**
+ * Build the merged text
+ *
+ * @param {Object} merge - Result of computeThreeWayMerge()
+ * @param {Object} resolutions - Map of conflictIndex → resolution; unresolved
+ *   conflicts are written with conflict markers
+ * @param {Object} options - Output options
+ * @param {Object} options.labels - Marker labels ({ ours, base, theirs })
+ * @param {boolean} options.diff3 - Include the base section (`|||||||`) in markers
+ * @returns {string} Merged text
+ */
+export function buildMergedText(merge, resolutions = {}, options = {}) {
+  const labels = { ...DEFAULT_MERGE_LABELS, ...(options.labels || {}) };
+  const lines = [];
+
+  for (const region of merge.regions) {
+    switch (region.type) {
+      case MERGE_REGION_TYPES.UNCHANGED:
+        lines.push(...region.baseLines);
+        break;
+      case MERGE_REGION_TYPES.THEIRS:
+        lines.push(...region.theirsLines);
+        break;
+      case MERGE_REGION_TYPES.OURS:
+      case MERGE_REGION_TYPES.BOTH:
+        lines.push(...region.oursLines);
+        break;
+      case MERGE_REGION_TYPES.CONFLICT: {
+        const resolved = resolveConflict(region, resolutions[region.conflictIndex]);
+        if (resolved) {
+          lines.push(...resolved);
+          break;
+        }
+        lines.push(`<<<<<<< ${labels.ours}`, ...region.oursLines);
+        if (options.diff3) {
+          lines.push(`||||||| ${labels.base}`, ...region.baseLines);
+        }
+        lines.push('=======', ...region.theirsLines, `>>>>>>> ${labels.theirs}`);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (lines.length === 0) return '';
+  return lines.join('\n') + (merge.finalNewline ? '\n' : '');
+}
+
+/**
+ * Count conflicts without a resolution
+ *
+ * @param {Object} merge - Result of computeThreeWayMerge()
+ * @param {Object} resolutions - Map of conflictIndex → resolution
+ * @returns {number}
+ */
+export function countUnresolvedConflicts(merge, resolutions = {}) {
+  return merge.regions.filter(region =>
+    region.type === MERGE_REGION_TYPES.CONFLICT &&
+    !CONFLICT_RESOLUTIONS.includes(resolutions[region.conflictIndex])
+  ).length;
+}
+
+export default {
+  MERGE_REGION_TYPES,
+  CONFLICT_RESOLUTIONS,
+  DEFAULT_MERGE_LABELS,
+  lineOpsToChanges,
+  classifyMergeRegions,
+  computeThreeWayMerge,
+  buildMergedText,
+  countUnresolvedConflicts
+};
@@ -0,0 +1,258 @@
+/**
+ * Tree Diff Module
+ *
+ * Compares two parsed documents by path. Used by the structural comparers
+ * (json-diff.js, yaml-diff.js, ...) once they have parsed their format into
+ * nodes that remember their source lines:
+ *
+ *   { type, startLine, endLine }
+ *
+ * plus `value` for scalars ('string', 'number', 'boolean', 'null'),
+ * `entries` (Map of key → node) for 'object' nodes and `items` for 'array'
+ * nodes. Object entries are matched by key. Array elements are matched by
+ * an identity segment when the comparer provides one for every element,
+ * otherwise aligned with patienceLCS on a canonical form of each element.
+ *
+ * Changes use the shared structural change shape (see structural-diff.js).
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { patienceLCS } from './patience-diff.js';
+
+// ============================================================================
+// Node Helpers
+// ============================================================================
+
+/**
+ * Canonical string of a node (object keys sorted), memoized on the node
+ * Two nodes are structurally equal when their canonical strings are.
+ */
+function canonical(node) {
+  if (node.canonical === undefined) {
+    if (node.type === 'object') {
+      const keys = [...node.entries.keys()].sort();
+      node.canonical = `{${keys.map(key => `${JSON.stringify(key)}:${canonical(node.entries.get(key))}`).join(',')}}`;
+    } else if (node.type === 'array') {
+      node.canonical = `[${node.items.map(canonical).join(',')}]`;
+    } else if (node.type === 'number') {
+      // String() keeps Infinity and NaN apart from null
+      node.canonical = String(node.value);
+    } else {
+      node.canonical = JSON.stringify(node.value);
+    }
+  }
+  return node.canonical;
+}
+
+/**
+ * Convert a node back to a plain JavaScript value
+ *
+ * @param {Object} node - Tree node
+ * @returns {*} Plain value (objects, arrays and scalars)
+ */
+export function nodeToValue(node) {
+  if (node.type === 'object') {
+    const value = {};
+    for (const [key, child] of node.entries) value[key] = nodeToValue(child);
+    return value;
+  }
+  if (node.type === 'array') {
+    return node.items.map(nodeToValue);
+  }
+  return node.value;
+}
+
+const isContainer = node => node.type === 'object' || node.type === 'array';
+
+// ============================================================================
+// Tree Comparison
+// ============================================================================
+
+function lineRange(node) {
+  return node ? { start: node.startLine, end: node.endLine } : null;
+}
+
+/**
+ * Compare two trees by path
+ *
+ * @param {Object} oldRoot - Previous document tree
+ * @param {Object} newRoot - Current document tree
+ * @param {Object} options
+ * @param {Function} options.formatPath - (segments) → path string; segments
+ *   are object keys, array indices and identity segments
+ * @param {Function} [options.itemIdentity] - (node, parentSegments) → path
+ *   segment identifying an array element, or undefined. Arrays whose
+ *   elements all have a distinct identity on both sides are matched by it,
+ *   regardless of order.
+ * @returns {Array<Object>} Structural changes (added, removed, changed, moved)
+ */
+export function diffTrees(oldRoot, newRoot, options) {
+  const { formatPath, itemIdentity = null } = options;
+  const changes = [];
+
+  const makeChange = (type, oldSegments, newSegments, oldNode, newNode) => {
+    const path = formatPath(newSegments || oldSegments);
+    const change = { type, path };
+    if (oldSegments && newSegments) {
+      const oldPath = formatPath(oldSegments);
+      if (oldPath !== path) change.oldPath = oldPath;
+    }
+    if (oldNode) change.oldValue = nodeToValue(oldNode);
+    if (newNode) change.newValue = nodeToValue(newNode);
+    change.oldLines = lineRange(oldNode);
+    change.newLines = lineRange(newNode);
+    return change;
+  };
+
+  const diffNodes = (oldNode, newNode, oldSegments, newSegments) => {
+    if (canonical(oldNode) === canonical(newNode)) return;
+
+    if (oldNode.type !== newNode.type || !isContainer(oldNode)) {
+      changes.push(makeChange('changed', oldSegments, newSegments, oldNode, newNode));
+    } else if (oldNode.type === 'object') {
+      diffObjects(oldNode, newNode, oldSegments, newSegments);
+    } else if (!diffIdentified(oldNode, newNode, oldSegments, newSegments)) {
+      diffArrays(oldNode, newNode, oldSegments, newSegments);
+    }
+  };
+
+  const diffObjects = (oldNode, newNode, oldSegments, newSegments) => {
+    for (const [key, oldChild] of oldNode.entries) {
+      const newChild = newNode.entries.get(key);
+      if (newChild) {
+        diffNodes(oldChild, newChild, [...oldSegments, key], [...newSegments, key]);
+      } else {
+        changes.push(makeChange('removed', [...oldSegments, key], null, oldChild, null));
+      }
+    }
+    for (const [key, newChild] of newNode.entries) {
+      if (!oldNode.entries.has(key)) {
+        changes.push(makeChange('added', null, [...newSegments, key], null, newChild));
+      }
+    }
+  };
+
+  // Identity segment of every element keyed by its JSON, or null when an
+  // element has none or two share one
+  const identify = (items, segments) => {
+    if (!itemIdentity) return null;
+    const identities = new Map();
+    for (const item of items) {
+      const segment = itemIdentity(item, segments);
+      if (segment === undefined) return null;
+      const key = JSON.stringify(segment);
+      if (identities.has(key)) return null;
+      identities.set(key, { segment, item });
+    }
+    return identities;
+  };
+
+  /**
+   * Match array elements by identity like object entries; returns false
+   * (nothing compared) unless both sides are fully identified
+   */
+  const diffIdentified = (oldNode, newNode, oldSegments, newSegments) => {
+    const oldIds = identify(oldNode.items, oldSegments);
+    const newIds = oldIds && identify(newNode.items, newSegments);
+    if (!newIds) return false;
+
+    for (const [key, { segment, item }] of oldIds) {
+      const match = newIds.get(key);
+      if (match) {
+        diffNodes(item, match.item, [...oldSegments, segment], [...newSegments, match.segment]);
+      } else {
+        changes.push(makeChange('removed', [...oldSegments, segment], null, item, null));
+      }
+    }
+    for (const [key, { segment, item }] of newIds) {
+      if (!oldIds.has(key)) {
+        changes.push(makeChange('added', null, [...newSegments, segment], null, item));
+      }
+    }
+    return true;
+  };
+
+  /**
+   * Compare two arrays element by element
+   *
+   * Equal elements kept in order are anchors (patienceLCS). Equal elements
+   * outside the anchors moved. The remaining elements between two anchors
+   * are paired in order and compared recursively, then leftover objects
+   * (and arrays) anywhere in the array; what is still unpaired was added or
+   * removed.
+   */
+  const diffArrays = (oldNode, newNode, oldSegments, newSegments) => {
+    const oldItems = oldNode.items;
+    const newItems = newNode.items;
+    const oldKeys = oldItems.map(canonical);
+    const newKeys = newItems.map(canonical);
+
+    const anchors = patienceLCS(oldKeys, newKeys)
+      .filter(match => oldKeys[match.aIndex] === newKeys[match.bIndex]);
+    const oldMatched = new Set(anchors.map(match => match.aIndex));
+    const newMatched = new Set(anchors.map(match => match.bIndex));
+
+    // Moves: equal elements that are not anchors
+    const unmatchedNew = new Map();
+    newKeys.forEach((key, j) => {
+      if (newMatched.has(j)) return;
+      if (!unmatchedNew.has(key)) unmatchedNew.set(key, []);
+      unmatchedNew.get(key).push(j);
+    });
+    oldKeys.forEach((key, i) => {
+      if (oldMatched.has(i) || !unmatchedNew.get(key)?.length) return;
+      const j = unmatchedNew.get(key).shift();
+      oldMatched.add(i);
+      newMatched.add(j);
+      changes.push(makeChange('moved', [...oldSegments, i], [...newSegments, j], oldItems[i], newItems[j]));
+    });
+
+    const pair = (i, j) => {
+      oldMatched.add(i);
+      newMatched.add(j);
+      diffNodes(oldItems[i], newItems[j], [...oldSegments, i], [...newSegments, j]);
+    };
+
+    // Pair what is left between consecutive anchors
+    let oldFrom = 0;
+    let newFrom = 0;
+    for (const anchor of [...anchors, { aIndex: oldItems.length, bIndex: newItems.length }]) {
+      const oldRest = [];
+      const newRest = [];
+      for (let i = oldFrom; i < anchor.aIndex; i++) if (!oldMatched.has(i)) oldRest.push(i);
+      for (let j = newFrom; j < anchor.bIndex; j++) if (!newMatched.has(j)) newRest.push(j);
+
+      for (let k = 0; k < Math.min(oldRest.length, newRest.length); k++) {
+        pair(oldRest[k], newRest[k]);
+      }
+
+      oldFrom = anchor.aIndex + 1;
+      newFrom = anchor.bIndex + 1;
+    }
+
+    // Objects and arrays displaced by a move are paired in order across gaps
+    const oldLeft = oldItems.map((node, i) => i).filter(i => !oldMatched.has(i));
+    const newLeft = newItems.map((node, j) => j).filter(j => !newMatched.has(j));
+    for (const i of oldLeft) {
+      const j = newLeft.find(k => !newMatched.has(k) && isContainer(newItems[k]) && newItems[k].type === oldItems[i].type);
+      if (isContainer(oldItems[i]) && j !== undefined) pair(i, j);
+    }
+
+    for (const i of oldLeft) {
+      if (!oldMatched.has(i)) changes.push(makeChange('removed', [...oldSegments, i], null, oldItems[i], null));
+    }
+    for (const j of newLeft) {
+      if (!newMatched.has(j)) changes.push(makeChange('added', null, [...newSegments, j], null, newItems[j]));
+    }
+  };
+
+  diffNodes(oldRoot, newRoot, [], []);
+  return changes;
+}
+
+export default {
+  nodeToValue,
+  diffTrees
+};
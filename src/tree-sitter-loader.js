@@ -2,12 +2,17 @@
  * Tree-sitter Loader Module
  * 
  * Manages loading and initialization of web-tree-sitter and language grammars.
- * Handles WASM loading, caching, and error recovery.
+ * Handles WASM loading, caching, and error recovery. The library and the
+ * grammars are pinned in vendor-assets.js and load from vendor/ or the CDN
+ * according to the asset source setting.
  * 
  * Copyright (c) 2026 Jason Tally and contributors
  * SPDX-License-Identifier: MIT
  */
 
+import { loadAsset, importAsset } from './vendor-assets.js';
+import { LANGUAGES, getGrammarLanguages } from './language-registry.js';
+
 let Parser = null;
 let Language = null;
 let Query = null;
@@ -17,29 +22,13 @@ let initPromise = null;
 // Cache for loaded language parsers
 const languageCache = new Map();
 
-// CDN URLs for language WASM files
-// Using @latest for most languages as they have working WASM files
-// YAML is only available via tree-sitter-wasms package
-const LANGUAGE_URLS = {
-  javascript: 'https://cdn.jsdelivr.net/npm/tree-sitter-javascript@latest/tree-sitter-javascript.wasm',
-  typescript: 'https://cdn.jsdelivr.net/npm/tree-sitter-typescript@latest/tree-sitter-typescript.wasm',
-  tsx: 'https://cdn.jsdelivr.net/npm/tree-sitter-typescript@latest/tree-sitter-tsx.wasm',
-  python: 'https://cdn.jsdelivr.net/npm/tree-sitter-python@latest/tree-sitter-python.wasm',
-  json: 'https://cdn.jsdelivr.net/npm/tree-sitter-json@latest/tree-sitter-json.wasm',
-  html: 'https://cdn.jsdelivr.net/npm/tree-sitter-html@latest/tree-sitter-html.wasm',
-  css: 'https://cdn.jsdelivr.net/npm/tree-sitter-css@latest/tree-sitter-css.wasm',
-  go: 'https://cdn.jsdelivr.net/npm/tree-sitter-go@latest/tree-sitter-go.wasm',
-  rust: 'https://cdn.jsdelivr.net/npm/tree-sitter-rust@latest/tree-sitter-rust.wasm',
-  java: 'https://cdn.jsdelivr.net/npm/tree-sitter-java@latest/tree-sitter-java.wasm',
-  c: 'https://cdn.jsdelivr.net/npm/tree-sitter-c@latest/tree-sitter-c.wasm',
-  cpp: 'https://cdn.jsdelivr.net/npm/tree-sitter-cpp@latest/tree-sitter-cpp.wasm',
-  yaml: 'https://cdn.jsdelivr.net/npm/tree-sitter-wasms@0.1.13/out/tree-sitter-yaml.wasm',
-  bash: 'https://cdn.jsdelivr.net/npm/tree-sitter-bash@latest/tree-sitter-bash.wasm',
-  regex: 'https://cdn.jsdelivr.net/npm/tree-sitter-regex@latest/tree-sitter-regex.wasm',
-};
+// Grammar for each language (asset ids in VENDOR_ASSETS), from the language registry
+const LANGUAGE_ASSETS = Object.fromEntries(
+  getGrammarLanguages().map(language => [language, LANGUAGES[language].grammar])
+);
 
 // Supported languages list
-export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_URLS);
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_ASSETS);
 
 /**
  * Check if we're in a browser environment with WebAssembly support
@@ -70,20 +59,15 @@ export async function initTreeSitter() {
     return initPromise;
   }
   
-  // Check if we're in a browser environment
-  if (!isBrowserEnvironment()) {
-    throw new Error('Tree-sitter is only available in browser environments with WebAssembly support');
+  if (typeof WebAssembly === 'undefined') {
+    throw new Error('Tree-sitter is only available in environments with WebAssembly support');
   }
   
   isInitializing = true;
   
   initPromise = (async () => {
     try {
-      // Dynamically import web-tree-sitter from CDN
-      // URL is split to prevent static analysis from trying to validate the CDN import in Node.js
-      const cdnBase = 'https://cdn.jsdelivr.net/npm/web-tree-sitter@0.25.10';
-      const cdnPath = '/+esm';
-      const module = await import(cdnBase + cdnPath);
+      const module = await importAsset('web-tree-sitter');
       Parser = module.Parser;
       Language = module.Language;
       Query = module.Query;
@@ -100,8 +84,10 @@ export async function initTreeSitter() {
         console.warn('[TreeSitter] Query class not available, syntax highlighting will use fallback');
       }
       
-      // Initialize the WASM runtime
-      await Parser.init();
+      // Initialize the WASM runtime with the verified binary; locateFile
+      // only names it, since a blob: module has no directory to resolve from
+      const runtime = await loadAsset('web-tree-sitter-wasm');
+      await Parser.init({ wasmBinary: runtime.bytes, locateFile: () => runtime.url });
       
       console.log('[TreeSitter] Initialized successfully');
       return Parser;
@@ -131,8 +117,8 @@ export async function getLanguageParser(language) {
   }
   
   // Validate language support
-  const wasmUrl = LANGUAGE_URLS[language];
-  if (!wasmUrl) {
+  const assetId = LANGUAGE_ASSETS[language];
+  if (!assetId) {
     throw new Error(`Language '${language}' is not supported. Supported languages: ${SUPPORTED_LANGUAGES.join(', ')}`);
   }
   
@@ -141,8 +127,9 @@ export async function getLanguageParser(language) {
     const Parser = await initTreeSitter();
     
     // Load the language WASM
-    console.log(`[TreeSitter] Loading language: ${language} from ${wasmUrl}`);
-    const lang = await Language.load(wasmUrl);
+    const grammar = await loadAsset(assetId);
+    console.log(`[TreeSitter] Loading language: ${language} from ${grammar.url}`);
+    const lang = await Language.load(grammar.bytes);
     
     if (!lang) {
       throw new Error(`Failed to load language ${language}: Language.load() returned null`);
@@ -161,17 +148,10 @@ export async function getLanguageParser(language) {
     console.error(`[TreeSitter] Failed to load language ${language}:`, error);
     
     // Provide helpful error messages for common issues
-    if (error.message.includes('MIME type')) {
-      throw new Error(
-        `Failed to load ${language} grammar: WASM file must be served with 'application/wasm' MIME type. ` +
-        `If running locally, ensure your server is configured correctly.`
-      );
-    }
-    
-    if (error.message.includes('NetworkError') || error.message.includes('fetch')) {
+    if (error.name === 'AssetLoadError') {
       throw new Error(
-        `Failed to load ${language} grammar: Network error. ` +
-        `Check your internet connection and CORS settings.`
+        `Failed to load ${language} grammar: ${error.message}. ` +
+        `Run npm run vendor to serve grammars from vendor/, or allow the CDN in Advanced Settings.`
       );
     }
     
@@ -204,7 +184,7 @@ export async function preloadLanguages(languages) {
  * @returns {boolean}
  */
 export function isLanguageSupported(language) {
-  return LANGUAGE_URLS.hasOwnProperty(language);
+  return LANGUAGE_ASSETS.hasOwnProperty(language);
 }
 
 /**
@@ -251,7 +231,9 @@ export function getCacheStats() {
 
 /**
  * Check if Tree-sitter is available in this environment
- * Tests for WebAssembly support and basic functionality
+ * Tests for WebAssembly support and basic functionality. Outside browsers
+ * it is only reported once initTreeSitter() has been called, so the CLI
+ * and Node.js tests keep the regex fallbacks unless they ask for it.
  * 
  * @returns {Promise<boolean>}
  */
@@ -262,6 +244,10 @@ export async function isTreeSitterAvailable() {
       return false;
     }
     
+    if (!isBrowserEnvironment()) {
+      return !!Parser;
+    }
+    
     // Try to initialize
     await initTreeSitter();
     return true;
@@ -291,7 +277,7 @@ export async function detectLanguageWithTreeSitter(content, languages = null) {
   let bestScore = -1;
   
   for (const language of langsToTry) {
-    if (!LANGUAGE_URLS[language]) continue;
+    if (!LANGUAGE_ASSETS[language]) continue;
     
     try {
       const parser = await getLanguageParser(language);
@@ -302,7 +288,7 @@ export async function detectLanguageWithTreeSitter(content, languages = null) {
       if (!tree || !tree.rootNode) continue;
       
       // Check for parse errors
-      const hasError = tree.rootNode.hasError();
+      const hasError = tree.rootNode.hasError;
       const nodeCount = countNodes(tree.rootNode);
       const charCount = content.length;
       
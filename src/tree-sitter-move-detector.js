@@ -69,8 +69,14 @@ export function detectMovesWithTreeSitter(oldText, newText, parser, options = {}
 /**
  * Extract significant AST nodes that could be moved
  * Includes: functions, classes, methods, blocks, etc.
+ * Also used by symbol-outline.js to find the functions and classes of a file.
+ *
+ * @param {Object} rootNode - Tree-sitter root node
+ * @param {string} sourceText - Text the tree was parsed from
+ * @returns {Array<Object>} Nodes in pre-order: { type, startLine, endLine
+ *   (0-based rows), startIndex, endIndex, content, contentHash, depth, node }
  */
-function extractSignificantNodes(rootNode, sourceText) {
+export function extractSignificantNodes(rootNode, sourceText) {
   const nodes = [];
   
   const significantTypes = [
@@ -539,6 +545,7 @@ export async function enhanceDiffWithTreeSitterMoves(diffResult, oldText, newTex
 
 export default {
   detectMovesWithTreeSitter,
+  extractSignificantNodes,
   enhanceDiffWithTreeSitterMoves,
   applyTreeSitterMoves
 };
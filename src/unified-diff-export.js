@@ -0,0 +1,335 @@
+/**
+ * Unified Diff Export Module
+ *
+ * Turns the classified results array from runDiffPipeline() into a
+ * standard unified diff (git patch) with configurable context lines and
+ * correct @@ hunk headers, so the output can be fed to `git apply` or
+ * `patch`.
+ *
+ * Modified pairs are written as -/+ line pairs and moved blocks as a
+ * removal at the old position plus an addition at the new one - the
+ * unified format has no notion of either.
+ *
+ * Environment-agnostic: used by the browser download button and by the
+ * CLI (bin/text-diff.js --unified).
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { patienceDiff } from './patience-diff.js';
+
+export const DEFAULT_CONTEXT_LINES = 3;
+
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+// ============================================================================
+// Line Operations
+// ============================================================================
+
+/**
+ * A single line of a unified diff
+ * @typedef {Object} LineOp
+ * @property {string} op - ' ' (context), '-' (removed) or '+' (added)
+ * @property {string} line - Line text without newline
+ */
+
+/**
+ * Split text into lines, dropping the empty element after a final newline
+ *
+ * @param {string} text - Input text
+ * @returns {string[]} Lines
+ */
+export function splitTextLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Convert classified results into line operations
+ *
+ * The side of each entry is taken from its removed/added flags rather than
+ * its classification: a 'modified' entry is the removed side of a pair and
+ * its 'modified-skipped' partner the added side, while block moves carry
+ * the flag of the position they occupy. This reconstructs both texts
+ * faithfully regardless of how lines were paired.
+ *
+ * @param {Array} results - Classified results from runDiffPipeline()
+ * @returns {LineOp[]} Line operations in result order
+ */
+export function resultsToLineOps(results) {
+  const ops = [];
+
+  for (const change of results) {
+    if (typeof change.value !== 'string' || change.value === '') continue;
+
+    const op = change.removed ? '-' : change.added ? '+' : ' ';
+    for (const line of splitTextLines(change.value)) {
+      ops.push({ op, line });
+    }
+  }
+
+  return ops;
+}
+
+/**
+ * Rebuild the old and new line sequences described by line operations
+ *
+ * @param {LineOp[]} ops - Line operations
+ * @returns {{ oldLines: string[], newLines: string[] }}
+ */
+function reconstructSides(ops) {
+  const oldLines = [];
+  const newLines = [];
+  for (const { op, line } of ops) {
+    if (op !== '+') oldLines.push(line);
+    if (op !== '-') newLines.push(line);
+  }
+  return { oldLines, newLines };
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Line operations straight from a patience diff of the two texts
+ * Used when the pipeline results do not reproduce the inputs exactly.
+ *
+ * @param {string[]} oldLines - Old text lines
+ * @param {string[]} newLines - New text lines
+ * @returns {LineOp[]}
+ */
+function patienceLineOps(oldLines, newLines) {
+  const ops = patienceDiff(oldLines, newLines).map(item => ({
+    op: item.removed ? '-' : item.added ? '+' : ' ',
+    line: item.line
+  }));
+
+  const sides = reconstructSides(ops);
+  if (sameLines(sides.oldLines, oldLines) && sameLines(sides.newLines, newLines)) {
+    return ops;
+  }
+
+  // Last resort - replace everything, always a valid patch
+  return [
+    ...oldLines.map(line => ({ op: '-', line })),
+    ...newLines.map(line => ({ op: '+', line }))
+  ];
+}
+
+/**
+ * Build line operations that exactly reproduce the original texts
+ *
+ * The pipeline can leave artifacts such as an extra empty line produced by
+ * splitting text that ends in a newline (two-pass mode). When the original
+ * texts are known, results are checked against them and a plain patience
+ * diff is used if they do not reconstruct both sides.
+ *
+ * @param {Array} results - Classified results
+ * @param {string[]|null} oldLines - Original old lines (null if unknown)
+ * @param {string[]|null} newLines - Original new lines (null if unknown)
+ * @returns {LineOp[]}
+ */
+export function buildVerifiedLineOps(results, oldLines, newLines) {
+  const ops = resultsToLineOps(results);
+  if (!oldLines || !newLines) return ops;
+
+  // Drop lines that run past the end of either text
+  const trimmed = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  for (const { op, line } of ops) {
+    const hasOld = oldIndex < oldLines.length;
+    const hasNew = newIndex < newLines.length;
+    if (op === ' ') {
+      if (hasOld && hasNew) {
+        trimmed.push({ op, line });
+        oldIndex++;
+        newIndex++;
+      } else if (hasOld) {
+        trimmed.push({ op: '-', line });
+        oldIndex++;
+      } else if (hasNew) {
+        trimmed.push({ op: '+', line });
+        newIndex++;
+      }
+    } else if (op === '-' && hasOld) {
+      trimmed.push({ op, line });
+      oldIndex++;
+    } else if (op === '+' && hasNew) {
+      trimmed.push({ op, line });
+      newIndex++;
+    }
+  }
+
+  const sides = reconstructSides(trimmed);
+  if (sameLines(sides.oldLines, oldLines) && sameLines(sides.newLines, newLines)) {
+    return trimmed;
+  }
+
+  return patienceLineOps(oldLines, newLines);
+}
+
+// ============================================================================
+// Hunks
+// ============================================================================
+
+/**
+ * A unified diff hunk
+ * @typedef {Object} Hunk
+ * @property {number} oldStart - 1-based start line in the old file
+ * @property {number} oldCount - Number of old lines covered
+ * @property {number} newStart - 1-based start line in the new file
+ * @property {number} newCount - Number of new lines covered
+ * @property {Array<LineOp & { oldIndex: number, newIndex: number }>} lines
+ */
+
+/**
+ * Group line operations into hunks with surrounding context
+ *
+ * @param {LineOp[]} ops - Line operations
+ * @param {number} context - Number of context lines around each change
+ * @returns {Hunk[]} Hunks in file order
+ */
+export function groupIntoHunks(ops, context = DEFAULT_CONTEXT_LINES) {
+  // Annotate each op with its 0-based position on both sides
+  const annotated = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  for (const { op, line } of ops) {
+    annotated.push({ op, line, oldIndex, newIndex });
+    if (op !== '+') oldIndex++;
+    if (op !== '-') newIndex++;
+  }
+
+  const changeIndices = [];
+  annotated.forEach((item, i) => {
+    if (item.op !== ' ') changeIndices.push(i);
+  });
+  if (changeIndices.length === 0) return [];
+
+  // Merge changes whose context windows touch or overlap
+  const ranges = [];
+  for (const i of changeIndices) {
+    const start = Math.max(0, i - context);
+    const end = Math.min(annotated.length - 1, i + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  return ranges.map(({ start, end }) => {
+    const lines = annotated.slice(start, end + 1);
+    const oldCount = lines.filter(l => l.op !== '+').length;
+    const newCount = lines.filter(l => l.op !== '-').length;
+    const first = lines[0];
+
+    // An empty side starts at the line before the hunk (e.g. -0,0 for a new file)
+    return {
+      oldStart: oldCount === 0 ? first.oldIndex : first.oldIndex + 1,
+      oldCount,
+      newStart: newCount === 0 ? first.newIndex : first.newIndex + 1,
+      newCount,
+      lines
+    };
+  });
+}
+
+/**
+ * Format a hunk header, omitting counts of 1 as git does
+ *
+ * @param {Hunk} hunk - Hunk to describe
+ * @returns {string} e.g. "@@ -12,7 +12,8 @@"
+ */
+export function formatHunkHeader(hunk) {
+  const range = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+  return `@@ -${range(hunk.oldStart, hunk.oldCount)} +${range(hunk.newStart, hunk.newCount)} @@`;
+}
+
+// ============================================================================
+// Unified Diff Generation
+// ============================================================================
+
+/**
+ * Generate unified diff format (.patch file content)
+ *
+ * @param {Array} results - Classified diff results from runDiffPipeline()
+ * @param {string} oldFileName - Name of original file
+ * @param {string} newFileName - Name of modified file
+ * @param {Object} options - Export options
+ * @param {number} options.context - Context lines around each change (default: 3)
+ * @param {string} options.oldText - Original old text; enables verification
+ *   and "\ No newline at end of file" markers
+ * @param {string} options.newText - Original new text (see oldText)
+ * @param {boolean} options.gitHeader - Emit a `diff --git` line and a/ b/
+ *   path prefixes so `git apply` works with its default -p1 (default: true)
+ * @returns {string} Unified diff content, or '' when there are no changes
+ */
+export function generateUnifiedDiff(results, oldFileName = 'original.txt', newFileName = 'modified.txt', options = {}) {
+  const {
+    context = DEFAULT_CONTEXT_LINES,
+    oldText = null,
+    newText = null,
+    gitHeader = true
+  } = options;
+
+  const hasTexts = typeof oldText === 'string' && typeof newText === 'string';
+  const oldLines = hasTexts ? splitTextLines(oldText) : null;
+  const newLines = hasTexts ? splitTextLines(newText) : null;
+
+  const ops = buildVerifiedLineOps(results, oldLines, newLines);
+
+  const oldMissingNewline = hasTexts && oldText.length > 0 && !oldText.endsWith('\n');
+  const newMissingNewline = hasTexts && newText.length > 0 && !newText.endsWith('\n');
+
+  // Same final line but only one side ends with a newline - that line changed
+  const lastOp = ops[ops.length - 1];
+  if (oldMissingNewline !== newMissingNewline && lastOp && lastOp.op === ' ') {
+    ops.splice(ops.length - 1, 1, { op: '-', line: lastOp.line }, { op: '+', line: lastOp.line });
+  }
+
+  const hunks = groupIntoHunks(ops, Math.max(0, context));
+  if (hunks.length === 0) return '';
+
+  const oldPath = gitHeader ? `a/${oldFileName}` : oldFileName;
+  const newPath = gitHeader ? `b/${newFileName}` : newFileName;
+
+  let output = '';
+  if (gitHeader) {
+    output += `diff --git ${oldPath} ${newPath}\n`;
+  }
+  output += `--- ${oldPath}\n`;
+  output += `+++ ${newPath}\n`;
+
+  for (const hunk of hunks) {
+    output += formatHunkHeader(hunk) + '\n';
+
+    for (const item of hunk.lines) {
+      const isLastOld = oldLines && item.op !== '+' && item.oldIndex === oldLines.length - 1;
+      const isLastNew = newLines && item.op !== '-' && item.newIndex === newLines.length - 1;
+
+      output += `${item.op}${item.line}\n`;
+      if ((isLastOld && oldMissingNewline) || (isLastNew && newMissingNewline)) {
+        output += NO_NEWLINE_MARKER + '\n';
+      }
+    }
+  }
+
+  return output;
+}
+
+export default {
+  DEFAULT_CONTEXT_LINES,
+  splitTextLines,
+  resultsToLineOps,
+  buildVerifiedLineOps,
+  groupIntoHunks,
+  formatHunkHeader,
+  generateUnifiedDiff
+};
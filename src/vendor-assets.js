@@ -0,0 +1,289 @@
+/**
+ * Vendored Assets
+ *
+ * Pinned versions and Subresource Integrity hashes of the third-party files
+ * loaded at runtime: web-tree-sitter, the Tree-sitter grammars and the diff
+ * library. Each file can come from the local vendor/ directory (filled by
+ * `npm run vendor`, see scripts/vendor.js) or from jsDelivr; the asset
+ * source setting picks local only, CDN only, or local first with the CDN as
+ * fallback. Every file is checked against its pinned hash before use.
+ *
+ * In Node.js local files are read from vendor/ or, when it has not been
+ * filled, straight from node_modules/, so tests need no network.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+export const ASSET_SOURCES = {
+  LOCAL_FIRST: 'local-first',
+  LOCAL: 'local',
+  CDN: 'cdn'
+};
+
+export const DEFAULT_ASSET_SOURCE = ASSET_SOURCES.LOCAL_FIRST;
+
+export const VENDOR_DIRECTORY = 'vendor';
+
+export const CDN_BASE_URL = 'https://cdn.jsdelivr.net/npm';
+
+// vendor/ and node_modules/ sit next to src/ at the repository root
+const VENDOR_BASE_URL = new URL(`../${VENDOR_DIRECTORY}/`, import.meta.url);
+const NODE_MODULES_BASE_URL = new URL('../node_modules/', import.meta.url);
+
+/**
+ * Pinned runtime files, keyed by asset id
+ *
+ * The package versions match the devDependencies in package.json, which is
+ * where scripts/vendor.js copies them from. After bumping a version, run
+ * `npm run vendor -- --check` to print the new integrity hashes.
+ */
+export const VENDOR_ASSETS = {
+  'web-tree-sitter': { package: 'web-tree-sitter', version: '0.25.10', file: 'tree-sitter.js', integrity: 'sha384-LfjKw5UCDh/URIW4R0LSwbzUivo6kO5rgvIuZyfttG3piadg6I20g6UQvL4eX50v' },
+  'web-tree-sitter-wasm': { package: 'web-tree-sitter', version: '0.25.10', file: 'tree-sitter.wasm', integrity: 'sha384-+uucgE0JVMgHuVw69z5dz/en+A7WEaTgGuy8QGOk4cNvKyAzMUBBglSdttqNrh+6' },
+  'diff': { package: 'diff', version: '5.1.0', file: 'lib/index.mjs', integrity: 'sha384-I59JggxZLsb+G13sRj2xLRV7Imv0Hnb2WnWEvX2ydOYZgdqtHaj1CSQ1e8P+YUpM' },
+  'tree-sitter-javascript': { package: 'tree-sitter-javascript', version: '0.25.0', file: 'tree-sitter-javascript.wasm', integrity: 'sha384-3dlqbvZAnPZJOot6X+DIhLCiMrojb5hvMieuVBR5uB9mFnZGWz3jDYf4UUcHVZRY' },
+  'tree-sitter-typescript': { package: 'tree-sitter-typescript', version: '0.23.2', file: 'tree-sitter-typescript.wasm', integrity: 'sha384-328ILNeWc5GKhcaGnnIMDl9uqX7GP584co/Ez1YUJ23QBu1IwmUaz/p8z2K5l1L/' },
+  'tree-sitter-tsx': { package: 'tree-sitter-typescript', version: '0.23.2', file: 'tree-sitter-tsx.wasm', integrity: 'sha384-yTQSss5nzaFaEdYg8ou7VejtmDPzvW9Xx+CwhJZtgAg3kxgJFnKCZ/ZmxphPBlkN' },
+  'tree-sitter-python': { package: 'tree-sitter-python', version: '0.25.0', file: 'tree-sitter-python.wasm', integrity: 'sha384-E4n+S4fng0JBwsIDjckcI/EzM0aWV0FWjVkaLo+qdz4JIjiTd/pXFFK8agCknw+R' },
+  'tree-sitter-json': { package: 'tree-sitter-json', version: '0.24.8', file: 'tree-sitter-json.wasm', integrity: 'sha384-ElowvbrySsv1luT8Y4fvL3lw8Rh3HeM8x7aMTuWhs89yxB6euhxWtgLXEFqV/LWm' },
+  'tree-sitter-html': { package: 'tree-sitter-html', version: '0.23.2', file: 'tree-sitter-html.wasm', integrity: 'sha384-ARpkC5gqxl3S/YUcbOd6W2OeJBq1wBfgGgr9fi2c1vN9vaHNzKl6rDXx5uMm3J/D' },
+  'tree-sitter-css': { package: 'tree-sitter-css', version: '0.25.0', file: 'tree-sitter-css.wasm', integrity: 'sha384-AonB/wMzR9uFVvrcyiAVeRz46uedA6pkTBTdAaINxDW7+6FwaJQ2liVXyltGV9KK' },
+  'tree-sitter-go': { package: 'tree-sitter-go', version: '0.25.0', file: 'tree-sitter-go.wasm', integrity: 'sha384-BmzD4iawjqMo98gk+9n4u9GlATwUHe2IeSNSEFIRElaAQvaXgTtVaw8Xnq46+cT+' },
+  'tree-sitter-rust': { package: 'tree-sitter-rust', version: '0.24.0', file: 'tree-sitter-rust.wasm', integrity: 'sha384-9ZBrxs/q//inEhcQaw25F6I14rJcL1OUEf7H7nl0quMjs7DJpb9PCi1cKBKqVj+8' },
+  'tree-sitter-java': { package: 'tree-sitter-java', version: '0.23.5', file: 'tree-sitter-java.wasm', integrity: 'sha384-ns4eLxPKWd9erkCHIzAL3Tvi3EMokRTQKBlEvtqypHCm+HHajO5cldMfq7h4qiOg' },
+  'tree-sitter-c': { package: 'tree-sitter-c', version: '0.24.1', file: 'tree-sitter-c.wasm', integrity: 'sha384-++PGW1vsn3gCcke4ndZPQqEJr8D/eOjfHFafFbIkTgqy9ioKwR8Mvh9uuU+94tVI' },
+  'tree-sitter-cpp': { package: 'tree-sitter-cpp', version: '0.23.4', file: 'tree-sitter-cpp.wasm', integrity: 'sha384-ZCAMqxQJoA+fEvtNmqrDUPwi4NDifB39Xd2ELvpX6LUQdQo37zvO1lFwDGLEeqnV' },
+  'tree-sitter-yaml': { package: '@tree-sitter-grammars/tree-sitter-yaml', version: '0.7.1', file: 'tree-sitter-yaml.wasm', integrity: 'sha384-vsfoBHlXs3iu8yyWzWaOE+fk42LRgrxo44AZf11ZH9/zaL4yB/fdm/Y246Jjpq57' },
+  'tree-sitter-bash': { package: 'tree-sitter-bash', version: '0.25.1', file: 'tree-sitter-bash.wasm', integrity: 'sha384-nK4t5HGNVQUDEIZ6DBFxfZtuLsIIeHFRuuU8KWjfjw2NjoKApTTZ0RLv2l3xmxEy' },
+  'tree-sitter-regex': { package: 'tree-sitter-regex', version: '0.25.0', file: 'tree-sitter-regex.wasm', integrity: 'sha384-TaRmicDvOXILKSgrSqb1uRkNtX/zsZioBSuWX8iKzwHR8/HLW97PZmyN4N7x4CrY' },
+  'tree-sitter-ruby': { package: 'tree-sitter-ruby', version: '0.23.1', file: 'tree-sitter-ruby.wasm', integrity: 'sha384-hmLYS+/qXHdmAlPl+7JgPFGBJK+osXVt/BLIFM2INkhxxDIZF5VveGIl0cCg0dFy' },
+  'tree-sitter-php': { package: 'tree-sitter-php', version: '0.24.2', file: 'tree-sitter-php.wasm', integrity: 'sha384-o+QtCE9FwxIrKrz/UbTerXXmncXzIYfTIXGW79SAHzphKue00dHO0f8kw7Mc8aRu' },
+  'tree-sitter-csharp': { package: 'tree-sitter-c-sharp', version: '0.23.5', file: 'tree-sitter-c_sharp.wasm', integrity: 'sha384-gqs97irL57Z0mSvODftk2Nx2IygBHvCvC9VNMuTBu9+1h79RGRAPmVGJxV5ab3zC' },
+  'tree-sitter-kotlin': { package: '@tree-sitter-grammars/tree-sitter-kotlin', version: '1.1.0', file: 'tree-sitter-kotlin.wasm', integrity: 'sha384-y/Hl5vUkyA1g99Rj0I94b3pwCB9QLVXv0/ptlrLDoXI9T9bG2biI8BuB9qcKh2hN' },
+  'tree-sitter-swift': { package: 'tree-sitter-wasms', version: '0.1.13', file: 'out/tree-sitter-swift.wasm', integrity: 'sha384-ahJJpcZj8jlbndFTJ8r/A3mjIlO37pGgdHMdzGz4uYcxT7XutAILwWqXvca7dUV+' },
+  'tree-sitter-scala': { package: 'tree-sitter-scala', version: '0.24.0', file: 'tree-sitter-scala.wasm', integrity: 'sha384-hbJreyw9oxnQ1NIJ05lCDq/14XgUeJdpXtRCrPYUaHmJO3ieQQSzriIRVAjnJIXf' },
+  'tree-sitter-lua': { package: '@tree-sitter-grammars/tree-sitter-lua', version: '0.4.1', file: 'tree-sitter-lua.wasm', integrity: 'sha384-GEqNaeH06o2ity+3L2a6uhCcGbsSx9X5ogEH2JLqlrWgWo0G/09gY8hBPxSIVb0a' },
+  'tree-sitter-powershell': { package: 'tree-sitter-powershell', version: '0.26.4', file: 'tree-sitter-powershell.wasm', integrity: 'sha384-BXMwfQt1MdYCiPnhWWS8r+JlIFKDT99RNbatymAR+nDGNjHlpC+eVD65DcSapLB1' },
+  'tree-sitter-terraform': { package: '@tree-sitter-grammars/tree-sitter-hcl', version: '1.2.0', file: 'tree-sitter-terraform.wasm', integrity: 'sha384-4KTpUOKR+dysqYzmIQjn5r1leA20lBirw6Mzyg/YQKI5tYB09T56qPhyLrEk1DL2' },
+  'tree-sitter-toml': { package: '@tree-sitter-grammars/tree-sitter-toml', version: '0.7.0', file: 'tree-sitter-toml.wasm', integrity: 'sha384-mJD9TCTf163OroQy7sFbtYxn/8Fp9/6NN3IGO1iyp/V8IsVTbhwXtuDQqjNU8u5r' }
+};
+
+let assetSource = DEFAULT_ASSET_SOURCE;
+
+export class AssetLoadError extends Error {
+  constructor(message, attempts = []) {
+    super(attempts.length > 0 ? `${message} (${attempts.join('; ')})` : message);
+    this.name = 'AssetLoadError';
+    this.attempts = attempts;
+  }
+}
+
+// ============================================================================
+// Asset Source Setting
+// ============================================================================
+
+/**
+ * Check whether a value is one of ASSET_SOURCES
+ *
+ * @param {string} source - Candidate setting
+ * @returns {boolean}
+ */
+export function isAssetSource(source) {
+  return Object.values(ASSET_SOURCES).includes(source);
+}
+
+/**
+ * Choose where assets load from for the rest of the session
+ *
+ * Unknown values (e.g. a stale saved setting) select the default. Assets
+ * that are already loaded are not reloaded.
+ *
+ * @param {string} source - One of ASSET_SOURCES
+ * @returns {string} The source now in effect
+ */
+export function setAssetSource(source) {
+  assetSource = isAssetSource(source) ? source : DEFAULT_ASSET_SOURCE;
+  return assetSource;
+}
+
+/**
+ * @returns {string} The current asset source
+ */
+export function getAssetSource() {
+  return assetSource;
+}
+
+// ============================================================================
+// URL Resolution
+// ============================================================================
+
+function getAsset(id) {
+  const asset = VENDOR_ASSETS[id];
+  if (!asset) {
+    throw new AssetLoadError(`Unknown asset '${id}'`);
+  }
+  return asset;
+}
+
+function isNode() {
+  return typeof process !== 'undefined' && process.versions?.node != null;
+}
+
+/**
+ * Path of an asset inside vendor/, e.g. `web-tree-sitter@0.25.10/tree-sitter.js`
+ *
+ * @param {string} id - Key of VENDOR_ASSETS
+ * @returns {string}
+ */
+export function getVendorPath(id) {
+  const asset = getAsset(id);
+  return `${asset.package}@${asset.version}/${asset.file}`;
+}
+
+/**
+ * @param {string} id - Key of VENDOR_ASSETS
+ * @returns {string} Pinned jsDelivr URL of the asset
+ */
+export function getCdnUrl(id) {
+  const asset = getAsset(id);
+  return `${CDN_BASE_URL}/${asset.package}@${asset.version}/${asset.file}`;
+}
+
+/**
+ * List the URLs an asset is tried from, in order
+ *
+ * @param {string} id - Key of VENDOR_ASSETS
+ * @param {string} source - One of ASSET_SOURCES (default: current setting)
+ * @returns {Array<string>}
+ */
+export function resolveAssetUrls(id, source = assetSource) {
+  const asset = getAsset(id);
+  const local = [new URL(getVendorPath(id), VENDOR_BASE_URL).href];
+  if (isNode()) {
+    local.push(new URL(`${asset.package}/${asset.file}`, NODE_MODULES_BASE_URL).href);
+  }
+
+  switch (source) {
+    case ASSET_SOURCES.LOCAL:
+      return local;
+    case ASSET_SOURCES.CDN:
+      return [getCdnUrl(id)];
+    default:
+      return [...local, getCdnUrl(id)];
+  }
+}
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Check bytes against a Subresource Integrity value
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} integrity - e.g. `sha384-<base64>`
+ * @returns {Promise<boolean>}
+ */
+export async function verifyIntegrity(bytes, integrity) {
+  const [algorithm, expected] = integrity.split(/-(.*)/s);
+  const name = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' }[algorithm];
+  if (!name || !globalThis.crypto?.subtle) {
+    return false;
+  }
+
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest(name, bytes));
+  let binary = '';
+  for (const byte of digest) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary) === expected;
+}
+
+async function readUrl(url, integrity) {
+  if (url.startsWith('file:')) {
+    const { readFile } = await import('node:fs/promises');
+    const bytes = new Uint8Array(await readFile(new URL(url)));
+    if (!(await verifyIntegrity(bytes, integrity))) {
+      throw new Error('integrity check failed');
+    }
+    return bytes;
+  }
+
+  // fetch() rejects when the body does not match the integrity value
+  const response = await fetch(url, { integrity });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Load an asset's bytes from the first URL that serves a matching file
+ *
+ * @param {string} id - Key of VENDOR_ASSETS
+ * @param {Object} options
+ * @param {string} options.source - One of ASSET_SOURCES (default: current setting)
+ * @returns {Promise<{bytes: Uint8Array, url: string}>}
+ * @throws {AssetLoadError} If no URL worked; lists each failure
+ */
+export async function loadAsset(id, options = {}) {
+  const asset = getAsset(id);
+  const attempts = [];
+
+  for (const url of resolveAssetUrls(id, options.source)) {
+    try {
+      return { bytes: await readUrl(url, asset.integrity), url };
+    } catch (error) {
+      attempts.push(`${url}: ${error.message}`);
+    }
+  }
+
+  throw new AssetLoadError(`Failed to load ${asset.package}@${asset.version}/${asset.file}`, attempts);
+}
+
+/**
+ * Import a JavaScript asset as an ES module after checking its integrity
+ *
+ * Browsers import the verified text through a blob: URL, so the file that
+ * runs is the file that was checked.
+ *
+ * @param {string} id - Key of VENDOR_ASSETS
+ * @param {Object} options - See loadAsset()
+ * @returns {Promise<Object>} The module namespace
+ */
+export async function importAsset(id, options = {}) {
+  const { bytes, url } = await loadAsset(id, options);
+  if (url.startsWith('file:')) {
+    return import(url);
+  }
+
+  const blobUrl = URL.createObjectURL(new Blob([bytes], { type: 'text/javascript' }));
+  try {
+    return await import(blobUrl);
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+export default {
+  ASSET_SOURCES,
+  DEFAULT_ASSET_SOURCE,
+  VENDOR_DIRECTORY,
+  CDN_BASE_URL,
+  VENDOR_ASSETS,
+  AssetLoadError,
+  isAssetSource,
+  setAssetSource,
+  getAssetSource,
+  getVendorPath,
+  getCdnUrl,
+  resolveAssetUrls,
+  verifyIntegrity,
+  loadAsset,
+  importAsset
+};
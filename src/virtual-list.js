@@ -0,0 +1,299 @@
+/**
+ * Virtual List Module
+ *
+ * Windowed rendering for the diff panels. Large results only keep the rows
+ * inside the scroll viewport (plus an overscan buffer) in the DOM; spacer
+ * elements above and below the mounted rows keep the full scroll height,
+ * so scrollbars, scroll sync and change navigation work as if every row
+ * were rendered. Rows in a virtual list have a fixed height (see the
+ * .virtual-list rules in index.html).
+ *
+ * Small results are rendered eagerly through the same interface.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Results with at least this many rows are rendered as a virtual list
+export const VIRTUAL_RENDER_MIN_ROWS = 1000;
+
+// Rows mounted above and below the viewport so fast scrolling does not
+// show blank space before the next frame
+export const VIRTUAL_OVERSCAN_ROWS = 30;
+
+// Height of one .diff-row / .unified-row in a virtual list, border included
+export const VIRTUAL_ROW_HEIGHT = 26;
+
+// Viewport used while the panel is hidden (matches .diff-panel max-height)
+const FALLBACK_VIEWPORT_HEIGHT = 600;
+
+// ============================================================================
+// Window Calculation
+// ============================================================================
+
+/**
+ * Calculate which rows to mount for a scroll position
+ *
+ * @param {Object} viewport - Scroll state
+ * @param {number} viewport.scrollTop - Scroll offset of the scroll container
+ * @param {number} viewport.viewportHeight - Visible height of the scroll container
+ * @param {number} viewport.rowHeight - Height of one row
+ * @param {number} viewport.rowCount - Total number of rows
+ * @param {number} viewport.listOffset - Distance from the top of the scroll
+ *   content to the first row (e.g. a sticky panel header)
+ * @param {number} viewport.overscan - Extra rows above and below the viewport
+ * @returns {{start: number, end: number}} Row range, end exclusive
+ */
+export function calculateVisibleRange({
+  scrollTop,
+  viewportHeight,
+  rowHeight,
+  rowCount,
+  listOffset = 0,
+  overscan = VIRTUAL_OVERSCAN_ROWS
+}) {
+  if (rowCount <= 0 || rowHeight <= 0) {
+    return { start: 0, end: 0 };
+  }
+
+  const firstVisible = Math.floor(Math.max(0, scrollTop - listOffset) / rowHeight);
+  const visibleCount = Math.ceil(Math.max(0, viewportHeight) / rowHeight) + 1;
+
+  const start = Math.min(Math.max(0, firstVisible - overscan), rowCount);
+  const end = Math.min(firstVisible + visibleCount + overscan, rowCount);
+
+  return { start, end: Math.max(start, end) };
+}
+
+/**
+ * Find the first row of every run of changed rows
+ *
+ * @param {Array} rows - Row models
+ * @param {Function} isChange - (row) → boolean
+ * @returns {number[]} Row indices where a change group starts
+ */
+export function findChangeGroupStarts(rows, isChange) {
+  const starts = [];
+  let lastWasChange = false;
+
+  rows.forEach((row, index) => {
+    const changed = Boolean(isChange(row));
+    if (changed && !lastWasChange) {
+      starts.push(index);
+    }
+    lastWasChange = changed;
+  });
+
+  return starts;
+}
+
+// ============================================================================
+// List Rendering
+// ============================================================================
+
+/**
+ * Create a row list for a diff panel
+ *
+ * @param {Object} config - List configuration
+ * @param {HTMLElement} config.container - Element the rows are rendered into
+ * @param {HTMLElement} config.scrollElement - Scrolling ancestor of the container
+ * @param {number} config.rowCount - Number of rows
+ * @param {Function} config.renderRow - (index) → HTMLElement
+ * @param {Function} config.decorateRow - async (index, element) → void, run
+ *   after a row is created (e.g. syntax highlighting). Awaited for eager
+ *   lists; virtual lists decorate rows in the background as they mount.
+ * @param {boolean} config.virtual - Force windowed rendering on or off
+ *   (default: rowCount >= VIRTUAL_RENDER_MIN_ROWS)
+ * @param {string} config.minWidth - CSS min-width of a virtual list, so the
+ *   panel can scroll horizontally to lines that are not mounted yet
+ * @param {number} config.rowHeight - Row height of a virtual list
+ * @param {number} config.overscan - Rows mounted outside the viewport
+ * @returns {Object} { mount, refresh, getRowOffset, destroy, isVirtual }
+ */
+export function createVirtualList(config) {
+  const {
+    container,
+    scrollElement,
+    rowCount,
+    renderRow,
+    decorateRow = null,
+    minWidth = '',
+    rowHeight = VIRTUAL_ROW_HEIGHT,
+    overscan = VIRTUAL_OVERSCAN_ROWS
+  } = config;
+  const virtual = config.virtual ?? rowCount >= VIRTUAL_RENDER_MIN_ROWS;
+  const doc = container.ownerDocument;
+
+  let mounted = new Map();
+  let range = { start: 0, end: 0 };
+  let topSpacer = null;
+  let bottomSpacer = null;
+  let frame = null;
+  let destroyed = false;
+
+  function createSpacer() {
+    const spacer = doc.createElement('div');
+    spacer.className = 'virtual-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    return spacer;
+  }
+
+  function getListOffset() {
+    return container.offsetTop - scrollElement.offsetTop;
+  }
+
+  function update() {
+    frame = null;
+    if (destroyed) return;
+
+    const next = calculateVisibleRange({
+      scrollTop: scrollElement.scrollTop,
+      viewportHeight: scrollElement.clientHeight || FALLBACK_VIEWPORT_HEIGHT,
+      rowHeight,
+      rowCount,
+      listOffset: getListOffset(),
+      overscan
+    });
+    if (next.start === range.start && next.end === range.end) return;
+
+    // Reuse rows that stay in the window; rows are re-appended in order
+    const nextMounted = new Map();
+    const created = [];
+    const fragment = doc.createDocumentFragment();
+    for (let i = next.start; i < next.end; i++) {
+      let row = mounted.get(i);
+      if (!row) {
+        row = renderRow(i);
+        created.push([i, row]);
+      }
+      nextMounted.set(i, row);
+      fragment.appendChild(row);
+    }
+    for (const [i, row] of mounted) {
+      if (!nextMounted.has(i)) row.remove();
+    }
+
+    topSpacer.style.height = `${next.start * rowHeight}px`;
+    bottomSpacer.style.height = `${(rowCount - next.end) * rowHeight}px`;
+    container.insertBefore(fragment, bottomSpacer);
+
+    mounted = nextMounted;
+    range = next;
+
+    if (decorateRow) {
+      for (const [i, row] of created) {
+        decorateRow(i, row).catch(error => {
+          console.warn('[VirtualList] Row decoration failed:', error);
+        });
+      }
+    }
+  }
+
+  function scheduleUpdate() {
+    if (frame === null && !destroyed) {
+      frame = requestAnimationFrame(update);
+    }
+  }
+
+  async function mountAll() {
+    const fragment = doc.createDocumentFragment();
+    for (let i = 0; i < rowCount; i++) {
+      const row = renderRow(i);
+      mounted.set(i, row);
+      fragment.appendChild(row);
+    }
+    range = { start: 0, end: rowCount };
+
+    if (decorateRow) {
+      for (const [i, row] of mounted) {
+        await decorateRow(i, row);
+      }
+    }
+    if (!destroyed) container.appendChild(fragment);
+  }
+
+  /**
+   * Render the rows into the (emptied) container
+   *
+   * @returns {Promise<void>} Resolves once eager rows are decorated
+   */
+  async function mount() {
+    container.innerHTML = '';
+    container.classList.toggle('virtual-list', virtual);
+    container.style.minWidth = virtual ? minWidth : '';
+
+    if (!virtual) {
+      await mountAll();
+      return;
+    }
+
+    topSpacer = createSpacer();
+    bottomSpacer = createSpacer();
+    container.appendChild(topSpacer);
+    container.appendChild(bottomSpacer);
+
+    scrollElement.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+    update();
+  }
+
+  /**
+   * Re-evaluate the window (e.g. after the panel was shown)
+   */
+  function refresh() {
+    if (!virtual || destroyed || !topSpacer) return;
+    range = { start: -1, end: -1 };
+    update();
+  }
+
+  /**
+   * Offset of a row from the top of the scroll container's content
+   *
+   * @param {number} index - Row index
+   * @returns {number|null} Offset in pixels, null for an unknown row
+   */
+  function getRowOffset(index) {
+    if (index < 0 || index >= rowCount) return null;
+    if (virtual) {
+      return getListOffset() + index * rowHeight;
+    }
+    const row = mounted.get(index);
+    return row ? row.offsetTop - scrollElement.offsetTop : null;
+  }
+
+  /**
+   * Detach listeners; the rendered rows are left for the next mount() to clear
+   */
+  function destroy() {
+    destroyed = true;
+    if (frame !== null) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+    if (virtual) {
+      scrollElement.removeEventListener('scroll', scheduleUpdate);
+      window.removeEventListener('resize', scheduleUpdate);
+    }
+  }
+
+  return {
+    mount,
+    refresh,
+    getRowOffset,
+    destroy,
+    isVirtual: () => virtual
+  };
+}
+
+export default {
+  VIRTUAL_RENDER_MIN_ROWS,
+  VIRTUAL_OVERSCAN_ROWS,
+  VIRTUAL_ROW_HEIGHT,
+  calculateVisibleRange,
+  findChangeGroupStarts,
+  createVirtualList
+};
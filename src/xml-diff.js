@@ -0,0 +1,422 @@
+/**
+ * XML Structural Diff Module
+ *
+ * Parses XML (Maven POMs, SVGs, Palo Alto configs) and HTML into element
+ * trees that remember the source lines of every element, attribute and
+ * text, then compares the trees by path with diffTrees(). Each element is
+ * an object node: attributes are entries `@name` (so their order does not
+ * matter), the text content with whitespace collapsed is `text()`, and the
+ * child elements of one name are an array under that name. Repeated
+ * siblings are matched by the identity attribute (`<entry name="web">`,
+ * or `<rect id="a">` by default) when they all have one, otherwise by
+ * position.
+ *
+ * Changes use the shared structural change shape (see structural-diff.js)
+ * with XPath-style paths:
+ * `/config/devices/entry[@name='fw1']/hostname/text()`.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { diffTrees } from './tree-diff.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Attribute that matches repeated sibling elements by default
+export const DEFAULT_IDENTITY_ATTRIBUTE = 'name';
+
+// Attributes tried in turn for the default identity: an element without a
+// name is matched by its id
+const DEFAULT_IDENTITY_FALLBACKS = [DEFAULT_IDENTITY_ATTRIBUTE, 'id'];
+
+// Path segment of an element's text content
+const TEXT_SEGMENT = 'text()';
+
+// HTML elements without content or end tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// HTML elements whose content is text up to their end tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea']);
+
+// HTML start tag → open elements it ends (`<li>One<li>Two`)
+const BLOCK_ELEMENTS = ['address', 'article', 'aside', 'div', 'dl', 'footer', 'form', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'];
+const IMPLIED_END_TAGS = {
+  li: new Set(['li', 'p']),
+  dt: new Set(['dt', 'dd', 'p']),
+  dd: new Set(['dt', 'dd', 'p']),
+  tr: new Set(['tr', 'td', 'th']),
+  td: new Set(['td', 'th']),
+  th: new Set(['td', 'th']),
+  option: new Set(['option']),
+  ...Object.fromEntries(BLOCK_ELEMENTS.map(tag => [tag, new Set(['p'])]))
+};
+
+const NAMED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+const NAME = /[A-Za-z_:][-\w.:]*/y;
+const HTML_ATTRIBUTE_NAME = /[^\s"'>/=]+/y;
+const UNQUOTED_VALUE = /[^\s"'=<>`]+/y;
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Error thrown when a document is not well-formed XML
+ */
+export class XmlParseError extends Error {
+  constructor(message, line) {
+    super(`Line ${line}: ${message}`);
+    this.name = 'XmlParseError';
+    this.line = line;
+  }
+}
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[A-Za-z]+);/g, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name] ?? entity;
+  });
+}
+
+const newElement = (name, line) => ({
+  name,
+  attributes: new Map(),
+  texts: [],
+  children: [],
+  startLine: line,
+  endLine: line
+});
+
+/**
+ * Parse markup into an element tree
+ *
+ * Elements are { name, attributes (Map of name → { value, line }), texts,
+ * children, startLine, endLine }; the returned document element holds the
+ * top-level elements. Comments, processing instructions and the doctype
+ * are skipped. In HTML mode void elements need no end tag, attributes need
+ * no quotes or values, end tags match case-insensitively, `<li>`, `<p>`,
+ * `<td>` and the like end at the next sibling, and other unclosed elements
+ * at their parent's end tag.
+ *
+ * @param {string} text - XML or HTML document
+ * @param {Object} [options]
+ * @param {boolean} [options.html] - Parse leniently as HTML
+ * @returns {Object} Document element
+ * @throws {XmlParseError} If the text is not well-formed XML
+ */
+export function parseXmlTree(text, options = {}) {
+  const html = options.html === true;
+  let pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+  let line = 1;
+
+  const fail = (message, atLine = line) => {
+    throw new XmlParseError(message, atLine);
+  };
+  const advanceTo = end => {
+    for (; pos < end; pos++) {
+      if (text[pos] === '\n') line++;
+    }
+  };
+  const skipPast = (terminator, what) => {
+    const end = text.indexOf(terminator, pos);
+    if (end === -1) fail(`Unterminated ${what}`);
+    advanceTo(end + terminator.length);
+  };
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) advanceTo(pos + 1);
+  };
+  const readName = pattern => {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    if (!match) return null;
+    advanceTo(pos + match[0].length);
+    return match[0];
+  };
+
+  const document = newElement('', 1);
+  const stack = [document];
+  const current = () => stack[stack.length - 1];
+  const sameName = (a, b) => (html ? a.toLowerCase() === b.toLowerCase() : a === b);
+
+  const addText = (value, startLine) => {
+    if (value.trim() && stack.length > 1) current().texts.push({ value, startLine, endLine: line });
+  };
+
+  const readAttributes = element => {
+    for (;;) {
+      skipWhitespace();
+      if (pos >= text.length) fail(`Unterminated <${element.name}> tag`, element.startLine);
+      if (text[pos] === '>' || text.startsWith('/>', pos)) return;
+
+      const attributeLine = line;
+      const name = readName(html ? HTML_ATTRIBUTE_NAME : NAME);
+      if (!name) fail(`Unexpected "${text[pos]}" in <${element.name}> tag`);
+      skipWhitespace();
+
+      let value = '';
+      if (text[pos] === '=') {
+        advanceTo(pos + 1);
+        skipWhitespace();
+        const quote = text[pos];
+        if (quote === '"' || quote === "'") {
+          const end = text.indexOf(quote, pos + 1);
+          if (end === -1) fail(`Unterminated value of attribute ${name}`);
+          value = decodeEntities(text.slice(pos + 1, end));
+          advanceTo(end + 1);
+        } else if (html) {
+          value = decodeEntities(readName(UNQUOTED_VALUE) || '');
+        } else {
+          fail(`Value of attribute ${name} must be quoted`);
+        }
+      } else if (!html) {
+        fail(`Attribute ${name} needs a value`);
+      }
+
+      if (element.attributes.has(name)) {
+        if (!html) fail(`Duplicate attribute ${name}`, attributeLine);
+        continue;
+      }
+      element.attributes.set(name, { value, line: attributeLine });
+    }
+  };
+
+  const closeElement = (name, closeLine) => {
+    let index = stack.length - 1;
+    while (index > 0 && !sameName(stack[index].name, name)) {
+      if (!html) fail(`Expected </${stack[index].name}> before </${name}>`);
+      index--;
+    }
+    if (index === 0) {
+      if (!html) fail(`Unexpected </${name}>`);
+      return;
+    }
+    while (stack.length > index) stack.pop().endLine = closeLine;
+  };
+
+  while (pos < text.length) {
+    const lt = text.indexOf('<', pos);
+    if (lt === -1) {
+      const startLine = line;
+      const rest = text.slice(pos);
+      advanceTo(text.length);
+      addText(decodeEntities(rest), startLine);
+      break;
+    }
+    if (lt > pos) {
+      const startLine = line;
+      const chunk = text.slice(pos, lt);
+      advanceTo(lt);
+      addText(decodeEntities(chunk), startLine);
+    }
+
+    if (text.startsWith('<!--', pos)) {
+      skipPast('-->', 'comment');
+    } else if (text.startsWith('<![CDATA[', pos)) {
+      const startLine = line;
+      const end = text.indexOf(']]>', pos);
+      if (end === -1) fail('Unterminated CDATA section');
+      const value = text.slice(pos + 9, end);
+      advanceTo(end + 3);
+      addText(value, startLine);
+    } else if (text.startsWith('<?', pos)) {
+      skipPast('?>', 'processing instruction');
+    } else if (text.startsWith('<!', pos)) {
+      // A doctype's internal subset ([ ... ]) holds ">" characters
+      const subset = text.indexOf('[', pos);
+      const close = text.indexOf('>', pos);
+      if (subset !== -1 && subset < close) advanceTo(subset);
+      skipPast(subset !== -1 && subset < close ? ']>' : '>', 'declaration');
+    } else if (text.startsWith('</', pos)) {
+      const closeLine = line;
+      advanceTo(pos + 2);
+      const name = readName(NAME);
+      if (!name) fail('Expected an element name after </');
+      skipWhitespace();
+      if (text[pos] !== '>') fail(`Expected > after </${name}`);
+      advanceTo(pos + 1);
+      closeElement(name, closeLine);
+    } else {
+      const startLine = line;
+      advanceTo(pos + 1);
+      const name = readName(NAME);
+      if (!name) {
+        if (!html) fail('Expected an element name after <');
+        addText('<', startLine);
+        continue;
+      }
+
+      const tag = name.toLowerCase();
+      if (html) {
+        while (stack.length > 1 && IMPLIED_END_TAGS[tag]?.has(current().name.toLowerCase())) {
+          stack.pop().endLine = startLine;
+        }
+      }
+
+      const element = newElement(name, startLine);
+      readAttributes(element);
+      const selfClosing = text[pos] === '/';
+      advanceTo(pos + (selfClosing ? 2 : 1));
+      element.endLine = line;
+      current().children.push(element);
+
+      if (selfClosing || (html && VOID_ELEMENTS.has(tag))) continue;
+      if (html && RAW_TEXT_ELEMENTS.has(tag)) {
+        const end = text.toLowerCase().indexOf(`</${tag}`, pos);
+        const contentEnd = end === -1 ? text.length : end;
+        const contentLine = line;
+        const content = text.slice(pos, contentEnd);
+        advanceTo(contentEnd);
+        if (content.trim()) element.texts.push({ value: content, startLine: contentLine, endLine: line });
+        if (end === -1) fail(`Missing </${name}>`, startLine);
+        continue;
+      }
+      stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) {
+    if (!html) fail(`Missing </${current().name}>`, current().startLine);
+    while (stack.length > 1) stack.pop().endLine = line;
+  }
+  if (!html && document.children.length === 0 && text.trim()) fail('No root element', 1);
+  return document;
+}
+
+// ============================================================================
+// Tree Comparison
+// ============================================================================
+
+/**
+ * Element tree → tree-diff object nodes (see the module comment)
+ */
+function toNode(element) {
+  const entries = new Map();
+  for (const [name, attribute] of element.attributes) {
+    entries.set(`@${name}`, { type: 'string', value: attribute.value, startLine: attribute.line, endLine: attribute.line });
+  }
+
+  const text = element.texts.map(chunk => chunk.value).join(' ').replace(/\s+/g, ' ').trim();
+  if (text) {
+    entries.set(TEXT_SEGMENT, {
+      type: 'string',
+      value: text,
+      startLine: element.texts[0].startLine,
+      endLine: element.texts[element.texts.length - 1].endLine
+    });
+  }
+
+  const groups = new Map();
+  for (const child of element.children) {
+    if (!groups.has(child.name)) groups.set(child.name, []);
+    groups.get(child.name).push(child);
+  }
+  for (const [name, children] of groups) {
+    const items = children.map(toNode);
+    if (items.length === 1) items[0].only = true;
+    entries.set(name, {
+      type: 'array',
+      items,
+      startLine: children[0].startLine,
+      endLine: children[children.length - 1].endLine
+    });
+  }
+
+  return {
+    type: 'object',
+    entries,
+    attributes: element.attributes,
+    startLine: element.startLine,
+    endLine: element.endLine
+  };
+}
+
+/**
+ * Format path segments as an XPath-style path
+ *
+ * Element names become steps, numeric positions `[n]` (1-based), identity
+ * segments `[@name='value']`; an element that is the only one of its name
+ * on both sides gets no predicate.
+ *
+ * @param {Array} segments - Entry names, positions and identity segments
+ * @returns {string} E.g. "/project/dependencies/dependency[2]/version/text()"
+ */
+export function formatXPath(segments) {
+  let path = '';
+  for (const segment of segments) {
+    if (typeof segment === 'number') {
+      path += `[${segment + 1}]`;
+    } else if (typeof segment === 'object') {
+      if (segment.attribute) {
+        const quote = segment.value.includes("'") ? '"' : "'";
+        path += `[@${segment.attribute}=${quote}${segment.value}${quote}]`;
+      }
+    } else {
+      path += `/${segment}`;
+    }
+  }
+  return path || '/';
+}
+
+/**
+ * Compare two XML or HTML documents by element path
+ *
+ * @param {string} oldText - Previous document
+ * @param {string} newText - Current document
+ * @param {Object} [options]
+ * @param {string} [options.identityKey='name'] - Attribute that matches
+ *   repeated sibling elements (the default `name` falls back to `id`);
+ *   empty to match them by position only
+ * @param {boolean} [options.html] - Parse leniently as HTML
+ * @returns {Array<Object>} Structural changes (added, removed, changed, moved)
+ * @throws {XmlParseError} If either side is not well-formed
+ */
+export function compareXml(oldText, newText, options = {}) {
+  const { identityKey = DEFAULT_IDENTITY_ATTRIBUTE, html = false } = options;
+
+  const identityAttributes = identityKey === DEFAULT_IDENTITY_ATTRIBUTE
+    ? DEFAULT_IDENTITY_FALLBACKS
+    : [identityKey].filter(Boolean);
+
+  const itemIdentity = node => {
+    for (const name of identityAttributes) {
+      const attribute = node.attributes.get(name);
+      if (attribute) return { attribute: name, value: attribute.value };
+    }
+    return node.only ? { only: true } : undefined;
+  };
+
+  return diffTrees(toNode(parseXmlTree(oldText, { html })), toNode(parseXmlTree(newText, { html })), {
+    formatPath: formatXPath,
+    itemIdentity
+  });
+}
+
+export default {
+  DEFAULT_IDENTITY_ATTRIBUTE,
+  XmlParseError,
+  parseXmlTree,
+  formatXPath,
+  compareXml
+};
@@ -0,0 +1,705 @@
+/**
+ * YAML Structural Diff Module
+ *
+ * Parses both sides of a YAML comparison into trees that remember the
+ * source lines of every value and compares them by path with diffTrees()
+ * (`spec.template.containers[name=api].image`), so reindented or reordered
+ * manifests only show real changes.
+ *
+ * The parser covers the YAML used in Kubernetes manifests, Ansible
+ * playbooks and CI files: block mappings and sequences, flow collections,
+ * plain, quoted and block (| >) scalars, anchors, aliases and merge keys
+ * (<<), tags and multi-document streams (--- / ...). Complex keys (?) are
+ * not supported. Scalars resolve with the YAML 1.2 core schema; numbers
+ * with leading zeros stay strings.
+ *
+ * Sequences of mappings that all have a distinct value for the identity
+ * key (`name` by default) are matched by that value regardless of order.
+ * In multi-document streams, Kubernetes objects are matched by kind and
+ * metadata.name (`doc[Deployment/web]`), other documents by position.
+ *
+ * Copyright (c) 2026 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { diffTrees } from './tree-diff.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Mapping key that identifies sequence items (e.g. containers, env, tasks)
+export const DEFAULT_IDENTITY_KEY = 'name';
+
+const DOCUMENT_START = /^---(?=\s|$)/;
+const DOCUMENT_END = /^\.\.\.(?=\s|$)/;
+const NODE_PROPERTY = /^(?:&[^\s,[\]{}]+|![^\s,[\]{}]*)(?=[\s,[\]{}]|$)/;
+const ALIAS = /^\*([^\s,[\]{}]+)/;
+const BLOCK_SCALAR_HEADER = /^([|>])(?:([+-])([1-9])?|([1-9])([+-])?)?\s*(?:#.*)?$/;
+const SCALAR_TYPES = ['string', 'number', 'boolean', 'null'];
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Error thrown when a document is not valid YAML (or uses unsupported syntax)
+ */
+export class YamlParseError extends Error {
+  constructor(message, line) {
+    super(`Line ${line}: ${message}`);
+    this.name = 'YamlParseError';
+    this.line = line;
+  }
+}
+
+// ============================================================================
+// Scalars
+// ============================================================================
+
+/**
+ * Resolve a plain scalar with the YAML 1.2 core schema
+ */
+function resolvePlain(text) {
+  if (/^(?:|~|null|Null|NULL)$/.test(text)) return { type: 'null', value: null };
+  if (/^(?:true|True|TRUE)$/.test(text)) return { type: 'boolean', value: true };
+  if (/^(?:false|False|FALSE)$/.test(text)) return { type: 'boolean', value: false };
+  if (/^[-+]?(?:0|[1-9]\d*)$/.test(text)) return { type: 'number', value: Number(text) };
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return { type: 'number', value: parseInt(text.slice(2), 16) };
+  if (/^0o[0-7]+$/.test(text)) return { type: 'number', value: parseInt(text.slice(2), 8) };
+  if (/^[-+]?(?:0|[1-9]\d*)?(?:\.\d+)(?:[eE][-+]?\d+)?$|^[-+]?(?:0|[1-9]\d*)(?:\.\d*)?[eE][-+]?\d+$|^[-+]?(?:0|[1-9]\d*)\.\d*$/.test(text)) {
+    return { type: 'number', value: Number(text) };
+  }
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return { type: 'number', value: text.startsWith('-') ? -Infinity : Infinity };
+  if (/^\.(?:nan|NaN|NAN)$/.test(text)) return { type: 'number', value: NaN };
+  return { type: 'string', value: text };
+}
+
+/**
+ * Scalar node from its text; local tags (!Ref) are kept in front of the value
+ */
+function scalarNode(text, quoted, tag, startLine, endLine) {
+  let scalar;
+  if (tag && !tag.startsWith('!!') && tag !== '!') {
+    scalar = { type: 'string', value: `${tag} ${text}` };
+  } else if (quoted || tag === '!!str' || tag === '!') {
+    scalar = { type: 'string', value: text };
+  } else {
+    scalar = resolvePlain(text);
+  }
+  return { ...scalar, startLine, endLine };
+}
+
+function nullNode(line) {
+  return { type: 'null', value: null, startLine: line, endLine: line };
+}
+
+/**
+ * Copy of an anchored node placed at the line of an alias
+ */
+function cloneAt(node, line) {
+  const copy = { type: node.type, startLine: line, endLine: line };
+  if (node.type === 'object') {
+    copy.entries = new Map([...node.entries].map(([key, child]) => [key, cloneAt(child, line)]));
+  } else if (node.type === 'array') {
+    copy.items = node.items.map(item => cloneAt(item, line));
+  } else {
+    copy.value = node.value;
+  }
+  return copy;
+}
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+/**
+ * Parse a YAML stream into one tree per document
+ *
+ * Nodes use the tree-diff.js shape: { type, startLine, endLine } plus
+ * `value`, `entries` (Map) or `items`. A mapping entry's startLine is the
+ * line of its key, a sequence item's the line of its dash. Aliases are
+ * copies of the anchored node placed at the alias line; merged (<<) keys
+ * are placed at the merge line.
+ *
+ * @param {string} text - YAML stream
+ * @returns {Array<Object>} Document root nodes (empty for an empty stream)
+ * @throws {YamlParseError} If the text is not valid YAML
+ */
+export function parseYamlDocuments(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let index = 0;
+  let anchors = new Map();
+
+  const fail = (message, lineIndex = index) => {
+    throw new YamlParseError(message, lineIndex + 1);
+  };
+
+  const indentOf = line => line.length - line.trimStart().length;
+  const isBlank = line => {
+    const trimmed = line.trim();
+    return trimmed === '' || trimmed.startsWith('#');
+  };
+  const isDocumentMarker = line => DOCUMENT_START.test(line) || DOCUMENT_END.test(line);
+  const isSequenceEntry = content => /^-(?:\s|$)/.test(content);
+  const cutComment = value => {
+    const match = /(?:^|\s)#/.exec(value);
+    return (match ? value.slice(0, match.index) : value).trimEnd();
+  };
+
+  const skipBlank = () => {
+    while (index < lines.length && isBlank(lines[index])) index++;
+  };
+  const atEnd = () => index >= lines.length || isDocumentMarker(lines[index]);
+  const checkIndentation = lineIndex => {
+    if (/^ *\t/.test(lines[lineIndex]) && !isBlank(lines[lineIndex])) {
+      fail('Tabs are not allowed in indentation', lineIndex);
+    }
+  };
+
+  // --------------------------------------------------------------------------
+  // Character cursor for quoted scalars and flow collections, which can
+  // span lines ('\n' at the end of each line, '' at the end of the text)
+  // --------------------------------------------------------------------------
+
+  const cursor = { line: 0, col: 0 };
+  const peek = () => {
+    if (cursor.line >= lines.length) return '';
+    const line = lines[cursor.line];
+    return cursor.col < line.length ? line[cursor.col] : (cursor.line < lines.length - 1 ? '\n' : '');
+  };
+  const advance = () => {
+    if (cursor.col < lines[cursor.line].length) {
+      cursor.col++;
+    } else {
+      cursor.line++;
+      cursor.col = 0;
+    }
+  };
+  const skipFlowSpace = () => {
+    for (;;) {
+      const ch = peek();
+      if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+        advance();
+      } else if (ch === '#' && (cursor.col === 0 || /\s/.test(lines[cursor.line][cursor.col - 1]))) {
+        cursor.col = lines[cursor.line].length;
+      } else {
+        return;
+      }
+    }
+  };
+
+  // Text of the rest of the line after a value must be empty or a comment
+  const endValueLine = () => {
+    const rest = lines[cursor.line].slice(cursor.col).trim();
+    if (rest && !rest.startsWith('#')) fail(`Unexpected "${rest[0]}" after the value`, cursor.line);
+    index = cursor.line + 1;
+  };
+
+  const DOUBLE_ESCAPES = { 0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0' };
+
+  const parseQuoted = () => {
+    const quote = peek();
+    const startLine = cursor.line;
+    let value = '';
+    advance();
+    for (;;) {
+      const ch = peek();
+      if (ch === '') fail('Unterminated quoted string', startLine);
+      if (ch === quote) {
+        advance();
+        if (quote === "'" && peek() === "'") {
+          value += "'";
+          advance();
+          continue;
+        }
+        return value;
+      }
+      if (ch === '\n') {
+        // Line folding: one break becomes a space, each empty line a newline
+        value = value.replace(/[ \t]+$/, '');
+        advance();
+        let breaks = 0;
+        while (cursor.line < lines.length && lines[cursor.line].trim() === '' && cursor.line < lines.length - 1) {
+          breaks++;
+          cursor.line++;
+        }
+        cursor.col = indentOf(lines[cursor.line] || '');
+        value += breaks ? '\n'.repeat(breaks) : ' ';
+        continue;
+      }
+      if (quote === '"' && ch === '\\') {
+        advance();
+        const escape = peek();
+        if (escape === '\n') {
+          advance();
+          cursor.col = indentOf(lines[cursor.line] || '');
+          continue;
+        }
+        const hex = { x: 2, u: 4, U: 8 }[escape];
+        if (hex) {
+          const digits = lines[cursor.line].slice(cursor.col + 1, cursor.col + 1 + hex);
+          if (!/^[0-9a-fA-F]+$/.test(digits) || digits.length !== hex) fail('Invalid escape sequence', cursor.line);
+          value += String.fromCodePoint(parseInt(digits, 16));
+          cursor.col += hex + 1;
+          continue;
+        }
+        if (!(escape in DOUBLE_ESCAPES)) fail(`Invalid escape sequence "\\${escape}"`, cursor.line);
+        value += DOUBLE_ESCAPES[escape];
+        advance();
+        continue;
+      }
+      value += ch;
+      advance();
+    }
+  };
+
+  // Anchor (&name) and tag (!tag) in front of a value
+  const parseProperties = () => {
+    const properties = { anchor: null, tag: null };
+    for (;;) {
+      const match = NODE_PROPERTY.exec(lines[cursor.line]?.slice(cursor.col) || '');
+      if (!match) return properties;
+      if (match[0].startsWith('&')) properties.anchor = match[0].slice(1);
+      else properties.tag = match[0];
+      cursor.col += match[0].length;
+      while (peek() === ' ' || peek() === '\t') advance();
+    }
+  };
+
+  const resolveAlias = (name, lineIndex) => {
+    if (!anchors.has(name)) fail(`Unknown alias "*${name}"`, lineIndex);
+    return cloneAt(anchors.get(name), lineIndex + 1);
+  };
+
+  const parseFlowNode = () => {
+    skipFlowSpace();
+    const { anchor, tag } = parseProperties();
+    skipFlowSpace();
+    const startLine = cursor.line + 1;
+    const ch = peek();
+    let node;
+
+    if (ch === '[' || ch === '{') {
+      const close = ch === '[' ? ']' : '}';
+      advance();
+      const items = [];
+      const entries = new Map();
+      for (;;) {
+        skipFlowSpace();
+        if (peek() === close) break;
+        const entryLine = cursor.line + 1;
+        const key = parseFlowNode();
+        skipFlowSpace();
+        let value = null;
+        if (peek() === ':') {
+          advance();
+          skipFlowSpace();
+          value = peek() === ',' || peek() === close ? nullNode(cursor.line + 1) : parseFlowNode();
+        }
+        if (close === '}') {
+          if (!SCALAR_TYPES.includes(key.type)) fail('Flow mapping keys must be scalars', entryLine - 1);
+          const entry = value || nullNode(entryLine);
+          entry.startLine = entryLine;
+          entries.delete(String(key.value));
+          entries.set(String(key.value), entry);
+        } else if (value) {
+          // Single pair mapping inside a flow sequence: [a: 1]
+          items.push({ type: 'object', entries: new Map([[String(key.value), value]]), startLine: entryLine, endLine: value.endLine });
+        } else {
+          items.push(key);
+        }
+        skipFlowSpace();
+        if (peek() === ',') {
+          advance();
+        } else if (peek() !== close) {
+          fail(peek() ? `Unexpected "${peek().trim() || 'line break'}", expected "," or "${close}"` : 'Unterminated flow collection', cursor.line);
+        }
+      }
+      advance();
+      node = close === ']'
+        ? { type: 'array', items, startLine, endLine: cursor.line + 1 }
+        : { type: 'object', entries, startLine, endLine: cursor.line + 1 };
+    } else if (ch === '"' || ch === "'") {
+      const value = parseQuoted();
+      node = scalarNode(value, true, tag, startLine, cursor.line + 1);
+    } else if (ch === '*') {
+      const match = ALIAS.exec(lines[cursor.line].slice(cursor.col));
+      cursor.col += match ? match[0].length : 1;
+      node = resolveAlias(match ? match[1] : '', cursor.line);
+    } else {
+      // Plain scalar: up to a flow indicator, ": " or a comment
+      const line = lines[cursor.line] || '';
+      let end = cursor.col;
+      while (end < line.length) {
+        const c = line[end];
+        if (',[]{}'.includes(c)) break;
+        if (c === ':' && (end + 1 >= line.length || /[\s,[\]{}]/.test(line[end + 1]))) break;
+        if (c === '#' && /\s/.test(line[end - 1])) break;
+        end++;
+      }
+      const value = line.slice(cursor.col, end).trim();
+      cursor.col = end;
+      node = scalarNode(value, false, tag, startLine, startLine);
+    }
+
+    if (anchor) anchors.set(anchor, node);
+    return node;
+  };
+
+  // --------------------------------------------------------------------------
+  // Block structure
+  // --------------------------------------------------------------------------
+
+  const parseBlockScalar = (lineIndex, header, parentIndent) => {
+    const match = BLOCK_SCALAR_HEADER.exec(header);
+    if (!match) fail('Invalid block scalar header', lineIndex);
+    const [, style, chompBefore, indentAfter, indentBefore, chompAfter] = match;
+    const chomp = chompBefore || chompAfter || '';
+    const explicitIndent = indentAfter || indentBefore;
+
+    let contentIndent = explicitIndent ? Math.max(parentIndent, 0) + Number(explicitIndent) : null;
+    const body = [];
+    let lastContent = lineIndex;
+    let i = lineIndex + 1;
+    for (; i < lines.length; i++) {
+      const line = lines[i];
+      if (line.trim() === '') {
+        body.push('');
+        continue;
+      }
+      if (isDocumentMarker(line)) break;
+      if (contentIndent === null) {
+        if (indentOf(line) <= parentIndent) break;
+        contentIndent = indentOf(line);
+      }
+      if (indentOf(line) < contentIndent) break;
+      body.push(line.slice(contentIndent));
+      lastContent = i;
+    }
+    index = lastContent + 1;
+
+    const trailing = body.length - (lastContent - lineIndex);
+    const content = body.slice(0, body.length - trailing);
+    let value;
+    if (style === '|') {
+      value = content.join('\n');
+    } else {
+      value = '';
+      const isNormal = line => line !== '' && !/^\s/.test(line);
+      content.forEach((line, i) => {
+        if (i > 0) {
+          const previous = content[i - 1];
+          if (isNormal(previous) && isNormal(line)) value += ' ';
+          else if (!(isNormal(previous) && line === '')) value += '\n';
+        }
+        value += line;
+      });
+    }
+    if (content.length && chomp !== '-') value += '\n';
+    if (chomp === '+') value += '\n'.repeat(trailing);
+
+    return { value, startLine: lineIndex + 1, endLine: lastContent + 1 };
+  };
+
+  const parsePlain = (lineIndex, column, parentIndent, tag) => {
+    let value = cutComment(lines[lineIndex].slice(column)).trim();
+    let end = lineIndex;
+    for (let i = lineIndex + 1; i < lines.length; i++) {
+      const line = lines[i];
+      if (isBlank(line) || isDocumentMarker(line) || indentOf(line) <= parentIndent) break;
+      if (/^[^"'#][^#]*?:(?:\s|$)/.test(line.trim())) fail('Bad indentation of a mapping entry', i);
+      value += ' ' + cutComment(line.trim());
+      end = i;
+    }
+    index = end + 1;
+    return scalarNode(value, false, tag, lineIndex + 1, end + 1);
+  };
+
+  /**
+   * Value starting at a column of a line (after a key, a dash or ---);
+   * an empty rest of line means the value is the block on the next lines
+   */
+  const parseValue = (lineIndex, column, parentIndent, allowIndentlessSequence) => {
+    checkIndentation(lineIndex);
+    cursor.line = lineIndex;
+    cursor.col = column;
+    while (peek() === ' ' || peek() === '\t') advance();
+    const { anchor, tag } = parseProperties();
+    const rest = lines[lineIndex].slice(cursor.col);
+    let node;
+
+    if (rest === '' || rest.startsWith('#')) {
+      index = lineIndex + 1;
+      node = parseBlockValue(parentIndent, allowIndentlessSequence) || nullNode(lineIndex + 1);
+    } else if (rest[0] === '*') {
+      const match = ALIAS.exec(rest);
+      if (!match) fail('Invalid alias', lineIndex);
+      cursor.col += match[0].length;
+      endValueLine();
+      node = resolveAlias(match[1], lineIndex);
+    } else if (rest[0] === '|' || rest[0] === '>') {
+      const scalar = parseBlockScalar(lineIndex, rest, parentIndent);
+      node = scalarNode(scalar.value, true, tag, scalar.startLine, scalar.endLine);
+    } else if (rest[0] === '[' || rest[0] === '{' || rest[0] === '"' || rest[0] === "'") {
+      node = parseFlowNode();
+      node = rest[0] === '"' || rest[0] === "'" ? scalarNode(node.value, true, tag, node.startLine, node.endLine) : node;
+      endValueLine();
+    } else {
+      node = parsePlain(lineIndex, cursor.col, parentIndent, tag);
+    }
+
+    if (anchor) anchors.set(anchor, node);
+    return node;
+  };
+
+  /**
+   * Block node on the lines after a key or dash: anything indented deeper
+   * than the parent, or a sequence at the parent's indentation (key:\n- a)
+   */
+  const parseBlockValue = (parentIndent, allowIndentlessSequence) => {
+    skipBlank();
+    if (atEnd()) return null;
+    const indent = indentOf(lines[index]);
+    if (indent > parentIndent) return parseBlockNode(parentIndent);
+    if (allowIndentlessSequence && indent === parentIndent && isSequenceEntry(lines[index].slice(indent))) {
+      return parseSequence(indent);
+    }
+    return null;
+  };
+
+  const parseBlockNode = parentIndent => {
+    checkIndentation(index);
+    const indent = indentOf(lines[index]);
+    const content = lines[index].slice(indent);
+    if (isSequenceEntry(content)) return parseSequence(indent);
+    if (splitKey(content)) return parseMapping(indent);
+    return parseValue(index, indent, parentIndent, false);
+  };
+
+  /**
+   * Key of a mapping entry line: { key, offset } with the offset of the
+   * text after ":", or null when the line is no mapping entry
+   */
+  const splitKey = content => {
+    if (/^\?(?:\s|$)/.test(content)) fail('Complex mapping keys (?) are not supported');
+    if (content[0] === '"' || content[0] === "'") {
+      cursor.line = index;
+      cursor.col = indentOf(lines[index]);
+      const key = parseQuoted();
+      if (cursor.line !== index) return null;
+      const after = lines[index].slice(cursor.col);
+      const colon = /^[ \t]*:(?=\s|$)/.exec(after);
+      return colon ? { key, offset: content.length - after.length + colon[0].length } : null;
+    }
+    if (/^[[{&!*|>%@`]/.test(content) || isSequenceEntry(content)) return null;
+    const match = /^(.*?)[ \t]*:(?=\s|$)/.exec(content);
+    if (!match || /(?:^|\s)#/.test(match[1]) || !match[1]) return null;
+    return { key: match[1], plain: true, offset: match[0].length };
+  };
+
+  const parseMapping = indent => {
+    const entries = new Map();
+    const merges = [];
+    const startLine = index + 1;
+    let endLine = startLine;
+
+    for (;;) {
+      skipBlank();
+      if (atEnd()) break;
+      checkIndentation(index);
+      const lineIndent = indentOf(lines[index]);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) fail('Bad indentation of a mapping entry');
+      const content = lines[index].slice(indent);
+      const split = splitKey(content);
+      if (!split) fail('Expected a mapping entry');
+
+      const keyLine = index;
+      const value = parseValue(keyLine, indent + split.offset, indent, true);
+      value.startLine = keyLine + 1;
+      endLine = Math.max(endLine, value.endLine);
+
+      if (split.key === '<<' && split.plain) {
+        const sources = value.type === 'array' ? value.items : [value];
+        if (sources.some(source => source.type !== 'object')) fail('Merge key (<<) needs a mapping or a list of mappings', keyLine);
+        merges.push(...sources.map(source => ({ source, line: keyLine + 1 })));
+      } else {
+        entries.delete(split.key);
+        entries.set(split.key, value);
+      }
+    }
+
+    // Merged keys never override the mapping's own keys; earlier merges win
+    for (const { source, line } of merges) {
+      for (const [key, child] of source.entries) {
+        if (!entries.has(key)) entries.set(key, cloneAt(child, line));
+      }
+    }
+    return { type: 'object', entries, startLine, endLine };
+  };
+
+  const parseSequence = indent => {
+    const items = [];
+    const startLine = index + 1;
+    let endLine = startLine;
+
+    for (;;) {
+      skipBlank();
+      if (atEnd()) break;
+      checkIndentation(index);
+      const lineIndent = indentOf(lines[index]);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) fail('Bad indentation of a sequence entry');
+      const content = lines[index].slice(indent);
+      if (!isSequenceEntry(content)) break;
+
+      const dashLine = index;
+      const afterDash = content.slice(1);
+      const rest = afterDash.trimStart();
+      let item;
+      if (rest === '' || rest.startsWith('#')) {
+        index++;
+        item = parseBlockValue(indent, false) || nullNode(dashLine + 1);
+      } else {
+        // Compact notation (- key: value, - - a): the rest of the line is
+        // read as a node at the column it starts
+        const column = indent + 1 + afterDash.length - rest.length;
+        lines[dashLine] = ' '.repeat(column) + rest;
+        item = parseBlockNode(indent);
+      }
+      item.startLine = dashLine + 1;
+      endLine = Math.max(endLine, item.endLine);
+      items.push(item);
+    }
+    return { type: 'array', items, startLine, endLine };
+  };
+
+  // --------------------------------------------------------------------------
+  // Stream
+  // --------------------------------------------------------------------------
+
+  const documents = [];
+  for (;;) {
+    // Directives (%YAML, %TAG) only come before ---
+    while (index < lines.length && (isBlank(lines[index]) || lines[index].startsWith('%'))) index++;
+    if (index >= lines.length) break;
+    if (DOCUMENT_END.test(lines[index])) {
+      index++;
+      continue;
+    }
+
+    anchors = new Map();
+    const startLine = index + 1;
+    let root;
+    if (DOCUMENT_START.test(lines[index])) {
+      root = parseValue(index, 3, -1, false);
+    } else {
+      root = parseBlockValue(-1, false);
+    }
+
+    skipBlank();
+    if (index < lines.length && !isDocumentMarker(lines[index])) {
+      fail('Unexpected content after the document');
+    }
+    documents.push(root || nullNode(startLine));
+  }
+  return documents;
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+const PLAIN_KEY = /^[A-Za-z_][\w-]*$/;
+const PLAIN_IDENTITY = /^[\w./:-]+$/;
+
+/**
+ * Format path segments as a dotted YAML path
+ *
+ * Segments are mapping keys, sequence indices, identity segments
+ * ({ key, value } → `[name=api]`) and, in multi-document streams, the
+ * document as the first segment (index or { document } → `doc[1]`,
+ * `doc[Deployment/web]`).
+ *
+ * @param {Array<string|number|Object>} segments - Path segments
+ * @param {Object} [options]
+ * @param {boolean} [options.documents=false] - First segment is a document
+ * @returns {string} Path such as `spec.containers[name=api].image`, or
+ *   `(root)` for the document itself
+ */
+export function formatYamlPath(segments, options = {}) {
+  const { documents = false } = options;
+  let path = '';
+  segments.forEach((segment, i) => {
+    if (documents && i === 0) {
+      path += `doc[${typeof segment === 'number' ? segment : segment.document}]`;
+    } else if (typeof segment === 'number') {
+      path += `[${segment}]`;
+    } else if (typeof segment === 'object') {
+      const value = PLAIN_IDENTITY.test(segment.value) ? segment.value : JSON.stringify(segment.value);
+      path += `[${segment.key}=${value}]`;
+    } else if (PLAIN_KEY.test(segment)) {
+      path += path ? `.${segment}` : segment;
+    } else {
+      path += `[${JSON.stringify(segment)}]`;
+    }
+  });
+  return path || '(root)';
+}
+
+/**
+ * Identity of a Kubernetes object document (kind and metadata.name)
+ */
+function documentIdentity(node) {
+  const kind = node.type === 'object' && node.entries.get('kind');
+  const metadata = node.type === 'object' && node.entries.get('metadata');
+  const name = metadata?.type === 'object' && metadata.entries.get('name');
+  if (kind?.type !== 'string' || !name || !SCALAR_TYPES.includes(name.type)) return undefined;
+  return { document: `${kind.value}/${name.value}` };
+}
+
+/**
+ * Compare two YAML streams by path
+ *
+ * @param {string} oldText - Previous YAML stream
+ * @param {string} newText - Current YAML stream
+ * @param {Object} [options]
+ * @param {string} [options.identityKey='name'] - Mapping key that matches
+ *   sequence items; empty to match them by position only
+ * @returns {Array<Object>} Structural changes (added, removed, changed, moved)
+ * @throws {YamlParseError} If either side is not valid YAML
+ */
+export function compareYaml(oldText, newText, options = {}) {
+  const { identityKey = DEFAULT_IDENTITY_KEY } = options;
+  const oldDocuments = parseYamlDocuments(oldText);
+  const newDocuments = parseYamlDocuments(newText);
+  const documents = oldDocuments.length > 1 || newDocuments.length > 1;
+
+  const keyIdentity = node => {
+    const id = identityKey && node.type === 'object' ? node.entries.get(identityKey) : null;
+    return id && id.type !== 'null' && SCALAR_TYPES.includes(id.type)
+      ? { key: identityKey, value: String(id.value) }
+      : undefined;
+  };
+  const itemIdentity = (node, segments) => (documents && segments.length === 0
+    ? documentIdentity(node)
+    : keyIdentity(node));
+
+  const root = (list, text) => (documents
+    ? { type: 'array', items: list, startLine: 1, endLine: text.split('\n').length }
+    : list[0] || nullNode(1));
+
+  return diffTrees(root(oldDocuments, oldText), root(newDocuments, newText), {
+    formatPath: segments => formatYamlPath(segments, { documents }),
+    itemIdentity
+  });
+}
+
+export default {
+  DEFAULT_IDENTITY_KEY,
+  YamlParseError,
+  parseYamlDocuments,
+  formatYamlPath,
+  compareYaml
+};
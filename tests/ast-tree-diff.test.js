@@ -0,0 +1,150 @@
+/**
+ * AST Tree Diff Tests
+ *
+ * Tests for the GumTree-style syntax tree diff: node matching, the edit
+ * script and its summaries, on real Tree-sitter grammars.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { diffLines, diffWords, diffChars } from 'diff';
+import { initTreeSitter, getLanguageParser } from '../src/tree-sitter-loader.js';
+import { diffSourceTrees, groupEditOperations, EDIT_OPERATIONS } from '../src/ast-tree-diff.js';
+import { runPipelineJob } from '../src/pipeline-job.js';
+import { DEFAULT_TEST_OPTIONS } from './test-config.js';
+
+const PARSE_CONFIG = [
+  'function parseConfig(x) {',
+  '  const value = x * 2;',
+  '  return load(x, value);',
+  '}',
+  ''
+].join('\n');
+
+async function diff(language, oldText, newText, options) {
+  return diffSourceTrees(oldText, newText, await getLanguageParser(language), options);
+}
+
+function summaries(result) {
+  return result.changes.map(change => change.summary);
+}
+
+describe('AST Tree Diff', () => {
+  beforeAll(async () => {
+    await initTreeSitter();
+  });
+
+  it('should find no edits between identical trees', async () => {
+    const result = await diff('javascript', PARSE_CONFIG, PARSE_CONFIG);
+
+    expect(result.operations).toEqual([]);
+    expect(result.summary).toEqual({ insert: 0, delete: 0, update: 0, move: 0 });
+  });
+
+  it('should group a renamed parameter with its usages', async () => {
+    const result = await diff('javascript', PARSE_CONFIG, PARSE_CONFIG.replace(/\bx\b/g, 'count'));
+
+    expect(result.summary.update).toBe(3);
+    expect(result.changes).toHaveLength(1);
+    expect(result.changes[0]).toMatchObject({
+      type: EDIT_OPERATIONS.UPDATE,
+      summary: 'renamed parameter `x` → `count` in `parseConfig`',
+      count: 3
+    });
+
+    const [parameter] = result.changes[0].operations;
+    expect(parameter.oldRange).toMatchObject({ startLine: 1, startColumn: 21, endColumn: 22 });
+    expect(parameter.newRange).toMatchObject({ startLine: 1, startColumn: 21, endColumn: 26 });
+  });
+
+  it('should update keywords and operators of a matched node', async () => {
+    const result = await diff('javascript', 'let total = a + b;\n', 'const total = a - b;\n');
+
+    expect(summaries(result)).toEqual([
+      'changed lexical declaration `let` → `const`',
+      'changed binary expression `+` → `-`'
+    ]);
+  });
+
+  it('should report an added argument and a removed statement once', async () => {
+    const newText = PARSE_CONFIG
+      .replace('  const value = x * 2;\n', '')
+      .replace('load(x, value)', 'load(x, value, true)');
+    const result = await diff('javascript', PARSE_CONFIG, newText);
+
+    expect(summaries(result)).toEqual([
+      'added argument `true` in `parseConfig`',
+      'removed lexical declaration `const value = x * 2;` in `parseConfig`'
+    ]);
+  });
+
+  it('should report moved functions by name', async () => {
+    const other = 'function other() {\n  return 1;\n}\n';
+    const result = await diff('javascript', `${PARSE_CONFIG}\n${other}`, `${other}\n${PARSE_CONFIG}`);
+
+    expect(result.summary).toEqual({ insert: 0, delete: 0, update: 0, move: 1 });
+    expect(result.operations[0].summary).toMatch(/^moved function `(other|parseConfig)`$/);
+  });
+
+  it('should report an added function as one insert', async () => {
+    const added = 'function added(a, b) {\n  return a + b;\n}\n';
+    const result = await diff('javascript', PARSE_CONFIG, `${PARSE_CONFIG}\n${added}`);
+
+    expect(summaries(result)).toEqual(['added function `added`']);
+    expect(result.operations[0].newRange).toMatchObject({ startLine: 6, endLine: 8 });
+  });
+
+  it('should diff other grammars', async () => {
+    const oldText = 'def greet(name):\n    print("hi", name)\n\ndef bye():\n    pass\n';
+    const newText = 'def greet(person, loud=False):\n    print("hello", person)\n';
+    const result = await diff('python', oldText, newText);
+
+    expect(summaries(result)).toEqual([
+      'renamed parameter `name` → `person` in `greet`',
+      'added parameter `loud=False` in `greet`',
+      'changed string `hi` → `hello` in `greet`',
+      'removed function `bye`'
+    ]);
+  });
+
+  it('should match the children of wide nodes greedily above MAX_LCS_CHILDREN', async () => {
+    // Every statement changes, so none is matched before recovery
+    const oldText = Array.from({ length: 12 }, (_, i) => `call${i}(a${i}, ${i});`).join('\n');
+    const newText = Array.from({ length: 12 }, (_, i) => `call${i}(b${i}, ${i});${i === 8 ? '\nextra();' : ''}`).join('\n');
+
+    const exact = await diff('javascript', oldText, newText);
+    const greedy = await diff('javascript', oldText, newText, { MAX_LCS_CHILDREN: 4 });
+    const unmatched = await diff('javascript', oldText, newText, { MAX_LCS_CHILDREN: 4, GREEDY_LOOKAHEAD: 0 });
+
+    expect(greedy.summary).toEqual({ insert: 1, delete: 0, update: 12, move: 0 });
+    expect(summaries(greedy)).toEqual(summaries(exact));
+    expect(unmatched.summary.update).toBe(0);
+  });
+
+  it('should return null for trees above MAX_NODES', async () => {
+    expect(await diff('javascript', PARSE_CONFIG, PARSE_CONFIG, { MAX_NODES: 10 })).toBeNull();
+  });
+
+  it('should keep separate changes apart when grouping', () => {
+    const update = { type: EDIT_OPERATIONS.UPDATE, kind: 'identifier', oldLabel: 'a', newLabel: 'b', context: 'f', summary: 'u' };
+    const insert = { type: EDIT_OPERATIONS.INSERT, kind: 'argument', summary: 'i' };
+
+    const groups = groupEditOperations([update, insert, { ...insert }, { ...update, kind: 'parameter', summary: 'p' }]);
+    expect(groups.map(group => [group.summary, group.count])).toEqual([['p', 2], ['i', 1], ['i', 1]]);
+  });
+
+  it('should run in a pipeline job and return cloneable results', async () => {
+    const diffLib = { diffLines, diffWords, diffChars };
+    const phases = [];
+    const result = await runPipelineJob(PARSE_CONFIG, PARSE_CONFIG.replace(/\bx\b/g, 'count'), diffLib, DEFAULT_TEST_OPTIONS, {
+      astDiffLanguage: 'javascript',
+      loadParser: language => getLanguageParser(language),
+      onProgress: ({ phase }) => phases.push(phase)
+    });
+
+    expect(phases[phases.length - 1]).toBe('syntaxTree');
+    expect(result.astDiff.summary.update).toBe(3);
+    expect(structuredClone(result.astDiff)).toEqual(result.astDiff);
+  });
+});
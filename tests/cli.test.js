@@ -0,0 +1,282 @@
+/**
+ * CLI Tests
+ *
+ * Runs bin/text-diff.js as a child process against temporary files and
+ * checks output and exit status.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CLI_PATH = path.resolve(__dirname, '../bin/text-diff.js');
+
+let tmpDir;
+
+function writeTmp(name, content) {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI_PATH, ...args], {
+    encoding: 'utf8',
+    env: { ...process.env, NO_COLOR: '1' }
+  });
+}
+
+describe('text-diff CLI', () => {
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'text-diff-cli-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should exit 0 and report no changes for identical files', () => {
+    const a = writeTmp('same-a.txt', 'one\ntwo\n');
+    const b = writeTmp('same-b.txt', 'one\ntwo\n');
+
+    const result = runCli([a, b]);
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('0 added, 0 removed, 0 modified, 0 moved');
+  });
+
+  it('should exit 1 and print markers when files differ', () => {
+    const a = writeTmp('diff-a.txt', 'hostname r1\ninterface Gi0/1\n shutdown\n');
+    const b = writeTmp('diff-b.txt', 'hostname r1\ninterface Gi0/1\n no shutdown\n description uplink\n');
+
+    const result = runCli([a, b]);
+
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain(`--- ${a}`);
+    expect(result.stdout).toContain(`+++ ${b}`);
+    expect(result.stdout).toMatch(/^\+.*description uplink$/m);
+    expect(result.stdout).not.toContain('\x1b[');
+  });
+
+  it('should emit ANSI colors with --color', () => {
+    const a = writeTmp('color-a.txt', 'a\n');
+    const b = writeTmp('color-b.txt', 'b\n');
+
+    const result = runCli(['--color', a, b]);
+
+    expect(result.stdout).toContain('\x1b[');
+  });
+
+  it('should print a unified diff with --unified and -U', () => {
+    const a = writeTmp('patch-a.txt', 'one\ntwo\nthree\nfour\n');
+    const b = writeTmp('patch-b.txt', 'one\n2\nthree\nfour\n');
+
+    const result = runCli(['-U', '1', a, b]);
+
+    expect(result.status).toBe(1);
+    expect(result.stdout).toBe(`--- ${a}\n+++ ${b}\n@@ -1,3 +1,3 @@\n one\n-two\n+2\n three\n`);
+    expect(runCli(['--unified=0', a, b]).stdout).toContain('@@ -2 +2 @@\n-two\n+2\n');
+    expect(runCli(['-u', a, a]).stdout).toBe('');
+  });
+
+  it('should apply --drop-pattern and --mask-pattern rules', () => {
+    const a = writeTmp('rules-a.cfg', '! Last configuration change at 10:01:02 UTC\nhostname r1\nntp clock-period 17179738\n');
+    const b = writeTmp('rules-b.cfg', '! Last configuration change at 11:22:33 UTC\nhostname r1\nntp clock-period 17179812\n');
+
+    expect(runCli([a, b]).status).toBe(1);
+
+    const result = runCli([
+      '--drop-pattern', '^! Last configuration change',
+      '--mask-pattern=clock-period \\d+',
+      a, b
+    ]);
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('ntp clock-period 17179738');
+  });
+
+  it('should show each side of ignored whitespace and mark masked lines', () => {
+    const a = writeTmp('sides-a.cfg', 'hostname r1\ninterface  Gi0/1\nntp clock-period 17179738\n');
+    const b = writeTmp('sides-b.cfg', 'hostname r1\ninterface Gi0/1\nntp clock-period 17179812\n');
+
+    const result = runCli(['-w', '--mask-pattern', 'clock-period \\d+', a, b]);
+
+    expect(result.status).toBe(0);
+    const lines = result.stdout.split('\n');
+    expect(lines).toContain('  1 1 │ hostname r1');
+    expect(lines).toContain('  2   │ interface  Gi0/1');
+    expect(lines).toContain('    2 │ interface Gi0/1');
+    expect(lines).toContain('* 3   │ ntp clock-period 17179738');
+    expect(lines).toContain('*   3 │ ntp clock-period 17179812');
+  });
+
+  it('should exit 2 on an invalid ignore pattern', () => {
+    const a = writeTmp('bad-rule.txt', 'a\n');
+
+    const result = runCli(['--mask-pattern', '(unclosed', a, a]);
+
+    expect(result.status).toBe(2);
+    expect(result.stderr).toContain('Invalid ignore pattern');
+  });
+
+  it('should compare JSON by path with --structural', () => {
+    const a = writeTmp('a.json', '{\n  "name": "lab",\n  "port": 80\n}\n');
+    const b = writeTmp('b.json', '{"port": 80, "name": "lab"}\n');
+    const c = writeTmp('c.json', '{"port": 8080, "name": "lab"}\n');
+
+    expect(runCli([a, b]).status).toBe(1);
+    expect(runCli(['--structural', a, b]).status).toBe(0);
+
+    const result = runCli(['-s', a, c]);
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain('~ $.port: 80 → 8080');
+  });
+
+  it('should compare YAML by path and take --identity-key', () => {
+    const a = writeTmp('a.yaml', 'env:\n  - name: A\n    value: "1"\n  - name: B\n    value: "2"\n');
+    const b = writeTmp('b.yaml', 'env:\n- value: "2"\n  name: B\n- name: A\n  value: "1"\n');
+
+    expect(runCli(['--structural', a, b]).status).toBe(0);
+
+    const result = runCli(['--structural', '--identity-key', '', a, b]);
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain('env[0] → env[1]');
+  });
+
+  it('should compare IOS configs by section with --structural', () => {
+    const a = writeTmp('r1.cfg', 'hostname r1\n!\ninterface Gi0/1\n description uplink\n!\ninterface Gi0/2\n shutdown\n!\n');
+    const b = writeTmp('r2.cfg', 'hostname r1\n!\ninterface Gi0/2\n shutdown\n!\ninterface Gi0/1\n description uplink\n!\n');
+    const c = writeTmp('r3.cfg', 'hostname r1\n!\ninterface Gi0/1\n description core uplink\n!\ninterface Gi0/2\n shutdown\n!\n');
+
+    expect(runCli(['--structural', a, b]).status).toBe(0);
+
+    const result = runCli(['-s', a, c]);
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain('interface Gi0/1: ~ description uplink → description core uplink');
+  });
+
+  it('should compare CSV rows by key with --key-columns', () => {
+    const a = writeTmp('prices-a.csv', 'id,name,price\n1,apple,2.50\n2,pear,3.00\n');
+    const b = writeTmp('prices-b.csv', 'name,id,price\npear,2,3.10\napple,1,2.50\n');
+
+    const result = runCli(['-s', '--key-columns', 'id', a, b]);
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain('row[id=2].price: "3.00" → "3.10"');
+
+    const missing = runCli(['-s', '--key-columns=sku', a, b]);
+    expect(missing.stderr).toContain('Key column "sku" is not in the previous header');
+  });
+
+  it('should compare XML by element with --structural', () => {
+    const a = writeTmp('a.xml', '<config>\n  <entry name="fw1" port="22"/>\n  <entry name="fw2" port="22"/>\n</config>\n');
+    const b = writeTmp('b.xml', '<config>\n  <entry port="22" name="fw2"/>\n  <entry name="fw1" port="2222"/>\n</config>\n');
+
+    const result = runCli(['-s', a, b]);
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain('/config/entry[@name=\'fw1\']/@port: "22" → "2222"');
+  });
+
+  it('should compare INI files by key with --structural', () => {
+    const a = writeTmp('a.ini', '[server]\nhost = example.com\nport = 80\n');
+    const b = writeTmp('b.ini', '; moved\n[server]\nport = 8080\nhost=example.com\n');
+
+    const result = runCli(['-s', a, b]);
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain('server.port: "80" → "8080"');
+  });
+
+  it('should compare prose by sentence with --prose', () => {
+    const a = writeTmp('a.md', '# Notes\n\nRun the backup first. Then upgrade the\ndatabase.\n');
+    const b = writeTmp('b.md', '# Notes\n\nRun the backup first.\nThen upgrade the database.\n');
+    const c = writeTmp('c.md', '# Notes\n\nRun the backup first. Then migrate the database.\n');
+
+    expect(runCli([a, b]).status).toBe(1);
+    expect(runCli(['--prose', a, b]).status).toBe(0);
+
+    const result = runCli(['--prose', a, c]);
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain('Notes > paragraph 1, sentence 2: "Then upgrade the database." → "Then migrate the database."');
+  });
+
+  it('should compare JunOS set commands with a hierarchy with --junos-style', () => {
+    const a = writeTmp('template.conf', 'system {\n    services {\n        ssh;\n    }\n    host-name r1;\n}\n');
+    const b = writeTmp('display-set.conf', 'set system host-name r1\nset system services ssh\n');
+    const broken = writeTmp('broken.conf', 'system {\n    host-name r1;\n');
+
+    expect(runCli([a, b]).status).toBe(1);
+    expect(runCli(['--junos-style', 'set', a, b]).status).toBe(0);
+    expect(runCli(['--junos-style=hierarchy', a, b]).status).toBe(0);
+
+    const result = runCli(['--junos-style', 'set', a, broken]);
+    expect(result.status).toBe(2);
+    expect(result.stderr).toContain('broken.conf: Line 1: Missing }');
+    expect(runCli(['--junos-style', 'xml', a, b]).status).toBe(2);
+  });
+
+  it('should compare lines as sets with --ignore-line-order', () => {
+    const a = writeTmp('old.gitignore', 'node_modules/\n*.log\ndist/\n');
+    const b = writeTmp('new.gitignore', 'dist/\nnode_modules/\n*.log\n');
+    const c = writeTmp('more.gitignore', 'dist/\ncoverage/\nnode_modules/\n*.log\n');
+
+    expect(runCli([a, b]).status).toBe(1);
+    expect(runCli(['--ignore-line-order', a, b]).status).toBe(0);
+
+    const result = runCli(['--ignore-line-order', a, c]);
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain('1 added, 0 removed, 0 modified, 0 moved');
+    expect(runCli(['--ignore-line-order', '-u', a, b]).status).toBe(2);
+  });
+
+  it('should fall back to the text diff when JSON does not parse', () => {
+    const a = writeTmp('ok.json', '{"a": 1}\n');
+    const b = writeTmp('broken.json', '{"a": 1,}\n');
+
+    const result = runCli(['--structural', a, b]);
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('could not parse JSON');
+  });
+
+  it('should exit 2 when a file is missing', () => {
+    const a = writeTmp('exists.txt', 'a\n');
+
+    const result = runCli([a, path.join(tmpDir, 'missing.txt')]);
+
+    expect(result.status).toBe(2);
+    expect(result.stderr).toContain('text-diff:');
+  });
+
+  it('should exit 2 on wrong argument count or unknown options', () => {
+    expect(runCli([]).status).toBe(2);
+    expect(runCli(['--bogus', 'a', 'b']).status).toBe(2);
+  });
+
+  it('should exit quietly when the reader closes the pipe early', async () => {
+    // More output than a pipe buffers
+    const lines = Array.from({ length: 3000 }, (_, i) => `config line number ${i} with some padding text`);
+    const a = writeTmp('pipe-a.txt', lines.join('\n'));
+    const b = writeTmp('pipe-b.txt', lines.map((line, i) => (i % 100 === 5 ? `${line} changed` : line)).join('\n'));
+
+    const child = spawn(process.execPath, [CLI_PATH, a, b], { env: { ...process.env, NO_COLOR: '1' } });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.stdout.once('data', () => child.stdout.destroy());
+    const status = await new Promise(resolve => child.on('close', resolve));
+
+    expect(stderr).toBe('');
+    expect(status).not.toBe(2);
+  });
+
+  it('should print usage with --help', () => {
+    const result = runCli(['--help']);
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('Usage: text-diff');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Context Folding Tests
+ *
+ * Tests for collapsing long unchanged runs into expandable folds.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  findUnchangedRuns,
+  foldRows,
+  expandFold,
+  FOLD_ACTIONS,
+  EXPAND_STEP_LINES
+} from '../src/context-folding.js';
+
+// Row models: 'u' rows are unchanged, anything else is a change
+function makeRows(pattern) {
+  return pattern.map((type, i) => ({ type, key: i }));
+}
+
+function fold(rows, contextLines, expansions = new Map()) {
+  return foldRows(rows, {
+    isUnchanged: row => row.type === 'u',
+    getKey: row => row.key,
+    contextLines,
+    expansions
+  });
+}
+
+function unchanged(count) {
+  return Array(count).fill('u');
+}
+
+describe('Context Folding', () => {
+  describe('findUnchangedRuns', () => {
+    it('should find runs of unchanged rows including at the edges', () => {
+      const rows = makeRows(['u', 'u', 'a', 'u', 'r', 'm', 'u', 'u']);
+
+      expect(findUnchangedRuns(rows, row => row.type === 'u')).toEqual([
+        { start: 0, end: 2 },
+        { start: 3, end: 4 },
+        { start: 6, end: 8 }
+      ]);
+    });
+  });
+
+  describe('foldRows', () => {
+    it('should keep context lines around a change and fold the rest', () => {
+      const rows = makeRows([...unchanged(100), 'a', ...unchanged(100)]);
+      const entries = fold(rows, 3);
+
+      expect(entries.map(e => (e.fold ? `fold:${e.fold.hidden}` : e.row.type))).toEqual([
+        'fold:97', 'u', 'u', 'u', 'a', 'u', 'u', 'u', 'fold:97'
+      ]);
+      expect(entries[0].fold).toMatchObject({ key: 0, start: 0, end: 97 });
+      expect(entries[8].fold).toMatchObject({ key: 101, start: 104, end: 201 });
+    });
+
+    it('should keep context on both sides of a run between changes', () => {
+      const rows = makeRows(['a', ...unchanged(50), 'r']);
+      const entries = fold(rows, 2);
+
+      expect(entries).toHaveLength(1 + 2 + 1 + 2 + 1);
+      expect(entries[3].fold).toMatchObject({ key: 1, start: 3, end: 49, hidden: 46 });
+    });
+
+    it('should not fold runs that would hide only a few lines', () => {
+      const rows = makeRows(['a', ...unchanged(8), 'r']);
+
+      expect(fold(rows, 3).every(e => e.row)).toBe(true);
+    });
+
+    it('should fold identical content into one placeholder', () => {
+      const entries = fold(makeRows(unchanged(30)), 3);
+
+      expect(entries).toEqual([{ fold: { key: 0, start: 0, end: 30, hidden: 30 } }]);
+    });
+
+    it('should treat a negative or invalid context as zero', () => {
+      const rows = makeRows(['a', ...unchanged(10), 'r']);
+
+      expect(fold(rows, -5)[1].fold.hidden).toBe(10);
+      expect(fold(rows, 'abc')[1].fold.hidden).toBe(10);
+    });
+  });
+
+  describe('expandFold', () => {
+    const rows = makeRows(['a', ...unchanged(100), 'r']);
+
+    it('should reveal lines from the top and from the bottom', () => {
+      const expansions = new Map();
+      expandFold(expansions, 1, FOLD_ACTIONS.TOP);
+      expandFold(expansions, 1, FOLD_ACTIONS.BOTTOM);
+
+      const folded = fold(rows, 3, expansions).find(e => e.fold).fold;
+      expect(folded.start).toBe(1 + 3 + EXPAND_STEP_LINES);
+      expect(folded.hidden).toBe(100 - 2 * (3 + EXPAND_STEP_LINES));
+    });
+
+    it('should remove the fold when expanded fully', () => {
+      const expansions = expandFold(new Map(), 1, FOLD_ACTIONS.ALL);
+
+      expect(fold(rows, 3, expansions)).toHaveLength(rows.length);
+    });
+
+    it('should reveal the remainder once the steps cover the run', () => {
+      const expansions = new Map();
+      for (let i = 0; i < 5; i++) expandFold(expansions, 1, FOLD_ACTIONS.TOP);
+
+      expect(fold(rows, 3, expansions).every(e => e.row)).toBe(true);
+    });
+
+    it('should reject unknown actions', () => {
+      expect(() => expandFold(new Map(), 1, 'sideways')).toThrow(/Unknown fold action/);
+    });
+  });
+});
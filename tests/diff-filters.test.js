@@ -0,0 +1,302 @@
+/**
+ * Diff Filters Tests
+ *
+ * Tests for the "Ignore whitespace" / "Ignore comments" / ignore pattern
+ * filtering layer and for mapping filtered results back to the original lines.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffLines, diffWords, diffChars } from 'diff';
+import { runDiffPipeline } from '../src/diff-algorithms.js';
+import {
+  hasLineFilters,
+  normalizeWhitespace,
+  buildFilteredView,
+  restoreOriginalLines,
+  compileIgnorePatterns,
+  InvalidIgnorePatternError,
+  IGNORE_PATTERN_MODES,
+  COMMENT_REASON,
+  IGNORED_CLASSIFICATION
+} from '../src/diff-filters.js';
+import { splitEntryLines } from '../src/terminal-formatter.js';
+import { DEFAULT_TEST_OPTIONS } from './test-config.js';
+
+const diffLib = { diffLines, diffWords, diffChars };
+
+function compare(oldText, newText, filterOptions, language = 'javascript') {
+  return runDiffPipeline(oldText, newText, diffLib, {
+    ...DEFAULT_TEST_OPTIONS,
+    language,
+    filterOptions
+  });
+}
+
+// Lines of each side as rendered, numbered: unchanged entries show their
+// newValue (when set) on the current side
+function sides(results) {
+  const split = value => splitEntryLines(value || '');
+  const oldLines = results.filter(entry => !entry.added).flatMap(entry => split(entry.value));
+  const newLines = results.filter(entry => !entry.removed).flatMap(entry => split(entry.newValue ?? entry.value));
+  return {
+    old: oldLines.map((line, i) => `${i + 1}:${line}`),
+    new: newLines.map((line, i) => `${i + 1}:${line}`)
+  };
+}
+
+describe('Diff Filters', () => {
+  describe('hasLineFilters', () => {
+    it('should report whether any line filter is enabled', () => {
+      expect(hasLineFilters({})).toBe(false);
+      expect(hasLineFilters({ ignoreWhitespace: false, ignoreComments: false })).toBe(false);
+      expect(hasLineFilters({ ignoreWhitespace: true })).toBe(true);
+      expect(hasLineFilters({ ignoreComments: true })).toBe(true);
+      expect(hasLineFilters({ ignorePatterns: [{ pattern: '', mode: 'mask' }] })).toBe(false);
+      expect(hasLineFilters({ ignorePatterns: [{ pattern: '\\d+', mode: 'mask' }] })).toBe(true);
+    });
+  });
+
+  describe('compileIgnorePatterns', () => {
+    it('should compile rules and skip empty patterns', () => {
+      const rules = compileIgnorePatterns([
+        { pattern: '', mode: IGNORE_PATTERN_MODES.DROP },
+        { pattern: '\\d{2}:\\d{2}', mode: IGNORE_PATTERN_MODES.MASK }
+      ]);
+
+      expect(rules).toHaveLength(1);
+      expect(rules[0].regex.test('at 10:01')).toBe(true);
+    });
+
+    it('should throw InvalidIgnorePatternError for invalid regular expressions', () => {
+      expect(() => compileIgnorePatterns([{ pattern: '(unclosed', mode: 'mask' }]))
+        .toThrow(InvalidIgnorePatternError);
+      expect(() => compileIgnorePatterns([{ pattern: '(unclosed', mode: 'mask' }]))
+        .toThrow('Invalid ignore pattern /(unclosed/');
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => compileIgnorePatterns([{ pattern: 'x', mode: 'hide' }]))
+        .toThrow('unknown mode "hide"');
+    });
+  });
+
+  describe('normalizeWhitespace', () => {
+    it('should trim and collapse whitespace runs', () => {
+      expect(normalizeWhitespace('\t  let  x =\t1;  ')).toBe('let x = 1;');
+    });
+  });
+
+  describe('buildFilteredView', () => {
+    it('should strip comments and leave out comment-only lines', async () => {
+      const view = await buildFilteredView('// header\nlet x = 1; // one\n\nreturn x;\n', {
+        ignoreComments: true,
+        language: 'javascript'
+      });
+
+      expect(view.keys).toEqual(['let x = 1;', '', 'return x;']);
+      expect(view.sourceIndices).toEqual([1, 2, 3]);
+      expect(view.text).toBe('let x = 1;\n\nreturn x;\n');
+    });
+
+    it('should follow block comments across lines', async () => {
+      const view = await buildFilteredView('a();\n/* start\n * middle\n end */ b();\nc();', {
+        ignoreComments: true,
+        language: 'javascript'
+      });
+
+      expect(view.keys).toEqual(['a();', ' b();', 'c();']);
+      expect(view.sourceIndices).toEqual([0, 3, 4]);
+    });
+
+    it('should use the comment syntax of the language', async () => {
+      const view = await buildFilteredView('# comment\nx = 1  # note\n', {
+        ignoreComments: true,
+        language: 'python'
+      });
+
+      expect(view.keys).toEqual(['x = 1']);
+    });
+
+    it('should not treat comment markers inside strings as comments', async () => {
+      const view = await buildFilteredView('const url = "http://example.com";\n', {
+        ignoreComments: true,
+        language: 'javascript'
+      });
+
+      expect(view.keys).toEqual(['const url = "http://example.com";']);
+    });
+
+    it('should keep every line when only whitespace is ignored', async () => {
+      const view = await buildFilteredView('  a\n\n\tb  ', { ignoreWhitespace: true });
+
+      expect(view.keys).toEqual(['a', '', 'b']);
+      expect(view.lines).toEqual(['  a', '', '\tb  ']);
+    });
+
+    it('should leave out lines matching a drop pattern', async () => {
+      const view = await buildFilteredView('! Last configuration change at 10:01\nhostname r1\n', {
+        ignorePatterns: [{ pattern: '^! Last configuration', mode: IGNORE_PATTERN_MODES.DROP }]
+      });
+
+      expect(view.keys).toEqual(['hostname r1']);
+      expect(view.leftOut.get(0)).toBe('^! Last configuration');
+    });
+
+    it('should mask the text matching a mask pattern', async () => {
+      const view = await buildFilteredView('serial ABC123\nhostname r1\n', {
+        ignorePatterns: [{ pattern: '[A-Z]{3}\\d+', mode: IGNORE_PATTERN_MODES.MASK }]
+      });
+
+      expect(view.keys[0]).not.toContain('ABC123');
+      expect(view.keys[1]).toBe('hostname r1');
+      expect([...view.masked]).toEqual([[0, '[A-Z]{3}\\d+']]);
+    });
+  });
+
+  describe('restoreOriginalLines', () => {
+    it('should fall back to the original lines when a pair line is not among the keys', async () => {
+      const patterns = { ignorePatterns: [{ pattern: 'x|y', mode: IGNORE_PATTERN_MODES.MASK }] };
+      const oldView = await buildFilteredView('/* x */\n', patterns);
+      const newView = await buildFilteredView('/* y */ z();\n', patterns);
+      const results = [
+        { value: oldView.text, removed: true, classification: 'modified', removedLine: 'other', addedLine: 'other', pairIndex: 1 },
+        { value: newView.text, added: true, classification: 'modified-skipped' }
+      ];
+
+      const [modified] = restoreOriginalLines(results, oldView, newView, diffLib);
+      expect(modified.removedLine).toBe('/* x */');
+      expect(modified.addedLine).toBe('/* y */ z();');
+    });
+  });
+
+  describe('runDiffPipeline with filters', () => {
+    const oldText = 'function f() {\n  let x = 1;\n  return x;\n}\n';
+    const newText = 'function f() {\n    let x  =  1;\n    return x;\n}\n';
+
+    it('should report whitespace-only changes without the filter', async () => {
+      const result = await compare(oldText, newText, { ignoreWhitespace: false });
+
+      expect(result.stats.modified + result.stats.added + result.stats.removed).toBeGreaterThan(0);
+    });
+
+    it('should treat whitespace-only changes as unchanged and keep the original text', async () => {
+      const result = await compare(oldText, newText, { ignoreWhitespace: true });
+
+      expect(sides(result.results)).toEqual({
+        old: ['1:function f() {', '2:  let x = 1;', '3:  return x;', '4:}'],
+        new: ['1:function f() {', '2:    let x  =  1;', '3:    return x;', '4:}']
+      });
+      expect(result.stats).toMatchObject({ added: 0, removed: 0, modified: 0, moved: 0 });
+    });
+
+    it('should not count comment changes and keep the real line numbers', async () => {
+      const before = 'const a = 1;\n// old note\nconst b = 2; // two\nconst c = 3;\n';
+      const after = 'const a = 1;\nconst b = 2; // second\n/* added\n   block */\nconst c = 3;\n';
+      const result = await compare(before, after, { ignoreComments: true });
+
+      expect(result.stats).toMatchObject({ added: 0, removed: 0, modified: 0, moved: 0 });
+      expect(sides(result.results)).toEqual({
+        old: ['1:const a = 1;', '2:// old note', '3:const b = 2; // two', '4:const c = 3;'],
+        new: ['1:const a = 1;', '2:const b = 2; // second', '3:/* added', '4:   block */', '5:const c = 3;']
+      });
+
+      const ignored = result.results.filter(entry => entry.classification === IGNORED_CLASSIFICATION);
+      expect(ignored.map(entry => [entry.removed ? 'old' : 'new', entry.value])).toEqual([
+        ['old', '// old note\n'],
+        ['new', '/* added\n   block */\n']
+      ]);
+    });
+
+    it('should show comment lines present on both sides as unchanged', async () => {
+      const result = await compare('// note\na();\n', '// note\nb();\n', { ignoreComments: true });
+
+      expect(result.results[0]).toMatchObject({ classification: 'unchanged', value: '// note\n' });
+      expect(result.results.some(entry => entry.classification === IGNORED_CLASSIFICATION)).toBe(false);
+    });
+
+    it('should show real changes with their original text', async () => {
+      const before = 'setup();\nconst total = price * 2; // double\nfinish();\n';
+      const after = 'setup();\nconst total = price * 3; // triple\nfinish();\n';
+      const result = await compare(before, after, { ignoreComments: true });
+
+      const modified = result.results.find(entry => entry.classification === 'modified');
+      expect(modified.removedLine).toBe('const total = price * 2; // double');
+      expect(modified.addedLine).toBe('const total = price * 3; // triple');
+      expect(modified.wordDiff.map(part => part.value).join('')).toContain('// double');
+      expect(result.stats.modified).toBe(1);
+    });
+
+    it('should keep every original line in large two-pass comparisons', async () => {
+      const before = [];
+      const after = [];
+      for (let i = 0; i < 150; i++) {
+        before.push(`value_${i} = compute(${i});`);
+        after.push(`  value_${i} = compute(${i});${i % 10 === 0 ? ' // checked' : ''}`);
+        if (i % 25 === 0) after.push(`// section ${i}`);
+      }
+      const result = await compare(before.join('\n'), after.join('\n'), {
+        ignoreWhitespace: true,
+        ignoreComments: true
+      });
+
+      const { old: oldLines, new: newLines } = sides(result.results);
+      expect(oldLines).toEqual(before.map((line, i) => `${i + 1}:${line}`));
+      expect(newLines).toEqual(after.map((line, i) => `${i + 1}:${line}`));
+      expect(result.stats).toMatchObject({ added: 0, removed: 0, modified: 0 });
+    });
+
+    it('should apply drop and mask ignore patterns', async () => {
+      const before = '! Last configuration change at 10:01:02 UTC\nhostname r1\nntp clock-period 17179738\n';
+      const after = 'hostname r1\nntp clock-period 17179812\n';
+      const result = await compare(before, after, {
+        ignorePatterns: [
+          { pattern: '^! Last configuration change', mode: IGNORE_PATTERN_MODES.DROP },
+          { pattern: 'clock-period \\d+', mode: IGNORE_PATTERN_MODES.MASK }
+        ]
+      }, 'text');
+
+      expect(result.stats).toMatchObject({ added: 0, removed: 0, modified: 0, moved: 0 });
+      expect(sides(result.results)).toEqual({
+        old: ['1:! Last configuration change at 10:01:02 UTC', '2:hostname r1', '3:ntp clock-period 17179738'],
+        new: ['1:hostname r1', '2:ntp clock-period 17179812']
+      });
+
+      const ignored = result.results.find(entry => entry.classification === IGNORED_CLASSIFICATION);
+      expect(ignored.ignoreReason).toBe('^! Last configuration change');
+
+      const masked = result.results.find(entry => entry.maskedLines);
+      const maskedIndex = masked.maskedLines[0].line;
+      expect(splitEntryLines(masked.value)[maskedIndex]).toBe('ntp clock-period 17179738');
+      expect(masked.maskedLines[0].pattern).toBe('clock-period \\d+');
+    });
+
+    it('should still report changes outside the masked text', async () => {
+      const result = await compare('uptime 5 days\n', 'downtime 9 days\n', {
+        ignorePatterns: [{ pattern: '\\d+', mode: IGNORE_PATTERN_MODES.MASK }]
+      }, 'text');
+
+      expect(result.stats.modified + result.stats.added + result.stats.removed).toBeGreaterThan(0);
+    });
+
+    it('should detect the language from the texts when none is given', async () => {
+      const before = 'import os\n\ndef half(total):\n    return total // 2  # floor\n';
+      const after = 'import os\n\ndef half(total):\n    return total // 3  # floor\n';
+      const result = await runDiffPipeline(before, after, diffLib, {
+        ...DEFAULT_TEST_OPTIONS,
+        filterOptions: { ignoreComments: true }
+      });
+
+      // `//` is Python floor division, not a comment
+      expect(result.stats.modified).toBe(1);
+    });
+
+    it('should label comment-only ignored lines with the comment reason', async () => {
+      const result = await compare('a();\n// note\n', 'a();\n', { ignoreComments: true });
+
+      const ignored = result.results.find(entry => entry.classification === IGNORED_CLASSIFICATION);
+      expect(ignored.ignoreReason).toBe(COMMENT_REASON);
+    });
+  });
+});
@@ -7,7 +7,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { loadDiffLibrary, isNode, isBrowser, isWorker, CDN_URLS } from '../src/diff-loader.js';
+import { loadDiffLibrary, isNode, isBrowser, isWorker, CDN_URL } from '../src/diff-loader.js';
 
 describe('Diff Loader', () => {
   describe('Environment Detection', () => {
@@ -18,16 +18,9 @@ describe('Diff Loader', () => {
     });
   });
 
-  describe('CDN URLs', () => {
-    it('should have valid CDN URLs', () => {
-      expect(CDN_URLS.primary).toContain('esm.sh');
-      expect(CDN_URLS.fallback).toContain('jsdelivr');
-      expect(CDN_URLS.primary).toContain('diff@5.1.0');
-    });
-
-    it('should have HTTPS URLs', () => {
-      expect(CDN_URLS.primary).toMatch(/^https:\/\//);
-      expect(CDN_URLS.fallback).toMatch(/^https:\/\//);
+  describe('CDN URL', () => {
+    it('should pin the version on jsDelivr', () => {
+      expect(CDN_URL).toBe('https://cdn.jsdelivr.net/npm/diff@5.1.0/lib/index.mjs');
     });
   });
 
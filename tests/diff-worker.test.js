@@ -0,0 +1,175 @@
+/**
+ * Diff Worker Tests
+ *
+ * Tests for pipeline progress reporting, cancellation, the shared job
+ * runner and the main-thread fallback of the worker client.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { diffLines, diffWords, diffChars } from 'diff';
+import {
+  runDiffPipeline,
+  PIPELINE_PHASES,
+  PipelineCancelledError
+} from '../src/diff-algorithms.js';
+import { runPipelineJob, serializeJobError, deserializeJobError } from '../src/pipeline-job.js';
+import { createDiffRunner, selectRunnerMode, RUNNER_MODES } from '../src/diff-worker-client.js';
+import { validateModuleSyntax, validateImportPaths } from '../src/module-validator.js';
+import { DEFAULT_TEST_OPTIONS } from './test-config.js';
+
+const diffLib = { diffLines, diffWords, diffChars };
+
+const OLD_TEXT = [
+  'function greet(name) {',
+  '  return "Hello " + name;',
+  '}',
+  '',
+  'function farewell(name) {',
+  '  return "Bye " + name;',
+  '}',
+  ''
+].join('\n');
+
+const NEW_TEXT = [
+  'function farewell(name) {',
+  '  return "Bye " + name;',
+  '}',
+  '',
+  'function greet(name, greeting) {',
+  '  return greeting + " " + name;',
+  '}',
+  ''
+].join('\n');
+
+function phaseOrder(events) {
+  return events.map(e => e.phase).filter((phase, i, all) => phase !== all[i - 1]);
+}
+
+describe('Diff Worker', () => {
+  describe('pipeline progress', () => {
+    it('should report phases in pipeline order', async () => {
+      const events = [];
+      await runDiffPipeline(OLD_TEXT, NEW_TEXT, diffLib, {
+        ...DEFAULT_TEST_OPTIONS,
+        correctSliders: true,
+        onProgress: progress => events.push(progress)
+      });
+
+      const phases = phaseOrder(events);
+      expect(phases[0]).toBe('diffLines');
+      expect(phases).toContain('similarity');
+      expect(phases).toContain('pairing');
+      expect(phases[phases.length - 1]).toBe('sliders');
+      for (const phase of phases) {
+        expect(PIPELINE_PHASES).toContain(phase);
+      }
+
+      const similarity = events.filter(e => e.phase === 'similarity');
+      expect(similarity[0]).toMatchObject({ completed: 0, total: expect.any(Number) });
+    });
+
+    it('should report progress for every changed region in two-pass mode', async () => {
+      const lines = Array.from({ length: 80 }, (_, i) => `line ${i}`);
+      const changed = lines.map((line, i) => (i % 20 === 10 ? `${line} changed` : line));
+      const events = [];
+
+      await runDiffPipeline(lines.join('\n'), changed.join('\n'), diffLib, {
+        ...DEFAULT_TEST_OPTIONS,
+        useTwoPass: true,
+        onProgress: progress => events.push(progress)
+      });
+
+      expect(events[0].phase).toBe('diffLines');
+      expect(events.filter(e => e.phase === 'changeBlocks').length).toBeGreaterThanOrEqual(4);
+    });
+
+    it('should stop with PipelineCancelledError when the signal is aborted', async () => {
+      const controller = new AbortController();
+      const phases = [];
+
+      const run = runDiffPipeline(OLD_TEXT, NEW_TEXT, diffLib, {
+        ...DEFAULT_TEST_OPTIONS,
+        signal: controller.signal,
+        onProgress: ({ phase }) => {
+          phases.push(phase);
+          if (phase === 'changeBlocks') controller.abort();
+        }
+      });
+
+      await expect(run).rejects.toBeInstanceOf(PipelineCancelledError);
+      expect(phases).toEqual(['diffLines', 'changeBlocks']);
+    });
+  });
+
+  describe('runPipelineJob', () => {
+    it('should match runDiffPipeline when no move pass is requested', async () => {
+      const direct = await runDiffPipeline(OLD_TEXT, NEW_TEXT, diffLib, DEFAULT_TEST_OPTIONS);
+      const job = await runPipelineJob(OLD_TEXT, NEW_TEXT, diffLib, DEFAULT_TEST_OPTIONS);
+
+      expect(job.stats).toEqual(direct.stats);
+      expect(job.results.map(r => r.classification)).toEqual(direct.results.map(r => r.classification));
+    });
+
+    it('should load the move pass grammar and keep results when it fails', async () => {
+      const loadParser = vi.fn(async () => { throw new Error('no WebAssembly'); });
+      const events = [];
+
+      const result = await runPipelineJob(OLD_TEXT, NEW_TEXT, diffLib, DEFAULT_TEST_OPTIONS, {
+        movesLanguage: 'javascript',
+        loadParser,
+        onProgress: progress => events.push(progress)
+      });
+
+      expect(loadParser).toHaveBeenCalledWith('javascript');
+      expect(events[events.length - 1].phase).toBe('moves');
+      expect(result.results.length).toBeGreaterThan(0);
+    });
+
+    it('should round-trip errors through their serialized form', () => {
+      const cancelled = deserializeJobError(serializeJobError(new PipelineCancelledError()));
+      expect(cancelled).toBeInstanceOf(PipelineCancelledError);
+
+      const failure = deserializeJobError(serializeJobError(new TypeError('bad input')));
+      expect(failure).toMatchObject({ name: 'TypeError', message: 'bad input' });
+    });
+  });
+
+  describe('createDiffRunner', () => {
+    it('should fall back to the main thread without Worker support', async () => {
+      expect(await selectRunnerMode('./src/diff-worker.js')).toMatchObject({ mode: RUNNER_MODES.MAIN_THREAD });
+
+      const runner = createDiffRunner({ workerUrl: './src/diff-worker.js', diffLib });
+      const phases = [];
+      const { promise } = runner.run(OLD_TEXT, NEW_TEXT, DEFAULT_TEST_OPTIONS, {
+        onProgress: ({ phase }) => phases.push(phase)
+      });
+      const result = await promise;
+      const direct = await runDiffPipeline(OLD_TEXT, NEW_TEXT, diffLib, DEFAULT_TEST_OPTIONS);
+
+      expect(runner.getMode()).toBe(RUNNER_MODES.MAIN_THREAD);
+      expect(result.stats).toEqual(direct.stats);
+      expect(phases[0]).toBe('diffLines');
+    });
+
+    it('should reject a cancelled job', async () => {
+      const runner = createDiffRunner({ diffLib, mode: RUNNER_MODES.MAIN_THREAD });
+      const job = runner.run(OLD_TEXT, NEW_TEXT, DEFAULT_TEST_OPTIONS, {
+        onProgress: ({ phase }) => { if (phase === 'diffLines') job.cancel(); }
+      });
+
+      await expect(job.promise).rejects.toBeInstanceOf(PipelineCancelledError);
+    });
+  });
+
+  describe('worker module', () => {
+    it('should pass module validation so the worker is not skipped', () => {
+      const code = readFileSync(new URL('../src/diff-worker.js', import.meta.url), 'utf8');
+
+      expect(validateModuleSyntax(code).errors).toEqual([]);
+      expect(validateImportPaths(code).errors).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Directory Compare Tests
+ *
+ * Tests for pairing file sets by path, rename detection by content and
+ * per-file stats.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffLines, diffWords, diffChars } from 'diff';
+import {
+  FILE_STATUS,
+  normalizeRelativePath,
+  stripCommonRoot,
+  fileFingerprint,
+  contentSimilarity,
+  detectRenames,
+  pairFiles,
+  compareFileSets
+} from '../src/directory-compare.js';
+import { DEFAULT_TEST_OPTIONS } from './test-config.js';
+
+const diffLib = { diffLines, diffWords, diffChars };
+
+const ROUTER_CONFIG = [
+  'hostname edge-1',
+  'interface Gi0/1',
+  ' description uplink to core',
+  ' ip address 10.0.0.1 255.255.255.0',
+  '!',
+  'interface Gi0/2',
+  ' description server farm',
+  ' shutdown',
+  '!',
+  'router ospf 1',
+  ' network 10.0.0.0 0.0.0.255 area 0',
+  'end',
+  ''
+].join('\n');
+
+describe('Directory Compare', () => {
+  describe('path handling', () => {
+    it('should normalize separators and leading prefixes', () => {
+      expect(normalizeRelativePath('.\\src\\app.js')).toBe('src/app.js');
+      expect(normalizeRelativePath('/etc/hosts')).toBe('etc/hosts');
+    });
+
+    it('should strip a root folder shared by every path', () => {
+      expect(stripCommonRoot(['release-1.0/a.txt', 'release-1.0/src/b.js'])).toEqual(['a.txt', 'src/b.js']);
+      expect(stripCommonRoot(['a.txt', 'src/b.js'])).toEqual(['a.txt', 'src/b.js']);
+      expect(stripCommonRoot(['one/a.txt', 'two/a.txt'])).toEqual(['one/a.txt', 'two/a.txt']);
+    });
+  });
+
+  describe('rename detection', () => {
+    it('should give identical content the same fingerprint', () => {
+      expect(fileFingerprint(ROUTER_CONFIG)).toBe(fileFingerprint(ROUTER_CONFIG));
+      expect(fileFingerprint(ROUTER_CONFIG)).toHaveLength(32);
+    });
+
+    it('should score line overlap', () => {
+      expect(contentSimilarity('a\nb\n', 'a\nb\n')).toBe(1);
+      expect(contentSimilarity('a\nb\nc\nd\n', 'a\nb\nc\nx\n')).toBe(0.75);
+      expect(contentSimilarity('a\n', '')).toBe(0);
+    });
+
+    it('should match a renamed file with small edits and ignore unrelated files', () => {
+      const edited = ROUTER_CONFIG.replace(' shutdown', ' no shutdown');
+      const renames = detectRenames(
+        [{ path: 'edge-1.cfg', content: ROUTER_CONFIG }],
+        [
+          { path: 'notes.md', content: '# Notes\n\nNothing in common here.\n' },
+          { path: 'edge-01.cfg', content: edited }
+        ]
+      );
+
+      expect(renames).toHaveLength(1);
+      expect(renames[0]).toMatchObject({ from: 0, to: 1 });
+      expect(renames[0].similarity).toBeGreaterThan(0.9);
+    });
+  });
+
+  describe('pairFiles', () => {
+    it('should classify files as added, removed, changed or identical', () => {
+      const entries = pairFiles(
+        [
+          { path: 'v1/readme.txt', content: 'hello\n' },
+          { path: 'v1/app.js', content: 'let x = 1;\n' },
+          { path: 'v1/old.txt', content: 'gone\n' }
+        ],
+        [
+          { path: 'v2/readme.txt', content: 'hello\n' },
+          { path: 'v2/app.js', content: 'let x = 2;\n' },
+          { path: 'v2/new.txt', content: 'brand new\n' }
+        ]
+      );
+
+      expect(entries.map(e => [e.path, e.status])).toEqual([
+        ['app.js', FILE_STATUS.CHANGED],
+        ['new.txt', FILE_STATUS.ADDED],
+        ['old.txt', FILE_STATUS.REMOVED],
+        ['readme.txt', FILE_STATUS.IDENTICAL]
+      ]);
+    });
+
+    it('should pair renamed files by content', () => {
+      const entries = pairFiles(
+        [{ path: 'configs/edge-1.cfg', content: ROUTER_CONFIG }],
+        [{ path: 'configs/routers/edge-1.cfg', content: ROUTER_CONFIG }]
+      );
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        status: FILE_STATUS.IDENTICAL,
+        oldPath: 'edge-1.cfg',
+        newPath: 'routers/edge-1.cfg',
+        renameSimilarity: 1
+      });
+    });
+
+    it('should not pair renames when disabled or for binary files', () => {
+      const binary = 'PNG\0\0data';
+      expect(pairFiles([{ path: 'a/x.cfg', content: ROUTER_CONFIG }], [{ path: 'b/y.cfg', content: ROUTER_CONFIG }], { detectRenames: false }))
+        .toHaveLength(2);
+      expect(pairFiles([{ path: 'a/x.png', content: binary }], [{ path: 'b/y.png', content: binary }]))
+        .toHaveLength(2);
+    });
+  });
+
+  describe('compareFileSets', () => {
+    it('should attach pipeline stats and a summary', async () => {
+      const progress = [];
+      const { entries, summary } = await compareFileSets(
+        [
+          { path: 'a.txt', content: 'one\ntwo\n' },
+          { path: 'same.txt', content: 'same\n' }
+        ],
+        [
+          { path: 'a.txt', content: 'one\ntwo\nthree\n' },
+          { path: 'same.txt', content: 'same\n' },
+          { path: 'b.txt', content: 'new\nfile\n' }
+        ],
+        diffLib,
+        { pipelineOptions: DEFAULT_TEST_OPTIONS, onProgress: (done, total) => progress.push(`${done}/${total}`) }
+      );
+
+      const byPath = Object.fromEntries(entries.map(e => [e.path, e]));
+      expect(byPath['a.txt'].stats.added).toBeGreaterThan(0);
+      expect(byPath['b.txt'].stats.added).toBeGreaterThan(0);
+      expect(byPath['same.txt'].stats).toBeNull();
+      expect(summary).toEqual({ added: 1, removed: 0, changed: 1, identical: 1, renamed: 0 });
+      expect(progress).toEqual(['1/3', '2/3', '3/3']);
+    });
+  });
+});
@@ -23,6 +23,7 @@
  * - [data-view="unified"] - Unified view button
  * - #diff-container - Split view container
  * - #unified-container - Unified view container
+ * - #symbol-sidebar - Changed Symbols sidebar (#symbol-list entries)
  * 
  * Diff Content:
  * - .diff-row - Individual diff rows
@@ -34,12 +35,14 @@
  * - .added - Added lines (green)
  * - .removed - Removed lines (red)
  * - .modified - Modified lines (yellow)
+ * - .renamed - Lines that only differ by a renamed identifier (slate)
  * - .unchanged - Unchanged lines
  * 
  * Statistics:
  * - [data-testid="stat-added"] - Added count
  * - [data-testid="stat-removed"] - Removed count
  * - [data-testid="stat-modified"] - Modified count
+ * - [data-testid="stat-renamed"] - Renamed count
  * - [data-testid="stat-moved"] - Moved count
  * - #stats - Stats container
  * 
@@ -747,7 +750,225 @@ test.describe('Filter Controls', () => {
     // With filter applied, whitespace-only changes should be ignored
     // Stats should reflect this
     const modifiedCount = await page.locator('[data-testid="stat-modified"]').textContent();
-    expect(parseInt(modifiedCount || '0')).toBeGreaterThanOrEqual(0);
+    expect(parseInt(modifiedCount || '0')).toBe(0);
+
+    // The previous panel still shows the original line
+    const secondLine = page.locator('#previous-diff-panel .diff-row .line-content').nth(1);
+    expect(await secondLine.textContent()).toBe('   line 2  ');
+  });
+
+  test('should ignore comment-only changes and keep line numbers', async ({ page }) => {
+    await page.locator('#previous-text').fill('const a = 1;\n// old note\nconst b = 2;');
+    await page.locator('#current-text').fill('const a = 1;\nconst b = 2; // two');
+
+    await page.locator('#ignore-comments').click();
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#stats', { timeout: 30000 });
+
+    for (const stat of ['added', 'removed', 'modified']) {
+      await expect(page.locator(`[data-testid="stat-${stat}"]`)).toHaveText('0');
+    }
+
+    // The comment-only line is shown, muted, with its real line number
+    const ignored = page.locator('#previous-diff-panel .diff-row.ignored');
+    await expect(ignored).toHaveCount(1);
+    await expect(ignored.locator('.line-number')).toHaveText('2');
+    await expect(page.locator('#previous-diff-panel .diff-row').last().locator('.line-number')).toHaveText('3');
+  });
+
+  test('should compare JSON structurally and list changes by path', async ({ page }) => {
+    await page.locator('#previous-text').fill('{\n  "name": "lab",\n  "servers": [\n    { "host": "a", "port": 80 }\n  ]\n}');
+    await page.locator('#current-text').fill('{\n  "servers": [\n    { "host": "a", "port": 8080 }\n  ],\n  "name": "lab"\n}');
+
+    await page.locator('#structural-diff').check();
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#structural-container', { state: 'visible', timeout: 30000 });
+
+    const changes = page.locator('#structural-change-list .structural-change');
+    await expect(changes).toHaveCount(1);
+    await expect(changes.first()).toContainText('$.servers[0].port: 80 → 8080');
+
+    // Only the port line is a change; the reordered "name" key is muted
+    await expect(page.locator('#previous-diff-panel .diff-row.ignored')).not.toHaveCount(0);
+    await expect(page.locator('[data-testid="stat-added"]')).toHaveText('0');
+
+    // Invalid JSON falls back to the line diff with a notice
+    await page.locator('#current-text').fill('{ "name": }');
+    await page.locator('#compare-btn').click();
+    await expect(page.locator('#structural-summary')).toContainText('Could not parse JSON');
+  });
+
+  test('should compare a reindented YAML manifest by identity key', async ({ page }) => {
+    const manifest = 'apiVersion: v1\nkind: Pod\nmetadata:\n  name: web\nspec:\n  containers:\n  - name: api\n    image: api:1\n  - name: db\n    image: pg:16\n';
+    await page.locator('#previous-text').fill(manifest);
+    await page.locator('#current-text').fill('apiVersion: v1\nkind: Pod\nmetadata:\n    name: web\nspec:\n    containers:\n    -   name: db\n        image: pg:16\n    -   name: api\n        image: api:2\n');
+
+    await page.locator('#structural-diff').check();
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#structural-container', { state: 'visible', timeout: 30000 });
+
+    const changes = page.locator('#structural-change-list .structural-change');
+    await expect(changes).toHaveCount(1);
+    await expect(changes.first()).toContainText('spec.containers[name=api].image: "api:1" → "api:2"');
+  });
+
+  test('should compare reordered IOS interfaces by section', async ({ page }) => {
+    const gi1 = 'interface GigabitEthernet0/1\n description uplink\n!\n';
+    const gi2 = 'interface GigabitEthernet0/2\n ip address 10.0.0.1 255.255.255.0\n!\n';
+    await page.locator('#previous-text').fill(`hostname r1\n!\n${gi1}${gi2}`);
+    await page.locator('#current-text').fill(`hostname r1\n!\n${gi2.replace('!\n', ' ip helper-address 10.0.0.5\n!\n')}${gi1}`);
+
+    await page.locator('#structural-diff').check();
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#structural-container', { state: 'visible', timeout: 30000 });
+
+    const changes = page.locator('#structural-change-list .structural-change');
+    await expect(changes).toHaveCount(1);
+    await expect(changes.first()).toContainText('interface GigabitEthernet0/2: + ip helper-address 10.0.0.5');
+  });
+
+  test('should compare CSV rows by key column in a grid', async ({ page }) => {
+    await page.locator('#previous-text').fill('id,name,price\n1,apple,2.50\n2,pear,3.00\n3,plum,1.00\n');
+    await page.locator('#current-text').fill('name,id,price\npear,2,3.10\napple,1,2.50\nkiwi,4,0.90\n');
+
+    await page.locator('#structural-diff').check();
+    await page.locator('#table-key-columns').fill('id');
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#table-diff', { state: 'visible', timeout: 30000 });
+
+    await expect(page.locator('#structural-change-list .structural-change').first()).toContainText('row[id=2].price: "3.00" → "3.10"');
+    await expect(page.locator('#table-diff tr.changed td.changed')).toHaveCount(1);
+    await expect(page.locator('#table-diff tr.changed td.changed .inline-added-char')).toHaveText('1');
+    await expect(page.locator('#table-diff tr.added')).toContainText('kiwi');
+    await expect(page.locator('#table-diff tr.removed')).toContainText('plum');
+  });
+
+  test('should compare XML elements by identity attribute', async ({ page }) => {
+    await page.locator('#previous-text').fill('<config>\n  <entry name="fw1" port="22"/>\n  <entry name="fw2" port="22"/>\n</config>\n');
+    await page.locator('#current-text').fill('<config>\n  <entry port="22" name="fw2"/>\n  <entry name="fw1" port="2222"/>\n</config>\n');
+
+    await page.locator('#structural-diff').check();
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#structural-container', { state: 'visible', timeout: 30000 });
+
+    const changes = page.locator('#structural-change-list .structural-change');
+    await expect(changes).toHaveCount(1);
+    await expect(changes.first()).toContainText('/config/entry[@name=\'fw1\']/@port: "22" → "2222"');
+  });
+
+  test('should show a word diff of a changed INI value', async ({ page }) => {
+    await page.locator('#previous-text').fill('[db]\nhost = db1.example.com\nport = 5432\n');
+    await page.locator('#current-text').fill('[db]\nport = 5432\nhost = db2.example.com\n');
+
+    await page.locator('#structural-diff').check();
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#structural-container', { state: 'visible', timeout: 30000 });
+
+    const change = page.locator('#structural-change-list .structural-change');
+    await expect(change).toHaveCount(1);
+    await expect(change.locator('.structural-value-old')).toHaveText('db1.example.com');
+    await expect(change.locator('.structural-value-new').locator('span').first()).toHaveText('db2');
+  });
+
+  test('should compare rewrapped prose by sentence', async ({ page }) => {
+    await page.locator('#previous-text').fill('# Notes\n\nRun the backup first. Then upgrade the\ndatabase.\n');
+    await page.locator('#current-text').fill('# Notes\n\nRun the backup first.\nThen migrate the database.\n');
+
+    await page.locator('#prose-diff').check();
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#structural-container', { state: 'visible', timeout: 30000 });
+
+    const change = page.locator('#structural-change-list .structural-change');
+    await expect(change).toHaveCount(1);
+    await expect(change.locator('.structural-value-old')).toHaveText('Then upgrade the database.');
+    await expect(change.locator('.structural-value-new')).toHaveText('Then migrate the database.');
+  });
+
+  test('should list syntax tree edits and underline them in the panels', async ({ page }) => {
+    await page.locator('#previous-text').fill('function parseConfig(x) {\n  const value = x * 2;\n  return load(value);\n}\n');
+    await page.locator('#current-text').fill('function parseConfig(count) {\n  const value = count * 2;\n  return load(value, true);\n}\n');
+
+    await page.locator('#syntax-diff').check();
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#syntax-container', { state: 'visible', timeout: 30000 });
+
+    const changes = page.locator('#syntax-change-list .structural-change');
+    await expect(changes).toHaveCount(2);
+    await expect(changes.first()).toContainText('renamed parameter x → count in parseConfig');
+    await expect(changes.first().locator('.syntax-count')).toHaveText('2 places');
+    await expect(changes.nth(1)).toContainText('added argument true in parseConfig');
+    await expect(page.locator('#current-diff-panel .ast-edit.update').first()).toHaveText('count');
+    await expect(page.locator('#current-diff-panel .ast-edit.insert')).toHaveText('true');
+  });
+
+  test('should count renamed lines and hide them on request', async ({ page }) => {
+    await page.locator('#previous-text').fill('function parseConfig(x) {\n  const value = x * 2;\n  return load(x, value);\n}\n');
+    await page.locator('#current-text').fill('function parseConfig(count) {\n  const value = count * 2;\n  return load(count, value, true);\n}\n');
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#previous-diff-content .diff-row.renamed', { timeout: 30000 });
+
+    await expect(page.getByTestId('stat-renamed')).toHaveText('2');
+    await expect(page.getByTestId('stat-modified')).toHaveText('1');
+    const renamedRow = page.locator('#current-diff-content .diff-row.renamed').first();
+    await expect(renamedRow).toHaveAttribute('title', 'Renamed x → count');
+    await expect(renamedRow.locator('.line-number')).toHaveText('≈1');
+
+    await page.getByTestId('hide-renames').check();
+    await expect(page.locator('.diff-row.renamed')).toHaveCount(0);
+    await expect(page.locator('#previous-diff-content .diff-row.modified .line-content')).toContainText('return load(x, value);');
+    await expect(page.locator('#current-diff-content .diff-row').first()).toHaveAttribute('title', 'Renamed x → count');
+    await expect(page.getByTestId('stat-renamed')).toHaveText('2');
+  });
+
+  test('should list changed symbols and scroll to their first change', async ({ page }) => {
+    const oldText = 'class Parser {\n  parse(x) {\n    return x + 1;\n  }\n}\n\nfunction unused() {\n  return null;\n}\n';
+    const newText = 'class Parser {\n  parse(x) {\n    return x + 2;\n  }\n}\n';
+    await page.locator('#previous-text').fill(oldText);
+    await page.locator('#current-text').fill(newText);
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#symbol-sidebar', { state: 'visible', timeout: 30000 });
+
+    const symbols = page.locator('#symbol-list .structural-change');
+    await expect(symbols).toHaveCount(2);
+    await expect(symbols.first()).toHaveAttribute('data-status', 'modified');
+    await expect(symbols.first().locator('.symbol-name')).toHaveText('Parser.parse');
+    await expect(symbols.first().locator('.syntax-count')).toHaveText('~1');
+    await expect(symbols.nth(1)).toHaveAttribute('data-status', 'deleted');
+    await expect(symbols.nth(1).locator('.symbol-name')).toHaveText('unused');
+    await expect(page.getByTestId('symbol-summary')).toHaveText('1 modified, 0 added, 1 deleted, 0 moved');
+
+    await symbols.nth(1).click();
+    await expect(page.locator('#previous-diff-content')).toContainText('function unused() {');
+  });
+
+  test('should ignore line order of an access list', async ({ page }) => {
+    await page.locator('#previous-text').fill('ip access-list extended WEB\n permit tcp any any eq 80\n permit tcp any any eq 443\n deny ip any any\n');
+    await page.locator('#current-text').fill('ip access-list extended WEB\n permit tcp any any eq 443\n permit tcp any any eq 80\n permit udp any any eq 53\n deny ip any any\n');
+
+    await page.locator('#ignore-line-order').check();
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#stats', { timeout: 30000 });
+
+    await expect(page.locator('[data-testid="stat-added"]')).toHaveText('1');
+    for (const stat of ['removed', 'modified', 'moved']) {
+      await expect(page.locator(`[data-testid="stat-${stat}"]`)).toHaveText('0');
+    }
+    await expect(page.locator('#current-diff-panel .diff-row.added')).toContainText('permit udp any any eq 53');
+  });
+
+  test('should compare JunOS set commands with a hierarchy config', async ({ page }) => {
+    await page.locator('#previous-text').fill('system {\n    services {\n        ssh;\n    }\n    host-name r1;\n}\n');
+    await page.locator('#current-text').fill('set system host-name r2\nset system services ssh\n');
+
+    await page.locator('#junos-style').selectOption('set');
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#stats', { timeout: 30000 });
+
+    await expect(page.locator('[data-testid="stat-modified"]')).toHaveText('1');
+    for (const stat of ['added', 'removed']) {
+      await expect(page.locator(`[data-testid="stat-${stat}"]`)).toHaveText('0');
+    }
+    await expect(page.locator('#previous-diff-panel')).toContainText('set system services ssh');
   });
 });
 
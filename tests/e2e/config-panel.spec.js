@@ -280,3 +280,108 @@ test.describe('Config Panel - Integration with Main App', () => {
     await expect(page.locator('#current-text')).toHaveValue('test content 2');
   });
 });
+
+test.describe('Config Panel - Collapse Unchanged Regions', () => {
+  test('should fold unchanged lines and expand them in place', async ({ page }) => {
+    await page.goto('/index.html');
+
+    const lines = Array(200).fill(null).map((_, i) => `value_${i} = ${i}`);
+    const modified = lines.map((line, i) => (i === 100 ? 'value_100 = changed' : line));
+
+    await page.locator('#config-toggle-btn').click();
+    await page.locator('#collapse-unchanged').check();
+    await page.locator('#context-lines').fill('3');
+    await page.locator('#save-config-btn').click();
+
+    await page.locator('#previous-text').fill(lines.join('\n'));
+    await page.locator('#current-text').fill(modified.join('\n'));
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#previous-diff-content .fold-row', { timeout: 10000 });
+
+    // One fold before and one after the change, 3 context lines each side
+    const folds = page.locator('#previous-diff-content .fold-row');
+    await expect(folds).toHaveCount(2);
+    await expect(folds.first()).toContainText('97 unchanged lines');
+    expect(await page.locator('#previous-diff-content .diff-row').count()).toBeLessThan(10);
+
+    // Navigation still reaches the change
+    await page.locator('#next-change-btn').click();
+    await expect(page.locator('#change-counter')).toHaveText('1 of 1');
+
+    // Expand 20 lines at a time, then fully
+    await folds.first().locator('[data-fold-action="bottom"]').click();
+    await expect(folds.first()).toContainText('77 unchanged lines');
+    await folds.first().locator('[data-fold-action="all"]').click();
+    await expect(page.locator('#previous-diff-content .fold-row')).toHaveCount(1);
+
+    // Folding also applies to the unified view
+    await page.locator('[data-view="unified"]').click();
+    await expect(page.locator('#unified-diff-content .fold-row')).toHaveCount(1);
+  });
+});
+
+test.describe('Config Panel - Ignore Patterns', () => {
+  test('should apply, persist and validate ignore patterns', async ({ page }) => {
+    await page.goto('/index.html');
+
+    await page.locator('#config-toggle-btn').click();
+    await page.locator('#add-ignore-pattern-btn').click();
+    const row = page.locator('#ignore-patterns-list .ignore-pattern-row').first();
+    await row.locator('.ignore-pattern-input').fill('^! Last configuration change');
+    await row.locator('.ignore-pattern-mode').selectOption('drop');
+    await page.locator('#add-ignore-pattern-btn').click();
+    const maskRow = page.locator('#ignore-patterns-list .ignore-pattern-row').nth(1);
+    await maskRow.locator('.ignore-pattern-input').fill('clock-period \\d+');
+    await page.locator('#save-config-btn').click();
+
+    const stored = await page.evaluate(() => JSON.parse(localStorage.getItem('textDiffTool_config')));
+    expect(stored.ignorePatterns).toEqual([
+      { pattern: '^! Last configuration change', mode: 'drop' },
+      { pattern: 'clock-period \\d+', mode: 'mask' }
+    ]);
+
+    await page.locator('#previous-text').fill('! Last configuration change at 10:01:02 UTC\nhostname r1\nntp clock-period 17179738\n');
+    await page.locator('#current-text').fill('! Last configuration change at 11:22:33 UTC\nhostname r1\nntp clock-period 17179812\n');
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#previous-diff-content .diff-row', { timeout: 10000 });
+
+    await expect(page.locator('#previous-diff-content .diff-row.ignored')).toHaveCount(1);
+    await expect(page.locator('#previous-diff-content .diff-row.masked')).toHaveCount(1);
+    await expect(page.locator('#previous-diff-content .diff-row.modified')).toHaveCount(0);
+
+    // Rules survive a reload
+    await page.reload();
+    await page.locator('#config-toggle-btn').click();
+    await expect(page.locator('#ignore-patterns-list .ignore-pattern-input').first()).toHaveValue('^! Last configuration change');
+
+    // Invalid patterns are reported and not saved
+    await page.locator('#ignore-patterns-list .ignore-pattern-input').first().fill('(unclosed');
+    await page.locator('#save-config-btn').click();
+    await expect(page.locator('#ignore-patterns-error')).toContainText('Invalid ignore pattern');
+    await expect(page.locator('#ignore-patterns-list .ignore-pattern-input').first()).toHaveAttribute('aria-invalid', 'true');
+    const unchanged = await page.evaluate(() => JSON.parse(localStorage.getItem('textDiffTool_config')));
+    expect(unchanged.ignorePatterns[0].pattern).toBe('^! Last configuration change');
+  });
+});
+
+test.describe('Config Panel - Library Source', () => {
+  test('should save where runtime libraries load from', async ({ page }) => {
+    await page.goto('/index.html');
+
+    await page.locator('#config-toggle-btn').click();
+    await expect(page.locator('#asset-source')).toHaveValue('local-first');
+    await page.locator('#asset-source').selectOption('cdn');
+    await page.locator('#save-config-btn').click();
+
+    const stored = await page.evaluate(() => JSON.parse(localStorage.getItem('textDiffTool_config')));
+    expect(stored.assetSource).toBe('cdn');
+
+    // Comparisons still run with the library from the CDN
+    await page.reload();
+    await page.locator('#previous-text').fill('alpha\nbeta\n');
+    await page.locator('#current-text').fill('alpha\ngamma\n');
+    await page.locator('#compare-btn').click();
+    await page.waitForSelector('#previous-diff-content .diff-row', { timeout: 10000 });
+    await expect(page.locator('#previous-diff-content .diff-row.modified, #previous-diff-content .diff-row.removed')).not.toHaveCount(0);
+  });
+});
@@ -167,6 +167,26 @@ test.describe('Performance - Progress Modal', () => {
     const modalText = await modal.textContent();
     expect(modalText).toMatch(/analyzing|comparing|processing/i);
   });
+
+  test('progress modal should show the pipeline phase and cancel the comparison', async ({ page }) => {
+    await page.goto('/index.html');
+    await page.evaluate(() => { window.__TEST_MODE__ = true; });
+    
+    const lines = Array(20000).fill(null).map((_, i) => `Line ${i + 1} with some content to ensure processing time`).join('\n');
+    const modifiedLines = Array(20000).fill(null).map((_, i) => `Line ${i + 1} with modified content for comparison`).join('\n');
+    
+    await page.locator('#previous-text').fill(lines);
+    await page.locator('#current-text').fill(modifiedLines);
+    await page.locator('#compare-btn').click();
+    
+    const modal = page.locator('#progress-modal');
+    await expect(modal).toBeVisible({ timeout: 5000 });
+    await expect(page.locator('#progress-phase')).not.toBeEmpty({ timeout: 10000 });
+    
+    await page.locator('#cancel-comparison-btn').click();
+    await expect(modal).toBeHidden({ timeout: 5000 });
+    await expect(page.locator('.diff-row')).toHaveCount(0);
+  });
 });
 
 test.describe('Performance - Results Appearance', () => {
@@ -335,4 +355,29 @@ test.describe('Performance - Rendering', () => {
       expect(Math.abs(prevScroll - currScroll)).toBeLessThan(10);
     }
   });
+
+  test('should only render the visible rows of a 50k-line diff', async ({ page }) => {
+    await page.goto('/index.html');
+    
+    const lines = Array(50000).fill(null).map((_, i) => `interface Ethernet${i} description port ${i}`);
+    const modifiedLines = lines.map((line, i) => (i === 40000 ? `${line} changed` : line));
+    
+    await page.locator('#previous-text').fill(lines.join('\n'));
+    await page.locator('#current-text').fill(modifiedLines.join('\n'));
+    await page.locator('#compare-btn').click();
+    
+    await page.waitForSelector('#previous-diff-content.virtual-list .diff-row', { timeout: 60000 });
+    
+    // Only the viewport plus the overscan buffer is in the DOM
+    const rowCount = await page.locator('#previous-diff-content .diff-row').count();
+    expect(rowCount).toBeLessThan(200);
+    
+    // Navigating to the change mounts its rows in both panels
+    await page.locator('#next-change-btn').click();
+    await expect(page.locator('#previous-diff-content .diff-row.modified')).toHaveCount(1);
+    await expect(page.locator('#current-diff-content .diff-row.modified')).toHaveCount(1);
+    
+    // Unchanged rows that come into view are still syntax highlighted
+    await expect(page.locator('#current-diff-content .diff-row:not(.modified) .line-content span').first()).toBeVisible();
+  });
 });
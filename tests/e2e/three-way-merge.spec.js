@@ -0,0 +1,56 @@
+/**
+ * Three-Way Merge E2E Tests
+ *
+ * Selectors:
+ * - #three-way-btn - Toggles three-way merge mode
+ * - #base-text - Base (common ancestor) textarea, visible in merge mode
+ * - #previous-text / #current-text - Ours / theirs in merge mode
+ * - [data-testid="merge-summary"] - Region counts
+ * - .merge-region.conflict - Conflict regions with "Use ours/theirs/both/base" buttons
+ * - #merged-output - Merged result with conflict markers
+ */
+
+import { test, expect } from '@playwright/test';
+
+const BASE = 'hostname r1\ninterface Gi0/1\n description uplink\n!\nntp server 10.0.0.1\n';
+const OURS = 'hostname r1\ninterface Gi0/1\n description core-uplink\n!\nntp server 10.0.0.1\n';
+const THEIRS = 'hostname r1\ninterface Gi0/1\n description isp-uplink\n!\nntp server 10.0.0.2\n';
+
+test.describe('Three-Way Merge', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => { window.__TEST_MODE__ = true; });
+  });
+
+  test('should show the base panel only in merge mode', async ({ page }) => {
+    await expect(page.locator('#base-text')).toBeHidden();
+
+    await page.click('#three-way-btn');
+    await expect(page.locator('#base-text')).toBeVisible();
+    await expect(page.locator('#three-way-btn')).toHaveAttribute('aria-pressed', 'true');
+    await expect(page.locator('#compare-btn')).toHaveText('Merge');
+
+    await page.click('#three-way-btn');
+    await expect(page.locator('#base-text')).toBeHidden();
+  });
+
+  test('should classify regions and resolve a conflict', async ({ page }) => {
+    await page.click('#three-way-btn');
+    await page.fill('#base-text', BASE);
+    await page.fill('#previous-text', OURS);
+    await page.fill('#current-text', THEIRS);
+    await page.click('#compare-btn');
+
+    await expect(page.locator('#merge-container')).toBeVisible({ timeout: 30000 });
+    await expect(page.locator('[data-testid="merge-summary"]')).toContainText('1 conflicting');
+    await expect(page.locator('[data-testid="merge-summary"]')).toContainText('1 theirs only');
+
+    const merged = page.locator('#merged-output');
+    await expect(merged).toHaveValue(/<<<<<<< ours\n description core-uplink\n=======\n description isp-uplink\n>>>>>>> theirs/);
+    await expect(merged).toHaveValue(/ntp server 10\.0\.0\.2/);
+
+    await page.locator('.merge-region.conflict button[data-resolution="theirs"]').click();
+    await expect(merged).toHaveValue(THEIRS);
+    await expect(page.locator('[data-testid="merge-unresolved"]')).toHaveText('All conflicts resolved');
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * JSON Structural Diff Tests
+ *
+ * Tests for the line-aware JSON parser and the by-path tree comparison.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseJsonTree,
+  formatJsonPath,
+  compareJson,
+  JsonParseError
+} from '../src/json-diff.js';
+
+describe('JSON Structural Diff', () => {
+  describe('parseJsonTree', () => {
+    it('should record the source lines of values', () => {
+      const tree = parseJsonTree('{\n  "name": "lab",\n  "servers": [\n    1,\n    2\n  ]\n}\n');
+
+      expect(tree).toMatchObject({ type: 'object', startLine: 1, endLine: 7 });
+      expect(tree.entries.get('name')).toMatchObject({ type: 'string', value: 'lab', startLine: 2, endLine: 2 });
+      expect(tree.entries.get('servers')).toMatchObject({ type: 'array', startLine: 3, endLine: 6 });
+      expect(tree.entries.get('servers').items.map(item => item.startLine)).toEqual([4, 5]);
+    });
+
+    it('should parse every JSON value type', () => {
+      const tree = parseJsonTree('[true, false, null, -1.5e2, "a\\"b", {}, []]');
+
+      expect(tree.items.map(item => item.type)).toEqual(['boolean', 'boolean', 'null', 'number', 'string', 'object', 'array']);
+      expect(tree.items[3].value).toBe(-150);
+      expect(tree.items[4].value).toBe('a"b');
+    });
+
+    it('should throw JsonParseError with the line of the problem', () => {
+      expect(() => parseJsonTree('{\n  "a": 1,\n}')).toThrow(JsonParseError);
+      expect(() => parseJsonTree('{\n  "a": 1,\n}')).toThrow(/^Line 3:/);
+      expect(() => parseJsonTree('')).toThrow('Unexpected end of document');
+      expect(() => parseJsonTree('{} {}')).toThrow('after the JSON value');
+    });
+  });
+
+  describe('formatJsonPath', () => {
+    it('should use dot notation for identifiers and brackets otherwise', () => {
+      expect(formatJsonPath([])).toBe('$');
+      expect(formatJsonPath(['servers', 3, 'port'])).toBe('$.servers[3].port');
+      expect(formatJsonPath(['headers', 'content-type'])).toBe('$.headers["content-type"]');
+    });
+  });
+
+  describe('compareJson', () => {
+    it('should ignore key order and formatting', () => {
+      const changes = compareJson(
+        '{\n  "a": 1,\n  "b": [1, 2]\n}',
+        '{"b":[1,2],"a":1}'
+      );
+
+      expect(changes).toEqual([]);
+    });
+
+    it('should report added, removed and changed values by path', () => {
+      const changes = compareJson(
+        '{\n  "servers": [\n    { "host": "a", "port": 80 }\n  ],\n  "debug": false\n}',
+        '{\n  "servers": [\n    { "host": "a", "port": 8080 }\n  ],\n  "owner": "ops"\n}'
+      );
+
+      expect(changes.map(change => [change.type, change.path])).toEqual([
+        ['changed', '$.servers[0].port'],
+        ['removed', '$.debug'],
+        ['added', '$.owner']
+      ]);
+      expect(changes[0]).toMatchObject({
+        oldValue: 80,
+        newValue: 8080,
+        oldLines: { start: 3, end: 3 },
+        newLines: { start: 3, end: 3 }
+      });
+      expect(changes[1]).toMatchObject({ oldValue: false, oldLines: { start: 5, end: 5 }, newLines: null });
+    });
+
+    it('should report a type change as a changed value', () => {
+      const changes = compareJson('{"port": 80}', '{"port": "80"}');
+
+      expect(changes).toEqual([expect.objectContaining({ type: 'changed', path: '$.port', oldValue: 80, newValue: '80' })]);
+    });
+
+    it('should report array elements that moved', () => {
+      const changes = compareJson(
+        '["a", "b", "c", "d"]',
+        '["a", "c", "d", "b"]'
+      );
+
+      expect(changes).toEqual([expect.objectContaining({ type: 'moved', oldPath: '$[1]', path: '$[3]', newValue: 'b' })]);
+    });
+
+    it('should compare array elements in place by their new index', () => {
+      const changes = compareJson(
+        '{"rules": [{"id": 1, "allow": true}, {"id": 2, "allow": true}]}',
+        '{"rules": [{"id": 0, "allow": false}, {"id": 1, "allow": true}, {"id": 2, "allow": false}]}'
+      );
+
+      expect(changes.map(change => [change.type, change.path, change.oldPath])).toEqual([
+        ['changed', '$.rules[2].allow', '$.rules[1].allow'],
+        ['added', '$.rules[0]', undefined]
+      ]);
+    });
+
+    it('should throw when a side is not valid JSON', () => {
+      expect(() => compareJson('{"a": 1}', '{"a": }')).toThrow(JsonParseError);
+    });
+  });
+});
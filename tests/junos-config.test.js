@@ -0,0 +1,226 @@
+/**
+ * JunOS Config Tests
+ *
+ * Tests for converting JunOS configs between the curly-brace hierarchy and
+ * set commands, and for writing two configs in the same style.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  JunosParseError,
+  hierarchyToSet,
+  setToHierarchy,
+  normalizeJunosConfigs
+} from '../src/junos-config.js';
+import { detectJunosStyle, JUNOS_STYLES } from '../src/format-detect.js';
+
+const HIERARCHY = `## Last commit: 2026-01-05 10:00:00 UTC by admin
+version 21.4R3;
+system {
+    host-name r1;
+    services {
+        ssh;
+    }
+    /* time sources */
+    ntp {
+        server 10.0.0.2;
+        server 10.0.0.1;
+    }
+}
+interfaces {
+    ge-0/0/10 {
+        description "to core";
+        unit 0 {
+            family inet {
+                address 10.0.0.1/24;
+            }
+        }
+    }
+    ge-0/0/2 {
+        inactive: disable;
+        unit 0 {
+            family ethernet-switching {
+                vlan {
+                    members [ v20 v10 ];
+                }
+            }
+        }
+    }
+}
+firewall {
+    family inet {
+        filter PROTECT {
+            term ssh {
+                from {
+                    protocol tcp;
+                }
+                then accept;
+            }
+            term deny {
+                then discard;
+            }
+        }
+    }
+}
+`;
+
+const SET = `set firewall family inet filter PROTECT term ssh from protocol tcp
+set firewall family inet filter PROTECT term ssh then accept
+set firewall family inet filter PROTECT term deny then discard
+set interfaces ge-0/0/2 disable
+deactivate interfaces ge-0/0/2 disable
+set interfaces ge-0/0/2 unit 0 family ethernet-switching vlan members v10
+set interfaces ge-0/0/2 unit 0 family ethernet-switching vlan members v20
+set interfaces ge-0/0/10 description "to core"
+set interfaces ge-0/0/10 unit 0 family inet address 10.0.0.1/24
+set system host-name r1
+set system ntp server 10.0.0.1
+set system ntp server 10.0.0.2
+set system services ssh
+set version 21.4R3
+`;
+
+describe('JunOS Config', () => {
+  describe('detectJunosStyle', () => {
+    it('should tell set commands from a hierarchy', () => {
+      expect(detectJunosStyle(HIERARCHY)).toBe(JUNOS_STYLES.HIERARCHY);
+      expect(detectJunosStyle(`# display set\n${SET}`)).toBe(JUNOS_STYLES.SET);
+    });
+
+    it('should not detect other text', () => {
+      expect(detectJunosStyle('')).toBe(null);
+      expect(detectJunosStyle('const a = {\n  b: 1\n};\n')).toBe(null);
+      expect(detectJunosStyle('set x 1\necho done\n')).toBe(null);
+    });
+  });
+
+  describe('hierarchyToSet', () => {
+    it('should flatten the hierarchy into sorted set commands', () => {
+      expect(hierarchyToSet(HIERARCHY)).toBe(SET);
+    });
+
+    it('should throw JunosParseError with the line of the problem', () => {
+      expect(() => hierarchyToSet('system {\n    host-name r1\n}\n')).toThrow(JunosParseError);
+      expect(() => hierarchyToSet('system {\n    host-name r1\n}\n')).toThrow('Line 3: Missing ; before }');
+      expect(() => hierarchyToSet('system {\n    host-name r1;\n')).toThrow('Line 1: Missing }');
+      expect(() => hierarchyToSet('system {\n}\n}\n')).toThrow('Line 3: Unexpected }');
+      expect(() => hierarchyToSet('vlan {\n    members [ v10;\n}\n')).toThrow('Missing ]');
+    });
+  });
+
+  describe('setToHierarchy', () => {
+    it('should nest set commands by named statements and leaves', () => {
+      expect(setToHierarchy(SET)).toBe(`firewall {
+    family inet {
+        filter PROTECT {
+            term ssh {
+                from {
+                    protocol tcp;
+                }
+                then accept;
+            }
+            term deny {
+                then discard;
+            }
+        }
+    }
+}
+interfaces {
+    ge-0/0/2 {
+        inactive: disable;
+        unit 0 {
+            family ethernet-switching {
+                vlan {
+                    members [ v10 v20 ];
+                }
+            }
+        }
+    }
+    ge-0/0/10 {
+        description "to core";
+        unit 0 {
+            family inet {
+                address 10.0.0.1/24;
+            }
+        }
+    }
+}
+system {
+    host-name r1;
+    ntp {
+        server 10.0.0.1;
+        server 10.0.0.2;
+    }
+    services {
+        ssh;
+    }
+}
+version 21.4R3;
+`);
+    });
+
+    it('should give the same set commands back', () => {
+      expect(hierarchyToSet(setToHierarchy(SET))).toBe(SET);
+    });
+
+    it('should keep the braces of statements that take no value', () => {
+      const hierarchy = `interfaces {
+    ge-0/0/1 {
+        mtu 9192;
+        unit 0 {
+            family inet;
+        }
+    }
+}
+system {
+    services {
+        netconf {
+            ssh;
+        }
+        ssh {
+            root-login deny;
+        }
+    }
+}
+`;
+
+      expect(setToHierarchy(hierarchyToSet(hierarchy))).toBe(hierarchy);
+    });
+
+    it('should apply delete and deactivate commands', () => {
+      expect(setToHierarchy('set system host-name r1\nset system ntp server 10.0.0.1\ndelete system ntp\ndeactivate system host-name\n'))
+        .toBe('system {\n    inactive: host-name r1;\n}\n');
+      expect(() => setToHierarchy('set system host-name r1\nshow configuration\n')).toThrow('Line 2: Expected a set command');
+    });
+  });
+
+  describe('normalizeJunosConfigs', () => {
+    it('should write both sides in the chosen style', () => {
+      const result = normalizeJunosConfigs(HIERARCHY, SET.replace('host-name r1', 'host-name r2'));
+
+      expect(result.oldStyle).toBe(JUNOS_STYLES.HIERARCHY);
+      expect(result.newStyle).toBe(JUNOS_STYLES.SET);
+      expect(result.oldText).toBe(SET);
+      expect(result.newText).toBe(SET.replace('host-name r1', 'host-name r2'));
+
+      const hierarchy = normalizeJunosConfigs(HIERARCHY, SET, JUNOS_STYLES.HIERARCHY);
+      expect(hierarchy.oldText).toBe(hierarchy.newText);
+    });
+
+    it('should leave other text alone and report the side that fails', () => {
+      expect(normalizeJunosConfigs('hello\n', SET)).toBe(null);
+      expect(normalizeJunosConfigs('', SET).oldText).toBe('');
+
+      let error;
+      try {
+        normalizeJunosConfigs(HIERARCHY, 'system {\n');
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toBeInstanceOf(JunosParseError);
+      expect(error).toMatchObject({ side: 'new', lineNumber: 1 });
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Key-Value Structural Diff Tests
+ *
+ * Tests for reading INI, TOML and .env files into sections of keys and
+ * comparing them by key regardless of order.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as Diff from 'diff';
+import {
+  KeyValueParseError,
+  parseKeyValue,
+  compareKeyValue
+} from '../src/key-value-diff.js';
+import { detectKeyValueFormat } from '../src/format-detect.js';
+import { describeStructuralChange } from '../src/structural-diff.js';
+
+const SERVER_INI = `; server settings
+[server]
+host = example.com
+port = 80 ; http
+listen = 10.0.0.1
+listen = 10.0.0.2
+
+[paths]
+search = /usr/lib
+  /opt/lib
+`;
+
+const CARGO_TOML = `[package]
+name = "demo"
+version = "0.1.0"
+authors = [
+  "Ann",  # maintainer
+  "Bo",
+]
+
+[[bin]]
+name = "cli"
+path = "src/cli.rs"
+`;
+
+const describeAll = changes => changes.map(describeStructuralChange);
+
+describe('Key-Value Structural Diff', () => {
+  describe('detectKeyValueFormat', () => {
+    it('should tell INI, TOML and .env apart', () => {
+      expect(detectKeyValueFormat(SERVER_INI, '')).toBe('ini');
+      expect(detectKeyValueFormat(CARGO_TOML, CARGO_TOML)).toBe('toml');
+      expect(detectKeyValueFormat('DB_HOST=localhost\nexport PATH=/usr/bin\nNOTE="two\nlines"\n', '')).toBe('env');
+      expect(detectKeyValueFormat('retries = 3\nmode = fast\n', '')).toBe('ini');
+    });
+
+    it('should not detect prose, YAML or empty text', () => {
+      expect(detectKeyValueFormat('Hello world\nx = 1\n', '')).toBe(null);
+      expect(detectKeyValueFormat('name: web\nport: 80\n', '')).toBe(null);
+      expect(detectKeyValueFormat('', '\n')).toBe(null);
+    });
+  });
+
+  describe('parseKeyValue', () => {
+    it('should read comments, duplicate keys and continuation lines', () => {
+      const [top, server, paths] = parseKeyValue(SERVER_INI + 'cmd = run \\\n  --fast\n', 'ini');
+
+      expect(top.entries).toEqual([]);
+      expect(server.entries.map(entry => `${entry.key}=${entry.value}`))
+        .toEqual(['host=example.com', 'port=80', 'listen=10.0.0.1', 'listen=10.0.0.2']);
+      expect(paths.entries[0]).toEqual({ key: 'search', value: '/usr/lib\n/opt/lib', startLine: 9, endLine: 10 });
+      expect(paths.entries[1]).toMatchObject({ key: 'cmd', value: 'run --fast', startLine: 11, endLine: 12 });
+    });
+
+    it('should resolve TOML strings and multi-line arrays', () => {
+      const [, packageTable, bin] = parseKeyValue(`${CARGO_TOML}description = """
+A demo \\
+  crate."""
+"quoted key" = 'C:\\path'
+`, 'toml');
+
+      expect(packageTable.entries[2]).toEqual({ key: 'authors', value: '["Ann", "Bo"]', startLine: 4, endLine: 7 });
+      expect(bin).toMatchObject({ name: 'bin', array: true, startLine: 9 });
+      expect(bin.entries.slice(2)).toEqual([
+        { key: 'description', value: 'A demo crate.', startLine: 12, endLine: 14 },
+        { key: 'quoted key', value: 'C:\\path', startLine: 15, endLine: 15 }
+      ]);
+    });
+
+    it('should throw KeyValueParseError for unreadable lines', () => {
+      expect(() => parseKeyValue('[server]\njust text\n', 'ini')).toThrow(KeyValueParseError);
+      expect(() => parseKeyValue('[server]\njust text\n', 'ini')).toThrow('Line 2: Expected "key = value": just text');
+      expect(() => parseKeyValue('list = [1,\n2\n', 'toml')).toThrow('Line 1: Unterminated array');
+      expect(() => parseKeyValue('KEY="open\n', 'env')).toThrow('Line 1: Unterminated quoted value');
+    });
+  });
+
+  describe('compareKeyValue', () => {
+    it('should ignore reordered keys, sections, comments and spacing', () => {
+      const reordered = '[paths]\nsearch=/usr/lib\n    /opt/lib\n[server]\nport=80\nhost = example.com # main\nlisten = 10.0.0.1\nlisten = 10.0.0.2\n';
+
+      expect(compareKeyValue(SERVER_INI, reordered, { format: 'ini' })).toEqual([]);
+      expect(compareKeyValue(CARGO_TOML, CARGO_TOML.replace('[\n  "Ann",  # maintainer\n  "Bo",\n]', '["Ann", "Bo"]'), { format: 'toml' }))
+        .toEqual([]);
+    });
+
+    it('should report added, removed and changed keys with a word diff of the value', () => {
+      const changed = SERVER_INI
+        .replace('port = 80 ; http', 'port = 8080')
+        .replace('listen = 10.0.0.2\n', '')
+        .replace('[paths]', '[paths]\ncache = /var/cache');
+
+      const changes = compareKeyValue(SERVER_INI, changed, { format: 'ini', diffWords: Diff.diffWords });
+
+      expect(describeAll(changes)).toEqual([
+        'server.port: "80" → "8080"',
+        'server.listen[2]: "10.0.0.2"',
+        'paths.cache: "/var/cache"'
+      ]);
+      expect(changes[0]).toMatchObject({
+        oldLines: { start: 4, end: 4 },
+        newLines: { start: 4, end: 4 },
+        wordDiff: Diff.diffWords('80', '8080')
+      });
+      expect(changes[1].wordDiff).toBeUndefined();
+    });
+
+    it('should compare TOML array tables and .env values', () => {
+      const toml = compareKeyValue(CARGO_TOML, CARGO_TOML.replace('src/cli.rs', 'src/main.rs') + '\n[[bin]]\nname = "srv"\n', { format: 'toml' });
+      const env = compareKeyValue('HOST=db\nPORT=5432\n', 'PORT=5433\nexport HOST=db\nNEW=1\n', { format: 'env' });
+
+      expect(describeAll(toml)).toEqual(['bin[1].path: "src/cli.rs" → "src/main.rs"', 'bin[2]: {"name":"srv"}']);
+      expect(describeAll(env)).toEqual(['PORT: "5432" → "5433"', 'NEW: "1"']);
+    });
+  });
+});
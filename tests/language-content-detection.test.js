@@ -844,6 +844,320 @@ describe('HTML Content Detection', () => {
   });
 });
 
+describe('Ruby Content Detection', () => {
+  it('should detect a Ruby class with attr_reader and end', () => {
+    const content = `require 'json'
+
+class User < ApplicationRecord
+  attr_reader :name
+
+  def initialize(name)
+    @name = name
+  end
+end`;
+    expect(detectLanguage('', content)).toBe('ruby');
+  });
+
+  it('should detect Ruby blocks with puts', () => {
+    const content = `items.each do |item|
+  puts item.name
+end`;
+    expect(detectLanguage('', content)).toBe('ruby');
+  });
+
+  it('should NOT detect Python def with colon as Ruby', () => {
+    const content = `def greet(name):
+    # Say hello
+    print(name)`;
+    expect(detectLanguage('', content)).not.toBe('ruby');
+  });
+});
+
+describe('PHP Content Detection', () => {
+  it('should detect PHP from the opening tag', () => {
+    const content = `<?php
+
+echo "Hello";`;
+    expect(detectLanguage('', content)).toBe('php');
+  });
+
+  it('should detect PHP class code without the opening tag', () => {
+    const content = `namespace App\\Models;
+
+use Illuminate\\Database\\Eloquent\\Model;
+
+class User extends Model
+{
+    public function setName($name)
+    {
+        $this->name = $name;
+    }
+}`;
+    expect(detectLanguage('', content)).toBe('php');
+  });
+
+  it('should NOT detect a Bash variable as PHP', () => {
+    const content = `#!/bin/bash
+echo "$HOME"`;
+    expect(detectLanguage('', content)).not.toBe('php');
+  });
+});
+
+describe('C# Content Detection', () => {
+  it('should detect C# with using System and Console', () => {
+    const content = `using System;
+
+namespace Demo
+{
+    class Program
+    {
+        static void Main(string[] args)
+        {
+            Console.WriteLine("Hello");
+        }
+    }
+}`;
+    expect(detectLanguage('', content)).toBe('csharp');
+  });
+
+  it('should detect C# auto-properties and PascalCase methods', () => {
+    const content = `public class Order
+{
+    public int Id { get; set; }
+
+    public async Task SaveAsync()
+    {
+        await repository.Save(this);
+    }
+}`;
+    expect(detectLanguage('', content)).toBe('csharp');
+  });
+
+  it('should NOT detect Java as C#', () => {
+    const content = `public class Main {
+    public static void main(String[] args) {
+        System.out.println("Hello");
+    }
+}`;
+    expect(detectLanguage('', content)).not.toBe('csharp');
+  });
+});
+
+describe('Kotlin Content Detection', () => {
+  it('should detect Kotlin fun and val', () => {
+    const content = `fun main() {
+    val name = "Kotlin"
+    println("Hello, $name")
+}`;
+    expect(detectLanguage('', content)).toBe('kotlin');
+  });
+
+  it('should detect Kotlin data classes and when', () => {
+    const content = `data class Point(val x: Int, val y: Int)
+
+fun describe(p: Point): String = when {
+    p.x > 0 -> "right"
+    else -> "left"
+}`;
+    expect(detectLanguage('', content)).toBe('kotlin');
+  });
+
+  it('should NOT detect JavaScript as Kotlin', () => {
+    const content = `const x = 5;
+function foo() {
+    console.log(x);
+}`;
+    expect(detectLanguage('', content)).not.toBe('kotlin');
+  });
+});
+
+describe('Swift Content Detection', () => {
+  it('should detect Swift with Foundation import and func', () => {
+    const content = `import Foundation
+
+func greet(name: String) -> String {
+    return "Hello, \\(name)"
+}`;
+    expect(detectLanguage('', content)).toBe('swift');
+  });
+
+  it('should detect Swift guard let and structs', () => {
+    const content = `struct User: Codable {
+    var name: String
+}
+
+func load(data: Data?) {
+    guard let data = data else { return }
+    print(data)
+}`;
+    expect(detectLanguage('', content)).toBe('swift');
+  });
+
+  it('should NOT detect Go as Swift', () => {
+    const content = `package main
+
+func main() {
+    fmt.Println("Hello")
+}`;
+    expect(detectLanguage('', content)).not.toBe('swift');
+  });
+});
+
+describe('Scala Content Detection', () => {
+  it('should detect a Scala object with def', () => {
+    const content = `object Main extends App {
+  def square(x: Int): Int = x * x
+  println(square(4))
+}`;
+    expect(detectLanguage('', content)).toBe('scala');
+  });
+
+  it('should detect Scala case classes and traits', () => {
+    const content = `sealed trait Shape
+case class Circle(radius: Double) extends Shape
+case class Square(side: Double) extends Shape`;
+    expect(detectLanguage('', content)).toBe('scala');
+  });
+
+  it('should NOT detect Kotlin as Scala', () => {
+    const content = `fun main() {
+    val name = "Kotlin"
+    println(name)
+}`;
+    expect(detectLanguage('', content)).not.toBe('scala');
+  });
+});
+
+describe('Lua Content Detection', () => {
+  it('should detect Lua locals and then', () => {
+    const content = `local count = 0
+if count ~= 1 then
+  print("not one")
+end`;
+    expect(detectLanguage('', content)).toBe('lua');
+  });
+
+  it('should detect Lua functions with pairs and comments', () => {
+    const content = `-- Sum a table
+local function sum(t)
+  local total = 0
+  for _, v in ipairs(t) do
+    total = total + v
+  end
+  return total
+end`;
+    expect(detectLanguage('', content)).toBe('lua');
+  });
+
+  it('should NOT detect Ruby as Lua', () => {
+    const content = `def hello
+  puts "hi"
+end`;
+    expect(detectLanguage('', content)).not.toBe('lua');
+  });
+});
+
+describe('PowerShell Content Detection', () => {
+  it('should detect PowerShell cmdlets and operators', () => {
+    const content = `$files = Get-ChildItem -Path C:\\Logs
+if ($files.Count -gt 10) {
+    Write-Host "Too many logs"
+}`;
+    expect(detectLanguage('', content)).toBe('powershell');
+  });
+
+  it('should detect PowerShell param blocks', () => {
+    const content = `param(
+    [string]$Name,
+    [switch]$Force
+)
+Write-Output "Hello $Name"`;
+    expect(detectLanguage('', content)).toBe('powershell');
+  });
+
+  it('should NOT detect Bash tests as PowerShell', () => {
+    const content = `#!/bin/bash
+if [ $count -gt 10 ]; then
+    echo "many"
+fi`;
+    expect(detectLanguage('', content)).not.toBe('powershell');
+  });
+});
+
+describe('Terraform Content Detection', () => {
+  it('should detect Terraform resources and variables', () => {
+    const content = `variable "region" {
+  default = "us-east-1"
+}
+
+resource "aws_instance" "web" {
+  ami    = "ami-123456"
+  region = var.region
+}`;
+    expect(detectLanguage('', content)).toBe('terraform');
+  });
+
+  it('should detect Terraform provider and locals blocks', () => {
+    const content = `terraform {
+  required_version = ">= 1.5"
+}
+
+provider "aws" {
+  region = local.region
+}`;
+    expect(detectLanguage('', content)).toBe('terraform');
+  });
+
+  it('should NOT detect a JSON object as Terraform', () => {
+    const content = `{"resource": {"aws_instance": {}}}`;
+    expect(detectLanguage('', content)).not.toBe('terraform');
+  });
+});
+
+describe('TOML Content Detection', () => {
+  it('should detect TOML tables with typed values', () => {
+    const content = `[package]
+name = "text-diff"
+version = "1.0.0"
+enabled = true`;
+    expect(detectLanguage('', content)).toBe('toml');
+  });
+
+  it('should detect TOML arrays of tables', () => {
+    const content = `[[servers]]
+host = "alpha"
+ports = [8000, 8001]`;
+    expect(detectLanguage('', content)).toBe('toml');
+  });
+
+  it('should NOT detect INI with semicolon comments as TOML', () => {
+    const content = `; Settings
+[database]
+host = localhost
+port = 5432`;
+    expect(detectLanguage('', content)).not.toBe('toml');
+  });
+});
+
+describe('Extension Mapping for Added Languages', () => {
+  it.each([
+    ['app.rb', 'ruby'],
+    ['index.php', 'php'],
+    ['Program.cs', 'csharp'],
+    ['Main.kt', 'kotlin'],
+    ['build.gradle.kts', 'kotlin'],
+    ['View.swift', 'swift'],
+    ['Main.scala', 'scala'],
+    ['init.lua', 'lua'],
+    ['deploy.ps1', 'powershell'],
+    ['main.tf', 'terraform'],
+    ['prod.tfvars', 'terraform'],
+    ['Cargo.toml', 'toml'],
+  ])('should map %s to %s', (filename, language) => {
+    expect(detectLanguage(filename, '')).toBe(language);
+  });
+});
+
 describe('Cross-Language Misidentification Prevention', () => {
   it('should NOT detect Go as JavaScript', () => {
     const content = `package main
@@ -0,0 +1,174 @@
+/**
+ * Language Registry Tests
+ *
+ * Every entry must declare every field, and every subsystem must take its
+ * per-language settings from the registry rather than a list of its own.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  LANGUAGES,
+  DETECTION_ORDER,
+  resolveLanguageId,
+  getLanguageForExtension,
+  detectFileLanguage,
+  getFileTypeLabel,
+  getGrammarLanguages,
+  validateLanguage,
+  validateRegistry
+} from '../src/language-registry.js';
+import { VENDOR_ASSETS } from '../src/vendor-assets.js';
+import { SUPPORTED_LANGUAGES } from '../src/tree-sitter-loader.js';
+import { HIGHLIGHT_QUERIES } from '../src/highlight-query.js';
+import { getSupportedLanguages, getBlockCommentDelimiters } from '../src/region-detector.js';
+import { SLIDER_CONFIG } from '../src/slider-correction.js';
+import { countDelimiters } from '../src/delimiter-normalizer.js';
+import { detectLanguage, isLanguageSupported } from '../src/language-detect.js';
+
+describe('Language Registry', () => {
+  describe('completeness', () => {
+    it('should have no incomplete entries', () => {
+      expect(validateRegistry()).toEqual([]);
+    });
+
+    it('should only name grammars that are pinned in VENDOR_ASSETS', () => {
+      for (const language of getGrammarLanguages()) {
+        expect(VENDOR_ASSETS[LANGUAGES[language].grammar], language).toBeTruthy();
+      }
+    });
+
+    it('should report missing and inconsistent fields', () => {
+      const complete = LANGUAGES.ruby;
+
+      expect(validateLanguage('ruby', complete)).toEqual([]);
+      expect(validateLanguage('ruby', { ...complete, extensions: [] })).toHaveLength(1);
+      expect(validateLanguage('ruby', { ...complete, highlightQuery: null })[0])
+        .toContain('need a highlightQuery');
+      expect(validateLanguage('ruby', { ...complete, detect: null })[0])
+        .toContain('DETECTION_ORDER');
+      expect(validateLanguage('ruby', { ...complete, slider: { ...complete.slider, braceWeight: 0.5 } })[0])
+        .toContain('add up to 1');
+
+      const { syntax, ...withoutSyntax } = complete;
+      expect(validateLanguage('ruby', withoutSyntax)[0]).toContain('syntax');
+    });
+  });
+
+  describe('lookup', () => {
+    it('should resolve ids and aliases case-insensitively', () => {
+      expect(resolveLanguageId('JavaScript')).toBe('javascript');
+      expect(resolveLanguageId('C#')).toBe('csharp');
+      expect(resolveLanguageId('sh')).toBe('bash');
+      expect(resolveLanguageId('cobol')).toBeNull();
+      expect(resolveLanguageId(null)).toBeNull();
+    });
+
+    it('should map extensions to languages', () => {
+      expect(getLanguageForExtension('.RB')).toBe('ruby');
+      expect(getLanguageForExtension('.d.ts')).toBe('typescript');
+      expect(getLanguageForExtension('.sql')).toBe('sql');
+      expect(getLanguageForExtension('.unknown')).toBeNull();
+    });
+  });
+
+  describe('detectFileLanguage', () => {
+    it('should prefer the extension, including languages without a grammar', () => {
+      expect(detectFileLanguage('schema.sql', '{"a": 1}')).toBe('sql');
+      expect(detectFileLanguage('boot.log', '')).toBe('log');
+      expect(detectFileLanguage('fix.diff', '')).toBe('patch');
+    });
+
+    it('should detect network configs, patches and markup from the content', () => {
+      const ios = 'hostname r1\n!\ninterface Gi0/1\n ip address 10.0.0.1 255.255.255.0\n';
+      const patch = 'diff --git a/x b/x\n--- a/x\n+++ b/x\n@@ -1 +1 @@\n-{"a": 1}\n+{"a": 2}\n';
+
+      expect(detectFileLanguage('', ios)).toBe('cisco-ios');
+      expect(detectFileLanguage('', `${ios}daemon TerminAttr\n`)).toBe('arista-eos');
+      expect(detectFileLanguage('', 'set system host-name r1\nset interfaces ge-0/0/0 unit 0\n')).toBe('juniper-junos');
+      expect(detectFileLanguage('', patch)).toBe('patch');
+      expect(detectFileLanguage('', '<config><item id="1">on</item></config>')).toBe('xml');
+      expect(detectFileLanguage('notes.txt', 'Just a few words.')).toBeNull();
+    });
+
+    it('should leave languages without a grammar out of language detection', () => {
+      expect(detectLanguage('', 'hostname r1\n!\ninterface Gi0/1\n')).not.toBe('cisco-ios');
+    });
+
+    it('should treat .txt files as plain text whatever their content', () => {
+      expect(detectFileLanguage('data.txt', '{"a": 1}')).toBeNull();
+      expect(detectFileLanguage('router.TXT', 'hostname r1\n!\ninterface Gi0/1\n')).toBeNull();
+      expect(detectFileLanguage('', '{"a": 1}')).toBe('json');
+    });
+  });
+
+  describe('getFileTypeLabel', () => {
+    it('should label headers by their extension', () => {
+      expect(getFileTypeLabel('util.h', detectFileLanguage('util.h'))).toBe('C Header');
+      expect(getFileTypeLabel('util.hpp', detectFileLanguage('util.hpp'))).toBe('C++ Header');
+      expect(getFileTypeLabel('util.hxx', detectFileLanguage('util.hxx'))).toBe('C++ Header');
+      expect(getFileTypeLabel('util.c', detectFileLanguage('util.c'))).toBe('C');
+      expect(getFileTypeLabel('util.cpp', detectFileLanguage('util.cpp'))).toBe('C++');
+    });
+
+    it('should label .txt files and unknown types as plain text', () => {
+      expect(getFileTypeLabel('data.txt', 'json')).toBe('Plain Text');
+      expect(getFileTypeLabel('', null)).toBe('Plain Text');
+      expect(getFileTypeLabel('', 'text')).toBe('Plain Text');
+    });
+
+    it('should use the language label for everything else', () => {
+      expect(getFileTypeLabel('', 'juniper-junos')).toBe(LANGUAGES['juniper-junos'].label);
+      expect(getFileTypeLabel('app.env', detectFileLanguage('app.env'))).toBe(LANGUAGES.env.label);
+    });
+  });
+
+  describe('consumers', () => {
+    const grammarLanguages = getGrammarLanguages();
+
+    it('should load a grammar for every registry language that has one', () => {
+      expect(SUPPORTED_LANGUAGES).toEqual(grammarLanguages);
+    });
+
+    it('should highlight every language that has a grammar', () => {
+      expect(Object.keys(HIGHLIGHT_QUERIES)).toEqual(grammarLanguages);
+    });
+
+    it('should give region detection and slider scoring every language', () => {
+      expect(getSupportedLanguages()).toEqual(Object.keys(LANGUAGES));
+      expect(Object.keys(SLIDER_CONFIG.LANGUAGE_PREFERENCES)).toEqual(Object.keys(LANGUAGES));
+      expect(getBlockCommentDelimiters('lua')).toEqual(LANGUAGES.lua.syntax.blockComments);
+    });
+
+    it('should count the delimiter pairs declared for the language', () => {
+      const counts = countDelimiters('`${a}`', 'typescript');
+      expect(counts['${']).toBe(1);
+    });
+
+    it('should detect every grammar language from each of its extensions', () => {
+      for (const language of grammarLanguages) {
+        expect(isLanguageSupported(language)).toBe(true);
+        for (const extension of LANGUAGES[language].extensions) {
+          expect(detectLanguage(`file${extension}`, ''), extension).toBe(language);
+        }
+      }
+    });
+
+    it('should not guess a language for registry extensions without a grammar', () => {
+      const toml = 'name = "demo"\nversion = 1\n';
+
+      expect(detectLanguage('settings.env', toml)).toBe(null);
+      expect(detectLanguage('.env', toml)).toBe(null);
+      expect(detectLanguage('setup.ini', toml)).toBe(null);
+      expect(detectLanguage('Cargo.toml', toml)).toBe('toml');
+      expect(detectLanguage('', toml)).toBe('toml');
+    });
+
+    it('should run a content heuristic for every language in DETECTION_ORDER', () => {
+      for (const language of DETECTION_ORDER) {
+        expect(typeof LANGUAGES[language].detect, language).toBe('function');
+      }
+    });
+  });
+});
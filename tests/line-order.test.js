@@ -0,0 +1,147 @@
+/**
+ * Line Order Tests
+ *
+ * Tests for the "Ignore line order" comparison: matching lines as
+ * multisets within sections, and the pipeline reporting only lines one
+ * side does not have.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as Diff from 'diff';
+import { lineSections, matchLineSets, orderLikeOld } from '../src/line-order.js';
+import { runDiffPipeline } from '../src/diff-algorithms.js';
+import { buildTerminalRows } from '../src/terminal-formatter.js';
+
+const ACL = `ip access-list extended WEB
+ permit tcp any any eq 80
+ permit tcp any any eq 443
+ deny ip any any
+ip access-list extended MGMT
+ permit tcp any any eq 22
+ deny ip any any
+`;
+
+const changesOf = results => results
+  .filter(entry => entry.added || entry.removed)
+  .map(entry => `${entry.classification} ${entry.value.trimEnd()}`);
+
+describe('Line Order', () => {
+  describe('lineSections', () => {
+    it('should put indented lines under the line above and INI lines under their header', () => {
+      const sections = lineSections(['top', '[server]', 'port = 80', 'acl A', ' permit x', '', '[client]', 'port = 80']);
+
+      expect(sections[0]).toBe('');
+      expect(sections[1]).toBe('');
+      expect(sections[2]).toBe('[server]');
+      expect(sections[4]).toBe(sections[5]);
+      expect(sections[4]).not.toBe(sections[2]);
+      expect(sections[7]).toBe('[client]');
+    });
+  });
+
+  describe('matchLineSets', () => {
+    it('should count duplicates', () => {
+      const match = matchLineSets('*.log\n*.log\ndist/\n', 'dist/\n*.log\n');
+
+      expect(match.partners).toEqual([1, -1, 0]);
+      expect(match.unmatched).toEqual([{ section: '', removed: [1], added: [] }]);
+    });
+
+    it('should only match lines within their section', () => {
+      const swapped = 'ip access-list extended WEB\n deny ip any any\nip access-list extended MGMT\n permit tcp any any eq 22\n';
+      const original = 'ip access-list extended WEB\n permit tcp any any eq 22\nip access-list extended MGMT\n deny ip any any\n';
+
+      expect(matchLineSets(original, swapped).partners).toEqual([0, -1, 2, -1]);
+      expect(matchLineSets(original, swapped, { sections: false }).partners).toEqual([0, 3, 2, 1]);
+    });
+  });
+
+  describe('orderLikeOld', () => {
+    it('should keep added lines after their neighbour', () => {
+      const match = matchLineSets('a\nb\nc\n', 'new\nc\nb\nafter-b\na');
+
+      expect(orderLikeOld(match)).toEqual({ text: 'new\na\nb\nafter-b\nc\n', lineNumbers: [1, 5, 3, 4, 2] });
+    });
+  });
+
+  describe('runDiffPipeline with ignoreLineOrder', () => {
+    it('should report no changes for reordered lines', async () => {
+      const reordered = `ip access-list extended MGMT
+ deny ip any any
+ permit tcp any any eq 22
+ip access-list extended WEB
+ permit tcp any any eq 443
+ deny ip any any
+ permit tcp any any eq 80
+`;
+
+      const { stats } = await runDiffPipeline(ACL, reordered, Diff, { ignoreLineOrder: true });
+
+      expect(stats).toMatchObject({ added: 0, removed: 0, modified: 0, moved: 0 });
+    });
+
+    it('should report only lines one side does not have and pair near-identical ones', async () => {
+      const changed = `ip access-list extended MGMT
+ permit tcp any any eq 22
+ deny ip any any log
+ip access-list extended WEB
+ permit udp any any eq 53
+ permit tcp any any eq 443
+ deny ip any any
+ permit tcp any any eq 80
+ permit tcp any any eq 80
+`;
+
+      const { results, stats } = await runDiffPipeline(ACL, changed, Diff, { ignoreLineOrder: true });
+
+      expect(stats).toMatchObject({ added: 2, removed: 0, modified: 1 });
+      expect(changesOf(results)).toEqual([
+        'added  permit udp any any eq 53',
+        'added  permit tcp any any eq 80',
+        'modified  deny ip any any',
+        'modified-skipped  deny ip any any log'
+      ]);
+    });
+
+    it('should report unpaired removed and added lines on their own', async () => {
+      const { results, stats } = await runDiffPipeline('a\nb\nb\nc\nfoo=1\n', 'c\nb\na\nfoo=2\nd\n', Diff, { ignoreLineOrder: true });
+
+      expect(stats).toMatchObject({ added: 1, removed: 1, modified: 1 });
+      expect(results.map(entry => entry.value)).not.toContain('\n');
+      expect(changesOf(results)).toEqual([
+        'removed b',
+        'modified foo=1',
+        'modified-skipped foo=2',
+        'added d'
+      ]);
+    });
+
+    it('should number the current lines like the current file', async () => {
+      const result = await runDiffPipeline('a\nb\nb\nc\nfoo=1\n', 'c\nb\na\nfoo=2\nd\n', Diff, { ignoreLineOrder: true });
+
+      // Shown as a, b, c, foo=2, d
+      expect(result.newLineNumbers).toEqual([3, 2, 1, 4, 5]);
+      const rows = buildTerminalRows(result.results, { newLineNumbers: result.newLineNumbers });
+      expect(rows.filter(row => row.newLine !== null).map(row => [row.text, row.newLine])).toEqual([
+        ['a', 3], ['b', 2], ['c', 1], ['foo=2', 4], ['d', 5]
+      ]);
+    });
+
+    it('should leave newLineNumbers unset when line order counts', async () => {
+      const result = await runDiffPipeline('a\nb\n', 'b\na\n', Diff, {});
+      expect(result.newLineNumbers).toBeUndefined();
+    });
+
+    it('should match across sections without lineOrderSections', async () => {
+      const moved = ACL.replace(' permit tcp any any eq 80\n', '').replace(' permit tcp any any eq 22\n', ' permit tcp any any eq 22\n permit tcp any any eq 80\n');
+
+      const withSections = await runDiffPipeline(ACL, moved, Diff, { ignoreLineOrder: true });
+      const withoutSections = await runDiffPipeline(ACL, moved, Diff, { ignoreLineOrder: true, lineOrderSections: false });
+
+      expect(withSections.stats.totalChanges).toBeGreaterThan(0);
+      expect(withoutSections.stats).toMatchObject({ added: 0, removed: 0, modified: 0 });
+    });
+  });
+});
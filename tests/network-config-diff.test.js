@@ -0,0 +1,166 @@
+/**
+ * Network Config Structural Diff Tests
+ *
+ * Tests for parsing Cisco IOS / Arista EOS configs into section trees and
+ * comparing them section by section.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseConfigTree, compareIndentedConfig } from '../src/network-config-diff.js';
+import { detectNetworkConfigFormat } from '../src/format-detect.js';
+import { describeStructuralChange } from '../src/structural-diff.js';
+
+const ROUTER = `Building configuration...
+
+Current configuration : 1234 bytes
+!
+version 15.2
+hostname r1
+!
+interface GigabitEthernet0/1
+ description uplink
+ ip address 10.0.0.1 255.255.255.0
+ shutdown
+!
+interface GigabitEthernet0/2
+ ip access-group WEB in
+!
+ip access-list extended WEB
+ permit tcp any any eq 80
+ permit tcp any any eq 443
+ deny ip any any
+!
+router bgp 65000
+ neighbor 10.0.0.2 remote-as 65001
+ address-family ipv4
+  network 10.0.0.0
+ exit-address-family
+!
+end
+`;
+
+const describeAll = changes => changes.map(describeStructuralChange);
+
+describe('Network Config Structural Diff', () => {
+  describe('detectNetworkConfigFormat', () => {
+    it('should detect Cisco IOS and Arista EOS configs', () => {
+      expect(detectNetworkConfigFormat(ROUTER, ROUTER)).toBe('cisco-ios');
+      expect(detectNetworkConfigFormat('', `${ROUTER}management api http-commands\n no shutdown\n`)).toBe('arista-eos');
+    });
+
+    it('should not detect other text', () => {
+      expect(detectNetworkConfigFormat('hostname r1\n', 'hostname r2\n')).toBe(null);
+      expect(detectNetworkConfigFormat('def main():\n    pass\n', '')).toBe(null);
+      expect(detectNetworkConfigFormat('interface ge-0/0/0 {\n  description x;\n}\nhostname r1\n', '')).toBe(null);
+    });
+  });
+
+  describe('parseConfigTree', () => {
+    it('should nest commands under their section and skip comments', () => {
+      const root = parseConfigTree(ROUTER);
+      const bgp = root.children.find(node => node.text === 'router bgp 65000');
+
+      expect(root.children.map(node => node.text)).toEqual([
+        'version 15.2',
+        'hostname r1',
+        'interface GigabitEthernet0/1',
+        'interface GigabitEthernet0/2',
+        'ip access-list extended WEB',
+        'router bgp 65000',
+        'end'
+      ]);
+      expect(bgp).toMatchObject({ startLine: 21, endLine: 25 });
+      expect(bgp.children[1]).toMatchObject({
+        text: 'address-family ipv4',
+        children: [{ text: 'network 10.0.0.0', startLine: 24, endLine: 24, children: [] }]
+      });
+    });
+
+    it('should read a banner as one command', () => {
+      const root = parseConfigTree('banner motd ^C\nAuthorized\n  access only\n^C\nhostname r1\n');
+
+      expect(root.children.map(node => [node.text, node.startLine, node.endLine])).toEqual([
+        ['banner motd ^C\nAuthorized\n  access only\n^C', 1, 4],
+        ['hostname r1', 5, 5]
+      ]);
+    });
+  });
+
+  describe('compareIndentedConfig', () => {
+    it('should ignore section order and spacing', () => {
+      const reordered = ROUTER
+        .replace(/(interface GigabitEthernet0\/1\n(?: .*\n)+!\n)(interface GigabitEthernet0\/2\n(?: .*\n)+!\n)/, '$2$1')
+        .replace(' description uplink', ' description   uplink');
+
+      expect(compareIndentedConfig(ROUTER, reordered)).toEqual([]);
+    });
+
+    it('should report commands by section path', () => {
+      const changed = ROUTER
+        .replace(' ip access-group WEB in\n', ' ip access-group WEB in\n ip helper-address 10.0.0.5\n')
+        .replace(' shutdown\n', '')
+        .replace('  network 10.0.0.0\n', '  network 10.0.0.0\n  network 10.1.0.0\n');
+
+      const changes = compareIndentedConfig(ROUTER, changed);
+
+      expect(describeAll(changes)).toEqual([
+        'interface GigabitEthernet0/1: - shutdown',
+        'interface GigabitEthernet0/2: + ip helper-address 10.0.0.5',
+        'router bgp 65000 > address-family ipv4: + network 10.1.0.0'
+      ]);
+      expect(changes[0]).toMatchObject({ oldLines: { start: 11, end: 11 }, newLines: null });
+      expect(changes[1]).toMatchObject({ oldLines: null, newLines: { start: 14, end: 14 } });
+    });
+
+    it('should pair a replaced command with the one it replaces', () => {
+      const changes = compareIndentedConfig(
+        'interface Vlan10\n ip address 10.0.0.1 255.255.255.0\n description users\n',
+        'interface Vlan10\n description users\n ip address 10.0.0.9 255.255.255.0\n no shutdown\n'
+      );
+
+      expect(describeAll(changes)).toEqual([
+        'interface Vlan10: ~ ip address 10.0.0.1 255.255.255.0 → ip address 10.0.0.9 255.255.255.0',
+        'interface Vlan10: + no shutdown'
+      ]);
+    });
+
+    it('should report whole sections added and removed', () => {
+      const changes = compareIndentedConfig(
+        'hostname r1\nvlan 10\n name users\n',
+        'hostname r1\nvlan 20\n name voice\n'
+      );
+
+      expect(changes).toEqual([
+        { type: 'removed', path: '', command: 'vlan 10', oldValue: 'vlan 10', oldLines: { start: 2, end: 3 }, newLines: null },
+        { type: 'added', path: '', command: 'vlan 20', newValue: 'vlan 20', oldLines: null, newLines: { start: 2, end: 3 } }
+      ]);
+    });
+
+    it('should keep the order of access list entries', () => {
+      const swapped = ROUTER.replace(
+        ' permit tcp any any eq 80\n permit tcp any any eq 443\n',
+        ' permit tcp any any eq 443\n permit tcp any any eq 80\n'
+      );
+      const edited = ROUTER.replace('deny ip any any', 'deny ip any any log');
+
+      expect(describeAll(compareIndentedConfig(ROUTER, swapped))).toEqual([
+        'ip access-list extended WEB: > permit tcp any any eq 80'
+      ]);
+      expect(describeAll(compareIndentedConfig(ROUTER, edited))).toEqual([
+        'ip access-list extended WEB: ~ deny ip any any → deny ip any any log'
+      ]);
+    });
+
+    it('should show a changed banner by its first line', () => {
+      const changes = compareIndentedConfig(
+        'banner motd ^C\nAuthorized only\n^C\n',
+        'banner motd ^C\nAuthorized staff only\n^C\n'
+      );
+
+      expect(changes).toEqual([expect.objectContaining({ type: 'changed', command: 'banner motd ^C …' })]);
+      expect(changes[0].newLines).toEqual({ start: 1, end: 3 });
+    });
+  });
+});
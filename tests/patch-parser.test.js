@@ -0,0 +1,193 @@
+/**
+ * Patch Parser Tests
+ *
+ * Tests for parsing unified diffs and rebuilding old/new texts for the
+ * diff pipeline.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffLines, diffWords, diffChars } from 'diff';
+import { runDiffPipeline } from '../src/diff-algorithms.js';
+import {
+  PatchParseError,
+  parsePatch,
+  formatGapMarker,
+  reconstructPatchTexts
+} from '../src/patch-parser.js';
+import { isUnifiedDiff } from '../src/format-detect.js';
+import { generateUnifiedDiff } from '../src/unified-diff-export.js';
+import { DEFAULT_TEST_OPTIONS } from './test-config.js';
+
+const diffLib = { diffLines, diffWords, diffChars };
+
+const SIMPLE_PATCH = [
+  '--- a/router.cfg',
+  '+++ b/router.cfg',
+  '@@ -1,3 +1,4 @@',
+  ' hostname r1',
+  '-interface Gi0/1',
+  '+interface Gi0/2',
+  '+ description uplink',
+  ' end',
+  ''
+].join('\n');
+
+const FORMAT_PATCH = [
+  'From 1234567890abcdef Mon Sep 17 00:00:00 2001',
+  'From: Dev <dev@example.com>',
+  'Subject: [PATCH] Update configs',
+  '',
+  '---',
+  ' a.txt | 2 +-',
+  ' 1 file changed',
+  '',
+  'diff --git a/a.txt b/a.txt',
+  'index 1111111..2222222 100644',
+  '--- a/a.txt',
+  '+++ b/a.txt',
+  '@@ -1,2 +1,2 @@',
+  ' alpha',
+  '-beta',
+  '+BETA',
+  '@@ -10,2 +10,2 @@',
+  ' row 10',
+  '-row 11',
+  '+row eleven',
+  'diff --git a/new.txt b/new.txt',
+  'new file mode 100644',
+  'index 0000000..3333333',
+  '--- /dev/null',
+  '+++ b/new.txt',
+  '@@ -0,0 +1 @@',
+  '+fresh',
+  '-- ',
+  '2.43.0',
+  ''
+].join('\n');
+
+describe('Patch Parser', () => {
+  describe('isUnifiedDiff', () => {
+    it('should detect diff -u and git patches', () => {
+      expect(isUnifiedDiff(SIMPLE_PATCH)).toBe(true);
+      expect(isUnifiedDiff(FORMAT_PATCH)).toBe(true);
+    });
+
+    it('should not detect ordinary text', () => {
+      expect(isUnifiedDiff('hostname r1\n--- comment\n')).toBe(false);
+      expect(isUnifiedDiff('')).toBe(false);
+    });
+  });
+
+  describe('parsePatch', () => {
+    it('should parse file headers and hunk lines', () => {
+      const [file] = parsePatch(SIMPLE_PATCH);
+
+      expect(file.oldPath).toBe('router.cfg');
+      expect(file.newPath).toBe('router.cfg');
+      expect(file.hunks).toHaveLength(1);
+      expect(file.hunks[0]).toMatchObject({ oldStart: 1, oldCount: 3, newStart: 1, newCount: 4, lineNumber: 3 });
+      expect(file.hunks[0].lines.map(l => l.op).join('')).toBe(' -++ ');
+    });
+
+    it('should skip format-patch preamble and signature', () => {
+      const files = parsePatch(FORMAT_PATCH);
+
+      expect(files).toHaveLength(2);
+      expect(files[0].hunks).toHaveLength(2);
+      expect(files[1]).toMatchObject({ oldPath: null, newPath: 'new.txt', isNew: true });
+    });
+
+    it('should record missing final newlines', () => {
+      const [file] = parsePatch('--- a/x\n+++ b/x\n@@ -1 +1 @@\n-a\n\\ No newline at end of file\n+b\n');
+
+      expect(file.hunks[0].lines[0].noNewline).toBe(true);
+      expect(file.hunks[0].lines[1].noNewline).toBe(false);
+    });
+
+    it('should treat empty lines inside hunks as blank context lines', () => {
+      const [file] = parsePatch('--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n a\n\n-b\n+c\n');
+
+      expect(file.hunks[0].lines[1]).toEqual({ op: ' ', text: '', noNewline: false });
+    });
+
+    it('should report a malformed hunk header with its line number', () => {
+      const patch = '--- a/x\n+++ b/x\n@@ -1,two +1 @@\n-a\n+b\n';
+
+      expect(() => parsePatch(patch)).toThrow(PatchParseError);
+      try {
+        parsePatch(patch);
+      } catch (error) {
+        expect(error.lineNumber).toBe(3);
+        expect(error.message).toContain('Line 3');
+      }
+    });
+
+    it('should report unexpected lines inside a hunk', () => {
+      const patch = '--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n a\n*b\n c\n';
+
+      expect(() => parsePatch(patch)).toThrow(/Line 5: Unexpected line in hunk at line 3/);
+    });
+
+    it('should report hunks that end before their declared counts', () => {
+      const patch = '--- a/x\n+++ b/x\n@@ -1,4 +1,4 @@\n a\n-b\n+c\n';
+
+      expect(() => parsePatch(patch)).toThrow(/Hunk at line 3 ends early/);
+    });
+
+    it('should report overlapping hunks', () => {
+      const patch = '--- a/x\n+++ b/x\n@@ -1,2 +1,2 @@\n a\n-b\n+c\n@@ -2 +2 @@\n-b\n+d\n';
+
+      expect(() => parsePatch(patch)).toThrow(/Line 7: Hunk overlaps/);
+    });
+
+    it('should reject hunks without a file header and input without hunks', () => {
+      expect(() => parsePatch('@@ -1 +1 @@\n-a\n+b\n')).toThrow(/Line 1: Hunk found before/);
+      expect(() => parsePatch('just some text\n')).toThrow(/No hunks found/);
+    });
+  });
+
+  describe('reconstructPatchTexts', () => {
+    it('should rebuild both sides of a single-file patch', () => {
+      const { oldText, newText } = reconstructPatchTexts(SIMPLE_PATCH);
+
+      expect(oldText).toBe('hostname r1\ninterface Gi0/1\nend\n');
+      expect(newText).toBe('hostname r1\ninterface Gi0/2\n description uplink\nend\n');
+    });
+
+    it('should add gap markers and file banners for multi-file patches', () => {
+      const { oldText, newText } = reconstructPatchTexts(FORMAT_PATCH);
+
+      expect(oldText.split('\n')).toEqual([
+        '=== a.txt ===', 'alpha', 'beta', formatGapMarker(7), 'row 10', 'row 11',
+        '=== new.txt (new file) ===', ''
+      ]);
+      expect(newText.split('\n')).toEqual([
+        '=== a.txt ===', 'alpha', 'BETA', formatGapMarker(7), 'row 10', 'row eleven',
+        '=== new.txt (new file) ===', 'fresh', ''
+      ]);
+    });
+
+    it('should keep a missing final newline', () => {
+      const { newText } = reconstructPatchTexts('--- a/x\n+++ b/x\n@@ -1 +1 @@\n-a\n+b\n\\ No newline at end of file\n');
+
+      expect(newText).toBe('b');
+    });
+
+    it('should round-trip exported patches through the pipeline', async () => {
+      const oldText = 'server {\n  listen 80;\n  root /var/www;\n}\n';
+      const newText = 'server {\n  listen 8080;\n  root /var/www;\n  index index.html;\n}\n';
+      const { results } = await runDiffPipeline(oldText, newText, diffLib, DEFAULT_TEST_OPTIONS);
+      const patch = generateUnifiedDiff(results, 'nginx.conf', 'nginx.conf', { oldText, newText });
+
+      const rebuilt = reconstructPatchTexts(patch);
+      expect(rebuilt.oldText).toBe(oldText);
+      expect(rebuilt.newText).toBe(newText);
+
+      const rerun = await runDiffPipeline(rebuilt.oldText, rebuilt.newText, diffLib, DEFAULT_TEST_OPTIONS);
+      expect(rerun.stats.modified).toBeGreaterThan(0);
+      expect(rerun.results.some(r => r.classification === 'modified' && r.wordDiff)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Prose Diff Tests
+ *
+ * Tests for splitting Markdown and prose into sentences and structural
+ * units, and comparing them so that rewrapping is no change.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as Diff from 'diff';
+import { splitSentences, parseProseUnits, compareProse } from '../src/prose-diff.js';
+import { describeStructuralChange } from '../src/structural-diff.js';
+
+const RUNBOOK = `# Runbook
+
+Restart the service with the admin tool. Then check the logs, e.g. the
+error log, for warnings. Call Dr. Smith if it fails.
+
+## Steps
+
+1. Stop the web server
+2. Clear the cache
+   directory first
+
+\`\`\`bash
+systemctl restart web
+\`\`\`
+`;
+
+const sentencesOf = text => splitSentences(text).map(({ start, end }) => text.slice(start, end));
+const describeAll = changes => changes.map(describeStructuralChange);
+
+describe('Prose Diff', () => {
+  describe('splitSentences', () => {
+    it('should split at terminal punctuation followed by a new sentence', () => {
+      expect(sentencesOf('It works. Does it? "Yes!" Then stop.')).toEqual(['It works.', 'Does it?', '"Yes!"', 'Then stop.']);
+    });
+
+    it('should not split after abbreviations, initials or before lowercase', () => {
+      expect(sentencesOf('See e.g. Fig. 3 by J. Smith. Version 1.2 is out. and more.'))
+        .toEqual(['See e.g. Fig. 3 by J. Smith.', 'Version 1.2 is out. and more.']);
+    });
+  });
+
+  describe('parseProseUnits', () => {
+    it('should keep headings, list items and code fences as units with their lines', () => {
+      const units = parseProseUnits(RUNBOOK);
+
+      expect(units.map(unit => `${unit.kind}: ${unit.path} (${unit.startLine}-${unit.endLine})`)).toEqual([
+        'heading: heading 1 (1-1)',
+        'sentence: Runbook > paragraph 1, sentence 1 (3-3)',
+        'sentence: Runbook > paragraph 1, sentence 2 (3-4)',
+        'sentence: Runbook > paragraph 1, sentence 3 (4-4)',
+        'heading: heading 2 (6-6)',
+        'list item: Steps > list item 1 (8-8)',
+        'list item: Steps > list item 2 (9-10)',
+        'code block: Steps > code block 1 (12-14)'
+      ]);
+      expect(units[2].text).toBe('Then check the logs, e.g. the error log, for warnings.');
+      expect(units[6].text).toBe('Clear the cache directory first');
+    });
+
+    it('should read setext headings, quotes and tables', () => {
+      const units = parseProseUnits('Title\n=====\n\n> Quoted text.\n> More.\n\n| a | b |\n|---|---|\n| 1 | 2 |\n');
+
+      expect(units.map(unit => `${unit.kind}: ${unit.text}`)).toEqual([
+        'heading: Title',
+        'sentence: Quoted text.',
+        'sentence: More.',
+        'table row: | a | b |',
+        'table row: | 1 | 2 |'
+      ]);
+    });
+  });
+
+  describe('compareProse', () => {
+    it('should report no changes for rewrapped paragraphs and renumbered lists', () => {
+      const rewrapped = RUNBOOK
+        .replace('Then check the logs, e.g. the\nerror log, for warnings.', 'Then check\nthe logs, e.g. the error log,   for warnings.')
+        .replace('2. Clear the cache\n   directory first', '3. Clear the cache directory first');
+
+      expect(compareProse(RUNBOOK, rewrapped)).toEqual([]);
+    });
+
+    it('should pair a rewritten sentence and word-diff it', () => {
+      const changed = RUNBOOK
+        .replace('Call Dr. Smith if it fails.', 'Call Dr. Jones if it fails.\nNever skip this step.')
+        .replace('systemctl restart web', 'systemctl restart web nginx');
+
+      const changes = compareProse(RUNBOOK, changed, { diffWords: Diff.diffWords });
+
+      expect(describeAll(changes)).toEqual([
+        'Runbook > paragraph 1, sentence 3: "Call Dr. Smith if it fails." → "Call Dr. Jones if it fails."',
+        'Runbook > paragraph 1, sentence 4: "Never skip this step."',
+        'Steps > code block 1: "```bash\\nsystemctl restart web\\n```" → "```bash\\nsystemctl restart web nginx\\n```"'
+      ]);
+      expect(changes[0]).toMatchObject({
+        oldLines: { start: 4, end: 4 },
+        newLines: { start: 4, end: 4 },
+        wordDiff: Diff.diffWords('Call Dr. Smith if it fails.', 'Call Dr. Jones if it fails.')
+      });
+    });
+
+    it('should report moved, removed and added units', () => {
+      const old = 'First point. Second point. Third point.\n';
+      const changed = 'Second point. First point. A brand new closing remark.\n';
+
+      expect(describeAll(compareProse(old, changed))).toEqual([
+        'paragraph 1, sentence 3: "Third point."',
+        'paragraph 1, sentence 1 → paragraph 1, sentence 2',
+        'paragraph 1, sentence 3: "A brand new closing remark."'
+      ]);
+    });
+  });
+});
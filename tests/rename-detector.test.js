@@ -0,0 +1,165 @@
+/**
+ * Rename Detector Tests
+ *
+ * Tests for finding consistent identifier renames among modified pairs
+ * and classifying their lines as 'renamed'.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffLines, diffWords, diffChars } from 'diff';
+import { runDiffPipeline, calculateStats } from '../src/diff-algorithms.js';
+import {
+  findIdentifierSubstitutions,
+  findConsistentRenames,
+  applyRenameDetection
+} from '../src/rename-detector.js';
+import { DEFAULT_TEST_OPTIONS } from './test-config.js';
+
+const diffLib = { diffLines, diffWords, diffChars };
+
+const PARSE_CONFIG = [
+  'function parseConfig(x) {',
+  '  const value = x * 2;',
+  '  if (x > 10) {',
+  '    return load(x, value);',
+  '  }',
+  '  return null;',
+  '}',
+  ''
+].join('\n');
+
+function modifiedPair(removedLine, addedLine) {
+  return [
+    { value: removedLine, removed: true, classification: 'modified', removedLine, addedLine },
+    { value: addedLine, added: true, classification: 'modified-skipped' }
+  ];
+}
+
+function diff(oldText, newText, options = {}) {
+  return runDiffPipeline(oldText, newText, diffLib, { ...DEFAULT_TEST_OPTIONS, ...options });
+}
+
+describe('Rename Detector', () => {
+  describe('findIdentifierSubstitutions', () => {
+    it('should list the identifiers that changed', () => {
+      expect(findIdentifierSubstitutions('load(x, value);', 'load(count, total);'))
+        .toEqual([['x', 'count'], ['value', 'total']]);
+    });
+
+    it('should reject lines with other changes', () => {
+      expect(findIdentifierSubstitutions('x = 1;', 'count = 2;')).toBeNull();
+      expect(findIdentifierSubstitutions('let x;', 'const x;')).toBeNull();
+      expect(findIdentifierSubstitutions('a(x)', 'a( x )')).toBeNull();
+      expect(findIdentifierSubstitutions('f(x) // x', 'f(y) // y')).toBeNull();
+    });
+
+    it('should reject one name becoming two on a line', () => {
+      expect(findIdentifierSubstitutions('x + x', 'a + b')).toBeNull();
+    });
+  });
+
+  describe('findConsistentRenames', () => {
+    it('should require the same rename on MIN_LINES lines', () => {
+      const results = [...modifiedPair('f(x)', 'f(y)'), ...modifiedPair('g(x)', 'g(y)')];
+
+      expect(findConsistentRenames(results)).toEqual([{ from: 'x', to: 'y', lines: 2 }]);
+      expect(findConsistentRenames(results, { MIN_LINES: 3 })).toEqual([]);
+    });
+
+    it('should drop names renamed inconsistently', () => {
+      const results = [
+        ...modifiedPair('f(x)', 'f(y)'),
+        ...modifiedPair('g(x)', 'g(y)'),
+        ...modifiedPair('h(x)', 'h(z)'),
+        ...modifiedPair('f(a)', 'f(b)'),
+        ...modifiedPair('g(a)', 'g(b)'),
+        ...modifiedPair('h(c)', 'h(b)')
+      ];
+
+      expect(findConsistentRenames(results)).toEqual([]);
+    });
+  });
+
+  describe('applyRenameDetection', () => {
+    it('should classify rename-only pairs and keep other modified pairs', () => {
+      const results = [
+        ...modifiedPair('f(x)', 'f(y)'),
+        ...modifiedPair('g(x)', 'g(y)'),
+        ...modifiedPair('h(x, 1)', 'h(y, 2)')
+      ];
+      const { results: classified, renames } = applyRenameDetection(results);
+
+      expect(renames).toEqual([{ from: 'x', to: 'y', lines: 2 }]);
+      expect(classified.map(entry => entry.classification)).toEqual([
+        'renamed', 'modified-skipped', 'renamed', 'modified-skipped', 'modified', 'modified-skipped'
+      ]);
+      expect(classified[0].renames).toEqual([{ from: 'x', to: 'y' }]);
+      expect(results[0].classification).toBe('modified');
+    });
+  });
+
+  describe('runDiffPipeline', () => {
+    it('should classify every line of a renamed parameter as renamed', async () => {
+      const newText = PARSE_CONFIG.replace(/\bx\b/g, 'count').replace('null', 'undefined');
+      const result = await diff(PARSE_CONFIG, newText);
+
+      expect(result.stats).toMatchObject({ renamed: 4, modified: 1 });
+      expect(result.renames).toEqual([{ from: 'x', to: 'count', lines: 4 }]);
+
+      const renamed = result.results.filter(entry => entry.classification === 'renamed');
+      expect(renamed.map(entry => [entry.removedLine, entry.addedLine])).toEqual([
+        ['function parseConfig(x) {', 'function parseConfig(count) {'],
+        ['  const value = x * 2;', '  const value = count * 2;'],
+        ['  if (x > 10) {', '  if (count > 10) {'],
+        ['    return load(x, value);', '    return load(count, value);']
+      ]);
+      expect(renamed[1].wordDiff).toEqual([
+        { value: '  const value = ' },
+        { value: 'x', removed: true },
+        { value: 'count', added: true },
+        { value: ' * 2;' }
+      ]);
+    });
+
+    it('should leave a single changed identifier modified', async () => {
+      const result = await diff('a = load(x);\nb = 2;\n', 'a = load(y);\nb = 2;\n', { language: 'javascript' });
+
+      expect(result.stats).toMatchObject({ renamed: 0, modified: 1 });
+      expect(result.renames).toEqual([]);
+    });
+
+    it('should not look for renames in prose', async () => {
+      const result = await diff(
+        'Then the cat sat down.\nAfter that the cat slept.\n',
+        'Then the dog sat down.\nAfter that the dog slept.\n'
+      );
+
+      expect(result.stats).toMatchObject({ renamed: 0, modified: 2 });
+      expect(result.renames).toBeUndefined();
+    });
+
+    it('should not look for renames in config files', async () => {
+      const oldConfig = '[primary]\nhost = alpha\nbackup = alpha\n';
+      const newConfig = '[primary]\nhost = beta\nbackup = beta\n';
+
+      for (const language of [null, 'yaml']) {
+        const result = await diff(oldConfig, newConfig, { language });
+        expect(result.stats, String(language)).toMatchObject({ renamed: 0, modified: 2 });
+      }
+    });
+
+    it('should skip detection when detectRenames is false', async () => {
+      const result = await diff(PARSE_CONFIG, PARSE_CONFIG.replace(/\bx\b/g, 'count'), { detectRenames: false });
+
+      expect(result.stats.renamed).toBe(0);
+      expect(result.renames).toBeUndefined();
+    });
+
+    it('should count renamed lines in calculateStats', () => {
+      expect(calculateStats([{ classification: 'renamed' }, { classification: 'modified' }]))
+        .toMatchObject({ renamed: 1, modified: 1 });
+    });
+  });
+});
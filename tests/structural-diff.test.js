@@ -0,0 +1,347 @@
+/**
+ * Structural Diff Tests
+ *
+ * Tests for comparing structured documents by path and mapping the
+ * changes onto the line-based pipeline results.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffLines, diffWords, diffChars } from 'diff';
+import { runDiffPipeline } from '../src/diff-algorithms.js';
+import { detectCommonLanguage } from '../src/language-detect.js';
+import {
+  getStructuralFormat,
+  detectStructuralFormat,
+  getStructuralFormatLabel,
+  compareStructured,
+  applyStructuralChanges,
+  describeStructuralChange,
+  formatStructuralValue,
+  STRUCTURAL_REASON
+} from '../src/structural-diff.js';
+import { IGNORED_CLASSIFICATION } from '../src/diff-filters.js';
+import { splitEntryLines } from '../src/terminal-formatter.js';
+import { DEFAULT_TEST_OPTIONS } from './test-config.js';
+
+const diffLib = { diffLines, diffWords, diffChars };
+
+function compare(oldText, newText, options = {}) {
+  return runDiffPipeline(oldText, newText, diffLib, {
+    ...DEFAULT_TEST_OPTIONS,
+    language: 'json',
+    structural: true,
+    ...options
+  });
+}
+
+// Lines of each side with the classification they are shown with
+function sides(results) {
+  const old = [];
+  const current = [];
+  for (const entry of results) {
+    for (const line of splitEntryLines(entry.value)) {
+      if (!entry.added) old.push(`${entry.classification}:${line}`);
+      if (!entry.removed) current.push(`${entry.classification}:${line}`);
+    }
+  }
+  return { old, new: current };
+}
+
+describe('Structural Diff', () => {
+  describe('getStructuralFormat', () => {
+    it('should return the format for languages with a structural comparer', () => {
+      expect(getStructuralFormat('json')).toBe('json');
+      expect(getStructuralFormat('yaml')).toBe('yaml');
+      expect(getStructuralFormat('python')).toBe(null);
+      expect(getStructuralFormat(null)).toBe(null);
+      expect(getStructuralFormat('toString')).toBe(null);
+    });
+  });
+
+  describe('detectStructuralFormat', () => {
+    it('should detect network configs by content', () => {
+      const config = 'hostname r1\n!\ninterface Vlan1\n ip address 10.0.0.1 255.255.255.0\n';
+
+      expect(detectStructuralFormat(null, config, config)).toBe('cisco-ios');
+      expect(detectStructuralFormat('json', config, config)).toBe('json');
+      expect(detectStructuralFormat(null, 'a\n', 'b\n')).toBe(null);
+      expect(getStructuralFormatLabel('cisco-ios')).toBe('Cisco IOS');
+      expect(getStructuralFormatLabel('arista-eos')).toBe('Arista EOS');
+    });
+
+    it('should detect CSV and TSV tables only without a language', () => {
+      const table = 'id,name\n1,apple\n';
+
+      expect(detectStructuralFormat(null, table, table)).toBe('csv');
+      expect(detectStructuralFormat(null, 'id\tname\n1\tapple\n', '')).toBe('tsv');
+      expect(detectStructuralFormat('python', table, table)).toBe(null);
+      expect(getStructuralFormatLabel('tsv')).toBe('TSV');
+    });
+
+    it('should detect INI, TOML and .env files only without a language', () => {
+      const ini = '[server]\nport = 80\n';
+
+      expect(detectStructuralFormat(null, ini, ini)).toBe('ini');
+      expect(detectStructuralFormat(null, 'name = "demo"\n', '')).toBe('toml');
+      expect(detectStructuralFormat(null, 'PORT=80\n', 'PORT=81\n')).toBe('env');
+      expect(detectStructuralFormat('python', 'x = 1\n', 'x = 2\n')).toBe(null);
+      expect(getStructuralFormatLabel('env')).toBe('.env');
+    });
+
+    it('should prefer the format of the pair over TOML detected from one side', () => {
+      const oldEnv = 'A=1\nexport B="x y"\n';
+      const newEnv = 'B="x z"\nA=1\n';
+
+      expect(detectStructuralFormat('toml', oldEnv, newEnv)).toBe('env');
+      expect(detectStructuralFormat('toml', 'name = "demo"\n', 'name = "app"\n')).toBe('toml');
+    });
+
+    it('should tell XML from HTML by content', () => {
+      const pom = '<?xml version="1.0"?>\n<project>\n  <version>1.0</version>\n</project>\n';
+
+      expect(detectStructuralFormat('html', pom, pom)).toBe('xml');
+      expect(detectStructuralFormat(null, pom, '')).toBe('xml');
+      expect(detectStructuralFormat('html', '<!DOCTYPE html>\n<p>Hi</p>\n', '')).toBe('html');
+      expect(detectStructuralFormat('html', 'Hi <b>there</b>\n', '')).toBe(null);
+      expect(getStructuralFormatLabel('xml')).toBe('XML');
+    });
+  });
+
+  describe('compareStructured', () => {
+    it('should summarize the changes', () => {
+      const structural = compareStructured('{"a": 1, "b": 2}', '{"a": 3, "c": 4}', 'json');
+
+      expect(structural.summary).toEqual({ added: 1, removed: 1, changed: 1, moved: 0 });
+      expect(structural.fallback).toBeUndefined();
+    });
+
+    it('should report a fallback when a side cannot be parsed', () => {
+      const structural = compareStructured('{"a": 1}', '{"a": 1,}', 'json');
+
+      expect(structural.changes).toEqual([]);
+      expect(structural.fallback).toMatch(/^Line 1:/);
+    });
+  });
+
+  describe('applyStructuralChanges', () => {
+    it('should ignore line changes outside structural changes and keep line numbering', () => {
+      const results = [
+        { value: 'a\n', count: 1, removed: true, classification: 'removed' },
+        { value: 'b\nc\n', count: 2, added: true, classification: 'added' },
+        { value: 'd\n', count: 1, classification: 'unchanged' }
+      ];
+      const reclassified = applyStructuralChanges(results, [
+        { type: 'added', path: '$.c', newLines: { start: 2, end: 2 }, oldLines: null }
+      ]);
+
+      expect(reclassified).toEqual([
+        { value: 'a\n', count: 1, removed: true, classification: IGNORED_CLASSIFICATION, ignoreReason: STRUCTURAL_REASON },
+        { value: 'b\n', count: 1, added: true, classification: IGNORED_CLASSIFICATION, ignoreReason: STRUCTURAL_REASON },
+        { value: 'c\n', count: 1, added: true, classification: 'added' },
+        { value: 'd\n', count: 1, classification: 'unchanged' }
+      ]);
+    });
+
+    it('should turn line moves that are no structural move into additions', () => {
+      const [entry] = applyStructuralChanges([
+        { value: 'x\n', added: true, classification: 'block-moved', blockMoveInfo: { similarity: 1 } }
+      ], [
+        { type: 'added', path: '$.x', newLines: { start: 1, end: 1 }, oldLines: null }
+      ]);
+
+      expect(entry.classification).toBe('added');
+      expect(entry.blockMoveInfo).toBeUndefined();
+    });
+  });
+
+  describe('formatting', () => {
+    it('should describe each change type', () => {
+      expect(describeStructuralChange({ type: 'changed', path: '$.port', oldValue: 80, newValue: 8080 }))
+        .toBe('$.port: 80 → 8080');
+      expect(describeStructuralChange({ type: 'added', path: '$.tags', newValue: ['a'] })).toBe('$.tags: ["a"]');
+      expect(describeStructuralChange({ type: 'moved', oldPath: '$[0]', path: '$[2]', newValue: 1 })).toBe('$[0] → $[2]');
+    });
+
+    it('should describe config commands with their section', () => {
+      expect(describeStructuralChange({ type: 'added', path: 'interface Vlan1', command: 'no shutdown' }))
+        .toBe('interface Vlan1: + no shutdown');
+      expect(describeStructuralChange({
+        type: 'changed', path: '', command: 'hostname r2', oldValue: 'hostname r1', newValue: 'hostname r2'
+      })).toBe('~ hostname r1 → hostname r2');
+    });
+
+    it('should shorten long values', () => {
+      const preview = formatStructuralValue('x'.repeat(200));
+      expect(preview.length).toBe(60);
+      expect(preview.endsWith('…')).toBe(true);
+    });
+  });
+
+  describe('runDiffPipeline with structural comparison', () => {
+    it('should show reordered keys as ignored lines without changes', async () => {
+      const result = await compare(
+        '{\n  "name": "lab",\n  "debug": false\n}\n',
+        '{\n  "debug": false,\n  "name": "lab"\n}\n'
+      );
+
+      expect(result.structural.changes).toEqual([]);
+      expect(result.stats).toMatchObject({ added: 0, removed: 0, modified: 0, moved: 0 });
+      const ignored = result.results.filter(entry => entry.classification === IGNORED_CLASSIFICATION);
+      expect(ignored.length).toBeGreaterThan(0);
+      expect(ignored.every(entry => entry.ignoreReason === STRUCTURAL_REASON)).toBe(true);
+    });
+
+    it('should highlight only the lines of changed values', async () => {
+      const result = await compare(
+        '{\n  "servers": [\n    { "host": "a", "port": 80 }\n  ],\n  "name": "lab"\n}\n',
+        '{\n  "name": "lab",\n  "servers": [\n    { "host": "a", "port": 8080 }\n  ]\n}\n'
+      );
+
+      expect(result.structural.changes.map(change => change.path)).toEqual(['$.servers[0].port']);
+      const { old, new: current } = sides(result.results);
+      expect(old.filter(line => !line.startsWith('unchanged') && !line.startsWith('ignored')))
+        .toEqual([expect.stringContaining('"port": 80 }')]);
+      expect(current.filter(line => !line.startsWith('unchanged') && !line.startsWith('ignored')))
+        .toEqual([expect.stringContaining('"port": 8080 }')]);
+    });
+
+    it('should keep a modified pair for a value changed in place', async () => {
+      const result = await compare('{\n  "port": 80,\n  "host": "a"\n}\n', '{\n  "port": 8080,\n  "host": "a"\n}\n');
+
+      const modified = result.results.find(entry => entry.classification === 'modified');
+      expect(modified).toMatchObject({ removedLine: '  "port": 80,', addedLine: '  "port": 8080,' });
+      expect(result.stats.modified).toBe(1);
+    });
+
+    it('should fall back to the line diff when a side is not valid JSON', async () => {
+      const oldText = '{\n  "a": 1\n}\n';
+      const newText = '{\n  "a": 2,\n}\n';
+      const structural = await compare(oldText, newText);
+      const text = await compare(oldText, newText, { structural: false });
+
+      expect(structural.structural.fallback).toMatch(/^Line 3:/);
+      expect(structural.results).toEqual(text.results);
+    });
+
+    it('should show a reindented YAML manifest with only the changed value', async () => {
+      const result = await compare(
+        'spec:\n  containers:\n  - name: api\n    image: api:1\n  - name: db\n    image: pg:16\n',
+        'spec:\n    containers:\n    -   name: db\n        image: pg:16\n    -   name: api\n        image: api:2\n',
+        { language: 'yaml' }
+      );
+
+      expect(result.structural.changes.map(change => change.path)).toEqual(['spec.containers[name=api].image']);
+      const { old, new: current } = sides(result.results);
+      expect(old.filter(line => !line.startsWith('unchanged') && !line.startsWith('ignored')))
+        .toEqual([expect.stringContaining('image: api:1')]);
+      expect(current.filter(line => !line.startsWith('unchanged') && !line.startsWith('ignored')))
+        .toEqual([expect.stringContaining('image: api:2')]);
+    });
+
+    it('should pass the identity key to the YAML comparer', async () => {
+      const oldText = '- name: a\n- name: b\n';
+      const newText = '- name: b\n- name: a\n';
+
+      const byName = await compare(oldText, newText, { language: 'yaml' });
+      const byPosition = await compare(oldText, newText, { language: 'yaml', structuralIdentityKey: '' });
+
+      expect(byName.structural.changes).toEqual([]);
+      expect(byPosition.structural.summary.moved).toBe(1);
+    });
+
+    it('should compare network configs by section and keep blank lines in place', async () => {
+      const result = await compare(
+        'hostname r1\n\n!\ninterface Vlan1\n shutdown\n ip address 10.0.0.1 255.255.255.0\n!\n',
+        'hostname r1\n!\ninterface Vlan1\n ip address 10.0.0.1 255.255.255.0\n!\n',
+        { language: null }
+      );
+
+      expect(result.structural.format).toBe('cisco-ios');
+      expect(result.structural.changes.map(describeStructuralChange)).toEqual(['interface Vlan1: - shutdown']);
+      const { old } = sides(result.results);
+      expect(old.filter(line => !line.startsWith('unchanged') && !line.startsWith('ignored')))
+        .toEqual(['removed: shutdown']);
+    });
+
+    it('should compare CSV rows by key column and return the grid', async () => {
+      const result = await compare(
+        'id,name,price\n1,apple,2.50\n2,pear,3.00\n',
+        'id,name,price\n2,pear,3.10\n1,apple,2.50\n',
+        { language: null, tableKeyColumns: ['id'] }
+      );
+
+      expect(result.structural.format).toBe('csv');
+      expect(result.structural.changes.map(describeStructuralChange)).toEqual(['row[id=2].price: "3.00" → "3.10"']);
+      expect(result.structural.table.rows.map(row => row.type)).toEqual(['changed', 'unchanged']);
+      expect(result.structural.table.rows[0].cells[2].charDiff).toBeDefined();
+      expect(sides(result.results).new.filter(line => !line.startsWith('unchanged') && !line.startsWith('ignored')))
+        .toEqual([expect.stringContaining('2,pear,3.10')]);
+    });
+
+    it('should highlight only the lines of a changed XML attribute', async () => {
+      const result = await compare(
+        '<servers>\n  <server name="web" port="80"/>\n  <server name="db" port="5432"/>\n</servers>\n',
+        '<servers>\n  <server port="5433" name="db"/>\n  <server name="web" port="80"/>\n</servers>\n',
+        { language: null, structuralIdentityKey: 'name' }
+      );
+
+      expect(result.structural.format).toBe('xml');
+      expect(result.structural.changes.map(describeStructuralChange))
+        .toEqual(['/servers/server[@name=\'db\']/@port: "5432" → "5433"']);
+      expect(sides(result.results).new.filter(line => !line.startsWith('unchanged') && !line.startsWith('ignored')))
+        .toEqual([expect.stringContaining('port="5433"')]);
+    });
+
+    it('should attach a word diff to changed INI values', async () => {
+      const result = await compare(
+        '[db]\nhost = db1.example.com\nport = 5432\n',
+        '[db]\nport = 5432\nhost = db2.example.com\n',
+        { language: null }
+      );
+
+      expect(result.structural.format).toBe('ini');
+      expect(result.structural.changes).toEqual([expect.objectContaining({
+        path: 'db.host',
+        wordDiff: diffWords('db1.example.com', 'db2.example.com')
+      })]);
+      expect(sides(result.results).new.filter(line => !line.startsWith('unchanged') && !line.startsWith('ignored')))
+        .toEqual([expect.stringContaining('db2.example.com')]);
+    });
+
+    it('should compare .env files with quoted values as .env', async () => {
+      const oldEnv = 'A=1\nexport B="x y"\n';
+      const newEnv = 'B="x z"\nA=1\n';
+      const result = await compare(oldEnv, newEnv, {
+        language: detectCommonLanguage('old.env', 'new.env', oldEnv, newEnv)
+      });
+
+      expect(result.structural.format).toBe('env');
+      expect(result.structural.fallback).toBeUndefined();
+      expect(result.structural.changes).toEqual([expect.objectContaining({ type: 'changed', path: 'B' })]);
+    });
+
+    it('should compare prose by sentence with the prose option', async () => {
+      const result = await compare(
+        'The service restarts nightly. Logs are kept for a\nweek.\n',
+        'The service restarts\nnightly. Logs are kept for a month.\n',
+        { language: 'json', structural: false, prose: true }
+      );
+
+      expect(result.structural.format).toBe('prose');
+      expect(result.structural.changes.map(describeStructuralChange))
+        .toEqual(['paragraph 1, sentence 2: "Logs are kept for a week." → "Logs are kept for a month."']);
+      expect(result.structural.changes[0].wordDiff).toEqual(diffWords('Logs are kept for a week.', 'Logs are kept for a month.'));
+      expect(getStructuralFormatLabel('prose')).toBe('Prose');
+    });
+
+    it('should leave other languages and disabled comparisons untouched', async () => {
+      const plain = await compare('a\n', 'b\n', { language: 'python' });
+      const disabled = await compare('{"a": 1}\n', '{"a": 2}\n', { structural: false });
+
+      expect(plain.structural).toBeUndefined();
+      expect(disabled.structural).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Symbol Outline Tests
+ *
+ * Tests for outlining functions, classes and methods with Tree-sitter and
+ * mapping the changed lines of a comparison onto them.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { diffLines, diffWords, diffChars } from 'diff';
+import { initTreeSitter, getLanguageParser } from '../src/tree-sitter-loader.js';
+import { runDiffPipeline } from '../src/diff-algorithms.js';
+import { runPipelineJob } from '../src/pipeline-job.js';
+import { buildSymbolOutline, mapChangesToSymbols, outlineChangedSymbols } from '../src/symbol-outline.js';
+import { DEFAULT_TEST_OPTIONS } from './test-config.js';
+
+const diffLib = { diffLines, diffWords, diffChars };
+
+const PARSER_JS = [
+  'class Parser {',
+  '  parse(x) {',
+  '    return x + 1;',
+  '  }',
+  '  reset() {',
+  '    this.state = 0;',
+  '  }',
+  '}',
+  '',
+  'const helper = (a) => {',
+  '  return a * 2;',
+  '};',
+  '',
+  'function unused() {',
+  '  return null;',
+  '}',
+  ''
+].join('\n');
+
+async function outline(language, text) {
+  return buildSymbolOutline(text, await getLanguageParser(language));
+}
+
+async function changedSymbols(language, oldText, newText) {
+  const { results } = await runDiffPipeline(oldText, newText, diffLib, DEFAULT_TEST_OPTIONS);
+  return outlineChangedSymbols(results, oldText, newText, await getLanguageParser(language));
+}
+
+describe('Symbol Outline', () => {
+  beforeAll(async () => {
+    await initTreeSitter();
+  });
+
+  describe('buildSymbolOutline', () => {
+    it('should list named functions, classes and methods with 1-based lines', async () => {
+      const symbols = await outline('javascript', PARSER_JS);
+
+      expect(symbols.map(symbol => [symbol.qualifiedName, symbol.kind, symbol.startLine, symbol.endLine])).toEqual([
+        ['Parser', 'class', 1, 8],
+        ['Parser.parse', 'method', 2, 4],
+        ['Parser.reset', 'method', 5, 7],
+        ['helper', 'function', 10, 12],
+        ['unused', 'function', 14, 16]
+      ]);
+    });
+
+    it('should skip anonymous functions and number repeated names', async () => {
+      const text = 'items.forEach(function () {\n  run();\n});\nfunction f() {}\nfunction f() {}\n';
+      const symbols = await outline('javascript', text);
+
+      expect(symbols.map(symbol => symbol.key)).toEqual(['f', 'f#2']);
+    });
+
+    it('should treat Python functions inside a class as methods', async () => {
+      const symbols = await outline('python', 'class Greeter:\n    def greet(self):\n        pass\n\ndef main():\n    pass\n');
+
+      expect(symbols.map(symbol => [symbol.qualifiedName, symbol.kind])).toEqual([
+        ['Greeter', 'class'],
+        ['Greeter.greet', 'method'],
+        ['main', 'function']
+      ]);
+    });
+
+    it('should name C functions from their declarator', async () => {
+      const symbols = await outline('c', 'static char *name(int id) {\n  return 0;\n}\n');
+
+      expect(symbols.map(symbol => symbol.name)).toEqual(['name']);
+    });
+  });
+
+  describe('outlineChangedSymbols', () => {
+    it('should report the innermost symbol of a modified line', async () => {
+      const outlined = await changedSymbols('javascript', PARSER_JS, PARSER_JS.replace('x + 1', 'x + 2'));
+
+      expect(outlined.symbols).toEqual([{
+        name: 'parse',
+        qualifiedName: 'Parser.parse',
+        kind: 'method',
+        status: 'modified',
+        added: 0,
+        removed: 0,
+        modified: 1,
+        moved: 0,
+        oldRange: { startLine: 2, endLine: 4 },
+        newRange: { startLine: 2, endLine: 4 },
+        firstChange: { side: 'old', line: 3 }
+      }]);
+      expect(outlined.summary).toEqual({ added: 0, deleted: 0, modified: 1, moved: 0 });
+    });
+
+    it('should report added and deleted symbols', async () => {
+      const newText = PARSER_JS
+        .replace('function unused() {\n  return null;\n}\n', '')
+        .replace('    this.state = 0;\n', '    this.state = 0;\n    this.cache = null;\n') +
+        '\nexport class Loader {\n  load() {\n    return fetch(this.url);\n  }\n}\n';
+      const outlined = await changedSymbols('javascript', PARSER_JS, newText);
+      const byName = Object.fromEntries(outlined.symbols.map(symbol => [symbol.qualifiedName, symbol]));
+
+      expect(byName['Parser.reset']).toMatchObject({ status: 'modified', added: 1, firstChange: { side: 'new', line: 7 } });
+      expect(byName.unused).toMatchObject({ status: 'deleted', newRange: null });
+      expect(byName['Loader.load']).toMatchObject({ status: 'added', oldRange: null });
+      expect(byName.Loader).toMatchObject({ status: 'added', kind: 'class' });
+      expect(outlined.summary).toEqual({ added: 2, deleted: 1, modified: 1, moved: 0 });
+    });
+
+    it('should report a symbol whose lines only moved as moved', () => {
+      const oldSymbols = [{ key: 'f', name: 'f', qualifiedName: 'f', kind: 'function', startLine: 1, endLine: 2 }];
+      const newSymbols = [{ key: 'f', name: 'f', qualifiedName: 'f', kind: 'function', startLine: 3, endLine: 4 }];
+      const results = [
+        { value: 'function f() {\n}\n', removed: true, classification: 'block-moved' },
+        { value: 'other();\nother();\n', classification: 'unchanged' },
+        { value: 'function f() {\n}\n', added: true, classification: 'block-moved' }
+      ];
+
+      const outlined = mapChangesToSymbols(results, oldSymbols, newSymbols);
+      expect(outlined.symbols).toHaveLength(1);
+      expect(outlined.symbols[0]).toMatchObject({ status: 'moved', moved: 2, firstChange: { side: 'old', line: 1 } });
+    });
+
+    it('should ignore changes outside every symbol', () => {
+      const symbols = [{ key: 'f', name: 'f', qualifiedName: 'f', kind: 'function', startLine: 2, endLine: 3 }];
+      const results = [
+        { value: 'a = 1;\n', removed: true, classification: 'removed' },
+        { value: 'function f() {\n}\n', classification: 'unchanged' }
+      ];
+
+      expect(mapChangesToSymbols(results, symbols, symbols).symbols).toEqual([]);
+    });
+  });
+
+  it('should skip the outline when line order is ignored', async () => {
+    const alpha = 'function alpha() {\n  return 1;\n}\n';
+    const beta = 'function beta() {\n  return 2;\n}\n';
+    const gamma = 'function gamma() {\n  return 3;\n}\n';
+    const job = {
+      outlineLanguage: 'javascript',
+      loadParser: language => getLanguageParser(language)
+    };
+
+    const oldText = `${alpha}\n${beta}\n${gamma}`;
+    const newText = `${beta}\n${alpha}\n${gamma.replace('3', '4')}`;
+    const reordered = await runPipelineJob(oldText, newText, diffLib, { ...DEFAULT_TEST_OPTIONS, ignoreLineOrder: true }, job);
+    const inOrder = await runPipelineJob(oldText, newText, diffLib, DEFAULT_TEST_OPTIONS, job);
+
+    expect(reordered.symbolOutline).toBeUndefined();
+    const gammaSymbol = inOrder.symbolOutline.symbols.find(symbol => symbol.name === 'gamma');
+    expect(gammaSymbol).toMatchObject({ status: 'modified', modified: 1, firstChange: { side: 'old', line: 10 } });
+  });
+
+  it('should run in a pipeline job and return cloneable results', async () => {
+    const phases = [];
+    const result = await runPipelineJob(PARSER_JS, PARSER_JS.replace('x + 1', 'x + 2'), diffLib, DEFAULT_TEST_OPTIONS, {
+      outlineLanguage: 'javascript',
+      loadParser: language => getLanguageParser(language),
+      onProgress: ({ phase }) => phases.push(phase)
+    });
+
+    expect(phases[phases.length - 1]).toBe('symbols');
+    expect(result.symbolOutline.summary.modified).toBe(1);
+    expect(structuredClone(result.symbolOutline)).toEqual(result.symbolOutline);
+  });
+});
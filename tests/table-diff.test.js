@@ -0,0 +1,117 @@
+/**
+ * Table Structural Diff Tests
+ *
+ * Tests for reading CSV/TSV exports and comparing them as tables: columns
+ * aligned by header name, rows matched by key columns or by content.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as Diff from 'diff';
+import {
+  TableParseError,
+  parseDelimited,
+  detectTableFormat,
+  compareTables
+} from '../src/table-diff.js';
+import { describeStructuralChange } from '../src/structural-diff.js';
+
+const PRODUCTS = `id,name,price
+1,apple,2.50
+2,pear,3.00
+3,"plum, red",1.00
+`;
+
+const describeAll = changes => changes.map(describeStructuralChange);
+
+describe('Table Structural Diff', () => {
+  describe('parseDelimited', () => {
+    it('should read quoted fields with delimiters, quotes and line breaks', () => {
+      const records = parseDelimited('a,"b,\r\nc",d\r\n\r\n"say ""hi""",,\n', ',');
+
+      expect(records).toEqual([
+        { cells: ['a', 'b,\nc', 'd'], startLine: 1, endLine: 2 },
+        { cells: ['say "hi"', '', ''], startLine: 4, endLine: 4 }
+      ]);
+    });
+
+    it('should throw TableParseError for an unterminated quote', () => {
+      expect(() => parseDelimited('a,b\n1,"open\n', ',')).toThrow(TableParseError);
+      expect(() => parseDelimited('a,b\n1,"open\n', ',')).toThrow('Line 2: Unterminated quoted field');
+    });
+  });
+
+  describe('detectTableFormat', () => {
+    it('should detect CSV and TSV', () => {
+      expect(detectTableFormat(PRODUCTS, '')).toBe('csv');
+      expect(detectTableFormat('id\tname\n1\tapple\n', 'id\tname\n2\tpear, green\n')).toBe('tsv');
+    });
+
+    it('should not detect ragged or single-column text', () => {
+      expect(detectTableFormat('a, b\nc\n', '')).toBe(null);
+      expect(detectTableFormat('one\ntwo\n', 'one\n')).toBe(null);
+      expect(detectTableFormat('', '')).toBe(null);
+    });
+  });
+
+  describe('compareTables', () => {
+    it('should ignore reordered rows and columns', () => {
+      const reordered = 'name,price,id\n"plum, red",1.00,3\napple,2.50,1\npear,3.00,2\n';
+
+      expect(compareTables(PRODUCTS, reordered).changes).toEqual([]);
+      expect(compareTables(PRODUCTS, reordered, { keyColumns: ['id'] }).changes).toEqual([]);
+    });
+
+    it('should match rows by key columns and report changed cells', () => {
+      const changed = 'id,name,price,stock\n2,pear,3.10,5\n4,kiwi,0.90,1\n1,apple,2.50,7\n';
+
+      const { changes, table } = compareTables(PRODUCTS, changed, { keyColumns: ['id'], diffChars: Diff.diffChars });
+
+      expect(describeAll(changes)).toEqual([
+        'column[stock]: "stock"',
+        'row[id=2].price: "3.00" → "3.10"',
+        'row[id=3]: {"id":"3","name":"plum, red","price":"1.00"}',
+        'row[id=4]: {"id":"4","name":"kiwi","price":"0.90","stock":"1"}'
+      ]);
+      expect(changes[1]).toMatchObject({ oldLines: { start: 3, end: 3 }, newLines: { start: 2, end: 2 } });
+
+      expect(table.columns.map(column => `${column.name}:${column.status}`))
+        .toEqual(['id:unchanged', 'name:unchanged', 'price:unchanged', 'stock:added']);
+      expect(table.rows.map(row => row.type)).toEqual(['changed', 'removed', 'added', 'unchanged']);
+      expect(table.rows[0].cells[2]).toMatchObject({
+        oldValue: '3.00',
+        newValue: '3.10',
+        changed: true,
+        charDiff: Diff.diffChars('3.00', '3.10')
+      });
+    });
+
+    it('should match rows on several key columns', () => {
+      const old = 'region,host,cpu\neu,web1,40\nus,web1,55\n';
+      const changed = 'region,host,cpu\nus,web1,60\neu,web1,40\n';
+
+      expect(describeAll(compareTables(old, changed, { keyColumns: ['region', 'host'] }).changes))
+        .toEqual(['row[region=us,host=web1].cpu: "55" → "60"']);
+    });
+
+    it('should pair rows without keys when most cells agree', () => {
+      const changed = 'id,name,price\n1,apple,2.75\n3,"plum, red",1.00\n9,fig,4.00\n';
+
+      expect(describeAll(compareTables(PRODUCTS, changed).changes)).toEqual([
+        'row[1].price: "2.50" → "2.75"',
+        'row[2]: {"id":"2","name":"pear","price":"3.00"}',
+        'row[3]: {"id":"9","name":"fig","price":"4.00"}'
+      ]);
+    });
+
+    it('should report removed columns and missing key columns', () => {
+      const { changes } = compareTables(PRODUCTS, 'id,name\n1,apple\n2,pear\n3,"plum, red"\n', { keyColumns: ['id'] });
+
+      expect(describeAll(changes)).toEqual(['column[price]: "price"']);
+      expect(changes[0].oldLines).toEqual({ start: 1, end: 1 });
+      expect(() => compareTables(PRODUCTS, PRODUCTS, { keyColumns: ['sku'] }))
+        .toThrow('Key column "sku" is not in the previous header');
+    });
+  });
+});
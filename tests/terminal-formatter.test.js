@@ -0,0 +1,246 @@
+/**
+ * Terminal Formatter Tests
+ *
+ * Tests for formatting classified pipeline results for the CLI.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffLines, diffWords, diffChars } from 'diff';
+import { runDiffPipeline } from '../src/diff-algorithms.js';
+import {
+  ANSI,
+  MASKED_MARKER,
+  splitEntryLines,
+  buildTerminalRows,
+  formatTerminalDiff,
+  formatStats,
+  formatStructuralChanges,
+  hasDifferences
+} from '../src/terminal-formatter.js';
+import { DEFAULT_TEST_OPTIONS } from './test-config.js';
+
+const diffLib = { diffLines, diffWords, diffChars };
+
+describe('Terminal Formatter', () => {
+  describe('splitEntryLines', () => {
+    it('should drop the trailing empty line from a terminating newline', () => {
+      expect(splitEntryLines('a\nb\n')).toEqual(['a', 'b']);
+    });
+
+    it('should keep interior blank lines', () => {
+      expect(splitEntryLines('a\n\nb\n')).toEqual(['a', '', 'b']);
+    });
+
+    it('should return no lines for empty values', () => {
+      expect(splitEntryLines('')).toEqual([]);
+      expect(splitEntryLines(undefined)).toEqual([]);
+    });
+  });
+
+  describe('buildTerminalRows', () => {
+    it('should number unchanged, added and removed lines per side', () => {
+      const rows = buildTerminalRows([
+        { value: 'a\n', classification: 'unchanged' },
+        { value: 'b\n', removed: true, classification: 'removed' },
+        { value: 'c\nd\n', added: true, classification: 'added' }
+      ]);
+
+      expect(rows).toEqual([
+        { kind: 'unchanged', oldLine: 1, newLine: 1, text: 'a' },
+        { kind: 'removed', oldLine: 2, newLine: null, text: 'b' },
+        { kind: 'added', oldLine: null, newLine: 2, text: 'c' },
+        { kind: 'added', oldLine: null, newLine: 3, text: 'd' }
+      ]);
+    });
+
+    it('should render modified pairs from removedLine/addedLine and skip the added side', () => {
+      const rows = buildTerminalRows([
+        { value: 'x = 1', removed: true, classification: 'modified', removedLine: 'x = 1', addedLine: 'x = 2' },
+        { value: 'x = 2', added: true, classification: 'modified-skipped' }
+      ]);
+
+      expect(rows.map(r => [r.kind, r.side, r.text])).toEqual([
+        ['modified', 'old', 'x = 1'],
+        ['modified', 'new', 'x = 2']
+      ]);
+    });
+
+    it('should use move markers for block moves based on the entry side', () => {
+      const rows = buildTerminalRows([
+        { value: 'moved\n', removed: true, classification: 'block-moved', blockMoveInfo: { similarity: 1 } },
+        { value: 'moved\n', added: true, classification: 'block-moved', blockMoveInfo: { similarity: 0.8 } }
+      ]);
+
+      expect(rows.map(r => r.kind)).toEqual(['moved-from', 'moved-modified-to']);
+    });
+
+    it('should number ignored comment lines on their own side only', () => {
+      const rows = buildTerminalRows([
+        { value: '// old\n', removed: true, classification: 'ignored' },
+        { value: '// new\n', added: true, classification: 'ignored' },
+        { value: 'a\n', classification: 'unchanged' }
+      ]);
+
+      expect(rows).toEqual([
+        { kind: 'ignored', oldLine: 1, newLine: null, text: '// old' },
+        { kind: 'ignored', oldLine: null, newLine: 1, text: '// new' },
+        { kind: 'unchanged', oldLine: 2, newLine: 2, text: 'a' }
+      ]);
+    });
+
+    it('should show the current text of unchanged lines on the new side and flag masked lines', () => {
+      const rows = buildTerminalRows([{
+        value: 'a  b\nsame\nts 10:01\n',
+        newValue: 'a b\nsame\nts 11:22\n',
+        maskedLines: [{ line: 2, pattern: 'ts \\S+' }],
+        classification: 'unchanged'
+      }]);
+
+      expect(rows).toEqual([
+        { kind: 'unchanged', side: 'old', oldLine: 1, newLine: null, text: 'a  b' },
+        { kind: 'unchanged', side: 'new', oldLine: null, newLine: 1, text: 'a b' },
+        { kind: 'unchanged', oldLine: 2, newLine: 2, text: 'same' },
+        { kind: 'unchanged', side: 'old', oldLine: 3, newLine: null, text: 'ts 10:01', masked: true },
+        { kind: 'unchanged', side: 'new', oldLine: null, newLine: 3, text: 'ts 11:22', masked: true }
+      ]);
+    });
+  });
+
+  describe('formatTerminalDiff', () => {
+    const results = [
+      { value: 'same\n', classification: 'unchanged' },
+      { value: 'gone\n', removed: true, classification: 'removed' },
+      { value: 'new\n', added: true, classification: 'added' }
+    ];
+
+    it('should emit markers and line numbers without color', () => {
+      const output = formatTerminalDiff(results, { color: false });
+      expect(output).toBe(
+        '  1 1 │ same\n' +
+        '- 2   │ gone\n' +
+        '+   2 │ new\n'
+      );
+    });
+
+    it('should omit line numbers when requested', () => {
+      const output = formatTerminalDiff(results, { color: false, lineNumbers: false });
+      expect(output).toBe('  same\n- gone\n+ new\n');
+    });
+
+    it('should color rows by kind', () => {
+      const output = formatTerminalDiff(results, { color: true });
+      expect(output).toContain(`${ANSI.red}- 2   │ gone${ANSI.reset}`);
+      expect(output).toContain(`${ANSI.green}+   2 │ new${ANSI.reset}`);
+    });
+
+    it('should mark masked lines', () => {
+      const output = formatTerminalDiff([
+        { value: 'ts 10:01\n', newValue: 'ts 11:22\n', maskedLines: [{ line: 0, pattern: 'ts \\S+' }], classification: 'unchanged' }
+      ], { color: false });
+
+      expect(output).toBe(`${MASKED_MARKER} 1   │ ts 10:01\n${MASKED_MARKER}   1 │ ts 11:22\n`);
+    });
+
+    it('should highlight changed words in modified lines', () => {
+      const output = formatTerminalDiff([
+        {
+          value: 'port 80',
+          removed: true,
+          classification: 'modified',
+          removedLine: 'port 80',
+          addedLine: 'port 8080',
+          wordDiff: diffWords('port 80', 'port 8080')
+        }
+      ], { color: true, lineNumbers: false });
+
+      expect(output).toContain(`${ANSI.inverse}80${ANSI.reset}`);
+      expect(output).toContain(`${ANSI.inverse}8080${ANSI.reset}`);
+    });
+
+    it('should return an empty string for empty results', () => {
+      expect(formatTerminalDiff([])).toBe('');
+    });
+
+    it('should format real pipeline output', async () => {
+      const { results } = await runDiffPipeline(
+        'alpha\nbeta\ngamma\n',
+        'alpha\ngamma\ndelta\n',
+        diffLib,
+        DEFAULT_TEST_OPTIONS
+      );
+
+      const output = formatTerminalDiff(results, { color: false, lineNumbers: false });
+      expect(output).toContain('- beta');
+      expect(output).toContain('+ delta');
+      expect(output).toContain('  alpha');
+    });
+
+    it('should mark renamed lines with ≈', async () => {
+      const { results } = await runDiffPipeline(
+        'const x = 1;\nlog(x);\n',
+        'const count = 1;\nlog(count);\n',
+        diffLib,
+        { ...DEFAULT_TEST_OPTIONS, language: 'javascript' }
+      );
+
+      const output = formatTerminalDiff(results, { color: false, lineNumbers: false });
+      expect(output).toBe('≈ const x = 1;\n≈ const count = 1;\n≈ log(x);\n≈ log(count);\n');
+    });
+  });
+
+  describe('formatStats', () => {
+    it('should summarize all counters', () => {
+      const line = formatStats({ added: 2, removed: 1, modified: 3, moved: 0, unchanged: 7 }, { color: false });
+      expect(line).toBe('2 added, 1 removed, 3 modified, 0 moved, 7 unchanged');
+    });
+
+    it('should count renamed lines when there are any', () => {
+      const line = formatStats({ added: 0, removed: 0, modified: 1, renamed: 4, moved: 0, unchanged: 2 }, { color: false });
+      expect(line).toBe('0 added, 0 removed, 1 modified, 4 renamed, 0 moved, 2 unchanged');
+    });
+  });
+
+  describe('formatStructuralChanges', () => {
+    it('should print one marked path per change', () => {
+      const output = formatStructuralChanges([
+        { type: 'changed', path: '$.port', oldValue: 80, newValue: 8080 },
+        { type: 'added', path: '$.owner', newValue: 'ops' },
+        { type: 'removed', path: '$.debug', oldValue: false },
+        { type: 'moved', oldPath: '$.list[0]', path: '$.list[2]', newValue: 'a' }
+      ], { color: false });
+
+      expect(output).toBe(
+        '~ $.port: 80 → 8080\n' +
+        '+ $.owner: "ops"\n' +
+        '- $.debug: false\n' +
+        '> $.list[0] → $.list[2]\n'
+      );
+    });
+
+    it('should not repeat the marker of config commands', () => {
+      const output = formatStructuralChanges([
+        { type: 'added', path: 'interface Vlan1', command: 'no shutdown', newValue: 'no shutdown' }
+      ], { color: false });
+
+      expect(output).toBe('interface Vlan1: + no shutdown\n');
+    });
+
+    it('should color changes by type', () => {
+      const output = formatStructuralChanges([{ type: 'added', path: '$.a', newValue: 1 }], { color: true });
+      expect(output).toBe(`${ANSI.green}+ $.a: 1${ANSI.reset}\n`);
+    });
+  });
+
+  describe('hasDifferences', () => {
+    it('should be false when only unchanged lines exist', () => {
+      expect(hasDifferences({ added: 0, removed: 0, modified: 0, moved: 0, unchanged: 5 })).toBe(false);
+    });
+
+    it('should be true when any change counter is non-zero', () => {
+      expect(hasDifferences({ added: 0, removed: 0, modified: 0, moved: 1, unchanged: 5 })).toBe(true);
+      expect(hasDifferences({ added: 0, removed: 0, modified: 0, renamed: 2, moved: 0, unchanged: 5 })).toBe(true);
+    });
+  });
+});
@@ -159,3 +159,28 @@ function test() {}`;
   // All 3 comment lines should be present
   expect(totalRemovedLines).toBeGreaterThanOrEqual(3);
 });
+
+test('Content preservation: blank lines inside removed blocks keep their place', async () => {
+  const oldText = `header
+first
+
+second
+footer
+`;
+
+  const newText = `header
+footer
+`;
+
+  const result = await runDiffPipeline(oldText, newText, { diffLines, diffWords, diffChars }, {
+    detectMoves: false
+  });
+
+  // One entry per removed line, in order, each with its own newline, and no
+  // empty entry after the block
+  const removedLines = result.results
+    .filter(r => r.removed)
+    .map(r => r.value);
+
+  expect(removedLines).toEqual(['first\n', '\n', 'second\n']);
+});
@@ -0,0 +1,166 @@
+/**
+ * Three-Way Merge Tests
+ *
+ * Tests for region classification and merged output with conflict markers.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffLines, diffWords, diffChars } from 'diff';
+import {
+  MERGE_REGION_TYPES,
+  lineOpsToChanges,
+  classifyMergeRegions,
+  computeThreeWayMerge,
+  buildMergedText,
+  countUnresolvedConflicts
+} from '../src/three-way-merge.js';
+import { DEFAULT_TEST_OPTIONS } from './test-config.js';
+
+const diffLib = { diffLines, diffWords, diffChars };
+
+const BASE = [
+  'hostname r1',
+  'interface Gi0/1',
+  ' description uplink',
+  ' mtu 1500',
+  '!',
+  'interface Gi0/2',
+  ' shutdown',
+  '!',
+  'ntp server 10.0.0.1',
+  'end',
+  ''
+].join('\n');
+
+function merge(base, ours, theirs) {
+  return computeThreeWayMerge(base, ours, theirs, diffLib, DEFAULT_TEST_OPTIONS);
+}
+
+describe('Three-Way Merge', () => {
+  describe('lineOpsToChanges', () => {
+    it('should express replacements and insertions as base ranges', () => {
+      const changes = lineOpsToChanges([
+        { op: ' ', line: 'a' },
+        { op: '-', line: 'b' },
+        { op: '+', line: 'B' },
+        { op: ' ', line: 'c' },
+        { op: '+', line: 'd' }
+      ]);
+
+      expect(changes).toEqual([
+        { baseStart: 1, baseEnd: 2, lines: ['B'] },
+        { baseStart: 3, baseEnd: 3, lines: ['d'] }
+      ]);
+    });
+  });
+
+  describe('classifyMergeRegions', () => {
+    const base = ['a', 'b', 'c', 'd', 'e'];
+
+    it('should separate one-sided changes with unchanged regions between', () => {
+      const regions = classifyMergeRegions(
+        base,
+        [{ baseStart: 0, baseEnd: 1, lines: ['A'] }],
+        [{ baseStart: 4, baseEnd: 5, lines: ['E'] }]
+      );
+
+      expect(regions.map(r => r.type)).toEqual([
+        MERGE_REGION_TYPES.OURS,
+        MERGE_REGION_TYPES.UNCHANGED,
+        MERGE_REGION_TYPES.THEIRS
+      ]);
+      expect(regions[1].baseLines).toEqual(['b', 'c', 'd']);
+    });
+
+    it('should treat identical changes on both sides as both-identical', () => {
+      const change = { baseStart: 2, baseEnd: 3, lines: ['C'] };
+      const regions = classifyMergeRegions(base, [change], [{ ...change }]);
+
+      expect(regions[1].type).toBe(MERGE_REGION_TYPES.BOTH);
+    });
+
+    it('should flag overlapping and touching changes from different sides as conflicts', () => {
+      const overlapping = classifyMergeRegions(
+        base,
+        [{ baseStart: 1, baseEnd: 3, lines: ['X'] }],
+        [{ baseStart: 2, baseEnd: 4, lines: ['Y'] }]
+      );
+      const conflict = overlapping.find(r => r.type === MERGE_REGION_TYPES.CONFLICT);
+      expect(conflict.baseLines).toEqual(['b', 'c', 'd']);
+      expect(conflict.oursLines).toEqual(['X', 'd']);
+      expect(conflict.theirsLines).toEqual(['b', 'Y']);
+
+      const touching = classifyMergeRegions(
+        base,
+        [{ baseStart: 1, baseEnd: 2, lines: ['B'] }],
+        [{ baseStart: 2, baseEnd: 2, lines: ['inserted'] }]
+      );
+      expect(touching.filter(r => r.type === MERGE_REGION_TYPES.CONFLICT)).toHaveLength(1);
+    });
+  });
+
+  describe('computeThreeWayMerge', () => {
+    it('should merge non-overlapping changes from both sides without conflicts', async () => {
+      const ours = BASE.replace(' mtu 1500', ' mtu 9000');
+      const theirs = BASE.replace('ntp server 10.0.0.1', 'ntp server 10.0.0.2');
+
+      const result = await merge(BASE, ours, theirs);
+
+      expect(result.stats).toMatchObject({ ours: 1, theirs: 1, conflicts: 0 });
+      expect(buildMergedText(result)).toBe(
+        BASE.replace(' mtu 1500', ' mtu 9000').replace('ntp server 10.0.0.1', 'ntp server 10.0.0.2')
+      );
+    });
+
+    it('should detect identical changes on both sides', async () => {
+      const changed = BASE.replace(' shutdown', ' no shutdown');
+
+      const result = await merge(BASE, changed, changed);
+
+      expect(result.stats).toMatchObject({ both: 1, conflicts: 0 });
+      expect(buildMergedText(result)).toBe(changed);
+    });
+
+    it('should write git-style conflict markers for conflicting changes', async () => {
+      const ours = BASE.replace(' description uplink', ' description core-uplink');
+      const theirs = BASE.replace(' description uplink', ' description isp-uplink');
+
+      const result = await merge(BASE, ours, theirs);
+      const merged = buildMergedText(result, {}, { labels: { ours: 'HEAD', theirs: 'upstream' } });
+
+      expect(result.stats.conflicts).toBe(1);
+      expect(merged).toContain(
+        '<<<<<<< HEAD\n description core-uplink\n=======\n description isp-uplink\n>>>>>>> upstream\n'
+      );
+      expect(countUnresolvedConflicts(result)).toBe(1);
+    });
+
+    it('should include the base section in diff3 style', async () => {
+      const result = await merge('a\nb\nc\n', 'a\nB1\nc\n', 'a\nB2\nc\n');
+
+      expect(buildMergedText(result, {}, { diff3: true })).toBe(
+        'a\n<<<<<<< ours\nB1\n||||||| base\nb\n=======\nB2\n>>>>>>> theirs\nc\n'
+      );
+    });
+
+    it('should apply per-conflict resolutions', async () => {
+      const result = await merge('a\nb\nc\nd\ne\nf\ng\n', 'a\nB1\nc\nd\ne\nF1\ng\n', 'a\nB2\nc\nd\ne\nF2\ng\n');
+
+      expect(result.stats.conflicts).toBe(2);
+
+      const resolutions = { 0: 'theirs', 1: 'both' };
+      expect(buildMergedText(result, resolutions)).toBe('a\nB2\nc\nd\ne\nF1\nF2\ng\n');
+      expect(buildMergedText(result, { 0: 'base', 1: 'ours' })).toBe('a\nb\nc\nd\ne\nF1\ng\n');
+      expect(countUnresolvedConflicts(result, { 0: 'ours' })).toBe(1);
+      expect(countUnresolvedConflicts(result, resolutions)).toBe(0);
+    });
+
+    it('should keep the missing final newline of the inputs', async () => {
+      const result = await merge('a\nb', 'a\nb\nc', 'a\nb');
+
+      expect(buildMergedText(result)).toBe('a\nb\nc');
+    });
+  });
+});
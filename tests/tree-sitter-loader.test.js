@@ -0,0 +1,86 @@
+/**
+ * Tree-sitter Loader Tests
+ *
+ * Tests for loading web-tree-sitter and the pinned grammars in Node.js,
+ * where they are read from vendor/ or node_modules/ instead of a CDN.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  initTreeSitter,
+  getLanguageParser,
+  isTreeSitterAvailable,
+  getQueryClass,
+  SUPPORTED_LANGUAGES
+} from '../src/tree-sitter-loader.js';
+import { HIGHLIGHT_QUERIES } from '../src/highlight-query.js';
+import { calculateASTSimilarity } from '../src/ast-comparator.js';
+import { prepareASTFeatures } from '../src/ast-feature-extractor.js';
+
+describe('Tree-sitter Loader', () => {
+  it('should only report Tree-sitter in Node.js once it is requested', async () => {
+    expect(await isTreeSitterAvailable()).toBe(false);
+
+    await initTreeSitter();
+    expect(await isTreeSitterAvailable()).toBe(true);
+  });
+
+  describe('grammars', () => {
+    beforeAll(async () => {
+      await initTreeSitter();
+    });
+
+    it('should load every supported grammar', async () => {
+      for (const language of SUPPORTED_LANGUAGES) {
+        const parser = await getLanguageParser(language);
+        const tree = parser.parse('x');
+        expect(tree.rootNode, language).toBeTruthy();
+        tree.delete();
+      }
+    });
+
+    it('should compile every highlight query against its grammar', async () => {
+      const Query = getQueryClass();
+      for (const [language, source] of Object.entries(HIGHLIGHT_QUERIES)) {
+        const parser = await getLanguageParser(language);
+        // Throws on node names the pinned grammar doesn't define
+        const query = new Query(parser.language, source);
+        expect(query.captureNames.length, language).toBeGreaterThan(0);
+        query.delete();
+      }
+    });
+
+    it('should parse JavaScript', async () => {
+      const parser = await getLanguageParser('javascript');
+      const tree = parser.parse('const answer = compute(6, 7);');
+
+      expect(tree.rootNode.type).toBe('program');
+      expect(tree.rootNode.hasError).toBe(false);
+      expect(tree.rootNode.firstChild.type).toBe('lexical_declaration');
+      tree.delete();
+    });
+
+    it('should reject unsupported languages', async () => {
+      await expect(getLanguageParser('cobol')).rejects.toThrow("Language 'cobol' is not supported");
+    });
+  });
+
+  describe('AST similarity', () => {
+    it('should compare lines by syntax tree', async () => {
+      const similar = await calculateASTSimilarity('const a = sum(1, 2);', 'const total = sum(x, y);', 'javascript');
+      const different = await calculateASTSimilarity('const a = sum(1, 2);', 'for (;;) { break; }', 'javascript');
+
+      expect(similar).toBeGreaterThan(different);
+    });
+
+    it('should extract file features for the pipeline', async () => {
+      const parser = await getLanguageParser('python');
+      const features = prepareASTFeatures(parser, 'def f(x):\n    return x\n', 'def f(x, y):\n    return x + y\n');
+
+      expect(features.oldFeatures).toBeTruthy();
+      expect(features.newFeatures).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unified Diff Export Tests
+ *
+ * Tests for generating .patch content from classified pipeline results.
+ * Round-trips are checked with jsdiff's applyPatch so the output is known
+ * to be a well-formed unified diff.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffLines, diffWords, diffChars, applyPatch, parsePatch } from 'diff';
+import { runDiffPipeline } from '../src/diff-algorithms.js';
+import {
+  resultsToLineOps,
+  groupIntoHunks,
+  formatHunkHeader,
+  generateUnifiedDiff
+} from '../src/unified-diff-export.js';
+import { DEFAULT_TEST_OPTIONS } from './test-config.js';
+
+const diffLib = { diffLines, diffWords, diffChars };
+
+async function exportPatch(oldText, newText, options = {}) {
+  const { results } = await runDiffPipeline(oldText, newText, diffLib, DEFAULT_TEST_OPTIONS);
+  return generateUnifiedDiff(results, 'config.txt', 'config.txt', { oldText, newText, ...options });
+}
+
+function numberedLines(count) {
+  return Array.from({ length: count }, (_, i) => `line ${i + 1} of the file`);
+}
+
+describe('Unified Diff Export', () => {
+  describe('resultsToLineOps', () => {
+    it('should sign entries by side and split multi-line values', () => {
+      const ops = resultsToLineOps([
+        { value: 'a\nb\n', classification: 'unchanged' },
+        { value: 'c\n', removed: true, classification: 'removed' },
+        { value: 'd\n', added: true, classification: 'added' }
+      ]);
+
+      expect(ops).toEqual([
+        { op: ' ', line: 'a' },
+        { op: ' ', line: 'b' },
+        { op: '-', line: 'c' },
+        { op: '+', line: 'd' }
+      ]);
+    });
+
+    it('should write modified pairs as removal and addition', () => {
+      const ops = resultsToLineOps([
+        { value: 'x = 1', removed: true, classification: 'modified', removedLine: 'x = 1', addedLine: 'x = 2' },
+        { value: 'x = 2', added: true, classification: 'modified-skipped' }
+      ]);
+
+      expect(ops).toEqual([
+        { op: '-', line: 'x = 1' },
+        { op: '+', line: 'x = 2' }
+      ]);
+    });
+
+    it('should write block moves as removal at the source and addition at the destination', () => {
+      const ops = resultsToLineOps([
+        { value: 'moved\n', removed: true, classification: 'block-moved' },
+        { value: 'stay\n', classification: 'unchanged' },
+        { value: 'moved\n', added: true, classification: 'block-moved' }
+      ]);
+
+      expect(ops.map(o => o.op)).toEqual(['-', ' ', '+']);
+    });
+  });
+
+  describe('groupIntoHunks', () => {
+    const ops = [
+      ...numberedLines(10).map(line => ({ op: ' ', line })),
+      { op: '-', line: 'old' },
+      { op: '+', line: 'new' },
+      ...numberedLines(10).map(line => ({ op: ' ', line }))
+    ];
+
+    it('should surround changes with the requested context', () => {
+      const hunks = groupIntoHunks(ops, 3);
+
+      expect(hunks).toHaveLength(1);
+      expect(hunks[0]).toMatchObject({ oldStart: 8, oldCount: 7, newStart: 8, newCount: 7 });
+    });
+
+    it('should merge changes whose context overlaps and split distant ones', () => {
+      const twoChanges = [
+        { op: '-', line: 'a' },
+        ...numberedLines(6).map(line => ({ op: ' ', line })),
+        { op: '+', line: 'b' }
+      ];
+
+      expect(groupIntoHunks(twoChanges, 3)).toHaveLength(1);
+      expect(groupIntoHunks(twoChanges, 2)).toHaveLength(2);
+    });
+
+    it('should return no hunks when nothing changed', () => {
+      expect(groupIntoHunks([{ op: ' ', line: 'same' }])).toEqual([]);
+    });
+  });
+
+  describe('formatHunkHeader', () => {
+    it('should omit counts of one and use the preceding line for empty ranges', () => {
+      expect(formatHunkHeader({ oldStart: 12, oldCount: 7, newStart: 12, newCount: 8 })).toBe('@@ -12,7 +12,8 @@');
+      expect(formatHunkHeader({ oldStart: 1, oldCount: 1, newStart: 1, newCount: 2 })).toBe('@@ -1 +1,2 @@');
+      expect(formatHunkHeader({ oldStart: 0, oldCount: 0, newStart: 1, newCount: 3 })).toBe('@@ -0,0 +1,3 @@');
+    });
+  });
+
+  describe('generateUnifiedDiff', () => {
+    it('should produce a git-style patch for a modified line', async () => {
+      const patch = await exportPatch('a\nb\nc\n', 'a\nB\nc\n');
+
+      expect(patch).toBe(
+        'diff --git a/config.txt b/config.txt\n' +
+        '--- a/config.txt\n' +
+        '+++ b/config.txt\n' +
+        '@@ -1,3 +1,3 @@\n' +
+        ' a\n' +
+        '-b\n' +
+        '+B\n' +
+        ' c\n'
+      );
+    });
+
+    it('should omit the git header and prefixes when disabled', async () => {
+      const patch = await exportPatch('a\n', 'b\n', { gitHeader: false });
+
+      expect(patch.startsWith('--- config.txt\n+++ config.txt\n@@ -1 +1 @@\n')).toBe(true);
+    });
+
+    it('should return an empty string when texts are identical', async () => {
+      expect(await exportPatch('same\ntext\n', 'same\ntext\n')).toBe('');
+    });
+
+    it('should honor the context option', async () => {
+      const oldLines = numberedLines(20);
+      const newLines = [...oldLines];
+      newLines[9] = 'line 10 changed';
+      const patch = await exportPatch(oldLines.join('\n') + '\n', newLines.join('\n') + '\n', { context: 1 });
+
+      expect(patch).toContain('@@ -9,3 +9,3 @@\n line 9 of the file\n-line 10 of the file\n+line 10 changed\n line 11 of the file\n');
+    });
+
+    it('should mark a missing final newline', async () => {
+      const patch = await exportPatch('a\nb\n', 'a\nb');
+
+      expect(patch).toContain('-b\n+b\n\\ No newline at end of file\n');
+      expect(applyPatch('a\nb\n', patch)).toBe('a\nb');
+    });
+
+    it('should round-trip additions, removals and modifications', async () => {
+      const oldText = 'hostname r1\ninterface Gi0/1\n shutdown\n!\nend\n';
+      const newText = 'hostname r2\ninterface Gi0/1\n no shutdown\n description uplink\n!\n';
+      const patch = await exportPatch(oldText, newText);
+
+      expect(parsePatch(patch)).toHaveLength(1);
+      expect(applyPatch(oldText, patch)).toBe(newText);
+    });
+
+    it('should round-trip moved blocks in two-pass mode', async () => {
+      const oldLines = numberedLines(150);
+      const newLines = [...oldLines];
+      const block = newLines.splice(10, 5);
+      newLines.splice(100, 0, ...block);
+      newLines[50] = 'line 51 has changed';
+
+      const oldText = oldLines.join('\n') + '\n';
+      const newText = newLines.join('\n') + '\n';
+      const patch = await exportPatch(oldText, newText);
+
+      expect(applyPatch(oldText, patch)).toBe(newText);
+    });
+
+    it('should round-trip creating and emptying a file', async () => {
+      const created = await exportPatch('', 'new\nfile\n');
+      expect(created).toContain('@@ -0,0 +1,2 @@');
+      expect(applyPatch('', created)).toBe('new\nfile\n');
+
+      const emptied = await exportPatch('old\n', '');
+      expect(emptied).toContain('@@ -1 +0,0 @@');
+      expect(applyPatch('old\n', emptied)).toBe('');
+    });
+  });
+});
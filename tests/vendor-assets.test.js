@@ -0,0 +1,97 @@
+/**
+ * Vendor Assets Tests
+ *
+ * Tests for the pinned runtime files: where each one is loaded from for
+ * each asset source setting, and that the pins match the installed
+ * packages.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import {
+  ASSET_SOURCES,
+  DEFAULT_ASSET_SOURCE,
+  VENDOR_ASSETS,
+  AssetLoadError,
+  setAssetSource,
+  getAssetSource,
+  getVendorPath,
+  getCdnUrl,
+  resolveAssetUrls,
+  verifyIntegrity,
+  loadAsset
+} from '../src/vendor-assets.js';
+
+const packageJson = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+describe('Vendor Assets', () => {
+  afterEach(() => {
+    setAssetSource(DEFAULT_ASSET_SOURCE);
+  });
+
+  describe('resolveAssetUrls', () => {
+    it('should try vendor/, then node_modules/, then the CDN by default', () => {
+      const urls = resolveAssetUrls('web-tree-sitter');
+
+      expect(urls).toHaveLength(3);
+      expect(urls[0]).toMatch(/\/vendor\/web-tree-sitter@0\.25\.10\/tree-sitter\.js$/);
+      expect(urls[1]).toMatch(/\/node_modules\/web-tree-sitter\/tree-sitter\.js$/);
+      expect(urls[2]).toBe('https://cdn.jsdelivr.net/npm/web-tree-sitter@0.25.10/tree-sitter.js');
+    });
+
+    it('should follow the asset source setting', () => {
+      expect(resolveAssetUrls('diff', ASSET_SOURCES.CDN)).toEqual([getCdnUrl('diff')]);
+      expect(resolveAssetUrls('diff', ASSET_SOURCES.LOCAL).every(url => url.startsWith('file:'))).toBe(true);
+
+      setAssetSource(ASSET_SOURCES.CDN);
+      expect(resolveAssetUrls('diff')).toEqual(['https://cdn.jsdelivr.net/npm/diff@5.1.0/lib/index.mjs']);
+    });
+
+    it('should fall back to the default for unknown settings', () => {
+      expect(setAssetSource('ftp')).toBe(DEFAULT_ASSET_SOURCE);
+      expect(setAssetSource(undefined)).toBe(DEFAULT_ASSET_SOURCE);
+      expect(getAssetSource()).toBe(ASSET_SOURCES.LOCAL_FIRST);
+    });
+
+    it('should keep scoped package names in vendor paths', () => {
+      expect(getVendorPath('tree-sitter-yaml')).toBe('@tree-sitter-grammars/tree-sitter-yaml@0.7.1/tree-sitter-yaml.wasm');
+    });
+
+    it('should reject unknown assets', () => {
+      expect(() => resolveAssetUrls('left-pad')).toThrow(AssetLoadError);
+    });
+  });
+
+  describe('pins', () => {
+    it('should pin exact versions that match package.json', () => {
+      const declared = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+      for (const asset of Object.values(VENDOR_ASSETS)) {
+        expect(declared[asset.package], asset.package).toMatch(new RegExp(`^\\^?${asset.version.replace(/\./g, '\\.')}$`));
+        expect(asset.integrity).toMatch(/^sha384-[A-Za-z0-9+/]{64}$/);
+      }
+    });
+
+    it('should load every pinned file locally with a matching hash', async () => {
+      for (const id of Object.keys(VENDOR_ASSETS)) {
+        const { bytes, url } = await loadAsset(id, { source: ASSET_SOURCES.LOCAL });
+        expect(bytes.length, id).toBeGreaterThan(0);
+        expect(url.startsWith('file:'), id).toBe(true);
+      }
+    });
+  });
+
+  describe('verifyIntegrity', () => {
+    it('should reject changed bytes', async () => {
+      const bytes = new TextEncoder().encode('export const diffLines = () => [];');
+      const digest = new Uint8Array(await crypto.subtle.digest('SHA-384', bytes));
+      const integrity = `sha384-${Buffer.from(digest).toString('base64')}`;
+
+      expect(await verifyIntegrity(bytes, integrity)).toBe(true);
+      expect(await verifyIntegrity(new TextEncoder().encode('export const diffLines = evil;'), integrity)).toBe(false);
+      expect(await verifyIntegrity(bytes, 'md5-abc')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Virtual List Tests
+ *
+ * Tests for the window calculation and change-group lookup used by the
+ * windowed diff panels.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateVisibleRange,
+  findChangeGroupStarts,
+  VIRTUAL_OVERSCAN_ROWS
+} from '../src/virtual-list.js';
+
+describe('Virtual List', () => {
+  describe('calculateVisibleRange', () => {
+    const viewport = { viewportHeight: 260, rowHeight: 26, rowCount: 50000, overscan: 5 };
+
+    it('should mount the first rows at the top of the list', () => {
+      expect(calculateVisibleRange({ ...viewport, scrollTop: 0 })).toEqual({ start: 0, end: 16 });
+    });
+
+    it('should mount the viewport plus overscan when scrolled', () => {
+      const range = calculateVisibleRange({ ...viewport, scrollTop: 26 * 1000 });
+
+      expect(range).toEqual({ start: 995, end: 1016 });
+    });
+
+    it('should account for content above the first row', () => {
+      const withHeader = calculateVisibleRange({ ...viewport, scrollTop: 26 * 1000 + 40, listOffset: 40 });
+
+      expect(withHeader.start).toBe(995);
+    });
+
+    it('should clamp the range to the row count', () => {
+      const range = calculateVisibleRange({ ...viewport, scrollTop: 26 * 60000 });
+
+      expect(range.end).toBe(50000);
+      expect(range.start).toBeLessThanOrEqual(range.end);
+    });
+
+    it('should return an empty range without rows', () => {
+      expect(calculateVisibleRange({ ...viewport, rowCount: 0, scrollTop: 0 })).toEqual({ start: 0, end: 0 });
+    });
+
+    it('should default to the standard overscan', () => {
+      const range = calculateVisibleRange({ scrollTop: 26 * 500, viewportHeight: 260, rowHeight: 26, rowCount: 1000 });
+
+      expect(range.start).toBe(500 - VIRTUAL_OVERSCAN_ROWS);
+    });
+  });
+
+  describe('findChangeGroupStarts', () => {
+    it('should return the first row of each run of changes', () => {
+      const rows = ['same', 'added', 'added', 'same', 'removed', 'modified', 'same', 'added'];
+
+      expect(findChangeGroupStarts(rows, row => row !== 'same')).toEqual([1, 4, 7]);
+    });
+
+    it('should return no groups for identical content', () => {
+      expect(findChangeGroupStarts(['same', 'same'], row => row !== 'same')).toEqual([]);
+    });
+  });
+});
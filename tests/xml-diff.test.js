@@ -0,0 +1,143 @@
+/**
+ * XML Structural Diff Tests
+ *
+ * Tests for the line-aware XML/HTML parser and comparing documents by
+ * element path: attributes regardless of order, repeated elements matched
+ * by an identity attribute.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  XmlParseError,
+  parseXmlTree,
+  formatXPath,
+  compareXml
+} from '../src/xml-diff.js';
+import { detectMarkupFormat } from '../src/format-detect.js';
+import { describeStructuralChange } from '../src/structural-diff.js';
+
+const POM = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- build file -->
+<project xmlns="http://maven.apache.org/POM/4.0.0">
+  <version>1.0</version>
+  <dependencies>
+    <dependency name="junit" scope="test">
+      <version>4.12</version>
+    </dependency>
+    <dependency name="guava">
+      <version>31.0</version>
+    </dependency>
+  </dependencies>
+</project>
+`;
+
+const describeAll = changes => changes.map(describeStructuralChange);
+
+describe('XML Structural Diff', () => {
+  describe('parseXmlTree', () => {
+    it('should keep the lines of elements, attributes and text', () => {
+      const [project] = parseXmlTree(POM).children;
+      const dependency = project.children[1].children[0];
+
+      expect(project).toMatchObject({ name: 'project', startLine: 3, endLine: 13 });
+      expect(dependency.attributes.get('scope')).toEqual({ value: 'test', line: 6 });
+      expect(dependency.children[0].texts).toEqual([{ value: '4.12', startLine: 7, endLine: 7 }]);
+    });
+
+    it('should decode entities and keep CDATA as text', () => {
+      const [note] = parseXmlTree('<note a="&lt;&#65;&quot;">x &amp; y<![CDATA[<raw>]]></note>').children;
+
+      expect(note.attributes.get('a').value).toBe('<A"');
+      expect(note.texts.map(text => text.value)).toEqual(['x & y', '<raw>']);
+    });
+
+    it('should throw XmlParseError with the line for malformed XML', () => {
+      expect(() => parseXmlTree('<a>\n<b></a>')).toThrow(XmlParseError);
+      expect(() => parseXmlTree('<a>\n<b></a>')).toThrow('Line 2: Expected </b> before </a>');
+      expect(() => parseXmlTree('<a>\n  <b/>\n')).toThrow('Line 1: Missing </a>');
+      expect(() => parseXmlTree('<a x="1" x="2"/>')).toThrow('Duplicate attribute x');
+      expect(() => parseXmlTree('<a x=1/>')).toThrow('Value of attribute x must be quoted');
+    });
+
+    it('should read HTML leniently', () => {
+      const [page] = parseXmlTree('<HTML><ul><li>One<li>Two</ul><br><input disabled value=x></html>', { html: true }).children;
+      const [list, br, input] = page.children;
+
+      expect(list.children.map(item => item.texts[0].value)).toEqual(['One', 'Two']);
+      expect(br.name).toBe('br');
+      expect(input.attributes.get('disabled').value).toBe('');
+      expect(input.attributes.get('value').value).toBe('x');
+    });
+  });
+
+  describe('detectMarkupFormat', () => {
+    it('should detect XML and HTML documents', () => {
+      expect(detectMarkupFormat(POM, '')).toBe('xml');
+      expect(detectMarkupFormat('<!doctype html>\n<title>x</title>', POM)).toBe('html');
+      expect(detectMarkupFormat('{"a": 1}', POM)).toBe(null);
+      expect(detectMarkupFormat('', '')).toBe(null);
+    });
+  });
+
+  describe('formatXPath', () => {
+    it('should format steps, positions and identity predicates', () => {
+      expect(formatXPath(['a', 'b', 1, '@id'])).toBe('/a/b[2]/@id');
+      expect(formatXPath(['a', { only: true }, 'b', { attribute: 'name', value: "it's" }])).toBe('/a/b[@name="it\'s"]');
+      expect(formatXPath([])).toBe('/');
+    });
+  });
+
+  describe('compareXml', () => {
+    it('should ignore attribute order, reordered named elements and formatting', () => {
+      const reordered = `<project xmlns="http://maven.apache.org/POM/4.0.0"><version>1.0</version>
+  <dependencies>
+    <dependency name="guava"><version>31.0</version></dependency>
+    <dependency scope="test" name="junit"><version>
+      4.12
+    </version></dependency>
+  </dependencies></project>`;
+
+      expect(compareXml(POM, reordered)).toEqual([]);
+    });
+
+    it('should report changes by XPath with their lines', () => {
+      const changed = POM
+        .replace('<version>4.12</version>', '<version>4.13</version>')
+        .replace(' scope="test"', '')
+        .replace('  </dependencies>', '    <dependency name="slf4j"/>\n  </dependencies>');
+
+      const changes = compareXml(POM, changed);
+
+      expect(describeAll(changes)).toEqual([
+        "/project/dependencies/dependency[@name='junit']/@scope: \"test\"",
+        "/project/dependencies/dependency[@name='junit']/version/text(): \"4.12\" → \"4.13\"",
+        "/project/dependencies/dependency[@name='slf4j']: {\"@name\":\"slf4j\"}"
+      ]);
+      expect(changes[1]).toMatchObject({ oldLines: { start: 7, end: 7 }, newLines: { start: 7, end: 7 } });
+      expect(changes[2]).toMatchObject({ oldLines: null, newLines: { start: 12, end: 12 } });
+    });
+
+    it('should match repeated elements by id when they have no name', () => {
+      const old = '<svg>\n<rect id="a" fill="red"/>\n<rect id="b" fill="blue"/>\n<rect id="c" fill="gray"/>\n</svg>';
+      const reordered = '<svg>\n<rect id="c" fill="gray"/>\n<rect id="b" fill="blue"/>\n<rect id="a" fill="green"/>\n</svg>';
+      const mixed = '<config>\n<entry name="web" port="80"/>\n<entry id="7" port="22"/>\n</config>';
+
+      expect(describeAll(compareXml(old, reordered)))
+        .toEqual(["/svg/rect[@id='a']/@fill: \"red\" → \"green\""]);
+      expect(describeAll(compareXml(mixed, mixed.replace('"80"', '"8080"'))))
+        .toEqual(["/config/entry[@name='web']/@port: \"80\" → \"8080\""]);
+    });
+
+    it('should pair repeated elements by content without the identity attribute', () => {
+      const old = '<svg>\n<rect id="a" fill="red"/>\n<rect id="b" fill="blue"/>\n</svg>';
+      const changed = '<svg>\n<rect id="b" fill="blue"/>\n<rect id="a" fill="green"/>\n</svg>';
+
+      expect(describeAll(compareXml(old, changed, { identityKey: 'id' })))
+        .toEqual(["/svg/rect[@id='a']/@fill: \"red\" → \"green\""]);
+      expect(describeAll(compareXml(old, changed, { identityKey: '' })))
+        .toEqual(['/svg/rect[1]/@fill → /svg/rect[2]/@fill: "red" → "green"']);
+    });
+  });
+});
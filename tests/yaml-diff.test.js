@@ -0,0 +1,226 @@
+/**
+ * YAML Structural Diff Tests
+ *
+ * Tests for the line-aware YAML parser and the by-path comparison of
+ * manifests and playbooks.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseYamlDocuments,
+  formatYamlPath,
+  compareYaml,
+  YamlParseError
+} from '../src/yaml-diff.js';
+import { nodeToValue } from '../src/tree-diff.js';
+
+const parse = text => parseYamlDocuments(text).map(nodeToValue);
+
+const DEPLOYMENT = `apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: web
+spec:
+  template:
+    spec:
+      containers:
+      - name: api
+        image: registry/api:1.4
+        ports: [{containerPort: 8080}]
+      - name: proxy
+        image: envoy:1.29
+`;
+
+describe('YAML Structural Diff', () => {
+  describe('parseYamlDocuments', () => {
+    it('should parse block mappings, sequences and compact notation', () => {
+      expect(parse(DEPLOYMENT)).toEqual([{
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: 'web' },
+        spec: {
+          template: {
+            spec: {
+              containers: [
+                { name: 'api', image: 'registry/api:1.4', ports: [{ containerPort: 8080 }] },
+                { name: 'proxy', image: 'envoy:1.29' }
+              ]
+            }
+          }
+        }
+      }]);
+    });
+
+    it('should record key and dash lines', () => {
+      const [root] = parseYamlDocuments(DEPLOYMENT);
+      const containers = root.entries.get('spec').entries.get('template').entries.get('spec').entries.get('containers');
+
+      expect(containers).toMatchObject({ type: 'array', startLine: 8, endLine: 13 });
+      expect(containers.items.map(item => [item.startLine, item.endLine])).toEqual([[9, 11], [12, 13]]);
+      expect(containers.items[0].entries.get('image')).toMatchObject({ startLine: 10, endLine: 10 });
+    });
+
+    it('should resolve scalars with the core schema', () => {
+      expect(parse('a: 1\nb: 1.5\nc: true\nd: ~\ne:\nf: "1"\ng: 0644\nh: yes\ni: 0x1F\nj: !!str 2\n')).toEqual([
+        { a: 1, b: 1.5, c: true, d: null, e: null, f: '1', g: '0644', h: 'yes', i: 31, j: '2' }
+      ]);
+    });
+
+    it('should parse quoted, block and multi-line scalars', () => {
+      const [value] = parse([
+        'single: \'it\'\'s # not a comment\'',
+        'double: "tab\\there"',
+        'literal: |',
+        '  line 1',
+        '    line 2',
+        'folded: >-',
+        '  one',
+        '  two',
+        '',
+        '  three',
+        'plain: first',
+        '  second  # comment',
+        ''
+      ].join('\n'));
+
+      expect(value).toEqual({
+        single: "it's # not a comment",
+        double: 'tab\there',
+        literal: 'line 1\n  line 2\n',
+        folded: 'one two\nthree',
+        plain: 'first second'
+      });
+    });
+
+    it('should resolve anchors, aliases and merge keys', () => {
+      const [value] = parse([
+        'defaults: &defaults',
+        '  retries: 3',
+        '  timeout: 10',
+        'job:',
+        '  <<: *defaults',
+        '  timeout: 30',
+        'copies: [*defaults]'
+      ].join('\n'));
+
+      expect(value.job).toEqual({ timeout: 30, retries: 3 });
+      expect(value.copies).toEqual([{ retries: 3, timeout: 10 }]);
+    });
+
+    it('should split multi-document streams', () => {
+      expect(parse('%YAML 1.2\n---\na: 1\n...\n---\n- b\n--- text\n')).toEqual([{ a: 1 }, ['b'], 'text']);
+      expect(parse('# only a comment\n')).toEqual([]);
+    });
+
+    it('should throw YamlParseError with the line of the problem', () => {
+      expect(() => parseYamlDocuments('a: 1\n  b: 2\n')).toThrow(YamlParseError);
+      expect(() => parseYamlDocuments('a: 1\n  b: 2\n')).toThrow(/^Line 2: Bad indentation/);
+      expect(() => parseYamlDocuments('a:\n\tb: 1\n')).toThrow('Tabs are not allowed');
+      expect(() => parseYamlDocuments('a: [1, 2\n')).toThrow('Unterminated flow collection');
+      expect(() => parseYamlDocuments('a: *missing\n')).toThrow('Unknown alias');
+      expect(() => parseYamlDocuments('? complex\n: key\n')).toThrow('not supported');
+    });
+  });
+
+  describe('formatYamlPath', () => {
+    it('should format keys, indices, identities and documents', () => {
+      expect(formatYamlPath(['spec', 'containers', { key: 'name', value: 'api' }, 'image']))
+        .toBe('spec.containers[name=api].image');
+      expect(formatYamlPath(['metadata', 'labels', 'app.kubernetes.io/name'])).toBe('metadata.labels["app.kubernetes.io/name"]');
+      expect(formatYamlPath(['args', 0])).toBe('args[0]');
+      expect(formatYamlPath([{ key: 'name', value: 'two words' }])).toBe('[name="two words"]');
+      expect(formatYamlPath([{ document: 'Deployment/web' }, 'spec'], { documents: true })).toBe('doc[Deployment/web].spec');
+      expect(formatYamlPath([1], { documents: true })).toBe('doc[1]');
+      expect(formatYamlPath([])).toBe('(root)');
+    });
+  });
+
+  describe('compareYaml', () => {
+    it('should ignore reindenting, key order and comments', () => {
+      const reformatted = [
+        'kind: Deployment',
+        'apiVersion: apps/v1   # same object',
+        'metadata: {name: web}',
+        'spec:',
+        '    template:',
+        '        spec:',
+        '            containers:',
+        '              - image: "registry/api:1.4"',
+        '                name: api',
+        '                ports:',
+        '                  - containerPort: 8080',
+        '              - {name: proxy, image: "envoy:1.29"}',
+        ''
+      ].join('\n');
+
+      expect(compareYaml(DEPLOYMENT, reformatted)).toEqual([]);
+    });
+
+    it('should match sequence items by the identity key', () => {
+      const reordered = DEPLOYMENT
+        .replace('registry/api:1.4', 'registry/api:1.5')
+        .replace(/      - name: api\n(.*\n.*\n)(      - name: proxy\n.*\n)/, '$2      - name: api\n$1');
+
+      const changes = compareYaml(DEPLOYMENT, reordered);
+
+      expect(changes).toEqual([expect.objectContaining({
+        type: 'changed',
+        path: 'spec.template.spec.containers[name=api].image',
+        oldValue: 'registry/api:1.4',
+        newValue: 'registry/api:1.5',
+        oldLines: { start: 10, end: 10 },
+        newLines: { start: 12, end: 12 }
+      })]);
+    });
+
+    it('should report items added and removed by identity', () => {
+      const changes = compareYaml(
+        'env:\n  - name: A\n    value: "1"\n  - name: B\n    value: "2"\n',
+        'env:\n  - name: C\n    value: "3"\n  - name: A\n    value: "1"\n'
+      );
+
+      expect(changes.map(change => [change.type, change.path])).toEqual([
+        ['removed', 'env[name=B]'],
+        ['added', 'env[name=C]']
+      ]);
+    });
+
+    it('should match by position with another or no identity key', () => {
+      const oldText = 'tasks:\n  - name: a\n    id: 1\n  - name: b\n    id: 2\n';
+      const newText = 'tasks:\n  - name: b\n    id: 2\n  - name: a\n    id: 1\n';
+
+      expect(compareYaml(oldText, newText)).toEqual([]);
+      expect(compareYaml(oldText, newText, { identityKey: '' }).map(change => change.type)).toEqual(['moved']);
+      expect(compareYaml(oldText, newText, { identityKey: 'id' })).toEqual([]);
+    });
+
+    it('should match Kubernetes documents by kind and name', () => {
+      const service = 'kind: Service\nmetadata:\n  name: web\n';
+      const deployment = 'kind: Deployment\nmetadata:\n  name: web\nspec:\n  replicas: 2\n';
+
+      const changes = compareYaml(
+        `${service}---\n${deployment}`,
+        `${deployment.replace('replicas: 2', 'replicas: 3')}---\n${service}---\nkind: ConfigMap\nmetadata:\n  name: settings\n`
+      );
+
+      expect(changes.map(change => [change.type, change.path])).toEqual([
+        ['changed', 'doc[Deployment/web].spec.replicas'],
+        ['added', 'doc[ConfigMap/settings]']
+      ]);
+    });
+
+    it('should report changes from aliased values at both places', () => {
+      const changes = compareYaml(
+        'base: &base\n  image: app:1\nprod:\n  <<: *base\n',
+        'base: &base\n  image: app:2\nprod:\n  <<: *base\n'
+      );
+
+      expect(changes.map(change => [change.path, change.newLines])).toEqual([
+        ['base.image', { start: 2, end: 2 }],
+        ['prod.image', { start: 4, end: 4 }]
+      ]);
+    });
+  });
+});